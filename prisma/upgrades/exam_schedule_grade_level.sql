@@ -0,0 +1,24 @@
+-- Isi tingkat kelas jadwal ujian yang dibuat sebelum kolom grade_level ada.
+-- Jalankan sekali setelah `npx prisma db push` menambahkan kolom (nullable) tersebut.
+--
+-- Tingkat diambil dari kelas peserta yang sudah diplot di jadwal itu. Saat upgrade,
+-- kelas siswa saat ini masih kelas ketika ujian lama diadakan. Jadwal tanpa peserta,
+-- atau dengan peserta dari beberapa tingkat, tetap kosong dan harus diisi admin
+-- lewat PUT /api/exams/schedules/:id.
+
+UPDATE `exam_schedules` es
+JOIN (
+  SELECT ea.`schedule_id`, MIN(c.`grade_level`) AS `grade_level`
+  FROM `exam_assignments` ea
+  JOIN `students` s ON s.`id` = ea.`student_id`
+  JOIN `classes` c ON c.`id` = s.`current_class_id`
+  GROUP BY ea.`schedule_id`
+  HAVING COUNT(DISTINCT c.`grade_level`) = 1
+) g ON g.`schedule_id` = es.`id`
+SET es.`grade_level` = g.`grade_level`
+WHERE es.`grade_level` IS NULL;
+
+-- Jadwal yang masih perlu diisi manual
+SELECT es.`id`, es.`exam_id`, es.`exam_date`, es.`session`
+FROM `exam_schedules` es
+WHERE es.`grade_level` IS NULL;
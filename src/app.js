@@ -10,12 +10,18 @@ const config = require('./config');
 const database = require('./config/database');
 const logger = require('./utils/logger');
 const { errorHandler, notFound } = require('./middlewares/errorHandler');
+const { redactUrl } = require('./utils/helpers');
 const routes = require('./routes');
+const scheduler = require('./jobs/scheduler');
+const permissionService = require('./services/permissionService');
 
 class App {
   constructor() {
     this.app = express();
     this.port = config.app.port;
+
+    // Behind nginx every request comes from the proxy unless its forwarded IP is trusted
+    this.app.set('trust proxy', config.app.trustProxy);
     
     this.initializeMiddlewares();
     this.initializeRoutes();
@@ -42,7 +48,8 @@ class App {
     // Compression
     this.app.use(compression());
 
-    // Request logging
+    // Request logging; display keys in the query string are masked
+    morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
     const morganFormat = config.app.env === 'production' ? 'combined' : 'dev';
     this.app.use(morgan(morganFormat, {
       stream: {
@@ -71,7 +78,7 @@ class App {
 
     // Request logging middleware
     this.app.use((req, res, next) => {
-      logger.info(`${req.method} ${req.originalUrl}`, {
+      logger.info(`${req.method} ${redactUrl(req.originalUrl)}`, {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
         body: req.method === 'POST' || req.method === 'PUT' ? req.body : undefined,
@@ -108,6 +115,9 @@ class App {
       // Connect to database
       await database.connect();
 
+      // Make sure every permission known to the code exists in the database
+      await permissionService.syncCatalogue();
+
       // Start server
       this.server = this.app.listen(this.port, () => {
         logger.info(`🚀 Server running on port ${this.port} in ${config.app.env} mode`);
@@ -115,6 +125,9 @@ class App {
         logger.info(`💡 Health Check: http://localhost:${this.port}/api/health`);
       });
 
+      // Start background jobs
+      scheduler.start();
+
       // Graceful shutdown
       this.setupGracefulShutdown();
 
@@ -128,6 +141,8 @@ class App {
     const shutdown = async (signal) => {
       logger.info(`${signal} received. Starting graceful shutdown...`);
       
+      scheduler.stop();
+
       // Stop accepting new requests
       this.server.close(async () => {
         logger.info('HTTP server closed');
@@ -1,10 +1,21 @@
 require('dotenv').config();
 
+// "true"/"false", jumlah hop, atau daftar alamat/subnet (lihat "trust proxy" di Express)
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+}
+
 const config = {
   app: {
     name: process.env.APP_NAME || 'STMADB Portal Backend',
     port: process.env.PORT || 3000,
     env: process.env.NODE_ENV || 'development',
+    // Proxy yang dipercaya untuk header X-Forwarded-For (mis. 1 di belakang satu nginx),
+    // agar req.ip berisi IP klien, bukan IP proxy
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   },
   
   database: {
@@ -40,6 +51,74 @@ const config = {
     file: process.env.LOG_FILE || 'logs/app.log',
   },
   
+  attendanceQr: {
+    // QR absensi guru berganti setiap N detik; token sebelumnya masih diterima satu putaran
+    rotationSeconds: parseInt(process.env.ATTENDANCE_QR_ROTATION_SECONDS) || 30,
+    secret: process.env.ATTENDANCE_QR_SECRET,
+  },
+
+  rfid: {
+    // Tap ulang dalam rentang ini dianggap duplikat dan diabaikan
+    duplicateTapWindowSeconds: parseInt(process.env.RFID_DUPLICATE_TAP_WINDOW_SECONDS) || 60,
+    // Tap mulai jam ini dicatat sebagai Pulang (HH:MM, waktu server)
+    checkoutStartTime: process.env.RFID_CHECKOUT_START_TIME || '12:00',
+  },
+
+  ramadan: {
+    // Periode Ramadan tahun berjalan (YYYY-MM-DD)
+    startDate: process.env.RAMADAN_START_DATE || null,
+    endDate: process.env.RAMADAN_END_DATE || null,
+  },
+
+  calendar: {
+    // Hari sekolah dalam seminggu; libur dan hari khusus diatur di kalender akademik
+    schoolDays: (process.env.SCHOOL_DAYS || 'Senin,Selasa,Rabu,Kamis,Jumat,Sabtu').split(',').map(day => day.trim()),
+  },
+
+  loginProtection: {
+    // Login gagal dihitung dalam jendela ini; kegagalan yang lebih lama diabaikan
+    windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+    // Mulai kegagalan ke-N, percobaan berikutnya harus menunggu 1, 2, 4, ... detik
+    delayAfterFailures: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3,
+    maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30,
+    // Akun dikunci sementara setelah N kegagalan
+    usernameLockoutThreshold: parseInt(process.env.LOGIN_USERNAME_LOCKOUT_THRESHOLD) || 10,
+    // IP tidak pernah dikunci karena satu sekolah bisa berbagi satu IP NAT; setelah
+    // N kegagalan percobaan dari IP itu hanya diperlambat, paling lama sekian detik
+    ipDelayAfterFailures: parseInt(process.env.LOGIN_IP_DELAY_AFTER_FAILURES) || 50,
+    ipMaxDelaySeconds: parseInt(process.env.LOGIN_IP_MAX_DELAY_SECONDS) || 5,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  },
+
+  twoFactor: {
+    // Nama penerbit yang tampil di aplikasi authenticator
+    issuer: process.env.TOTP_ISSUER || 'STMADB Portal',
+    // Kunci untuk mengenkripsi rahasia TOTP yang disimpan di database. Terpisah dari
+    // JWT_SECRET: jika kunci ini berubah, semua rahasia TOTP tidak bisa dibuka lagi
+    encryptionKey: process.env.TOTP_ENCRYPTION_KEY,
+    // Batas waktu antara langkah password dan langkah kode 2FA saat login
+    challengeExpiresIn: process.env.TOTP_CHALLENGE_EXPIRES_IN || '5m',
+    recoveryCodeCount: parseInt(process.env.TOTP_RECOVERY_CODE_COUNT) || 10,
+  },
+
+  passwordReset: {
+    // Masa berlaku kode reset dari admin/wali kelas; slip kelas biasanya dibagikan esok harinya
+    codeExpiresHours: parseInt(process.env.PASSWORD_RESET_CODE_EXPIRES_HOURS) || 72,
+  },
+
+  absenceJob: {
+    // Job malam yang mencatat Alpa bagi yang tidak absen Masuk pada hari sekolah
+    enabled: process.env.ABSENCE_JOB_ENABLED !== 'false',
+    schedule: process.env.ABSENCE_JOB_CRON || '0 22 * * *',
+    // Run yang masih Running lebih lama dari ini dianggap macet (mis. proses mati) dan boleh diulang
+    staleMinutes: parseInt(process.env.ABSENCE_JOB_STALE_MINUTES) || 60,
+  },
+
+  scheduler: {
+    // Job latar belakang hanya boleh jalan di satu proses; di PM2 cluster hanya instance 0
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+  },
+
   redis: {
     url: process.env.REDIS_URL || 'redis://localhost:6379',
   },
@@ -66,4 +145,12 @@ if (!config.jwt.secret) {
   throw new Error('JWT_SECRET is required');
 }
 
+if (!config.attendanceQr.secret) {
+  throw new Error('ATTENDANCE_QR_SECRET is required');
+}
+
+if (!config.twoFactor.encryptionKey) {
+  throw new Error('TOTP_ENCRYPTION_KEY is required');
+}
+
 module.exports = config;
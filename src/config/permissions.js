@@ -0,0 +1,90 @@
+// Daftar izin yang dikenal aplikasi. `roles` = peran sistem yang mendapat izin ini
+// saat izin pertama kali disinkronkan ke database; setelah itu admin yang mengatur.
+const PERMISSIONS = {
+  // Pengguna & keamanan
+  'users.manage': { description: 'Manage user accounts', roles: ['admin'] },
+  'security.manage': { description: 'Manage login lockouts, audit trail, security policy and 2FA resets', roles: ['admin'] },
+  'roles.manage': { description: 'Manage roles and their permissions', roles: ['admin'] },
+  'password_resets.issue': { description: 'Issue password reset codes for own homeroom students', roles: ['admin', 'teacher'] },
+  'password_resets.issue_any': { description: 'Issue password reset codes for any user', roles: ['admin'] },
+
+  // Kalender & periode akademik
+  'calendar.manage': { description: 'Manage academic years, semesters and calendar events', roles: ['admin'] },
+  'academic_periods.browse': { description: 'Browse data of archived academic periods', roles: ['admin'] },
+  'promotions.manage': { description: 'Preview and execute class promotions', roles: ['admin'] },
+  'promotions.view_history': { description: 'View the class history of a student', roles: ['admin', 'teacher', 'staff'] },
+
+  // Data master
+  'classes.view': { description: 'View classes', roles: ['admin', 'teacher', 'staff'] },
+  'classes.view_own': { description: 'View own homeroom class', roles: ['teacher'] },
+  'classes.manage': { description: 'Create and update classes and their students', roles: ['admin', 'staff'] },
+  'classes.delete': { description: 'Delete classes', roles: ['admin'] },
+  'subjects.view': { description: 'View subjects', roles: ['admin', 'teacher'] },
+  'subjects.manage': { description: 'Manage subjects', roles: ['admin'] },
+  'teachers.view': { description: 'Search and view teachers', roles: ['admin', 'teacher'] },
+  'teachers.update_own': { description: 'Update own teacher profile and signature', roles: ['teacher'] },
+  'teachers.manage': { description: 'Manage all teachers', roles: ['admin'] },
+  'students.view': { description: 'View students, their classes and class history', roles: ['admin', 'teacher'] },
+  'students.search': { description: 'Search students', roles: ['admin', 'teacher', 'student'] },
+  'students.view_own': { description: 'View own student record', roles: ['student'] },
+  'students.update_own': { description: 'Update own student record', roles: ['student'] },
+  'students.manage': { description: 'Manage all students and their class assignments', roles: ['admin'] },
+
+  // Jadwal & jurnal
+  'schedules.view': { description: 'View schedules', roles: ['admin', 'teacher'] },
+  'schedules.view_weekly': { description: 'View the weekly timetable', roles: ['admin', 'teacher', 'student'] },
+  'schedules.manage': { description: 'Manage schedules', roles: ['admin'] },
+  'lesson_attendance.record': { description: 'Take the roll call of own lessons', roles: ['admin', 'teacher'] },
+  'lesson_attendance.record_any': { description: 'Take the roll call of any lesson', roles: ['admin'] },
+  'journals.view': { description: 'View teaching journals', roles: ['admin', 'teacher'] },
+  'journals.write_own': { description: 'Write, update and delete own teaching journals', roles: ['teacher'] },
+  'journals.manage': { description: 'Update and delete any teaching journal', roles: ['admin'] },
+
+  // Presensi
+  'attendance.self': { description: 'Record and view own attendance', roles: ['admin', 'teacher', 'student'] },
+  'attendance.view': { description: 'View attendance reports and statistics', roles: ['admin', 'teacher'] },
+  'attendance.record': { description: 'Record and correct attendance of others', roles: ['admin', 'teacher'] },
+  'attendance.delete': { description: 'Delete attendance records', roles: ['admin'] },
+  'attendance.qr_display': { description: 'Show the rotating attendance QR code', roles: ['admin'] },
+  'attendance.manage_settings': { description: 'Manage gate devices, working hours and absence jobs', roles: ['admin'] },
+  'geofences.manage': { description: 'Manage geofences and review flagged attendance', roles: ['admin'] },
+
+  // Izin/cuti
+  'leave_requests.submit': { description: 'Submit and view own leave requests', roles: ['teacher', 'student', 'staff'] },
+  'leave_requests.review': { description: 'Review leave requests of own homeroom students', roles: ['admin', 'teacher'] },
+  'leave_requests.review_any': { description: 'Review any leave request', roles: ['admin'] },
+
+  // PKL
+  'internships.view': { description: 'View internship companies and placements', roles: ['admin', 'teacher'] },
+  'internships.manage': { description: 'Manage internship companies and placements', roles: ['admin'] },
+  'internship_journals.write': { description: 'Write own internship journals', roles: ['student'] },
+  'internship_journals.view': { description: 'View internship journals', roles: ['admin', 'teacher'] },
+  'internship_journals.review': { description: 'Review internship journals of supervised students', roles: ['teacher'] },
+
+  // Ujian
+  'exams.manage': { description: 'Manage exams, rooms, schedules, seating and supervisors', roles: ['admin'] },
+  'exams.view_assignments': { description: 'View exam seating and supervisors', roles: ['admin', 'teacher'] },
+  'exams.supervise': { description: 'View own exam supervision timetable', roles: ['teacher'] },
+  'exams.report_incidents': { description: 'File and view exam incident reports', roles: ['admin', 'teacher'] },
+
+  // Antrean & Ramadan
+  'queue.manage': { description: 'Manage queue counters and displays', roles: ['admin'] },
+  'queue.operate': { description: 'Operate queue counters and serve tickets', roles: ['admin', 'staff'] },
+  'ramadan.checklist': { description: 'Fill in own Ramadan activity checklist', roles: ['student'] },
+  'ramadan.view_class': { description: 'View the Ramadan checklist of own homeroom class', roles: ['admin', 'teacher'] },
+  'ramadan.view_all_classes': { description: 'View the Ramadan checklist of any class', roles: ['admin'] },
+  'ramadan.recap': { description: 'View the Ramadan recap of all classes', roles: ['admin'] },
+};
+
+// Peran sistem mengikuti jenis akun (enum UserRole) dan tidak bisa dihapus
+const SYSTEM_ROLES = {
+  admin: 'Administrator',
+  teacher: 'Guru',
+  student: 'Siswa',
+  staff: 'Staf',
+};
+
+module.exports = {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+};
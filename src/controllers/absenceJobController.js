@@ -0,0 +1,70 @@
+const absenceDetectionService = require('../services/absenceDetectionService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class AbsenceJobController {
+  /**
+   * Get absence detection runs
+   */
+  async getRuns(req, res) {
+    try {
+      const filters = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        status: req.query.status,
+        date_from: req.query.date_from,
+        date_to: req.query.date_to
+      };
+
+      const result = await absenceDetectionService.getRuns(filters);
+
+      res.status(200).json(
+        ApiResponse.success('Absence detection runs retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getRuns controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve absence detection runs'));
+    }
+  }
+
+  /**
+   * Get an absence detection run with absences and missing Pulang
+   */
+  async getRunById(req, res) {
+    try {
+      const run = await absenceDetectionService.getRunById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Absence detection run retrieved successfully', run));
+    } catch (error) {
+      logger.error('Error in getRunById controller:', error);
+      if (error.message === 'Job run not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve absence detection run'));
+      }
+    }
+  }
+
+  /**
+   * Run absence detection for a date now
+   */
+  async runNow(req, res) {
+    try {
+      const run = await absenceDetectionService.run(req.body.date || new Date(), {
+        trigger: 'Manual',
+        triggeredById: req.user.id
+      });
+
+      res.status(200).json(ApiResponse.success(`Absence detection ${run.status.toLowerCase()}`, run));
+    } catch (error) {
+      logger.error('Error in runNow controller:', error);
+      if (error.message.includes('already running')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to run absence detection'));
+      }
+    }
+  }
+}
+
+module.exports = new AbsenceJobController();
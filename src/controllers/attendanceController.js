@@ -1,4 +1,5 @@
 const attendanceService = require('../services/attendanceService');
+const attendanceQrService = require('../services/attendanceQrService');
 const logger = require('../utils/logger');
 const { PrismaClient } = require('@prisma/client');
 
@@ -212,18 +213,19 @@ class AttendanceController {
       const userRole = user.role;
       const attendanceData = req.body;
 
-      console.log('DEBUG - User role:', userRole);
-      console.log('DEBUG - User ID:', user.id, 'type:', typeof user.id);
-
-      // Since we know the direct teacher endpoint works, let's use a simpler approach
-      // For this demo, let's just use teacher ID 1 as that's what works
-      // In production, you would properly map users to their teacher/student profiles
-      
       if (userRole === 'admin' || userRole === 'teacher') {
-        // For now, let's use teacher ID 1 which we know exists and works
-        console.log('DEBUG - Using teacher ID 1 for demo purposes');
-        const attendance = await attendanceService.recordTeacherAttendance('1', attendanceData);
-        
+        if (!user.teacher) {
+          return res.status(404).json({
+            success: false,
+            message: 'Teacher profile not found',
+            data: null,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        // Teachers check in by scanning the rotating QR code
+        const attendance = await attendanceQrService.checkIn(user.teacher.id, attendanceData);
+
         return res.status(201).json({
           success: true,
           message: 'My attendance recorded successfully',
@@ -247,10 +249,36 @@ class AttendanceController {
         });
       }
     } catch (error) {
-      console.error('Error recording my attendance:', error);
-      return res.status(500).json({
+      logger.error('Error in recordMyAttendance controller:', error);
+      const isClientError = error.message.includes('QR token') || error.message.includes('already recorded') ||
+        error.message.includes('outside the allowed area');
+      return res.status(isClientError ? 400 : 500).json({
+        success: false,
+        message: isClientError ? error.message : 'Internal server error',
+        data: null,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get the current rotating attendance QR code (shown on the admin display)
+   */
+  async getCurrentQr(req, res) {
+    try {
+      const qr = await attendanceQrService.getCurrentQr();
+
+      res.status(200).json({
+        success: true,
+        message: 'Attendance QR code retrieved successfully',
+        data: qr,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in getCurrentQr controller:', error);
+      res.status(500).json({
         success: false,
-        message: 'Internal server error',
+        message: 'Failed to generate attendance QR code',
         data: null,
         timestamp: new Date().toISOString()
       });
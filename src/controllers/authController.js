@@ -1,4 +1,7 @@
 const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const passwordResetService = require('../services/passwordResetService');
 const { ApiResponse } = require('../utils/helpers');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
@@ -11,13 +14,61 @@ class AuthController {
   login = asyncHandler(async (req, res) => {
     const { username, password } = req.body;
 
-    const result = await authService.login(username, password);
+    const result = await authService.login(username, password, {
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+    }).catch(error => this.setRetryAfter(res, error));
+
+    res.status(200).json(
+      ApiResponse.success(result.two_factor_required ? 'Two-factor code required' : 'Login successful', result)
+    );
+  });
+
+  /**
+   * @desc    Complete a login with a two-factor or recovery code
+   * @route   POST /api/auth/login/2fa
+   * @access  Public
+   */
+  verifyTwoFactor = asyncHandler(async (req, res) => {
+    const { challenge_token, ...codes } = req.body;
+
+    const result = await authService.verifyTwoFactor(challenge_token, codes, {
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+    }).catch(error => this.setRetryAfter(res, error));
 
     res.status(200).json(
       ApiResponse.success('Login successful', result)
     );
   });
 
+  /**
+   * @desc    Set a new password with a reset code
+   * @route   POST /api/auth/reset-password
+   * @access  Public
+   */
+  resetPassword = asyncHandler(async (req, res) => {
+    const { username, code, newPassword } = req.body;
+
+    const result = await passwordResetService.redeem({ username, code, newPassword }, {
+      ip_address: req.ip,
+    }).catch(error => this.setRetryAfter(res, error));
+
+    res.status(200).json(
+      ApiResponse.success('Password reset successfully', result)
+    );
+  });
+
+  /**
+   * Throttled attempts tell the client when to retry
+   */
+  setRetryAfter(res, error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    throw error;
+  }
+
   /**
    * @desc    Refresh access token
    * @route   POST /api/auth/refresh
@@ -42,7 +93,7 @@ class AuthController {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user.id;
 
-    const result = await authService.changePassword(userId, currentPassword, newPassword);
+    const result = await authService.changePassword(userId, currentPassword, newPassword, req.sessionId);
 
     res.status(200).json(
       ApiResponse.success('Password changed successfully', result)
@@ -65,17 +116,121 @@ class AuthController {
   });
 
   /**
-   * @desc    Logout user (client-side only)
+   * @desc    Logout user by revoking the current session
    * @route   POST /api/auth/logout
    * @access  Private
    */
   logout = asyncHandler(async (req, res) => {
-    // Since we're using stateless JWT, logout is handled on client-side
-    // by removing the tokens from storage
+    await authService.logout(req.user.id, req.sessionId);
+
     res.status(200).json(
       ApiResponse.success('Logout successful')
     );
   });
+
+  /**
+   * @desc    Get active sessions of the current user
+   * @route   GET /api/auth/sessions
+   * @access  Private
+   */
+  getSessions = asyncHandler(async (req, res) => {
+    const sessions = await sessionService.getUserSessions(req.user.id, req.sessionId);
+
+    res.status(200).json(
+      ApiResponse.success('Sessions retrieved successfully', sessions)
+    );
+  });
+
+  /**
+   * @desc    Revoke one of the current user's sessions
+   * @route   DELETE /api/auth/sessions/:id
+   * @access  Private
+   */
+  revokeSession = asyncHandler(async (req, res) => {
+    const result = await sessionService.revokeUserSession(req.user.id, req.params.id);
+
+    res.status(200).json(
+      ApiResponse.success('Session revoked successfully', result)
+    );
+  });
+
+  /**
+   * @desc    Revoke every session of the current user except this one
+   * @route   DELETE /api/auth/sessions
+   * @access  Private
+   */
+  revokeOtherSessions = asyncHandler(async (req, res) => {
+    const revoked = await sessionService.revokeAllForUser(req.user.id, 'Revoked', req.sessionId);
+
+    res.status(200).json(
+      ApiResponse.success('Other sessions revoked successfully', { revoked })
+    );
+  });
+
+  /**
+   * @desc    Get two-factor status of the current user
+   * @route   GET /api/auth/2fa
+   * @access  Private
+   */
+  getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const status = await twoFactorService.getStatus(req.user.id);
+
+    res.status(200).json(
+      ApiResponse.success('Two-factor status retrieved successfully', status)
+    );
+  });
+
+  /**
+   * @desc    Start two-factor enrolment (secret and QR code)
+   * @route   POST /api/auth/2fa/setup
+   * @access  Private
+   */
+  setupTwoFactor = asyncHandler(async (req, res) => {
+    const setup = await twoFactorService.startSetup(req.user.id);
+
+    res.status(200).json(
+      ApiResponse.success('Scan the QR code with an authenticator app', setup)
+    );
+  });
+
+  /**
+   * @desc    Confirm enrolment with a code and enable two-factor
+   * @route   POST /api/auth/2fa/enable
+   * @access  Private
+   */
+  enableTwoFactor = asyncHandler(async (req, res) => {
+    const result = await twoFactorService.enable(req.user.id, req.body.code, { ip_address: req.ip });
+
+    res.status(200).json(
+      ApiResponse.success('Two-factor authentication enabled successfully', result)
+    );
+  });
+
+  /**
+   * @desc    Disable two-factor authentication
+   * @route   POST /api/auth/2fa/disable
+   * @access  Private
+   */
+  disableTwoFactor = asyncHandler(async (req, res) => {
+    const result = await twoFactorService.disable(req.user.id, req.body, { ip_address: req.ip });
+
+    res.status(200).json(
+      ApiResponse.success('Two-factor authentication disabled successfully', result)
+    );
+  });
+
+  /**
+   * @desc    Replace the recovery codes of the current user
+   * @route   POST /api/auth/2fa/recovery-codes
+   * @access  Private
+   */
+  regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code, { ip_address: req.ip });
+
+    res.status(200).json(
+      ApiResponse.success('Recovery codes regenerated successfully', result)
+    );
+  });
 }
 
 module.exports = new AuthController();
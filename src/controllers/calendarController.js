@@ -0,0 +1,329 @@
+const academicPeriodService = require('../services/academicPeriodService');
+const calendarService = require('../services/calendarService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class CalendarController {
+  /**
+   * Get all academic years
+   */
+  async getAllAcademicYears(req, res) {
+    try {
+      const academicYears = await calendarService.getAllAcademicYears();
+
+      res.status(200).json(ApiResponse.success('Academic years retrieved successfully', academicYears));
+    } catch (error) {
+      logger.error('Error in getAllAcademicYears controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve academic years'));
+    }
+  }
+
+  /**
+   * Get academic year by ID
+   */
+  async getAcademicYearById(req, res) {
+    try {
+      const academicYear = await calendarService.getAcademicYearById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Academic year retrieved successfully', academicYear));
+    } catch (error) {
+      logger.error('Error in getAcademicYearById controller:', error);
+      if (error.message === 'Academic year not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve academic year'));
+      }
+    }
+  }
+
+  /**
+   * Create new academic year
+   */
+  async createAcademicYear(req, res) {
+    try {
+      const academicYear = await calendarService.createAcademicYear(req.body);
+
+      res.status(201).json(ApiResponse.success('Academic year created successfully', academicYear));
+    } catch (error) {
+      logger.error('Error in createAcademicYear controller:', error);
+      if (error.message.includes('already exists') ||
+        error.message.includes('must be after') ||
+        error.message.includes('overlaps with')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to create academic year'));
+      }
+    }
+  }
+
+  /**
+   * Update academic year
+   */
+  async updateAcademicYear(req, res) {
+    try {
+      const academicYear = await calendarService.updateAcademicYear(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Academic year updated successfully', academicYear));
+    } catch (error) {
+      logger.error('Error in updateAcademicYear controller:', error);
+      if (error.message === 'Academic year not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('already exists') ||
+        error.message.includes('must be after') ||
+        error.message.includes('overlaps with') ||
+        error.message.includes('falls outside')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('read-only')) {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update academic year'));
+      }
+    }
+  }
+
+  /**
+   * Delete academic year
+   */
+  async deleteAcademicYear(req, res) {
+    try {
+      const result = await calendarService.deleteAcademicYear(req.params.id);
+
+      res.status(200).json(ApiResponse.success(result.message));
+    } catch (error) {
+      logger.error('Error in deleteAcademicYear controller:', error);
+      if (error.message === 'Academic year not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Cannot delete')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete academic year'));
+      }
+    }
+  }
+
+  /**
+   * Create or update a semester of an academic year
+   */
+  async saveSemester(req, res) {
+    try {
+      const academicYear = await calendarService.saveSemester(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Semester saved successfully', academicYear));
+    } catch (error) {
+      logger.error('Error in saveSemester controller:', error);
+      if (error.message === 'Academic year not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('must be after') ||
+        error.message.includes('must fall within') ||
+        error.message.includes('overlaps with')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('read-only')) {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to save semester'));
+      }
+    }
+  }
+
+  /**
+   * Delete semester
+   */
+  async deleteSemester(req, res) {
+    try {
+      const result = await calendarService.deleteSemester(req.params.id);
+
+      res.status(200).json(ApiResponse.success(result.message));
+    } catch (error) {
+      logger.error('Error in deleteSemester controller:', error);
+      if (error.message === 'Semester not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Cannot delete')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete semester'));
+      }
+    }
+  }
+
+  /**
+   * Get the active academic period
+   */
+  async getActivePeriod(req, res) {
+    try {
+      const period = await academicPeriodService.getActivePeriod();
+
+      res.status(200).json(ApiResponse.success('Active academic period retrieved successfully', period));
+    } catch (error) {
+      logger.error('Error in getActivePeriod controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve active academic period'));
+    }
+  }
+
+  /**
+   * Make a semester the active academic period
+   */
+  async activateSemester(req, res) {
+    try {
+      const result = await academicPeriodService.activateSemester(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Semester activated successfully', result));
+    } catch (error) {
+      logger.error('Error in activateSemester controller:', error);
+      if (error.message === 'Semester not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('read-only')) {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('already active')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to activate semester'));
+      }
+    }
+  }
+
+  /**
+   * Get calendar events
+   */
+  async getEvents(req, res) {
+    try {
+      const events = await calendarService.getEvents(req.query);
+
+      res.status(200).json(ApiResponse.success('Calendar events retrieved successfully', events));
+    } catch (error) {
+      logger.error('Error in getEvents controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve calendar events'));
+    }
+  }
+
+  /**
+   * Get calendar event by ID
+   */
+  async getEventById(req, res) {
+    try {
+      const event = await calendarService.getEventById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Calendar event retrieved successfully', event));
+    } catch (error) {
+      logger.error('Error in getEventById controller:', error);
+      if (error.message === 'Calendar event not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve calendar event'));
+      }
+    }
+  }
+
+  /**
+   * Create new calendar event
+   */
+  async createEvent(req, res) {
+    try {
+      const event = await calendarService.createEvent(req.body);
+
+      res.status(201).json(ApiResponse.success('Calendar event created successfully', event));
+    } catch (error) {
+      logger.error('Error in createEvent controller:', error);
+      if (error.message.includes('must be on or after')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to create calendar event'));
+      }
+    }
+  }
+
+  /**
+   * Update calendar event
+   */
+  async updateEvent(req, res) {
+    try {
+      const event = await calendarService.updateEvent(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Calendar event updated successfully', event));
+    } catch (error) {
+      logger.error('Error in updateEvent controller:', error);
+      if (error.message === 'Calendar event not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('must be on or after')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update calendar event'));
+      }
+    }
+  }
+
+  /**
+   * Delete calendar event
+   */
+  async deleteEvent(req, res) {
+    try {
+      const result = await calendarService.deleteEvent(req.params.id);
+
+      res.status(200).json(ApiResponse.success(result.message));
+    } catch (error) {
+      logger.error('Error in deleteEvent controller:', error);
+      if (error.message === 'Calendar event not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete calendar event'));
+      }
+    }
+  }
+
+  /**
+   * Import holidays and events from an .ics file
+   */
+  async importIcs(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json(ApiResponse.error('No calendar file uploaded'));
+      }
+
+      const result = await calendarService.importIcs(req.file.buffer.toString('utf8'), req.body);
+
+      res.status(200).json(ApiResponse.success('Calendar imported successfully', result));
+    } catch (error) {
+      logger.error('Error in importIcs controller:', error);
+      if (error.message.includes('No events found')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to import calendar'));
+      }
+    }
+  }
+
+  /**
+   * Check whether a date is an effective school day
+   */
+  async getSchoolDay(req, res) {
+    try {
+      const { date = new Date(), grade_level } = req.query;
+      const schoolDay = await calendarService.isEffectiveSchoolDay(date, grade_level);
+
+      res.status(200).json(ApiResponse.success('School day status retrieved successfully', schoolDay));
+    } catch (error) {
+      logger.error('Error in getSchoolDay controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve school day status'));
+    }
+  }
+
+  /**
+   * List effective school days of a date range
+   */
+  async getEffectiveDays(req, res) {
+    try {
+      const { date_from, date_to, grade_level } = req.query;
+      const days = await calendarService.getEffectiveSchoolDays(date_from, date_to, grade_level);
+
+      res.status(200).json(ApiResponse.success('Effective school days retrieved successfully', days));
+    } catch (error) {
+      logger.error('Error in getEffectiveDays controller:', error);
+      if (error.message.includes('must be on or after') || error.message.includes('cannot exceed')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve effective school days'));
+      }
+    }
+  }
+}
+
+module.exports = new CalendarController();
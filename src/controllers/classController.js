@@ -15,7 +15,8 @@ class ClassController {
         grade_level: req.query.grade_level ? parseInt(req.query.grade_level) : undefined,
         major: req.query.major,
         sortBy: req.query.sortBy,
-        sortOrder: req.query.sortOrder
+        sortOrder: req.query.sortOrder,
+        period: req.academicPeriod
       };
 
       const result = await classService.getClasses(options);
@@ -167,7 +168,7 @@ class ClassController {
    */
   async getClassStats(req, res) {
     try {
-      const stats = await classService.getClassStats();
+      const stats = await classService.getClassStats(req.academicPeriod);
 
       logger.info('Class statistics retrieved successfully', {
         userId: req.user.userId
@@ -193,7 +194,7 @@ class ClassController {
    */
   async getAvailableTeachers(req, res) {
     try {
-      const teachers = await classService.getAvailableTeachers();
+      const teachers = await classService.getAvailableTeachers(req.academicPeriod);
 
       logger.info('Available teachers retrieved successfully', {
         userId: req.user.userId
@@ -220,9 +221,13 @@ class ClassController {
   async assignStudent(req, res) {
     try {
       const { id } = req.params;
-      const { student_id } = req.body;
+      const { student_id, effective_date, reason } = req.body;
 
-      const result = await classService.assignStudent(id, student_id);
+      const result = await classService.assignStudent(id, student_id, {
+        effective_date,
+        reason,
+        changed_by_id: req.user.id
+      });
 
       logger.info('Student assigned to class successfully', {
         userId: req.user.userId,
@@ -252,8 +257,13 @@ class ClassController {
    */
   async removeStudent(req, res) {
     try {
-      const { id, studentId } = req.params;
-      const result = await classService.removeStudent(id, studentId);
+      const { id } = req.params;
+      const { student_id: studentId, effective_date, reason } = req.body;
+      const result = await classService.removeStudent(id, studentId, {
+        effective_date,
+        reason,
+        changed_by_id: req.user.id
+      });
 
       logger.info('Student removed from class successfully', {
         userId: req.user.userId,
@@ -269,7 +279,7 @@ class ClassController {
         error: error.message,
         userId: req.user.userId,
         classId: req.params.id,
-        studentId: req.params.studentId
+        studentId: req.body.student_id
       });
 
       return res.status(error.status || 500).json(
@@ -0,0 +1,310 @@
+const examService = require('../services/examService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class ExamController {
+  // ===== EXAMS =====
+
+  /**
+   * Get all exams
+   */
+  async getAllExams(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        search: req.query.search,
+        period: req.academicPeriod
+      };
+
+      const result = await examService.getAllExams(options);
+
+      res.status(200).json(
+        ApiResponse.success('Exams retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getAllExams controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve exams'));
+    }
+  }
+
+  /**
+   * Get exam by ID with its schedules
+   */
+  async getExamById(req, res) {
+    try {
+      const exam = await examService.getExamById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Exam retrieved successfully', exam));
+    } catch (error) {
+      logger.error('Error in getExamById controller:', error);
+      if (error.message === 'Exam not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve exam'));
+      }
+    }
+  }
+
+  /**
+   * Create new exam
+   */
+  async createExam(req, res) {
+    try {
+      const exam = await examService.createExam(req.body);
+
+      res.status(201).json(ApiResponse.success('Exam created successfully', exam));
+    } catch (error) {
+      logger.error('Error in createExam controller:', error);
+      if (error.message.includes('must be registered')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to create exam'));
+      }
+    }
+  }
+
+  /**
+   * Update exam
+   */
+  async updateExam(req, res) {
+    try {
+      const exam = await examService.updateExam(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Exam updated successfully', exam));
+    } catch (error) {
+      logger.error('Error in updateExam controller:', error);
+      if (error.message === 'Exam not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('must be')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update exam'));
+      }
+    }
+  }
+
+  /**
+   * Delete exam
+   */
+  async deleteExam(req, res) {
+    try {
+      await examService.deleteExam(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Exam deleted successfully'));
+    } catch (error) {
+      logger.error('Error in deleteExam controller:', error);
+      if (error.message === 'Exam not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Cannot delete')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete exam'));
+      }
+    }
+  }
+
+  // ===== EXAM SCHEDULES =====
+
+  /**
+   * Get all exam schedules
+   */
+  async getAllExamSchedules(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        exam_id: req.query.exam_id,
+        subject_id: req.query.subject_id,
+        grade_level: req.query.grade_level,
+        exam_date: req.query.exam_date,
+        session: req.query.session
+      };
+
+      const result = await examService.getAllExamSchedules(options);
+
+      res.status(200).json(
+        ApiResponse.success('Exam schedules retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getAllExamSchedules controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve exam schedules'));
+    }
+  }
+
+  /**
+   * Get exam schedule by ID
+   */
+  async getExamScheduleById(req, res) {
+    try {
+      const schedule = await examService.getExamScheduleById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Exam schedule retrieved successfully', schedule));
+    } catch (error) {
+      logger.error('Error in getExamScheduleById controller:', error);
+      if (error.message === 'Exam schedule not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve exam schedule'));
+      }
+    }
+  }
+
+  /**
+   * Create new exam schedule
+   */
+  async createExamSchedule(req, res) {
+    try {
+      const schedule = await examService.createExamSchedule(req.body);
+
+      res.status(201).json(ApiResponse.success('Exam schedule created successfully', schedule));
+    } catch (error) {
+      logger.error('Error in createExamSchedule controller:', error);
+      if (error.message === 'Exam not found' || error.message === 'Subject not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('conflict detected')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('must be')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to create exam schedule'));
+      }
+    }
+  }
+
+  /**
+   * Update exam schedule
+   */
+  async updateExamSchedule(req, res) {
+    try {
+      const schedule = await examService.updateExamSchedule(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Exam schedule updated successfully', schedule));
+    } catch (error) {
+      logger.error('Error in updateExamSchedule controller:', error);
+      if (error.message === 'Exam schedule not found' || error.message === 'Subject not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('conflict detected')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('must be')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update exam schedule'));
+      }
+    }
+  }
+
+  /**
+   * Delete exam schedule
+   */
+  async deleteExamSchedule(req, res) {
+    try {
+      await examService.deleteExamSchedule(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Exam schedule deleted successfully'));
+    } catch (error) {
+      logger.error('Error in deleteExamSchedule controller:', error);
+      if (error.message === 'Exam schedule not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Cannot delete')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete exam schedule'));
+      }
+    }
+  }
+
+  // ===== ROOMS =====
+
+  /**
+   * Get all exam rooms with total capacity
+   */
+  async getAllRooms(req, res) {
+    try {
+      const rooms = await examService.getAllRooms({ search: req.query.search });
+
+      res.status(200).json(ApiResponse.success('Exam rooms retrieved successfully', rooms));
+    } catch (error) {
+      logger.error('Error in getAllRooms controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve exam rooms'));
+    }
+  }
+
+  /**
+   * Get exam room by ID
+   */
+  async getRoomById(req, res) {
+    try {
+      const room = await examService.getRoomById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Exam room retrieved successfully', room));
+    } catch (error) {
+      logger.error('Error in getRoomById controller:', error);
+      if (error.message === 'Exam room not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve exam room'));
+      }
+    }
+  }
+
+  /**
+   * Create new exam room
+   */
+  async createRoom(req, res) {
+    try {
+      const room = await examService.createRoom(req.body);
+
+      res.status(201).json(ApiResponse.success('Exam room created successfully', room));
+    } catch (error) {
+      logger.error('Error in createRoom controller:', error);
+      if (error.message.includes('already exists')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to create exam room'));
+      }
+    }
+  }
+
+  /**
+   * Update exam room
+   */
+  async updateRoom(req, res) {
+    try {
+      const room = await examService.updateRoom(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Exam room updated successfully', room));
+    } catch (error) {
+      logger.error('Error in updateRoom controller:', error);
+      if (error.message === 'Exam room not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('already exists')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update exam room'));
+      }
+    }
+  }
+
+  /**
+   * Delete exam room
+   */
+  async deleteRoom(req, res) {
+    try {
+      await examService.deleteRoom(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Exam room deleted successfully'));
+    } catch (error) {
+      logger.error('Error in deleteRoom controller:', error);
+      if (error.message === 'Exam room not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Cannot delete')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete exam room'));
+      }
+    }
+  }
+}
+
+module.exports = new ExamController();
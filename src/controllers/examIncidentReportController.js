@@ -0,0 +1,96 @@
+const examIncidentReportService = require('../services/examIncidentReportService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class ExamIncidentReportController {
+  /**
+   * Submit berita acara of a room and session
+   */
+  async submitReport(req, res) {
+    try {
+      // Reports are signed by a teacher, including admins who supervise
+      if (!req.user.teacher) {
+        return res.status(404).json(ApiResponse.error('Teacher profile not found'));
+      }
+
+      const report = await examIncidentReportService.submitReport(
+        req.params.id,
+        { permissions: req.user.permissions, teacherId: req.user.teacher.id },
+        req.body
+      );
+
+      res.status(200).json(ApiResponse.success('Exam incident report submitted successfully', report));
+    } catch (error) {
+      logger.error('Error in submitReport controller:', error);
+      if (error.message === 'Exam not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else if (
+        error.message.includes('No students are assigned') ||
+        error.message.includes('not assigned') ||
+        error.message.includes('must be marked')
+      ) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to submit exam incident report'));
+      }
+    }
+  }
+
+  /**
+   * Get incident reports of an exam
+   */
+  async getReportsByExam(req, res) {
+    try {
+      const reports = await examIncidentReportService.getReportsByExam(req.params.id, {
+        room_id: req.query.room_id,
+        exam_date: req.query.exam_date,
+        session: req.query.session
+      });
+
+      res.status(200).json(ApiResponse.success('Exam incident reports retrieved successfully', reports));
+    } catch (error) {
+      logger.error('Error in getReportsByExam controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve exam incident reports'));
+    }
+  }
+
+  /**
+   * Get incident report by ID
+   */
+  async getReportById(req, res) {
+    try {
+      const report = await examIncidentReportService.getReportById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Exam incident report retrieved successfully', report));
+    } catch (error) {
+      logger.error('Error in getReportById controller:', error);
+      if (error.message === 'Exam incident report not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve exam incident report'));
+      }
+    }
+  }
+
+  /**
+   * Get attendance dashboard of an exam
+   */
+  async getDashboard(req, res) {
+    try {
+      const dashboard = await examIncidentReportService.getDashboard(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Exam attendance dashboard retrieved successfully', dashboard));
+    } catch (error) {
+      logger.error('Error in getDashboard controller:', error);
+      if (error.message === 'Exam not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve exam attendance dashboard'));
+      }
+    }
+  }
+}
+
+module.exports = new ExamIncidentReportController();
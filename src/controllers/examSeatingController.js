@@ -0,0 +1,69 @@
+const examSeatingService = require('../services/examSeatingService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class ExamSeatingController {
+  /**
+   * Allocate seats for an exam schedule
+   */
+  async allocateSeating(req, res) {
+    try {
+      const result = await examSeatingService.allocateSeating(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Exam seating allocated successfully', result));
+    } catch (error) {
+      logger.error('Error in allocateSeating controller:', error);
+      if (error.message.includes('not found')) {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Cannot re-allocate') || error.message.includes('try again')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Insufficient') || error.message.includes('No active students') || error.message.includes('is not in grade')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to allocate exam seating'));
+      }
+    }
+  }
+
+  /**
+   * Get seat lists per room for an exam schedule
+   */
+  async getSeating(req, res) {
+    try {
+      const seating = await examSeatingService.getSeating(req.params.id, {
+        room_id: req.query.room_id
+      });
+
+      res.status(200).json(ApiResponse.success('Exam seating retrieved successfully', seating));
+    } catch (error) {
+      logger.error('Error in getSeating controller:', error);
+      if (error.message === 'Exam schedule not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve exam seating'));
+      }
+    }
+  }
+
+  /**
+   * Remove the seating allocation of an exam schedule
+   */
+  async clearSeating(req, res) {
+    try {
+      const result = await examSeatingService.clearSeating(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Exam seating cleared successfully', result));
+    } catch (error) {
+      logger.error('Error in clearSeating controller:', error);
+      if (error.message === 'Exam schedule not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Cannot clear')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to clear exam seating'));
+      }
+    }
+  }
+}
+
+module.exports = new ExamSeatingController();
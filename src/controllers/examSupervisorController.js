@@ -0,0 +1,85 @@
+const examSupervisorService = require('../services/examSupervisorService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class ExamSupervisorController {
+  /**
+   * Roster supervisors for every room and session of an exam
+   */
+  async assignSupervisors(req, res) {
+    try {
+      const result = await examSupervisorService.assignSupervisors(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Exam supervisors assigned successfully', result));
+    } catch (error) {
+      logger.error('Error in assignSupervisors controller:', error);
+      if (error.message === 'Exam not found' || error.message.includes('Teacher not found')) {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Not enough eligible') || error.message.includes('No seating assignments')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to assign exam supervisors'));
+      }
+    }
+  }
+
+  /**
+   * Get supervisor roster of an exam
+   */
+  async getRoster(req, res) {
+    try {
+      const roster = await examSupervisorService.getRoster(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Exam supervisor roster retrieved successfully', roster));
+    } catch (error) {
+      logger.error('Error in getRoster controller:', error);
+      if (error.message === 'Exam not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve exam supervisor roster'));
+      }
+    }
+  }
+
+  /**
+   * Get current teacher's supervision timetable
+   */
+  async getMyTimetable(req, res) {
+    try {
+      if (!req.user.teacher) {
+        return res.status(404).json(ApiResponse.error('Teacher profile not found'));
+      }
+
+      const timetable = await examSupervisorService.getTeacherTimetable(req.user.teacher.id, {
+        exam_id: req.query.exam_id
+      });
+
+      res.status(200).json(ApiResponse.success('Supervision timetable retrieved successfully', timetable));
+    } catch (error) {
+      logger.error('Error in getMyTimetable controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve supervision timetable'));
+    }
+  }
+
+  /**
+   * Get a teacher's supervision timetable
+   */
+  async getTeacherTimetable(req, res) {
+    try {
+      const timetable = await examSupervisorService.getTeacherTimetable(req.params.id, {
+        exam_id: req.query.exam_id
+      });
+
+      res.status(200).json(ApiResponse.success('Supervision timetable retrieved successfully', timetable));
+    } catch (error) {
+      logger.error('Error in getTeacherTimetable controller:', error);
+      if (error.message === 'Teacher not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve supervision timetable'));
+      }
+    }
+  }
+}
+
+module.exports = new ExamSupervisorController();
@@ -0,0 +1,140 @@
+const gateDeviceService = require('../services/gateDeviceService');
+const attendanceService = require('../services/attendanceService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class GateDeviceController {
+  /**
+   * Record an RFID tap from a gate device
+   */
+  async recordTap(req, res) {
+    try {
+      const result = await attendanceService.recordRfidTap(req.body.rfid_uid, req.gateDevice);
+
+      if (result.recorded) {
+        res.status(201).json(ApiResponse.success(`Attendance ${result.status} recorded`, result));
+      } else {
+        res.status(200).json(ApiResponse.success(`Tap ignored: ${result.reason}`, result));
+      }
+    } catch (error) {
+      logger.error('Error in recordTap controller:', error);
+      if (error.message === 'RFID card is not registered') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message === 'Student is not active') {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to record RFID tap'));
+      }
+    }
+  }
+
+  /**
+   * Get all registered gate devices
+   */
+  async getAllDevices(req, res) {
+    try {
+      const devices = await gateDeviceService.getAllDevices();
+
+      res.status(200).json(ApiResponse.success('Gate devices retrieved successfully', devices));
+    } catch (error) {
+      logger.error('Error in getAllDevices controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve gate devices'));
+    }
+  }
+
+  /**
+   * Register a gate device and return its key
+   */
+  async createDevice(req, res) {
+    try {
+      const device = await gateDeviceService.createDevice(req.body);
+
+      res.status(201).json(
+        ApiResponse.success('Gate device registered successfully. Store the key now, it will not be shown again', device)
+      );
+    } catch (error) {
+      logger.error('Error in createDevice controller:', error);
+      if (error.message.includes('already exists')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to register gate device'));
+      }
+    }
+  }
+
+  /**
+   * Update gate device details
+   */
+  async updateDevice(req, res) {
+    try {
+      const device = await gateDeviceService.updateDevice(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Gate device updated successfully', device));
+    } catch (error) {
+      logger.error('Error in updateDevice controller:', error);
+      if (error.message === 'Gate device not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update gate device'));
+      }
+    }
+  }
+
+  /**
+   * Regenerate gate device key
+   */
+  async regenerateKey(req, res) {
+    try {
+      const device = await gateDeviceService.regenerateKey(req.params.id);
+
+      res.status(200).json(
+        ApiResponse.success('Gate device key regenerated successfully. Store the key now, it will not be shown again', device)
+      );
+    } catch (error) {
+      logger.error('Error in regenerateKey controller:', error);
+      if (error.message === 'Gate device not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to regenerate gate device key'));
+      }
+    }
+  }
+
+  /**
+   * Toggle gate device active status
+   */
+  async toggleDeviceStatus(req, res) {
+    try {
+      const device = await gateDeviceService.toggleDeviceStatus(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Gate device status updated successfully', device));
+    } catch (error) {
+      logger.error('Error in toggleDeviceStatus controller:', error);
+      if (error.message === 'Gate device not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update gate device status'));
+      }
+    }
+  }
+
+  /**
+   * Delete gate device
+   */
+  async deleteDevice(req, res) {
+    try {
+      await gateDeviceService.deleteDevice(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Gate device deleted successfully'));
+    } catch (error) {
+      logger.error('Error in deleteDevice controller:', error);
+      if (error.message === 'Gate device not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete gate device'));
+      }
+    }
+  }
+}
+
+module.exports = new GateDeviceController();
@@ -0,0 +1,174 @@
+const geofenceService = require('../services/geofenceService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class GeofenceController {
+  /**
+   * Get all geofences
+   */
+  async getAllGeofences(req, res) {
+    try {
+      const geofences = await geofenceService.getAllGeofences();
+
+      res.status(200).json(ApiResponse.success('Geofences retrieved successfully', geofences));
+    } catch (error) {
+      logger.error('Error in getAllGeofences controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve geofences'));
+    }
+  }
+
+  /**
+   * Get geofence by ID
+   */
+  async getGeofenceById(req, res) {
+    try {
+      const geofence = await geofenceService.getGeofenceById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Geofence retrieved successfully', geofence));
+    } catch (error) {
+      logger.error('Error in getGeofenceById controller:', error);
+      if (error.message === 'Geofence not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve geofence'));
+      }
+    }
+  }
+
+  /**
+   * Create new geofence
+   */
+  async createGeofence(req, res) {
+    try {
+      const geofence = await geofenceService.createGeofence(req.body);
+
+      res.status(201).json(ApiResponse.success('Geofence created successfully', geofence));
+    } catch (error) {
+      logger.error('Error in createGeofence controller:', error);
+      if (error.message.includes('geofence requires')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to create geofence'));
+      }
+    }
+  }
+
+  /**
+   * Update geofence
+   */
+  async updateGeofence(req, res) {
+    try {
+      const geofence = await geofenceService.updateGeofence(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Geofence updated successfully', geofence));
+    } catch (error) {
+      logger.error('Error in updateGeofence controller:', error);
+      if (error.message === 'Geofence not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('geofence requires')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update geofence'));
+      }
+    }
+  }
+
+  /**
+   * Delete geofence
+   */
+  async deleteGeofence(req, res) {
+    try {
+      await geofenceService.deleteGeofence(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Geofence deleted successfully'));
+    } catch (error) {
+      logger.error('Error in deleteGeofence controller:', error);
+      if (error.message === 'Geofence not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete geofence'));
+      }
+    }
+  }
+
+  /**
+   * Get geofence enforcement settings
+   */
+  async getSettings(req, res) {
+    try {
+      const settings = await geofenceService.getSettings();
+
+      res.status(200).json(ApiResponse.success('Geofence settings retrieved successfully', settings));
+    } catch (error) {
+      logger.error('Error in getSettings controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve geofence settings'));
+    }
+  }
+
+  /**
+   * Update geofence enforcement settings
+   */
+  async updateSettings(req, res) {
+    try {
+      const settings = await geofenceService.updateSettings(req.body);
+
+      res.status(200).json(ApiResponse.success('Geofence settings updated successfully', settings));
+    } catch (error) {
+      logger.error('Error in updateSettings controller:', error);
+      if (error.message.includes('Invalid geofence mode')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update geofence settings'));
+      }
+    }
+  }
+
+  /**
+   * Get attendance records flagged by the geofence check
+   */
+  async getReviewQueue(req, res) {
+    try {
+      const filters = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        type: req.query.type,
+        status: req.query.status,
+        date_from: req.query.date_from,
+        date_to: req.query.date_to
+      };
+
+      const result = await geofenceService.getReviewQueue(filters);
+
+      res.status(200).json(
+        ApiResponse.success('Attendance review queue retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getReviewQueue controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve attendance review queue'));
+    }
+  }
+
+  /**
+   * Approve or reject a flagged attendance record
+   */
+  async reviewAttendance(req, res) {
+    try {
+      const { type, id } = req.params;
+
+      const record = await geofenceService.reviewAttendance(type, id, req.user.id, req.body);
+
+      res.status(200).json(ApiResponse.success(`Attendance record ${req.body.status.toLowerCase()}`, record));
+    } catch (error) {
+      logger.error('Error in reviewAttendance controller:', error);
+      if (error.message === 'Attendance record not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('not flagged') || error.message.includes('Invalid attendance type')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to review attendance record'));
+      }
+    }
+  }
+}
+
+module.exports = new GeofenceController();
@@ -0,0 +1,232 @@
+const internshipService = require('../services/internshipService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class InternshipController {
+  // ===== COMPANIES =====
+
+  /**
+   * Get all companies
+   */
+  async getAllCompanies(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        search: req.query.search
+      };
+
+      const result = await internshipService.getAllCompanies(options);
+
+      res.status(200).json(
+        ApiResponse.success('Companies retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getAllCompanies controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve companies'));
+    }
+  }
+
+  /**
+   * Get company by ID
+   */
+  async getCompanyById(req, res) {
+    try {
+      const company = await internshipService.getCompanyById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Company retrieved successfully', company));
+    } catch (error) {
+      logger.error('Error in getCompanyById controller:', error);
+      if (error.message === 'Company not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve company'));
+      }
+    }
+  }
+
+  /**
+   * Create new company
+   */
+  async createCompany(req, res) {
+    try {
+      const company = await internshipService.createCompany(req.body);
+
+      res.status(201).json(ApiResponse.success('Company created successfully', company));
+    } catch (error) {
+      logger.error('Error in createCompany controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to create company'));
+    }
+  }
+
+  /**
+   * Update company
+   */
+  async updateCompany(req, res) {
+    try {
+      const company = await internshipService.updateCompany(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Company updated successfully', company));
+    } catch (error) {
+      logger.error('Error in updateCompany controller:', error);
+      if (error.message === 'Company not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update company'));
+      }
+    }
+  }
+
+  /**
+   * Delete company
+   */
+  async deleteCompany(req, res) {
+    try {
+      await internshipService.deleteCompany(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Company deleted successfully'));
+    } catch (error) {
+      logger.error('Error in deleteCompany controller:', error);
+      if (error.message === 'Company not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Cannot delete')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete company'));
+      }
+    }
+  }
+
+  // ===== PLACEMENTS =====
+
+  /**
+   * Get all internship placements
+   */
+  async getAllPlacements(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        student_id: req.query.student_id,
+        company_id: req.query.company_id,
+        supervisor_teacher_id: req.query.supervisor_teacher_id,
+        class_id: req.query.class_id,
+        status: req.query.status,
+        active_on: req.query.active_on
+      };
+
+      const result = await internshipService.getAllPlacements(options);
+
+      res.status(200).json(
+        ApiResponse.success('Internship placements retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getAllPlacements controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve internship placements'));
+    }
+  }
+
+  /**
+   * Get internship placement by ID
+   */
+  async getPlacementById(req, res) {
+    try {
+      const placement = await internshipService.getPlacementById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Internship placement retrieved successfully', placement));
+    } catch (error) {
+      logger.error('Error in getPlacementById controller:', error);
+      if (error.message === 'Internship placement not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve internship placement'));
+      }
+    }
+  }
+
+  /**
+   * Create new internship placement
+   */
+  async createPlacement(req, res) {
+    try {
+      const placement = await internshipService.createPlacement(req.body);
+
+      res.status(201).json(ApiResponse.success('Internship placement created successfully', placement));
+    } catch (error) {
+      logger.error('Error in createPlacement controller:', error);
+      if (error.message.includes('conflict')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('not found') || error.message.includes('Only active')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to create internship placement'));
+      }
+    }
+  }
+
+  /**
+   * Update internship placement
+   */
+  async updatePlacement(req, res) {
+    try {
+      const placement = await internshipService.updatePlacement(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Internship placement updated successfully', placement));
+    } catch (error) {
+      logger.error('Error in updatePlacement controller:', error);
+      if (error.message === 'Internship placement not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('conflict')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('not found') ||
+                 error.message.includes('Cannot update') ||
+                 error.message.includes('must be')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update internship placement'));
+      }
+    }
+  }
+
+  /**
+   * Change internship placement status
+   */
+  async updatePlacementStatus(req, res) {
+    try {
+      const placement = await internshipService.updatePlacementStatus(req.params.id, req.body.status);
+
+      res.status(200).json(ApiResponse.success('Internship placement status updated successfully', placement));
+    } catch (error) {
+      logger.error('Error in updatePlacementStatus controller:', error);
+      if (error.message === 'Internship placement not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Invalid status transition')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update internship placement status'));
+      }
+    }
+  }
+
+  /**
+   * Delete internship placement
+   */
+  async deletePlacement(req, res) {
+    try {
+      await internshipService.deletePlacement(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Internship placement deleted successfully'));
+    } catch (error) {
+      logger.error('Error in deletePlacement controller:', error);
+      if (error.message === 'Internship placement not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Cannot delete')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete internship placement'));
+      }
+    }
+  }
+}
+
+module.exports = new InternshipController();
@@ -0,0 +1,230 @@
+const internshipJournalService = require('../services/internshipJournalService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class InternshipJournalController {
+  /**
+   * Get all internship journals
+   */
+  async getAllJournals(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        placement_id: req.query.placement_id,
+        student_id: req.query.student_id,
+        supervisor_teacher_id: req.query.supervisor_teacher_id,
+        status: req.query.status,
+        date_from: req.query.date_from,
+        date_to: req.query.date_to
+      };
+
+      const result = await internshipJournalService.getAllJournals(options);
+
+      res.status(200).json(
+        ApiResponse.success('Internship journals retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getAllJournals controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve internship journals'));
+    }
+  }
+
+  /**
+   * Get internship journal by ID
+   */
+  async getJournalById(req, res) {
+    try {
+      const journal = await internshipJournalService.getJournalById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Internship journal retrieved successfully', journal));
+    } catch (error) {
+      logger.error('Error in getJournalById controller:', error);
+      if (error.message === 'Internship journal not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve internship journal'));
+      }
+    }
+  }
+
+  /**
+   * Get current student's internship journals
+   */
+  async getMyJournals(req, res) {
+    try {
+      if (!req.user.student) {
+        return res.status(404).json(ApiResponse.error('Student profile not found'));
+      }
+
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        placement_id: req.query.placement_id,
+        status: req.query.status,
+        date_from: req.query.date_from,
+        date_to: req.query.date_to,
+        student_id: req.user.student.id.toString()
+      };
+
+      const result = await internshipJournalService.getAllJournals(options);
+
+      res.status(200).json(
+        ApiResponse.success('My internship journals retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getMyJournals controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve my internship journals'));
+    }
+  }
+
+  /**
+   * Submit internship journal for current student
+   */
+  async submitJournal(req, res) {
+    try {
+      if (!req.user.student) {
+        return res.status(404).json(ApiResponse.error('Student profile not found'));
+      }
+
+      const journal = await internshipJournalService.submitJournal(req.user.student.id, req.body);
+
+      res.status(201).json(ApiResponse.success('Internship journal submitted successfully', journal));
+    } catch (error) {
+      logger.error('Error in submitJournal controller:', error);
+      if (error.message.includes('already exists')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('No active') || error.message.includes('future date')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to submit internship journal'));
+      }
+    }
+  }
+
+  /**
+   * Update own internship journal
+   */
+  async updateJournal(req, res) {
+    try {
+      if (!req.user.student) {
+        return res.status(404).json(ApiResponse.error('Student profile not found'));
+      }
+
+      const journal = await internshipJournalService.updateJournal(req.params.id, req.user.student.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Internship journal updated successfully', journal));
+    } catch (error) {
+      logger.error('Error in updateJournal controller:', error);
+      if (error.message === 'Internship journal not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('cannot be modified')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update internship journal'));
+      }
+    }
+  }
+
+  /**
+   * Delete own internship journal
+   */
+  async deleteJournal(req, res) {
+    try {
+      if (!req.user.student) {
+        return res.status(404).json(ApiResponse.error('Student profile not found'));
+      }
+
+      await internshipJournalService.deleteJournal(req.params.id, req.user.student.id);
+
+      res.status(200).json(ApiResponse.success('Internship journal deleted successfully'));
+    } catch (error) {
+      logger.error('Error in deleteJournal controller:', error);
+      if (error.message === 'Internship journal not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('cannot be deleted')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete internship journal'));
+      }
+    }
+  }
+
+  /**
+   * Get pending journals supervised by current teacher
+   */
+  async getPendingQueue(req, res) {
+    try {
+      if (!req.user.teacher) {
+        return res.status(404).json(ApiResponse.error('Teacher profile not found'));
+      }
+
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        placement_id: req.query.placement_id,
+        date_from: req.query.date_from,
+        date_to: req.query.date_to
+      };
+
+      const result = await internshipJournalService.getPendingQueue(req.user.teacher.id, options);
+
+      res.status(200).json(
+        ApiResponse.success('Pending internship journals retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getPendingQueue controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve pending internship journals'));
+    }
+  }
+
+  /**
+   * Approve or reject an internship journal
+   */
+  async reviewJournal(req, res) {
+    try {
+      if (!req.user.teacher) {
+        return res.status(404).json(ApiResponse.error('Teacher profile not found'));
+      }
+
+      const journal = await internshipJournalService.reviewJournal(req.params.id, req.user.teacher.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Internship journal reviewed successfully', journal));
+    } catch (error) {
+      logger.error('Error in reviewJournal controller:', error);
+      if (error.message === 'Internship journal not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('already been')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to review internship journal'));
+      }
+    }
+  }
+
+  /**
+   * Approve all pending journals of a week
+   */
+  async approveWeek(req, res) {
+    try {
+      if (!req.user.teacher) {
+        return res.status(404).json(ApiResponse.error('Teacher profile not found'));
+      }
+
+      const result = await internshipJournalService.approveWeek(req.user.teacher.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Internship journals approved successfully', result));
+    } catch (error) {
+      logger.error('Error in approveWeek controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to approve internship journals'));
+    }
+  }
+}
+
+module.exports = new InternshipJournalController();
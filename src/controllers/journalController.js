@@ -18,7 +18,8 @@ class JournalController {
         date_to: req.query.date_to,
         search: req.query.search,
         sort_by: req.query.sort_by || 'teaching_date',
-        sort_order: req.query.sort_order || 'desc'
+        sort_order: req.query.sort_order || 'desc',
+        period: req.academicPeriod
       };
 
       const result = await journalService.getAllJournals(options);
@@ -74,7 +75,7 @@ class JournalController {
   async createJournal(req, res) {
     try {
       const journalData = req.body;
-      const journal = await journalService.createJournal(journalData);
+      const journal = await journalService.createJournal(journalData, req.user);
 
       res.status(201).json(
         new ApiResponse(
@@ -89,6 +90,10 @@ class JournalController {
         res.status(400).json(
           new ApiResponse(false, error.message)
         );
+      } else if (error.message.includes('read-only') || error.message.startsWith('Access denied')) {
+        res.status(403).json(
+          new ApiResponse(false, error.message)
+        );
       } else {
         res.status(500).json(
           new ApiResponse(false, 'Failed to create teaching journal')
@@ -120,6 +125,10 @@ class JournalController {
         res.status(404).json(
           new ApiResponse(false, error.message)
         );
+      } else if (error.message.includes('read-only')) {
+        res.status(403).json(
+          new ApiResponse(false, error.message)
+        );
       } else {
         res.status(500).json(
           new ApiResponse(false, 'Failed to update teaching journal')
@@ -148,6 +157,10 @@ class JournalController {
         res.status(404).json(
           new ApiResponse(false, error.message)
         );
+      } else if (error.message.includes('read-only')) {
+        res.status(403).json(
+          new ApiResponse(false, error.message)
+        );
       } else {
         res.status(500).json(
           new ApiResponse(false, 'Failed to delete teaching journal')
@@ -169,7 +182,8 @@ class JournalController {
         date_to: req.query.date_to,
         search: req.query.search,
         sort_by: req.query.sort_by || 'teaching_date',
-        sort_order: req.query.sort_order || 'desc'
+        sort_order: req.query.sort_order || 'desc',
+        period: req.academicPeriod
       };
 
       const result = await journalService.getJournalsByTeacher(teacherId, options);
@@ -203,7 +217,8 @@ class JournalController {
         date_to: req.query.date_to,
         search: req.query.search,
         sort_by: req.query.sort_by || 'teaching_date',
-        sort_order: req.query.sort_order || 'desc'
+        sort_order: req.query.sort_order || 'desc',
+        period: req.academicPeriod
       };
 
       const result = await journalService.getJournalsByClass(classId, options);
@@ -237,7 +252,8 @@ class JournalController {
         date_to: req.query.date_to,
         search: req.query.search,
         sort_by: req.query.sort_by || 'teaching_date',
-        sort_order: req.query.sort_order || 'desc'
+        sort_order: req.query.sort_order || 'desc',
+        period: req.academicPeriod
       };
 
       const result = await journalService.getJournalsBySubject(subjectId, options);
@@ -286,7 +302,8 @@ class JournalController {
         date_to: req.query.date_to,
         search: req.query.search,
         sort_by: req.query.sort_by || 'teaching_date',
-        sort_order: req.query.sort_order || 'desc'
+        sort_order: req.query.sort_order || 'desc',
+        period: req.academicPeriod
       };
 
       const result = await journalService.getJournalsByTeacher(teacher.id.toString(), options);
@@ -317,7 +334,8 @@ class JournalController {
         class_id: req.query.class_id,
         subject_id: req.query.subject_id,
         date_from: req.query.date_from,
-        date_to: req.query.date_to
+        date_to: req.query.date_to,
+        period: req.academicPeriod
       };
 
       const stats = await journalService.getJournalStats(filters);
@@ -0,0 +1,161 @@
+const leaveRequestService = require('../services/leaveRequestService');
+const { ApiResponse } = require('../utils/helpers');
+const { hasPermission } = require('../utils/auth');
+const { removeUploadedFiles } = require('../middlewares/upload');
+const logger = require('../utils/logger');
+
+class LeaveRequestController {
+  /**
+   * Get leave requests (admin: all, teacher: own homeroom students)
+   */
+  async getAllLeaveRequests(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        user_id: req.query.user_id,
+        status: req.query.status,
+        request_type: req.query.request_type,
+        role: req.query.role,
+        class_id: req.query.class_id,
+        date_from: req.query.date_from,
+        date_to: req.query.date_to
+      };
+
+      // Without access to every request, reviewers only see their homeroom students
+      if (!hasPermission(req.user, 'leave_requests.review_any')) {
+        if (!req.user.teacher) {
+          return res.status(404).json(ApiResponse.error('Teacher profile not found'));
+        }
+        options.homeroom_teacher_id = req.user.teacher.id.toString();
+      }
+
+      const result = await leaveRequestService.getAllLeaveRequests(options);
+
+      res.status(200).json(
+        ApiResponse.success('Leave requests retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getAllLeaveRequests controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve leave requests'));
+    }
+  }
+
+  /**
+   * Get current user's leave requests
+   */
+  async getMyLeaveRequests(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        status: req.query.status,
+        request_type: req.query.request_type,
+        date_from: req.query.date_from,
+        date_to: req.query.date_to,
+        user_id: req.user.id.toString()
+      };
+
+      const result = await leaveRequestService.getAllLeaveRequests(options);
+
+      res.status(200).json(
+        ApiResponse.success('My leave requests retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getMyLeaveRequests controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve my leave requests'));
+    }
+  }
+
+  /**
+   * Get leave request by ID
+   */
+  async getLeaveRequestById(req, res) {
+    try {
+      const leaveRequest = await leaveRequestService.getLeaveRequestById(req.params.id);
+
+      const isOwner = leaveRequest.user_id === req.user.id.toString();
+      const isHomeroomTeacher = req.user.teacher &&
+        leaveRequest.requestor.student?.current_class?.homeroom_teacher_id === req.user.teacher.id.toString();
+
+      if (!hasPermission(req.user, 'leave_requests.review_any') && !isOwner && !isHomeroomTeacher) {
+        return res.status(403).json(ApiResponse.error('Access denied - insufficient permissions'));
+      }
+
+      res.status(200).json(ApiResponse.success('Leave request retrieved successfully', leaveRequest));
+    } catch (error) {
+      logger.error('Error in getLeaveRequestById controller:', error);
+      if (error.message === 'Leave request not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve leave request'));
+      }
+    }
+  }
+
+  /**
+   * Submit leave request with optional attachment
+   */
+  async createLeaveRequest(req, res) {
+    try {
+      const attachmentPath = req.file ? req.file.path : null;
+      const leaveRequest = await leaveRequestService.createLeaveRequest(req.user.id, req.body, attachmentPath);
+
+      res.status(201).json(ApiResponse.success('Leave request submitted successfully', leaveRequest));
+    } catch (error) {
+      logger.error('Error in createLeaveRequest controller:', error);
+      await removeUploadedFiles(req);
+      if (error.message.includes('conflict')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to submit leave request'));
+      }
+    }
+  }
+
+  /**
+   * Approve or reject leave request
+   */
+  async verifyLeaveRequest(req, res) {
+    try {
+      const leaveRequest = await leaveRequestService.verifyLeaveRequest(req.params.id, req.user, req.body);
+
+      res.status(200).json(ApiResponse.success('Leave request verified successfully', leaveRequest));
+    } catch (error) {
+      logger.error('Error in verifyLeaveRequest controller:', error);
+      if (error.message === 'Leave request not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('already been')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to verify leave request'));
+      }
+    }
+  }
+
+  /**
+   * Cancel own pending leave request
+   */
+  async cancelLeaveRequest(req, res) {
+    try {
+      await leaveRequestService.cancelLeaveRequest(req.params.id, req.user.id);
+
+      res.status(200).json(ApiResponse.success('Leave request cancelled successfully'));
+    } catch (error) {
+      logger.error('Error in cancelLeaveRequest controller:', error);
+      if (error.message === 'Leave request not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Only pending')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to cancel leave request'));
+      }
+    }
+  }
+}
+
+module.exports = new LeaveRequestController();
@@ -0,0 +1,61 @@
+const lessonAttendanceService = require('../services/lessonAttendanceService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+function getViewer(req) {
+  return {
+    permissions: req.user.permissions,
+    teacherId: req.user.teacher?.id || null
+  };
+}
+
+class LessonAttendanceController {
+  /**
+   * Get the roll call of a schedule slot on a date
+   */
+  async getRollCall(req, res) {
+    try {
+      const rollCall = await lessonAttendanceService.getRollCall(req.params.id, getViewer(req), req.query.date);
+
+      res.status(200).json(ApiResponse.success('Roll call retrieved successfully', rollCall));
+    } catch (error) {
+      logger.error('Error in getRollCall controller:', error);
+      if (error.message === 'Schedule not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Access denied')) {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve roll call'));
+      }
+    }
+  }
+
+  /**
+   * Mark every student of the class for a schedule slot
+   */
+  async saveRollCall(req, res) {
+    try {
+      const rollCall = await lessonAttendanceService.saveRollCall(req.params.id, getViewer(req), req.body);
+
+      res.status(200).json(ApiResponse.success('Roll call saved successfully', rollCall));
+    } catch (error) {
+      logger.error('Error in saveRollCall controller:', error);
+      if (error.message === 'Schedule not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Access denied') || error.message.includes('read-only')) {
+        res.status(403).json(ApiResponse.error(error.message));
+      } else if (
+        error.message.includes('future date') ||
+        error.message.includes('scheduled day') ||
+        error.message.includes('not in this class') ||
+        error.message.includes('must be marked')
+      ) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to save roll call'));
+      }
+    }
+  }
+}
+
+module.exports = new LessonAttendanceController();
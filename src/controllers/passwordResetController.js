@@ -0,0 +1,37 @@
+const passwordResetService = require('../services/passwordResetService');
+const { ApiResponse } = require('../utils/helpers');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class PasswordResetController {
+  /**
+   * @desc    Issue a one-time password reset code for a user
+   * @route   POST /api/password-resets
+   * @access  Private (Admin, homeroom teacher)
+   */
+  issueCode = asyncHandler(async (req, res) => {
+    const result = await passwordResetService.issueCode(req.body.user_id, req.user, req.ip);
+
+    res.status(201).json(
+      ApiResponse.success('Reset code issued successfully', result)
+    );
+  });
+
+  /**
+   * @desc    Issue reset codes for a whole class, as JSON or a printable page
+   * @route   POST /api/password-resets/classes/:classId
+   * @access  Private (Admin, homeroom teacher)
+   */
+  issueClassSlips = asyncHandler(async (req, res) => {
+    const result = await passwordResetService.issueClassSlips(req.params.classId, req.user, req.ip);
+
+    if (req.body.format === 'html') {
+      return res.status(201).type('html').send(passwordResetService.renderSlips(result));
+    }
+
+    res.status(201).json(
+      ApiResponse.success('Reset slips issued successfully', result)
+    );
+  });
+}
+
+module.exports = new PasswordResetController();
@@ -0,0 +1,102 @@
+const promotionService = require('../services/promotionService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class PromotionController {
+  /**
+   * Preview a promotion without changing anything
+   */
+  async previewPromotion(req, res) {
+    try {
+      const plan = await promotionService.preview(req.body);
+
+      res.status(200).json(ApiResponse.success('Promotion preview generated successfully', plan));
+    } catch (error) {
+      logger.error('Error in previewPromotion controller:', error);
+      if (error.message === 'Academic year not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('must be the one following')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to generate promotion preview'));
+      }
+    }
+  }
+
+  /**
+   * Promote, hold back and graduate students in one go
+   */
+  async executePromotion(req, res) {
+    try {
+      const promotion = await promotionService.execute(req.body, req.user.id);
+
+      res.status(201).json(ApiResponse.success('Promotion executed successfully', promotion));
+    } catch (error) {
+      logger.error('Error in executePromotion controller:', error);
+      if (error.message === 'Academic year not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message === 'Promotion plan is invalid') {
+        res.status(400).json(ApiResponse.error(error.message, error.details));
+      } else if (error.message.includes('must be the one following') ||
+        error.message.includes('No students left')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else if (error.code === 'P2002') {
+        res.status(409).json(ApiResponse.error('Some students were already promoted for this academic year'));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to execute promotion'));
+      }
+    }
+  }
+
+  /**
+   * Get executed promotions
+   */
+  async getPromotions(req, res) {
+    try {
+      const result = await promotionService.getPromotions(req.query);
+
+      res.status(200).json(ApiResponse.success('Promotions retrieved successfully', result.data, result.meta));
+    } catch (error) {
+      logger.error('Error in getPromotions controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve promotions'));
+    }
+  }
+
+  /**
+   * Get an executed promotion by ID
+   */
+  async getPromotionById(req, res) {
+    try {
+      const promotion = await promotionService.getPromotionById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Promotion retrieved successfully', promotion));
+    } catch (error) {
+      logger.error('Error in getPromotionById controller:', error);
+      if (error.message === 'Promotion not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve promotion'));
+      }
+    }
+  }
+
+  /**
+   * Get the class a student was in for every academic year
+   */
+  async getStudentHistory(req, res) {
+    try {
+      const history = await promotionService.getStudentHistory(req.params.studentId);
+
+      res.status(200).json(ApiResponse.success('Student class history retrieved successfully', history));
+    } catch (error) {
+      logger.error('Error in getStudentHistory controller:', error);
+      if (error.message === 'Student not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve student class history'));
+      }
+    }
+  }
+}
+
+module.exports = new PromotionController();
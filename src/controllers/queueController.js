@@ -0,0 +1,263 @@
+const queueService = require('../services/queueService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class QueueController {
+  // ===== COUNTERS =====
+
+  /**
+   * Get all queue counters
+   */
+  async getAllCounters(req, res) {
+    try {
+      const counters = await queueService.getAllCounters({
+        is_active: req.query.is_active
+      });
+
+      res.status(200).json(ApiResponse.success('Queue counters retrieved successfully', counters));
+    } catch (error) {
+      logger.error('Error in getAllCounters controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve queue counters'));
+    }
+  }
+
+  /**
+   * Get queue counter by ID
+   */
+  async getCounterById(req, res) {
+    try {
+      const counter = await queueService.getCounterById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Queue counter retrieved successfully', counter));
+    } catch (error) {
+      logger.error('Error in getCounterById controller:', error);
+      if (error.message === 'Queue counter not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve queue counter'));
+      }
+    }
+  }
+
+  /**
+   * Create queue counter
+   */
+  async createCounter(req, res) {
+    try {
+      const counter = await queueService.createCounter(req.body);
+
+      res.status(201).json(ApiResponse.success('Queue counter created successfully', counter));
+    } catch (error) {
+      logger.error('Error in createCounter controller:', error);
+      if (error.message.includes('already exists')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to create queue counter'));
+      }
+    }
+  }
+
+  /**
+   * Update queue counter
+   */
+  async updateCounter(req, res) {
+    try {
+      const counter = await queueService.updateCounter(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Queue counter updated successfully', counter));
+    } catch (error) {
+      logger.error('Error in updateCounter controller:', error);
+      if (error.message === 'Queue counter not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('already exists')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update queue counter'));
+      }
+    }
+  }
+
+  /**
+   * Toggle queue counter active status
+   */
+  async toggleCounterStatus(req, res) {
+    try {
+      const counter = await queueService.toggleCounterStatus(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Queue counter status updated successfully', counter));
+    } catch (error) {
+      logger.error('Error in toggleCounterStatus controller:', error);
+      if (error.message === 'Queue counter not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update queue counter status'));
+      }
+    }
+  }
+
+  /**
+   * Delete queue counter
+   */
+  async deleteCounter(req, res) {
+    try {
+      await queueService.deleteCounter(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Queue counter deleted successfully'));
+    } catch (error) {
+      logger.error('Error in deleteCounter controller:', error);
+      if (error.message === 'Queue counter not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Cannot delete')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete queue counter'));
+      }
+    }
+  }
+
+  /**
+   * Get today's queue status of a counter
+   */
+  async getCounterStatus(req, res) {
+    try {
+      const status = await queueService.getCounterStatus(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Queue counter status retrieved successfully', status));
+    } catch (error) {
+      logger.error('Error in getCounterStatus controller:', error);
+      if (error.message === 'Queue counter not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve queue counter status'));
+      }
+    }
+  }
+
+  /**
+   * Call the next waiting ticket of a counter
+   */
+  async callNextTicket(req, res) {
+    try {
+      const ticket = await queueService.callNextTicket(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Next ticket called successfully', ticket));
+    } catch (error) {
+      logger.error('Error in callNextTicket controller:', error);
+      if (error.message === 'Queue counter not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('No waiting tickets') || error.message.includes('try again')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to call next ticket'));
+      }
+    }
+  }
+
+  // ===== TICKETS =====
+
+  /**
+   * Get queue tickets
+   */
+  async getAllTickets(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        counter_id: req.query.counter_id,
+        status: req.query.status,
+        date: req.query.date
+      };
+
+      const result = await queueService.getAllTickets(options);
+
+      res.status(200).json(
+        ApiResponse.success('Queue tickets retrieved successfully', result.data, result.meta)
+      );
+    } catch (error) {
+      logger.error('Error in getAllTickets controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve queue tickets'));
+    }
+  }
+
+  /**
+   * Get queue ticket by ID
+   */
+  async getTicketById(req, res) {
+    try {
+      const ticket = await queueService.getTicketById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Queue ticket retrieved successfully', ticket));
+    } catch (error) {
+      logger.error('Error in getTicketById controller:', error);
+      if (error.message === 'Queue ticket not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve queue ticket'));
+      }
+    }
+  }
+
+  /**
+   * Issue a new ticket (kiosk)
+   */
+  async issueTicket(req, res) {
+    try {
+      const studentId = req.user?.student?.id || null;
+      const ticket = await queueService.issueTicket(req.body.counter_id, studentId);
+
+      res.status(201).json(ApiResponse.success('Queue ticket issued successfully', ticket));
+    } catch (error) {
+      logger.error('Error in issueTicket controller:', error);
+      if (error.message === 'Queue counter not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('not active')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to issue queue ticket'));
+      }
+    }
+  }
+
+  /**
+   * Start serving a called ticket
+   */
+  async serveTicket(req, res) {
+    return updateTicketStatus(req, res, 'Serving', 'Queue ticket is now being served');
+  }
+
+  /**
+   * Finish a ticket
+   */
+  async finishTicket(req, res) {
+    return updateTicketStatus(req, res, 'Finished', 'Queue ticket finished successfully');
+  }
+
+  /**
+   * Skip a ticket
+   */
+  async skipTicket(req, res) {
+    return updateTicketStatus(req, res, 'Skipped', 'Queue ticket skipped successfully');
+  }
+}
+
+/**
+ * Shared handler for ticket status actions
+ */
+async function updateTicketStatus(req, res, status, successMessage) {
+  try {
+    const ticket = await queueService.updateTicketStatus(req.params.id, status);
+
+    res.status(200).json(ApiResponse.success(successMessage, ticket));
+  } catch (error) {
+    logger.error('Error in updateTicketStatus controller:', error);
+    if (error.message === 'Queue ticket not found') {
+      res.status(404).json(ApiResponse.error(error.message));
+    } else if (error.message.includes('Invalid status transition') || error.message.includes('has changed')) {
+      res.status(409).json(ApiResponse.error(error.message));
+    } else {
+      res.status(500).json(ApiResponse.error('Failed to update queue ticket'));
+    }
+  }
+}
+
+module.exports = new QueueController();
@@ -0,0 +1,164 @@
+const queueService = require('../services/queueService');
+const queueDisplayService = require('../services/queueDisplayService');
+const queueEventService = require('../services/queueEventService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Comment line sent periodically so proxies keep the stream open
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+class QueueDisplayController {
+  /**
+   * Stream queue changes to a lobby display (Server-Sent Events)
+   */
+  async streamDisplay(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // Flush through the compression middleware
+      if (res.flush) res.flush();
+    };
+
+    const onChange = (payload) => {
+      if (payload.type !== 'display.revoked') {
+        return send(payload.type, payload);
+      }
+
+      // The key of this display was deactivated, deleted or replaced
+      if (payload.display_id === req.display.id) {
+        send('revoked', { message: 'Display key is no longer valid' });
+        res.end();
+      }
+    };
+
+    const unsubscribe = queueEventService.subscribe(onChange);
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      if (res.flush) res.flush();
+    }, HEARTBEAT_INTERVAL_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      logger.info('Queue display disconnected', { displayId: req.display.id });
+    });
+
+    logger.info('Queue display connected', { displayId: req.display.id });
+
+    try {
+      send('snapshot', await queueService.getDisplaySnapshot());
+    } catch (error) {
+      logger.error('Error in streamDisplay controller:', error);
+      send('error', { message: 'Failed to retrieve queue snapshot' });
+    }
+  }
+
+  /**
+   * Get current queue state of every counter (polling fallback)
+   */
+  async getSnapshot(req, res) {
+    try {
+      const snapshot = await queueService.getDisplaySnapshot();
+
+      res.status(200).json(ApiResponse.success('Queue snapshot retrieved successfully', snapshot));
+    } catch (error) {
+      logger.error('Error in getSnapshot controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve queue snapshot'));
+    }
+  }
+
+  /**
+   * Get all registered displays
+   */
+  async getAllDisplays(req, res) {
+    try {
+      const displays = await queueDisplayService.getAllDisplays();
+
+      res.status(200).json(ApiResponse.success('Queue displays retrieved successfully', displays));
+    } catch (error) {
+      logger.error('Error in getAllDisplays controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve queue displays'));
+    }
+  }
+
+  /**
+   * Register a display and return its key
+   */
+  async createDisplay(req, res) {
+    try {
+      const display = await queueDisplayService.createDisplay(req.body);
+
+      res.status(201).json(
+        ApiResponse.success('Queue display registered successfully. Store the key now, it will not be shown again', display)
+      );
+    } catch (error) {
+      logger.error('Error in createDisplay controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to register queue display'));
+    }
+  }
+
+  /**
+   * Regenerate display key
+   */
+  async regenerateKey(req, res) {
+    try {
+      const display = await queueDisplayService.regenerateKey(req.params.id);
+
+      res.status(200).json(
+        ApiResponse.success('Queue display key regenerated successfully. Store the key now, it will not be shown again', display)
+      );
+    } catch (error) {
+      logger.error('Error in regenerateKey controller:', error);
+      if (error.message === 'Queue display not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to regenerate queue display key'));
+      }
+    }
+  }
+
+  /**
+   * Toggle display active status
+   */
+  async toggleDisplayStatus(req, res) {
+    try {
+      const display = await queueDisplayService.toggleDisplayStatus(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Queue display status updated successfully', display));
+    } catch (error) {
+      logger.error('Error in toggleDisplayStatus controller:', error);
+      if (error.message === 'Queue display not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update queue display status'));
+      }
+    }
+  }
+
+  /**
+   * Delete display
+   */
+  async deleteDisplay(req, res) {
+    try {
+      await queueDisplayService.deleteDisplay(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Queue display deleted successfully'));
+    } catch (error) {
+      logger.error('Error in deleteDisplay controller:', error);
+      if (error.message === 'Queue display not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete queue display'));
+      }
+    }
+  }
+}
+
+module.exports = new QueueDisplayController();
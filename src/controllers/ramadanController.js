@@ -0,0 +1,92 @@
+const ramadanService = require('../services/ramadanService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class RamadanController {
+  /**
+   * Get current student's checklist for a date
+   */
+  async getMyChecklist(req, res) {
+    try {
+      if (!req.user.student) {
+        return res.status(404).json(ApiResponse.error('Student profile not found'));
+      }
+
+      const checklist = await ramadanService.getStudentChecklist(req.user.student.id, req.query.date);
+
+      res.status(200).json(ApiResponse.success('Ramadan checklist retrieved successfully', checklist));
+    } catch (error) {
+      logger.error('Error in getMyChecklist controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve Ramadan checklist'));
+    }
+  }
+
+  /**
+   * Save current student's checklist for a date
+   */
+  async saveMyChecklist(req, res) {
+    try {
+      if (!req.user.student) {
+        return res.status(404).json(ApiResponse.error('Student profile not found'));
+      }
+
+      const checklist = await ramadanService.saveChecklist(req.user.student.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Ramadan checklist saved successfully', checklist));
+    } catch (error) {
+      logger.error('Error in saveMyChecklist controller:', error);
+      if (
+        error.message.includes('future date') ||
+        error.message.includes('within the Ramadan period') ||
+        error.message.includes('Invalid checklist item')
+      ) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to save Ramadan checklist'));
+      }
+    }
+  }
+
+  /**
+   * Get checklist of every student in a class (homeroom view)
+   */
+  async getClassChecklist(req, res) {
+    try {
+      const checklist = await ramadanService.getClassChecklist(req.params.id, req.query.date);
+
+      res.status(200).json(ApiResponse.success('Class Ramadan checklist retrieved successfully', checklist));
+    } catch (error) {
+      logger.error('Error in getClassChecklist controller:', error);
+      if (error.message === 'Class not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve class Ramadan checklist'));
+      }
+    }
+  }
+
+  /**
+   * Get completion recap per class and grade
+   */
+  async getRecap(req, res) {
+    try {
+      const recap = await ramadanService.getRecap({
+        start_date: req.query.start_date,
+        end_date: req.query.end_date,
+        grade_level: req.query.grade_level,
+        class_id: req.query.class_id
+      });
+
+      res.status(200).json(ApiResponse.success('Ramadan recap retrieved successfully', recap));
+    } catch (error) {
+      logger.error('Error in getRecap controller:', error);
+      if (error.message.includes('Ramadan period')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve Ramadan recap'));
+      }
+    }
+  }
+}
+
+module.exports = new RamadanController();
@@ -0,0 +1,111 @@
+const roleService = require('../services/roleService');
+const { ApiResponse } = require('../utils/helpers');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+class RoleController {
+  /**
+   * @desc    Get all permissions that can be granted
+   * @route   GET /api/roles/permissions
+   * @access  Private (roles.manage)
+   */
+  getPermissions = asyncHandler(async (req, res) => {
+    const permissions = await roleService.getPermissions();
+
+    res.status(200).json(
+      ApiResponse.success('Permissions retrieved successfully', permissions)
+    );
+  });
+
+  /**
+   * @desc    Get all roles with their permissions
+   * @route   GET /api/roles
+   * @access  Private (roles.manage)
+   */
+  getRoles = asyncHandler(async (req, res) => {
+    const roles = await roleService.getRoles();
+
+    res.status(200).json(
+      ApiResponse.success('Roles retrieved successfully', roles)
+    );
+  });
+
+  /**
+   * @desc    Get role by ID
+   * @route   GET /api/roles/:id
+   * @access  Private (roles.manage)
+   */
+  getRoleById = asyncHandler(async (req, res) => {
+    const role = await roleService.getRoleById(req.params.id);
+
+    res.status(200).json(
+      ApiResponse.success('Role retrieved successfully', role)
+    );
+  });
+
+  /**
+   * @desc    Create a role
+   * @route   POST /api/roles
+   * @access  Private (roles.manage)
+   */
+  createRole = asyncHandler(async (req, res) => {
+    const role = await roleService.createRole(req.body, req.user.id, req.ip);
+
+    res.status(201).json(
+      ApiResponse.success('Role created successfully', role)
+    );
+  });
+
+  /**
+   * @desc    Update a role and its permissions
+   * @route   PUT /api/roles/:id
+   * @access  Private (roles.manage)
+   */
+  updateRole = asyncHandler(async (req, res) => {
+    const role = await roleService.updateRole(req.params.id, req.body, req.user.id, req.ip);
+
+    res.status(200).json(
+      ApiResponse.success('Role updated successfully', role)
+    );
+  });
+
+  /**
+   * @desc    Delete a custom role
+   * @route   DELETE /api/roles/:id
+   * @access  Private (roles.manage)
+   */
+  deleteRole = asyncHandler(async (req, res) => {
+    const result = await roleService.deleteRole(req.params.id, req.user.id, req.ip);
+
+    res.status(200).json(
+      ApiResponse.success('Role deleted successfully', result)
+    );
+  });
+
+  /**
+   * @desc    Get the roles and effective permissions of a user
+   * @route   GET /api/roles/users/:userId
+   * @access  Private (roles.manage)
+   */
+  getUserRoles = asyncHandler(async (req, res) => {
+    const result = await roleService.getUserRoles(req.params.userId);
+
+    res.status(200).json(
+      ApiResponse.success('User roles retrieved successfully', result)
+    );
+  });
+
+  /**
+   * @desc    Replace the extra roles of a user
+   * @route   PUT /api/roles/users/:userId
+   * @access  Private (roles.manage)
+   */
+  setUserRoles = asyncHandler(async (req, res) => {
+    const result = await roleService.setUserRoles(req.params.userId, req.body.role_ids, req.user.id, req.ip);
+
+    res.status(200).json(
+      ApiResponse.success('User roles updated successfully', result)
+    );
+  });
+}
+
+module.exports = new RoleController();
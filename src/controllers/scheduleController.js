@@ -17,7 +17,8 @@ class ScheduleController {
         day_of_week: req.query.day_of_week,
         room: req.query.room,
         sort_by: req.query.sort_by || 'day_of_week',
-        sort_order: req.query.sort_order || 'asc'
+        sort_order: req.query.sort_order || 'asc',
+        period: req.academicPeriod
       };
 
       const result = await scheduleService.getAllSchedules(options);
@@ -92,6 +93,18 @@ class ScheduleController {
     } catch (error) {
       logger.error('Error in createSchedule:', error);
 
+      if (error.message.includes('read-only')) {
+        return res.status(403).json(
+          ApiResponse.error(error.message)
+        );
+      }
+
+      if (error.message.includes('does not belong')) {
+        return res.status(400).json(
+          ApiResponse.error(error.message)
+        );
+      }
+
       if (error.message.includes('conflict')) {
         return res.status(409).json(
           ApiResponse.error(error.message)
@@ -143,6 +156,18 @@ class ScheduleController {
         );
       }
 
+      if (error.message.includes('read-only')) {
+        return res.status(403).json(
+          ApiResponse.error(error.message)
+        );
+      }
+
+      if (error.message.includes('does not belong')) {
+        return res.status(400).json(
+          ApiResponse.error(error.message)
+        );
+      }
+
       return res.status(500).json(
         ApiResponse.error('Failed to update schedule')
       );
@@ -174,6 +199,12 @@ class ScheduleController {
         );
       }
 
+      if (error.message.includes('read-only')) {
+        return res.status(403).json(
+          ApiResponse.error(error.message)
+        );
+      }
+
       return res.status(500).json(
         ApiResponse.error('Failed to delete schedule')
       );
@@ -186,7 +217,7 @@ class ScheduleController {
   async getSchedulesByClass(req, res) {
     try {
       const { classId } = req.params;
-      const schedules = await scheduleService.getSchedulesByClass(classId);
+      const schedules = await scheduleService.getSchedulesByClass(classId, req.academicPeriod);
 
       logger.info('Class schedules retrieved successfully', {
         userId: req.user.userId,
@@ -210,7 +241,7 @@ class ScheduleController {
   async getSchedulesByTeacher(req, res) {
     try {
       const { teacherId } = req.params;
-      const schedules = await scheduleService.getSchedulesByTeacher(teacherId);
+      const schedules = await scheduleService.getSchedulesByTeacher(teacherId, req.academicPeriod);
 
       logger.info('Teacher schedules retrieved successfully', {
         userId: req.user.userId,
@@ -235,7 +266,8 @@ class ScheduleController {
     try {
       const filters = {
         class_id: req.query.class_id,
-        teacher_id: req.query.teacher_id
+        teacher_id: req.query.teacher_id,
+        period: req.academicPeriod
       };
 
       const weeklySchedule = await scheduleService.getWeeklySchedule(filters);
@@ -261,7 +293,7 @@ class ScheduleController {
    */
   async getScheduleStatistics(req, res) {
     try {
-      const statistics = await scheduleService.getScheduleStatistics();
+      const statistics = await scheduleService.getScheduleStatistics(req.academicPeriod);
 
       logger.info('Schedule statistics retrieved successfully', {
         userId: req.user.userId
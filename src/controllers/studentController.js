@@ -1,4 +1,5 @@
 const studentService = require('../services/studentService');
+const classMembershipService = require('../services/classMembershipService');
 const { ApiResponse } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
@@ -89,14 +90,15 @@ class StudentController {
       const { id } = req.params;
       const studentData = req.body;
       
-      const student = await studentService.updateStudent(id, studentData);
+      const student = await studentService.updateStudent(id, studentData, req.user.id);
 
       res.json(ApiResponse.success('Student updated successfully', student));
     } catch (error) {
       logger.error('Error in updateStudent:', error);
       if (error.message === 'Student not found') {
         res.status(404).json(ApiResponse.error('Student not found'));
-      } else if (error.message.includes('already exists')) {
+      } else if (error.message.includes('already exists') ||
+        error.message.includes('Effective date')) {
         res.status(400).json(ApiResponse.error(error.message));
       } else {
         res.status(500).json(ApiResponse.error('Failed to update student'));
@@ -194,38 +196,71 @@ class StudentController {
   async assignToClass(req, res) {
     try {
       const { id } = req.params;
-      const { class_id } = req.body;
+      const { class_id, effective_date, reason } = req.body;
 
       if (!class_id) {
         return res.status(400).json(ApiResponse.error('Class ID is required'));
       }
 
-      const student = await studentService.assignToClass(id, class_id);
+      const student = await studentService.assignToClass(id, class_id, {
+        effective_date,
+        reason,
+        changed_by_id: req.user.id
+      });
 
       res.json(ApiResponse.success('Student assigned to class successfully', student));
     } catch (error) {
       logger.error('Error in assignToClass:', error);
       if (error.message.includes('not found')) {
         res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('Effective date')) {
+        res.status(400).json(ApiResponse.error(error.message));
       } else {
         res.status(500).json(ApiResponse.error('Failed to assign student to class'));
       }
     }
   }
 
+  /**
+   * Get the class timeline of a student
+   */
+  async getClassTimeline(req, res) {
+    try {
+      const { id } = req.params;
+      const timeline = await classMembershipService.getTimeline(id);
+
+      res.json(ApiResponse.success('Class timeline retrieved successfully', timeline));
+    } catch (error) {
+      logger.error('Error in getClassTimeline:', error);
+      if (error.message === 'Student not found') {
+        res.status(404).json(ApiResponse.error('Student not found'));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve class timeline'));
+      }
+    }
+  }
+
   /**
    * Remove student from class
    */
   async removeFromClass(req, res) {
     try {
       const { id } = req.params;
-      const student = await studentService.removeFromClass(id);
+      const { effective_date, reason } = req.body;
+
+      const student = await studentService.removeFromClass(id, {
+        effective_date,
+        reason,
+        changed_by_id: req.user.id
+      });
 
       res.json(ApiResponse.success('Student removed from class successfully', student));
     } catch (error) {
       logger.error('Error in removeFromClass:', error);
       if (error.message === 'Student not found') {
         res.status(404).json(ApiResponse.error('Student not found'));
+      } else if (error.message.includes('Effective date')) {
+        res.status(400).json(ApiResponse.error(error.message));
       } else {
         res.status(500).json(ApiResponse.error('Failed to remove student from class'));
       }
@@ -1,4 +1,8 @@
 const userService = require('../services/userService');
+const loginThrottleService = require('../services/loginThrottleService');
+const auditService = require('../services/auditService');
+const twoFactorService = require('../services/twoFactorService');
+const securityPolicyService = require('../services/securityPolicyService');
 const { ApiResponse } = require('../utils/helpers');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
@@ -119,6 +123,84 @@ class UserController {
       ApiResponse.success('User statistics retrieved successfully', stats)
     );
   });
+
+  /**
+   * @desc    Get active login lockouts
+   * @route   GET /api/users/lockouts
+   * @access  Private (Admin only)
+   */
+  getLockouts = asyncHandler(async (req, res) => {
+    const lockouts = await loginThrottleService.getLockouts();
+
+    res.status(200).json(
+      ApiResponse.success('Login lockouts retrieved successfully', lockouts)
+    );
+  });
+
+  /**
+   * @desc    Lift a login lockout
+   * @route   DELETE /api/users/lockouts/:id
+   * @access  Private (Admin only)
+   */
+  unlockLogin = asyncHandler(async (req, res) => {
+    const result = await loginThrottleService.unlock(req.params.id, req.user.id, req.ip);
+
+    res.status(200).json(
+      ApiResponse.success('Lockout lifted successfully', result)
+    );
+  });
+
+  /**
+   * @desc    Get the security audit trail
+   * @route   GET /api/users/audit-logs
+   * @access  Private (Admin only)
+   */
+  getAuditLogs = asyncHandler(async (req, res) => {
+    const result = await auditService.getLogs(req.query);
+
+    res.status(200).json(
+      ApiResponse.success('Audit logs retrieved successfully', result.data, result.meta)
+    );
+  });
+
+  /**
+   * @desc    Get the account security policy
+   * @route   GET /api/users/security-policy
+   * @access  Private (Admin only)
+   */
+  getSecurityPolicy = asyncHandler(async (req, res) => {
+    const policy = await securityPolicyService.getPolicy();
+
+    res.status(200).json(
+      ApiResponse.success('Security policy retrieved successfully', policy)
+    );
+  });
+
+  /**
+   * @desc    Update the account security policy
+   * @route   PUT /api/users/security-policy
+   * @access  Private (Admin only)
+   */
+  updateSecurityPolicy = asyncHandler(async (req, res) => {
+    const policy = await securityPolicyService.updatePolicy(req.body, req.user.id, req.ip);
+
+    res.status(200).json(
+      ApiResponse.success('Security policy updated successfully', policy)
+    );
+  });
+
+  /**
+   * @desc    Reset two-factor authentication of a user who lost their device
+   * @route   DELETE /api/users/:id/two-factor
+   * @access  Private (Admin only)
+   */
+  resetTwoFactor = asyncHandler(async (req, res) => {
+    const result = await twoFactorService.reset(req.params.id, req.user.id, req.ip);
+
+    res.status(200).json(
+      ApiResponse.success('Two-factor authentication reset successfully', result)
+    );
+  });
 }
 
 module.exports = new UserController();
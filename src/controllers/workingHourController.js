@@ -0,0 +1,99 @@
+const workingHourService = require('../services/workingHourService');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class WorkingHourController {
+  /**
+   * Get all working hour rules
+   */
+  async getAllRules(req, res) {
+    try {
+      const rules = await workingHourService.getAllRules(req.query);
+
+      res.status(200).json(ApiResponse.success('Working hour rules retrieved successfully', rules));
+    } catch (error) {
+      logger.error('Error in getAllRules controller:', error);
+      res.status(500).json(ApiResponse.error('Failed to retrieve working hour rules'));
+    }
+  }
+
+  /**
+   * Get working hour rule by ID
+   */
+  async getRuleById(req, res) {
+    try {
+      const rule = await workingHourService.getRuleById(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Working hour rule retrieved successfully', rule));
+    } catch (error) {
+      logger.error('Error in getRuleById controller:', error);
+      if (error.message === 'Working hour rule not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to retrieve working hour rule'));
+      }
+    }
+  }
+
+  /**
+   * Create new working hour rule
+   */
+  async createRule(req, res) {
+    try {
+      const rule = await workingHourService.createRule(req.body);
+
+      res.status(201).json(ApiResponse.success('Working hour rule created successfully', rule));
+    } catch (error) {
+      logger.error('Error in createRule controller:', error);
+      if (error.message.includes('already exists')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('only') || error.message.includes('must be after')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to create working hour rule'));
+      }
+    }
+  }
+
+  /**
+   * Update working hour rule
+   */
+  async updateRule(req, res) {
+    try {
+      const rule = await workingHourService.updateRule(req.params.id, req.body);
+
+      res.status(200).json(ApiResponse.success('Working hour rule updated successfully', rule));
+    } catch (error) {
+      logger.error('Error in updateRule controller:', error);
+      if (error.message === 'Working hour rule not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('already exists')) {
+        res.status(409).json(ApiResponse.error(error.message));
+      } else if (error.message.includes('only') || error.message.includes('must be after')) {
+        res.status(400).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to update working hour rule'));
+      }
+    }
+  }
+
+  /**
+   * Delete working hour rule
+   */
+  async deleteRule(req, res) {
+    try {
+      await workingHourService.deleteRule(req.params.id);
+
+      res.status(200).json(ApiResponse.success('Working hour rule deleted successfully'));
+    } catch (error) {
+      logger.error('Error in deleteRule controller:', error);
+      if (error.message === 'Working hour rule not found') {
+        res.status(404).json(ApiResponse.error(error.message));
+      } else {
+        res.status(500).json(ApiResponse.error('Failed to delete working hour rule'));
+      }
+    }
+  }
+}
+
+module.exports = new WorkingHourController();
@@ -1,4 +1,5 @@
 const { 
+  seedRoles,
   seedUsers, 
   seedSubjects, 
   seedClasses, 
@@ -11,6 +12,7 @@ async function main() {
 
   try {
     // Run all seeders
+    await seedRoles();
     await seedUsers();
     await seedSubjects();
     await seedClasses();
@@ -22,6 +24,7 @@ async function main() {
     console.log('Admin: username: admin, password: admin123');
     console.log('Teacher: username: teacher001, password: teacher123');
     console.log('Student: username: student001, password: student123');
+    console.log('These passwords must be changed at first login.');
 
   } catch (error) {
     console.error('❌ Error during seeding:', error);
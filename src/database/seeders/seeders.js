@@ -1,11 +1,14 @@
 const { PrismaClient } = require('@prisma/client');
 const { hashPassword } = require('../../utils/auth');
+const permissionService = require('../../services/permissionService');
 
 const prisma = new PrismaClient();
 
 async function seedUsers() {
   console.log('🌱 Seeding users...');
 
+  // Default accounts have well-known passwords, so they must be changed at first login
+
   // Admin user
   const adminPassword = await hashPassword('admin123');
   const admin = await prisma.user.upsert({
@@ -16,6 +19,7 @@ async function seedUsers() {
       password: adminPassword,
       role: 'admin',
       is_active: true,
+      must_change_password: true,
     },
   });
 
@@ -29,6 +33,7 @@ async function seedUsers() {
       password: teacherPassword,
       role: 'teacher',
       is_active: true,
+      must_change_password: true,
     },
   });
 
@@ -56,6 +61,7 @@ async function seedUsers() {
       password: studentPassword,
       role: 'student',
       is_active: true,
+      must_change_password: true,
     },
   });
 
@@ -195,7 +201,16 @@ async function seedQueueCounters() {
   console.log('✅ Queue counters seeded successfully');
 }
 
+async function seedRoles() {
+  console.log('🌱 Seeding roles and permissions...');
+
+  await permissionService.syncCatalogue();
+
+  console.log('✅ Roles and permissions seeded successfully');
+}
+
 module.exports = {
+  seedRoles,
   seedUsers,
   seedSubjects,
   seedClasses,
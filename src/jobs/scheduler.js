@@ -0,0 +1,87 @@
+const cron = require('node-cron');
+const config = require('../config');
+const logger = require('../utils/logger');
+const absenceDetectionService = require('../services/absenceDetectionService');
+const attendanceQrService = require('../services/attendanceQrService');
+const loginThrottleService = require('../services/loginThrottleService');
+const queueEventService = require('../services/queueEventService');
+
+// Failed-login counters outside their window are cleared every hour
+const LOGIN_THROTTLE_PURGE_CRON = '0 * * * *';
+// Relayed queue events are only needed for a short while
+const QUEUE_EVENT_PURGE_CRON = '30 * * * *';
+// Used attendance QR tokens expire within minutes
+const ATTENDANCE_QR_SCAN_PURGE_CRON = '45 * * * *';
+
+const tasks = [];
+
+/**
+ * Whether this process should run the background jobs: never when disabled
+ * by config, and under PM2 cluster mode only in the first instance
+ */
+function isSchedulerInstance() {
+  const instance = process.env.NODE_APP_INSTANCE;
+
+  return config.scheduler.enabled && (instance === undefined || instance === '0');
+}
+
+/**
+ * Register the background jobs. Runs in the API process, so only one
+ * instance of the server may run them.
+ */
+function start() {
+  if (!isSchedulerInstance()) {
+    logger.info('⏰ Background jobs disabled in this instance');
+    return;
+  }
+
+  if (config.absenceJob.enabled) {
+    if (!cron.validate(config.absenceJob.schedule)) {
+      throw new Error(`Invalid ABSENCE_JOB_CRON expression: ${config.absenceJob.schedule}`);
+    }
+
+    tasks.push(cron.schedule(config.absenceJob.schedule, async () => {
+      try {
+        await absenceDetectionService.run(new Date(), { trigger: 'Scheduled' });
+      } catch (error) {
+        logger.error('Scheduled absence detection failed:', error);
+      }
+    }));
+
+    logger.info(`⏰ Absence detection scheduled (${config.absenceJob.schedule})`);
+  }
+
+  tasks.push(cron.schedule(LOGIN_THROTTLE_PURGE_CRON, async () => {
+    try {
+      await loginThrottleService.purgeStale();
+    } catch (error) {
+      logger.error('Login throttle purge failed:', error);
+    }
+  }));
+
+  tasks.push(cron.schedule(QUEUE_EVENT_PURGE_CRON, async () => {
+    try {
+      await queueEventService.purge();
+    } catch (error) {
+      logger.error('Queue event purge failed:', error);
+    }
+  }));
+
+  tasks.push(cron.schedule(ATTENDANCE_QR_SCAN_PURGE_CRON, async () => {
+    try {
+      await attendanceQrService.purge();
+    } catch (error) {
+      logger.error('Attendance QR scan purge failed:', error);
+    }
+  }));
+}
+
+function stop() {
+  tasks.forEach(task => task.stop());
+  tasks.length = 0;
+}
+
+module.exports = {
+  start,
+  stop,
+};
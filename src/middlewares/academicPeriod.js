@@ -0,0 +1,32 @@
+const academicPeriodService = require('../services/academicPeriodService');
+const { ApiResponse } = require('../utils/helpers');
+const { hasPermission } = require('../utils/auth');
+
+/**
+ * Resolve the academic period a list request is scoped to into req.academicPeriod.
+ * Everyone sees the active period; users who may browse archives can pass
+ * semester_id or academic_year_id to browse an archived period.
+ * Run it after the query validation so both ids are already converted.
+ */
+const scopeToAcademicPeriod = async (req, res, next) => {
+  try {
+    const { semester_id, academic_year_id } = req.query;
+    const canBrowse = hasPermission(req.user, 'academic_periods.browse');
+
+    req.academicPeriod = await academicPeriodService.resolveScope(
+      canBrowse ? { semester_id, academic_year_id } : {}
+    );
+
+    next();
+  } catch (error) {
+    if (error.message === 'Semester not found' || error.message === 'Academic year not found') {
+      return res.status(404).json(ApiResponse.error(error.message));
+    }
+
+    next(error);
+  }
+};
+
+module.exports = {
+  scopeToAcademicPeriod,
+};
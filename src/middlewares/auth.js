@@ -1,6 +1,25 @@
-const { verifyToken, extractTokenFromHeader } = require('../utils/auth');
+const { verifyToken, extractTokenFromHeader, hashApiKey, hasPermission } = require('../utils/auth');
 const { ApiResponse } = require('../utils/helpers');
 const database = require('../config/database');
+const securityPolicyService = require('../services/securityPolicyService');
+const permissionService = require('../services/permissionService');
+const sessionService = require('../services/sessionService');
+
+/**
+ * Why an account is limited to its own account endpoints, or null when it
+ * has full access
+ */
+const getAccountRestriction = async (user) => {
+  if (user.must_change_password) {
+    return 'Password must be changed before continuing';
+  }
+
+  if (!user.two_factor_enabled_at && await securityPolicyService.isTwoFactorRequired(user.role)) {
+    return 'Two-factor authentication must be enabled for this account';
+  }
+
+  return null;
+};
 
 /**
  * Authentication middleware
@@ -31,6 +50,9 @@ const authenticate = async (req, res, next) => {
         username: true,
         role: true,
         is_active: true,
+        must_change_password: true,
+        two_factor_enabled_at: true,
+        role_assignments: { select: { role_id: true } },
         teacher: {
           select: {
             id: true,
@@ -54,8 +76,36 @@ const authenticate = async (req, res, next) => {
       );
     }
 
-    // Add user to request object
-    req.user = user;
+    // A revoked session loses access right away, not when the access token expires
+    const session = await sessionService.findActiveSession(decoded);
+
+    if (!session) {
+      return res.status(401).json(
+        ApiResponse.error('Session has been revoked or expired')
+      );
+    }
+
+    // A pending forced password change or 2FA enrolment limits the account
+    // to its own account endpoints (change password, enrolment, logout, ...)
+    if (!req.originalUrl.startsWith('/api/auth/')) {
+      const restriction = await getAccountRestriction(user);
+
+      if (restriction) {
+        return res.status(403).json(
+          ApiResponse.error(restriction)
+        );
+      }
+    }
+
+    // Add user with its permissions and session to request object
+    const { role_assignments: roleAssignments, ...account } = user;
+    account.permissions = await permissionService.getUserPermissions(
+      account,
+      roleAssignments.map(assignment => assignment.role_id)
+    );
+
+    req.user = account;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     return res.status(401).json(
@@ -85,6 +135,56 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Authorization middleware - require at least one of the named permissions
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json(
+        ApiResponse.error('Access denied - authentication required')
+      );
+    }
+
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json(
+        ApiResponse.error('Access denied - insufficient permissions')
+      );
+    }
+
+    next();
+  };
+};
+
+/**
+ * Ownership middleware - without the bypass permission, the resource named
+ * by the route parameter must belong to the user (own journal, own teacher
+ * or student record, own homeroom class)
+ */
+const requireOwnership = (resource, bypassPermission, param = 'id') => {
+  return async (req, res, next) => {
+    if (hasPermission(req.user, bypassPermission)) {
+      return next();
+    }
+
+    // A malformed ID cannot be owned; the controller reports it like a missing record
+    if (!/^\d+$/.test(String(req.params[param]))) {
+      return next();
+    }
+
+    const isOwner = await permissionService.isOwner(resource, req.params[param], req.user);
+
+    // A missing resource is left to the controller to report as not found
+    if (isOwner === false) {
+      return res.status(403).json(
+        ApiResponse.error('Access denied - you can only access your own records')
+      );
+    }
+
+    next();
+  };
+};
+
 /**
  * Optional authentication - don't fail if no token
  */
@@ -109,7 +209,7 @@ const optionalAuth = async (req, res, next) => {
         }
       });
 
-      if (user) {
+      if (user && await sessionService.findActiveSession(decoded)) {
         req.user = user;
       }
     }
@@ -121,8 +221,92 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Queue display authentication - read-only key instead of a user login.
+ * The key is read from the `X-Display-Key` header or the `key` query
+ * parameter (EventSource cannot send custom headers); request logs mask
+ * the query parameter.
+ */
+const authenticateDisplay = async (req, res, next) => {
+  try {
+    const key = req.headers['x-display-key'] || req.query.key;
+
+    if (!key) {
+      return res.status(401).json(
+        ApiResponse.error('Display key is required')
+      );
+    }
+
+    const prisma = database.getClient();
+    const display = await prisma.queueDisplay.findUnique({
+      where: { key_hash: hashApiKey(String(key)) }
+    });
+
+    if (!display || !display.is_active) {
+      return res.status(401).json(
+        ApiResponse.error('Invalid or inactive display key')
+      );
+    }
+
+    await prisma.queueDisplay.update({
+      where: { id: display.id },
+      data: { last_seen_at: new Date() }
+    });
+
+    req.display = display;
+    next();
+  } catch (error) {
+    return res.status(401).json(
+      ApiResponse.error('Invalid or inactive display key')
+    );
+  }
+};
+
+/**
+ * Gate device authentication - per-device API key from the `X-Device-Key`
+ * header. The key must belong to the device named in the request body.
+ */
+const authenticateGateDevice = async (req, res, next) => {
+  try {
+    const key = req.headers['x-device-key'];
+
+    if (!key) {
+      return res.status(401).json(
+        ApiResponse.error('Device key is required')
+      );
+    }
+
+    const prisma = database.getClient();
+    const device = await prisma.gateDevice.findUnique({
+      where: { key_hash: hashApiKey(String(key)) }
+    });
+
+    if (!device || !device.is_active || device.device_code !== req.body?.device_id) {
+      return res.status(401).json(
+        ApiResponse.error('Invalid or inactive device key')
+      );
+    }
+
+    await prisma.gateDevice.update({
+      where: { id: device.id },
+      data: { last_seen_at: new Date() }
+    });
+
+    req.gateDevice = device;
+    next();
+  } catch (error) {
+    return res.status(401).json(
+      ApiResponse.error('Invalid or inactive device key')
+    );
+  }
+};
+
 module.exports = {
   authenticate,
   authorize,
+  requirePermission,
+  requireOwnership,
   optionalAuth,
+  authenticateDisplay,
+  authenticateGateDevice,
 };
@@ -1,5 +1,5 @@
 const logger = require('../utils/logger');
-const { ApiResponse } = require('../utils/helpers');
+const { ApiResponse, redactUrl } = require('../utils/helpers');
 
 /**
  * Global error handler middleware
@@ -11,7 +11,7 @@ const errorHandler = (err, req, res, next) => {
   // Log error
   logger.error(`Error ${error.statusCode || 500}: ${error.message}`, {
     error: error.stack,
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     method: req.method,
     ip: req.ip,
     userAgent: req.get('User-Agent'),
@@ -74,9 +74,9 @@ const errorHandler = (err, req, res, next) => {
  * Handle 404 errors
  */
 const notFound = (req, res, next) => {
-  const message = `Route ${req.originalUrl} not found`;
+  const message = `Route ${redactUrl(req.originalUrl)} not found`;
   logger.warn(`404 - ${message}`, {
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     method: req.method,
     ip: req.ip,
   });
@@ -1,3 +1,4 @@
+const fs = require('fs');
 const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
@@ -83,10 +84,24 @@ const handleUploadError = (err, req, res, next) => {
   next();
 };
 
+/**
+ * Delete the files multer stored for a request that is rejected afterwards
+ * (validation error, conflict), so they do not pile up in the upload folder
+ */
+const removeUploadedFiles = async (req) => {
+  const files = [
+    ...(req.file ? [req.file] : []),
+    ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())
+  ];
+
+  await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
 module.exports = {
   upload,
   uploadSingle,
   uploadMultiple,
   uploadFields,
   handleUploadError,
+  removeUploadedFiles,
 };
@@ -1,4 +1,6 @@
 const { ApiResponse } = require('../utils/helpers');
+const { hasPermission } = require('../utils/auth');
+const { removeUploadedFiles } = require('./upload');
 
 /**
  * Joi validation middleware
@@ -15,6 +17,9 @@ const validate = (schema, property = 'body') => {
       const errorMessage = error.details
         .map(detail => detail.message.replace(/"/g, ''))
         .join(', ');
+
+      // An attachment uploaded with an invalid request is not kept
+      removeUploadedFiles(req);
       
       return res.status(400).json(
         ApiResponse.error(`Validation error: ${errorMessage}`)
@@ -42,9 +47,21 @@ const validateQuery = (schema) => validate(schema, 'query');
  */
 const validateBody = (schema) => validate(schema, 'body');
 
+/**
+ * Validate with the full schema when the user has the permission, else with
+ * the restricted one (e.g. fields a user may change on their own record)
+ */
+const validateByPermission = (permission, schema, restrictedSchema, property = 'body') => {
+  const full = validate(schema, property);
+  const restricted = validate(restrictedSchema, property);
+
+  return (req, res, next) => (hasPermission(req.user, permission) ? full : restricted)(req, res, next);
+};
+
 module.exports = {
   validate,
   validateParams,
   validateQuery,
   validateBody,
+  validateByPermission,
 };
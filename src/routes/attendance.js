@@ -2,12 +2,195 @@ const express = require('express');
 const router = express.Router();
 
 const attendanceController = require('../controllers/attendanceController');
+const gateDeviceController = require('../controllers/gateDeviceController');
+const workingHourController = require('../controllers/workingHourController');
+const absenceJobController = require('../controllers/absenceJobController');
 const { validate } = require('../middlewares/validation');
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, requirePermission, authenticateGateDevice } = require('../middlewares/auth');
 const { attendanceSchemas } = require('../validators');
 
 // ===== SPECIFIC ROUTES (must come before parametric routes) =====
 
+/**
+ * @route POST /api/attendance/rfid/tap
+ * @desc Record Masuk/Pulang from an RFID card tap at a gate device
+ * @access Gate device key (X-Device-Key header)
+ */
+router.post('/rfid/tap',
+  validate(attendanceSchemas.rfidTap),
+  authenticateGateDevice,
+  gateDeviceController.recordTap
+);
+
+/**
+ * @route GET /api/attendance/gate-devices
+ * @desc Get all registered gate devices
+ * @access Private - Admin
+ */
+router.get('/gate-devices',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  gateDeviceController.getAllDevices
+);
+
+/**
+ * @route POST /api/attendance/gate-devices
+ * @desc Register a gate device and issue its API key
+ * @access Private - Admin
+ */
+router.post('/gate-devices',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.createGateDevice),
+  gateDeviceController.createDevice
+);
+
+/**
+ * @route PUT /api/attendance/gate-devices/:id
+ * @desc Update gate device details
+ * @access Private - Admin
+ */
+router.put('/gate-devices/:id',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.gateDeviceParams, 'params'),
+  validate(attendanceSchemas.updateGateDevice),
+  gateDeviceController.updateDevice
+);
+
+/**
+ * @route POST /api/attendance/gate-devices/:id/regenerate-key
+ * @desc Issue a new API key for a gate device
+ * @access Private - Admin
+ */
+router.post('/gate-devices/:id/regenerate-key',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.gateDeviceParams, 'params'),
+  gateDeviceController.regenerateKey
+);
+
+/**
+ * @route PATCH /api/attendance/gate-devices/:id/toggle-status
+ * @desc Activate/deactivate a gate device
+ * @access Private - Admin
+ */
+router.patch('/gate-devices/:id/toggle-status',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.gateDeviceParams, 'params'),
+  gateDeviceController.toggleDeviceStatus
+);
+
+/**
+ * @route DELETE /api/attendance/gate-devices/:id
+ * @desc Delete a gate device
+ * @access Private - Admin
+ */
+router.delete('/gate-devices/:id',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.gateDeviceParams, 'params'),
+  gateDeviceController.deleteDevice
+);
+
+/**
+ * @route GET /api/attendance/working-hours
+ * @desc Get working hour rules used for late/early departure classification
+ * @access Private - Admin
+ */
+router.get('/working-hours',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.listWorkingHourRules, 'query'),
+  workingHourController.getAllRules
+);
+
+/**
+ * @route POST /api/attendance/working-hours
+ * @desc Create a working hour rule for a day (optionally per employment status)
+ * @access Private - Admin
+ */
+router.post('/working-hours',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.createWorkingHourRule),
+  workingHourController.createRule
+);
+
+/**
+ * @route GET /api/attendance/working-hours/:id
+ * @desc Get working hour rule by ID
+ * @access Private - Admin
+ */
+router.get('/working-hours/:id',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.workingHourParams, 'params'),
+  workingHourController.getRuleById
+);
+
+/**
+ * @route PUT /api/attendance/working-hours/:id
+ * @desc Update working hour rule
+ * @access Private - Admin
+ */
+router.put('/working-hours/:id',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.workingHourParams, 'params'),
+  validate(attendanceSchemas.updateWorkingHourRule),
+  workingHourController.updateRule
+);
+
+/**
+ * @route DELETE /api/attendance/working-hours/:id
+ * @desc Delete working hour rule
+ * @access Private - Admin
+ */
+router.delete('/working-hours/:id',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.workingHourParams, 'params'),
+  workingHourController.deleteRule
+);
+
+/**
+ * @route GET /api/attendance/absence-jobs
+ * @desc Get runs of the nightly absence detection job
+ * @access Private - Admin
+ */
+router.get('/absence-jobs',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.listAbsenceJobRuns, 'query'),
+  absenceJobController.getRuns
+);
+
+/**
+ * @route POST /api/attendance/absence-jobs/run
+ * @desc Run absence detection now for a date (defaults to today)
+ * @access Private - Admin
+ */
+router.post('/absence-jobs/run',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.runAbsenceJob),
+  absenceJobController.runNow
+);
+
+/**
+ * @route GET /api/attendance/absence-jobs/:id
+ * @desc Get a run with Alpa counts and the missing Pulang report
+ * @access Private - Admin
+ */
+router.get('/absence-jobs/:id',
+  authenticate,
+  requirePermission('attendance.manage_settings'),
+  validate(attendanceSchemas.absenceJobParams, 'params'),
+  absenceJobController.getRunById
+);
+
 /**
  * @route GET /api/attendance/my-status
  * @desc Get today's attendance status for current user
@@ -15,7 +198,7 @@ const { attendanceSchemas } = require('../validators');
  */
 router.get('/my-status',
   authenticate,
-  authorize('admin', 'teacher', 'student'),
+  requirePermission('attendance.self'),
   attendanceController.getTodayAttendanceStatus
 );
 
@@ -26,19 +209,30 @@ router.get('/my-status',
  */
 router.get('/my-attendance',
   authenticate,
-  authorize('admin', 'teacher', 'student'),
+  requirePermission('attendance.self'),
   validate(attendanceSchemas.getAttendance, 'query'),
   attendanceController.getMyAttendance
 );
 
+/**
+ * @route GET /api/attendance/qr/current
+ * @desc Get the rotating QR code teachers scan to check in
+ * @access Private - Admin
+ */
+router.get('/qr/current',
+  authenticate,
+  requirePermission('attendance.qr_display'),
+  attendanceController.getCurrentQr
+);
+
 /**
  * @route POST /api/attendance/my-attendance
- * @desc Record attendance for current user (simplified endpoint)
+ * @desc Record attendance for current user (teachers send the scanned QR token)
  * @access Private - Admin, Teacher, Student
  */
 router.post('/my-attendance',
   authenticate,
-  authorize('admin', 'teacher', 'student'),
+  requirePermission('attendance.self'),
   validate(attendanceSchemas.recordAttendance),
   attendanceController.recordMyAttendance
 );
@@ -50,7 +244,7 @@ router.post('/my-attendance',
  */
 router.get('/summary',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.view'),
   validate(attendanceSchemas.getAttendanceSummary, 'query'),
   attendanceController.getAttendanceSummary
 );
@@ -62,7 +256,7 @@ router.get('/summary',
  */
 router.get('/report',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.view'),
   validate(attendanceSchemas.getAttendanceReport, 'query'),
   attendanceController.getAttendanceReport
 );
@@ -74,7 +268,7 @@ router.get('/report',
  */
 router.get('/teachers',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.view'),
   validate(attendanceSchemas.getAttendance, 'query'),
   attendanceController.getAllTeacherAttendance
 );
@@ -86,7 +280,7 @@ router.get('/teachers',
  */
 router.get('/students',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.view'),
   validate(attendanceSchemas.getAttendance, 'query'),
   attendanceController.getAllStudentAttendance
 );
@@ -98,7 +292,7 @@ router.get('/students',
  */
 router.get('/stats',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.view'),
   validate(attendanceSchemas.getAttendanceReport, 'query'),
   attendanceController.getAttendanceStats
 );
@@ -110,7 +304,7 @@ router.get('/stats',
  */
 router.post('/bulk-record',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.record'),
   validate(attendanceSchemas.bulkRecordAttendance),
   attendanceController.bulkRecordAttendance
 );
@@ -124,7 +318,7 @@ router.post('/bulk-record',
  */
 router.get('/daily-report/:date',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.view'),
   attendanceController.getDailyReport
 );
 
@@ -135,7 +329,7 @@ router.get('/daily-report/:date',
  */
 router.get('/teachers/:teacherId',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.view'),
   validate(attendanceSchemas.getAttendance, 'query'),
   attendanceController.getTeacherAttendance
 );
@@ -147,7 +341,7 @@ router.get('/teachers/:teacherId',
  */
 router.get('/students/:studentId',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.view'),
   validate(attendanceSchemas.getAttendance, 'query'),
   attendanceController.getStudentAttendance
 );
@@ -159,7 +353,7 @@ router.get('/students/:studentId',
  */
 router.post('/record/teacher/:teacherId',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.record'),
   validate(attendanceSchemas.recordTeacherAttendance),
   attendanceController.recordTeacherAttendance
 );
@@ -171,7 +365,7 @@ router.post('/record/teacher/:teacherId',
  */
 router.post('/record/student/:studentId',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.record'),
   validate(attendanceSchemas.recordStudentAttendance),
   attendanceController.recordStudentAttendance
 );
@@ -183,7 +377,7 @@ router.post('/record/student/:studentId',
  */
 router.put('/:attendanceId',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('attendance.record'),
   validate(attendanceSchemas.updateAttendance),
   attendanceController.updateAttendanceRecord
 );
@@ -195,7 +389,7 @@ router.put('/:attendanceId',
  */
 router.delete('/:attendanceId',
   authenticate,
-  authorize('admin'),
+  requirePermission('attendance.delete'),
   attendanceController.deleteAttendanceRecord
 );
 
@@ -1,7 +1,7 @@
 const express = require('express');
 const authController = require('../controllers/authController');
 const { authenticate } = require('../middlewares/auth');
-const { validateBody } = require('../middlewares/validation');
+const { validateBody, validateParams } = require('../middlewares/validation');
 const { authSchemas } = require('../validators');
 
 const router = express.Router();
@@ -13,23 +13,58 @@ const router = express.Router();
  */
 router.post('/login', validateBody(authSchemas.login), authController.login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete a two-factor login with an authenticator or recovery code
+ * @access  Public
+ */
+router.post('/login/2fa', validateBody(authSchemas.twoFactorLogin), authController.verifyTwoFactor);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset code from an admin or homeroom teacher
+ * @access  Public
+ */
+router.post('/reset-password', validateBody(authSchemas.resetPassword), authController.resetPassword);
+
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh access token
+ * @desc    Refresh access token; the refresh token is rotated and single use
  * @access  Public
  */
 router.post('/refresh', validateBody(authSchemas.refreshToken), authController.refreshToken);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user and revoke the current session
  * @access  Private
  */
 router.post('/logout', authenticate, authController.logout);
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get active sessions of the current user
+ * @access  Private
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke every other session of the current user
+ * @access  Private
+ */
+router.delete('/sessions', authenticate, authController.revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, validateParams(authSchemas.sessionParams), authController.revokeSession);
+
 /**
  * @route   PUT /api/auth/change-password
- * @desc    Change user password
+ * @desc    Change user password (also completes a forced password change) and sign out other sessions
  * @access  Private
  */
 router.put('/change-password', authenticate, validateBody(authSchemas.changePassword), authController.changePassword);
@@ -41,4 +76,44 @@ router.put('/change-password', authenticate, validateBody(authSchemas.changePass
  */
 router.get('/profile', authenticate, authController.getProfile);
 
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status of the current user
+ * @access  Private
+ */
+router.get('/2fa', authenticate, authController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrolment; returns the secret, provisioning URI and QR code
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code; returns the recovery codes once
+ * @access  Private
+ */
+router.post('/2fa/enable', authenticate, validateBody(authSchemas.twoFactorCode), authController.enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication (password and code required)
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticate, validateBody(authSchemas.twoFactorDisable), authController.disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes of the current user
+ * @access  Private
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  validateBody(authSchemas.twoFactorCode),
+  authController.regenerateRecoveryCodes
+);
+
 module.exports = router;
@@ -0,0 +1,242 @@
+const express = require('express');
+const Joi = require('joi');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validation');
+const { calendarSchemas, commonValidations } = require('../validators');
+
+// .ics files are parsed straight from memory, nothing is kept on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.ics' || file.mimetype === 'text/calendar') {
+      return cb(null, true);
+    }
+
+    cb(new Error('Only iCalendar files are allowed (.ics)'));
+  }
+});
+
+// Validation schemas for params
+const paramsValidation = {
+  id: Joi.object({
+    id: commonValidations.id
+  })
+};
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/calendar/school-day
+ * @desc    Check whether a date is an effective school day, optionally for a grade level
+ * @access  Private
+ */
+router.get('/school-day',
+  validate(calendarSchemas.schoolDay, 'query'),
+  calendarController.getSchoolDay
+);
+
+/**
+ * @route   GET /api/calendar/effective-days
+ * @desc    List every day of a range with its effective school day status
+ * @access  Private
+ */
+router.get('/effective-days',
+  validate(calendarSchemas.effectiveDays, 'query'),
+  calendarController.getEffectiveDays
+);
+
+/**
+ * @route   GET /api/calendar/academic-years
+ * @desc    Get all academic years with their semesters
+ * @access  Private
+ */
+router.get('/academic-years',
+  calendarController.getAllAcademicYears
+);
+
+/**
+ * @route   POST /api/calendar/academic-years
+ * @desc    Create new academic year
+ * @access  Private (Admin only)
+ */
+router.post('/academic-years',
+  requirePermission('calendar.manage'),
+  validate(calendarSchemas.createAcademicYear),
+  calendarController.createAcademicYear
+);
+
+/**
+ * @route   GET /api/calendar/academic-years/:id
+ * @desc    Get academic year by ID
+ * @access  Private
+ */
+router.get('/academic-years/:id',
+  validate(paramsValidation.id, 'params'),
+  calendarController.getAcademicYearById
+);
+
+/**
+ * @route   PUT /api/calendar/academic-years/:id
+ * @desc    Update academic year
+ * @access  Private (Admin only)
+ */
+router.put('/academic-years/:id',
+  requirePermission('calendar.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(calendarSchemas.updateAcademicYear),
+  calendarController.updateAcademicYear
+);
+
+/**
+ * @route   DELETE /api/calendar/academic-years/:id
+ * @desc    Delete academic year with its semesters
+ * @access  Private (Admin only)
+ */
+router.delete('/academic-years/:id',
+  requirePermission('calendar.manage'),
+  validate(paramsValidation.id, 'params'),
+  calendarController.deleteAcademicYear
+);
+
+/**
+ * @route   PUT /api/calendar/academic-years/:id/semesters
+ * @desc    Create or update the Ganjil/Genap semester of an academic year
+ * @access  Private (Admin only)
+ */
+router.put('/academic-years/:id/semesters',
+  requirePermission('calendar.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(calendarSchemas.saveSemester),
+  calendarController.saveSemester
+);
+
+/**
+ * @route   GET /api/calendar/active-period
+ * @desc    Get the active semester and academic year that lists are scoped to
+ * @access  Private
+ */
+router.get('/active-period',
+  calendarController.getActivePeriod
+);
+
+/**
+ * @route   POST /api/calendar/semesters/:id/activate
+ * @desc    Make a semester the active period; the previous one is archived (read-only)
+ * @access  Private (Admin only)
+ */
+router.post('/semesters/:id/activate',
+  requirePermission('calendar.manage'),
+  validate(paramsValidation.id, 'params'),
+  calendarController.activateSemester
+);
+
+/**
+ * @route   DELETE /api/calendar/semesters/:id
+ * @desc    Delete semester
+ * @access  Private (Admin only)
+ */
+router.delete('/semesters/:id',
+  requirePermission('calendar.manage'),
+  validate(paramsValidation.id, 'params'),
+  calendarController.deleteSemester
+);
+
+/**
+ * @route   GET /api/calendar/events
+ * @desc    Get holidays and events, optionally within a date range
+ * @access  Private
+ */
+router.get('/events',
+  validate(calendarSchemas.listEvents, 'query'),
+  calendarController.getEvents
+);
+
+/**
+ * @route   POST /api/calendar/events
+ * @desc    Create holiday, half day, activity or exam event
+ * @access  Private (Admin only)
+ */
+router.post('/events',
+  requirePermission('calendar.manage'),
+  validate(calendarSchemas.createEvent),
+  calendarController.createEvent
+);
+
+/**
+ * @route   POST /api/calendar/events/import
+ * @desc    Import events from an .ics file (field "file"); re-importing updates by UID
+ * @access  Private (Admin only)
+ */
+router.post('/events/import',
+  requirePermission('calendar.manage'),
+  upload.single('file'),
+  validate(calendarSchemas.importIcs),
+  calendarController.importIcs
+);
+
+/**
+ * @route   GET /api/calendar/events/:id
+ * @desc    Get calendar event by ID
+ * @access  Private
+ */
+router.get('/events/:id',
+  validate(paramsValidation.id, 'params'),
+  calendarController.getEventById
+);
+
+/**
+ * @route   PUT /api/calendar/events/:id
+ * @desc    Update calendar event
+ * @access  Private (Admin only)
+ */
+router.put('/events/:id',
+  requirePermission('calendar.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(calendarSchemas.updateEvent),
+  calendarController.updateEvent
+);
+
+/**
+ * @route   DELETE /api/calendar/events/:id
+ * @desc    Delete calendar event
+ * @access  Private (Admin only)
+ */
+router.delete('/events/:id',
+  requirePermission('calendar.manage'),
+  validate(paramsValidation.id, 'params'),
+  calendarController.deleteEvent
+);
+
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: 'File size too large. Maximum size is 1MB',
+        data: null,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  if (error.message.includes('Only iCalendar files are allowed')) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      data: null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next(error);
+});
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const { classController } = require('../controllers');
 const { classSchemas } = require('../validators');
-const { authenticate, authorize } = require('../middlewares/auth');
-const { validateBody } = require('../middlewares/validation');
+const { authenticate, requirePermission, requireOwnership } = require('../middlewares/auth');
+const { validateBody, validateQuery } = require('../middlewares/validation');
+const { scopeToAcademicPeriod } = require('../middlewares/academicPeriod');
 
 const router = express.Router();
 
@@ -25,9 +26,9 @@ router.use(authenticate);
  *         grade_level:
  *           type: integer
  *           description: Grade level (1-12)
- *         academic_year:
- *           type: string
- *           description: Academic year in format YYYY/YYYY
+ *         academic_year_id:
+ *           type: integer
+ *           description: Academic year the class belongs to
  *         homeroom_teacher_id:
  *           type: string
  *           description: ID of the homeroom teacher
@@ -77,10 +78,10 @@ router.use(authenticate);
  *           minimum: 1
  *           maximum: 12
  *       - in: query
- *         name: academic_year
+ *         name: academic_year_id
+ *         description: Admin only, defaults to the active academic year
  *         schema:
- *           type: string
- *           pattern: '^\d{4}\/\d{4}$'
+ *           type: integer
  *       - in: query
  *         name: search
  *         schema:
@@ -88,13 +89,17 @@ router.use(authenticate);
  *     responses:
  *       200:
  *         description: List of classes retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  */
 router.get('/', 
-  authorize('admin', 'teacher', 'staff'), 
+  requirePermission('classes.view'), 
+  validateQuery(classSchemas.list),
+  scopeToAcademicPeriod,
   classController.getClasses
 );
 
@@ -115,7 +120,9 @@ router.get('/',
  *         description: Forbidden
  */
 router.get('/stats', 
-  authorize('admin', 'teacher', 'staff'), 
+  requirePermission('classes.view'), 
+  validateQuery(classSchemas.period),
+  scopeToAcademicPeriod,
   classController.getClassStats
 );
 
@@ -136,7 +143,9 @@ router.get('/stats',
  *         description: Forbidden
  */
 router.get('/available-teachers', 
-  authorize('admin', 'staff'), 
+  requirePermission('classes.manage'), 
+  validateQuery(classSchemas.period),
+  scopeToAcademicPeriod,
   classController.getAvailableTeachers
 );
 
@@ -161,9 +170,12 @@ router.get('/available-teachers',
  *         description: Class not found
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - only the homeroom teacher without access to all classes
  */
 router.get('/:id', 
-  authorize('admin', 'teacher', 'staff'), 
+  requirePermission('classes.view', 'classes.view_own'), 
+  requireOwnership('class', 'classes.view'),
   classController.getClassById
 );
 
@@ -184,7 +196,6 @@ router.get('/:id',
  *             required:
  *               - class_name
  *               - grade_level
- *               - academic_year
  *             properties:
  *               class_name:
  *                 type: string
@@ -193,9 +204,9 @@ router.get('/:id',
  *                 type: integer
  *                 minimum: 1
  *                 maximum: 12
- *               academic_year:
- *                 type: string
- *                 pattern: '^\d{4}\/\d{4}$'
+ *               academic_year_id:
+ *                 type: integer
+ *                 description: Defaults to the active academic year
  *               homeroom_teacher_id:
  *                 type: string
  *               counselor_teacher_id:
@@ -218,7 +229,7 @@ router.get('/:id',
  */
 router.post('/', 
   validateBody(classSchemas.create), 
-  authorize('admin', 'staff'), 
+  requirePermission('classes.manage'), 
   classController.createClass
 );
 
@@ -249,9 +260,6 @@ router.post('/',
  *                 type: integer
  *                 minimum: 1
  *                 maximum: 12
- *               academic_year:
- *                 type: string
- *                 pattern: '^\d{4}\/\d{4}$'
  *               homeroom_teacher_id:
  *                 type: string
  *               counselor_teacher_id:
@@ -276,7 +284,7 @@ router.post('/',
  */
 router.put('/:id', 
   validateBody(classSchemas.update), 
-  authorize('admin', 'staff'), 
+  requirePermission('classes.manage'), 
   classController.updateClass
 );
 
@@ -305,7 +313,7 @@ router.put('/:id',
  *         description: Forbidden
  */
 router.delete('/:id', 
-  authorize('admin'), 
+  requirePermission('classes.delete'), 
   classController.deleteClass
 );
 
@@ -348,7 +356,7 @@ router.delete('/:id',
  */
 router.post('/:id/assign-student', 
   validateBody(classSchemas.assignStudent), 
-  authorize('admin', 'staff'), 
+  requirePermission('classes.manage'), 
   classController.assignStudent
 );
 
@@ -391,7 +399,7 @@ router.post('/:id/assign-student',
  */
 router.post('/:id/remove-student', 
   validateBody(classSchemas.removeStudent), 
-  authorize('admin', 'staff'), 
+  requirePermission('classes.manage'), 
   classController.removeStudent
 );
 
@@ -0,0 +1,325 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const examController = require('../controllers/examController');
+const examSeatingController = require('../controllers/examSeatingController');
+const examSupervisorController = require('../controllers/examSupervisorController');
+const examIncidentReportController = require('../controllers/examIncidentReportController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validation');
+const { scopeToAcademicPeriod } = require('../middlewares/academicPeriod');
+const { examSchemas, commonValidations } = require('../validators');
+
+// Validation schemas for params
+const paramsValidation = {
+  id: Joi.object({
+    id: commonValidations.id
+  })
+};
+
+// Authentication required for all exam routes
+router.use(authenticate);
+
+// ===== EXAM ROOMS =====
+
+/**
+ * @route   GET /api/exams/rooms
+ * @desc    Get all exam rooms with total capacity
+ * @access  Private
+ */
+router.get('/rooms',
+  validate(examSchemas.listRooms, 'query'),
+  examController.getAllRooms
+);
+
+/**
+ * @route   POST /api/exams/rooms
+ * @desc    Create new exam room
+ * @access  Private (Admin only)
+ */
+router.post('/rooms',
+  requirePermission('exams.manage'),
+  validate(examSchemas.createRoom),
+  examController.createRoom
+);
+
+/**
+ * @route   GET /api/exams/rooms/:id
+ * @desc    Get exam room by ID
+ * @access  Private
+ */
+router.get('/rooms/:id',
+  validate(paramsValidation.id, 'params'),
+  examController.getRoomById
+);
+
+/**
+ * @route   PUT /api/exams/rooms/:id
+ * @desc    Update exam room
+ * @access  Private (Admin only)
+ */
+router.put('/rooms/:id',
+  requirePermission('exams.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(examSchemas.updateRoom),
+  examController.updateRoom
+);
+
+/**
+ * @route   DELETE /api/exams/rooms/:id
+ * @desc    Delete exam room
+ * @access  Private (Admin only)
+ */
+router.delete('/rooms/:id',
+  requirePermission('exams.manage'),
+  validate(paramsValidation.id, 'params'),
+  examController.deleteRoom
+);
+
+// ===== EXAM SCHEDULES =====
+
+/**
+ * @route   GET /api/exams/schedules
+ * @desc    Get all exam schedules
+ * @access  Private
+ */
+router.get('/schedules',
+  validate(examSchemas.listSchedules, 'query'),
+  examController.getAllExamSchedules
+);
+
+/**
+ * @route   POST /api/exams/schedules
+ * @desc    Create new exam schedule (conflict-checked per grade)
+ * @access  Private (Admin only)
+ */
+router.post('/schedules',
+  requirePermission('exams.manage'),
+  validate(examSchemas.createSchedule),
+  examController.createExamSchedule
+);
+
+/**
+ * @route   GET /api/exams/schedules/:id
+ * @desc    Get exam schedule by ID
+ * @access  Private
+ */
+router.get('/schedules/:id',
+  validate(paramsValidation.id, 'params'),
+  examController.getExamScheduleById
+);
+
+/**
+ * @route   PUT /api/exams/schedules/:id
+ * @desc    Update exam schedule
+ * @access  Private (Admin only)
+ */
+router.put('/schedules/:id',
+  requirePermission('exams.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(examSchemas.updateSchedule),
+  examController.updateExamSchedule
+);
+
+/**
+ * @route   DELETE /api/exams/schedules/:id
+ * @desc    Delete exam schedule
+ * @access  Private (Admin only)
+ */
+router.delete('/schedules/:id',
+  requirePermission('exams.manage'),
+  validate(paramsValidation.id, 'params'),
+  examController.deleteExamSchedule
+);
+
+// ===== SEATING =====
+
+/**
+ * @route   GET /api/exams/schedules/:id/seating
+ * @desc    Get seat lists per room for an exam schedule
+ * @access  Private (Admin/Teacher)
+ */
+router.get('/schedules/:id/seating',
+  requirePermission('exams.view_assignments'),
+  validate(paramsValidation.id, 'params'),
+  validate(examSchemas.getSeating, 'query'),
+  examSeatingController.getSeating
+);
+
+/**
+ * @route   POST /api/exams/schedules/:id/seating
+ * @desc    Allocate students of the given classes to exam rooms (replaces previous allocation)
+ * @access  Private (Admin only)
+ */
+router.post('/schedules/:id/seating',
+  requirePermission('exams.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(examSchemas.allocateSeating),
+  examSeatingController.allocateSeating
+);
+
+/**
+ * @route   DELETE /api/exams/schedules/:id/seating
+ * @desc    Remove the seating allocation of an exam schedule
+ * @access  Private (Admin only)
+ */
+router.delete('/schedules/:id/seating',
+  requirePermission('exams.manage'),
+  validate(paramsValidation.id, 'params'),
+  examSeatingController.clearSeating
+);
+
+// ===== SUPERVISORS =====
+
+/**
+ * @route   GET /api/exams/supervisors/my-timetable
+ * @desc    Get current teacher's supervision timetable
+ * @access  Private (Teacher only)
+ */
+router.get('/supervisors/my-timetable',
+  requirePermission('exams.supervise'),
+  validate(examSchemas.timetable, 'query'),
+  examSupervisorController.getMyTimetable
+);
+
+/**
+ * @route   GET /api/exams/supervisors/teachers/:id/timetable
+ * @desc    Get a teacher's supervision timetable
+ * @access  Private (Admin only)
+ */
+router.get('/supervisors/teachers/:id/timetable',
+  requirePermission('exams.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(examSchemas.timetable, 'query'),
+  examSupervisorController.getTeacherTimetable
+);
+
+/**
+ * @route   GET /api/exams/:id/supervisors
+ * @desc    Get supervisor roster of an exam with load per teacher
+ * @access  Private (Admin/Teacher)
+ */
+router.get('/:id/supervisors',
+  requirePermission('exams.view_assignments'),
+  validate(paramsValidation.id, 'params'),
+  examSupervisorController.getRoster
+);
+
+/**
+ * @route   POST /api/exams/:id/supervisors
+ * @desc    Roster two supervisors for every room and session (replaces previous roster)
+ * @access  Private (Admin only)
+ */
+router.post('/:id/supervisors',
+  requirePermission('exams.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(examSchemas.assignSupervisors),
+  examSupervisorController.assignSupervisors
+);
+
+// ===== INCIDENT REPORTS (BERITA ACARA) =====
+
+/**
+ * @route   GET /api/exams/incident-reports/:id
+ * @desc    Get incident report by ID with marked attendance
+ * @access  Private (Admin/Teacher)
+ */
+router.get('/incident-reports/:id',
+  requirePermission('exams.report_incidents'),
+  validate(paramsValidation.id, 'params'),
+  examIncidentReportController.getReportById
+);
+
+/**
+ * @route   GET /api/exams/:id/incident-reports
+ * @desc    Get incident reports of an exam
+ * @access  Private (Admin/Teacher)
+ */
+router.get('/:id/incident-reports',
+  requirePermission('exams.report_incidents'),
+  validate(paramsValidation.id, 'params'),
+  validate(examSchemas.listIncidentReports, 'query'),
+  examIncidentReportController.getReportsByExam
+);
+
+/**
+ * @route   POST /api/exams/:id/incident-reports
+ * @desc    Submit (or resubmit) berita acara of a room and session with student attendance
+ * @access  Private (Supervising teacher/Admin)
+ */
+router.post('/:id/incident-reports',
+  requirePermission('exams.report_incidents'),
+  validate(paramsValidation.id, 'params'),
+  validate(examSchemas.submitIncidentReport),
+  examIncidentReportController.submitReport
+);
+
+/**
+ * @route   GET /api/exams/:id/attendance-dashboard
+ * @desc    Get attendance rates and rooms that have not reported yet
+ * @access  Private (Admin only)
+ */
+router.get('/:id/attendance-dashboard',
+  requirePermission('exams.manage'),
+  validate(paramsValidation.id, 'params'),
+  examIncidentReportController.getDashboard
+);
+
+// ===== EXAMS =====
+
+/**
+ * @route   GET /api/exams
+ * @desc    Get exams of the active academic year (admins may pass academic_year_id)
+ * @access  Private
+ */
+router.get('/',
+  validate(examSchemas.listExams, 'query'),
+  scopeToAcademicPeriod,
+  examController.getAllExams
+);
+
+/**
+ * @route   POST /api/exams
+ * @desc    Create new exam
+ * @access  Private (Admin only)
+ */
+router.post('/',
+  requirePermission('exams.manage'),
+  validate(examSchemas.createExam),
+  examController.createExam
+);
+
+/**
+ * @route   GET /api/exams/:id
+ * @desc    Get exam by ID with its schedules
+ * @access  Private
+ */
+router.get('/:id',
+  validate(paramsValidation.id, 'params'),
+  examController.getExamById
+);
+
+/**
+ * @route   PUT /api/exams/:id
+ * @desc    Update exam
+ * @access  Private (Admin only)
+ */
+router.put('/:id',
+  requirePermission('exams.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(examSchemas.updateExam),
+  examController.updateExam
+);
+
+/**
+ * @route   DELETE /api/exams/:id
+ * @desc    Delete exam
+ * @access  Private (Admin only)
+ */
+router.delete('/:id',
+  requirePermission('exams.manage'),
+  validate(paramsValidation.id, 'params'),
+  examController.deleteExam
+);
+
+module.exports = router;
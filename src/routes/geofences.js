@@ -0,0 +1,110 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const geofenceController = require('../controllers/geofenceController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validation');
+const { geofenceSchemas, commonValidations } = require('../validators');
+
+// Validation schemas for params
+const paramsValidation = {
+  id: Joi.object({
+    id: commonValidations.id
+  })
+};
+
+// Geofences are managed by admins only
+router.use(authenticate);
+router.use(requirePermission('geofences.manage'));
+
+/**
+ * @route   GET /api/geofences/settings
+ * @desc    Get geofence enforcement mode and default company radius
+ * @access  Private (Admin only)
+ */
+router.get('/settings',
+  geofenceController.getSettings
+);
+
+/**
+ * @route   PUT /api/geofences/settings
+ * @desc    Update geofence enforcement mode (reject/flag) and default company radius
+ * @access  Private (Admin only)
+ */
+router.put('/settings',
+  validate(geofenceSchemas.updateSettings),
+  geofenceController.updateSettings
+);
+
+/**
+ * @route   GET /api/geofences/review-queue
+ * @desc    Get attendance records flagged outside or without a known location
+ * @access  Private (Admin only)
+ */
+router.get('/review-queue',
+  validate(geofenceSchemas.reviewQueue, 'query'),
+  geofenceController.getReviewQueue
+);
+
+/**
+ * @route   PATCH /api/geofences/review-queue/:type/:id
+ * @desc    Approve or reject a flagged teacher/student attendance record
+ * @access  Private (Admin only)
+ */
+router.patch('/review-queue/:type/:id',
+  validate(geofenceSchemas.reviewParams, 'params'),
+  validate(geofenceSchemas.review),
+  geofenceController.reviewAttendance
+);
+
+/**
+ * @route   GET /api/geofences
+ * @desc    Get all school geofences
+ * @access  Private (Admin only)
+ */
+router.get('/',
+  geofenceController.getAllGeofences
+);
+
+/**
+ * @route   POST /api/geofences
+ * @desc    Create a radius or polygon geofence
+ * @access  Private (Admin only)
+ */
+router.post('/',
+  validate(geofenceSchemas.create),
+  geofenceController.createGeofence
+);
+
+/**
+ * @route   GET /api/geofences/:id
+ * @desc    Get geofence by ID
+ * @access  Private (Admin only)
+ */
+router.get('/:id',
+  validate(paramsValidation.id, 'params'),
+  geofenceController.getGeofenceById
+);
+
+/**
+ * @route   PUT /api/geofences/:id
+ * @desc    Update geofence
+ * @access  Private (Admin only)
+ */
+router.put('/:id',
+  validate(paramsValidation.id, 'params'),
+  validate(geofenceSchemas.update),
+  geofenceController.updateGeofence
+);
+
+/**
+ * @route   DELETE /api/geofences/:id
+ * @desc    Delete geofence
+ * @access  Private (Admin only)
+ */
+router.delete('/:id',
+  validate(paramsValidation.id, 'params'),
+  geofenceController.deleteGeofence
+);
+
+module.exports = router;
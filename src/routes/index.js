@@ -8,6 +8,16 @@ const studentRoutes = require('./students');
 const scheduleRoutes = require('./schedules');
 const attendanceRoutes = require('./attendance');
 const journalRoutes = require('./journals');
+const internshipRoutes = require('./internships');
+const leaveRequestRoutes = require('./leaveRequests');
+const queueRoutes = require('./queue');
+const examRoutes = require('./exams');
+const ramadanRoutes = require('./ramadan');
+const geofenceRoutes = require('./geofences');
+const calendarRoutes = require('./calendar');
+const promotionRoutes = require('./promotions');
+const passwordResetRoutes = require('./passwordResets');
+const roleRoutes = require('./roles');
 
 const router = express.Router();
 
@@ -37,10 +47,16 @@ router.get('/', (req, res) => {
       schedules: '/api/schedules',
       attendance: '/api/attendance',
       journals: '/api/journals',
+      leaveRequests: '/api/leave-requests',
       internships: '/api/internships',
       exams: '/api/exams',
       queue: '/api/queue',
       ramadhan: '/api/ramadhan',
+      geofences: '/api/geofences',
+      calendar: '/api/calendar',
+      promotions: '/api/promotions',
+      passwordResets: '/api/password-resets',
+      roles: '/api/roles',
     }
   });
 });
@@ -55,9 +71,15 @@ router.use('/students', studentRoutes);
 router.use('/schedules', scheduleRoutes);
 router.use('/attendance', attendanceRoutes);
 router.use('/journals', journalRoutes);
-// router.use('/internships', internshipRoutes); // TODO: Implement
-// router.use('/exams', examRoutes);           // TODO: Implement
-// router.use('/queue', queueRoutes);          // TODO: Implement
-// router.use('/ramadan', ramadanRoutes);      // TODO: Implement
+router.use('/internships', internshipRoutes);
+router.use('/leave-requests', leaveRequestRoutes);
+router.use('/exams', examRoutes);
+router.use('/queue', queueRoutes);
+router.use('/ramadhan', ramadanRoutes);
+router.use('/geofences', geofenceRoutes);
+router.use('/calendar', calendarRoutes);
+router.use('/promotions', promotionRoutes);
+router.use('/password-resets', passwordResetRoutes);
+router.use('/roles', roleRoutes);
 
 module.exports = router;
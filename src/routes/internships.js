@@ -0,0 +1,251 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const internshipController = require('../controllers/internshipController');
+const internshipJournalController = require('../controllers/internshipJournalController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validation');
+const { internshipSchemas, commonValidations } = require('../validators');
+
+// Validation schemas for params
+const paramsValidation = {
+  id: Joi.object({
+    id: commonValidations.id
+  })
+};
+
+// Authentication required for all internship routes
+router.use(authenticate);
+
+// ===== COMPANIES =====
+
+/**
+ * @route   GET /api/internships/companies
+ * @desc    Get all internship companies
+ * @access  Private (Admin/Teacher)
+ */
+router.get('/companies',
+  requirePermission('internships.view'),
+  validate(internshipSchemas.listCompanies, 'query'),
+  internshipController.getAllCompanies
+);
+
+/**
+ * @route   POST /api/internships/companies
+ * @desc    Create new company
+ * @access  Private (Admin only)
+ */
+router.post('/companies',
+  requirePermission('internships.manage'),
+  validate(internshipSchemas.createCompany),
+  internshipController.createCompany
+);
+
+/**
+ * @route   GET /api/internships/companies/:id
+ * @desc    Get company by ID with its placements
+ * @access  Private (Admin/Teacher)
+ */
+router.get('/companies/:id',
+  requirePermission('internships.view'),
+  validate(paramsValidation.id, 'params'),
+  internshipController.getCompanyById
+);
+
+/**
+ * @route   PUT /api/internships/companies/:id
+ * @desc    Update company
+ * @access  Private (Admin only)
+ */
+router.put('/companies/:id',
+  requirePermission('internships.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(internshipSchemas.updateCompany),
+  internshipController.updateCompany
+);
+
+/**
+ * @route   DELETE /api/internships/companies/:id
+ * @desc    Delete company
+ * @access  Private (Admin only)
+ */
+router.delete('/companies/:id',
+  requirePermission('internships.manage'),
+  validate(paramsValidation.id, 'params'),
+  internshipController.deleteCompany
+);
+
+// ===== PLACEMENTS =====
+
+/**
+ * @route   GET /api/internships/placements
+ * @desc    Get all internship placements with filtering
+ * @access  Private (Admin/Teacher)
+ */
+router.get('/placements',
+  requirePermission('internships.view'),
+  validate(internshipSchemas.listPlacements, 'query'),
+  internshipController.getAllPlacements
+);
+
+/**
+ * @route   POST /api/internships/placements
+ * @desc    Assign a student to a company
+ * @access  Private (Admin only)
+ */
+router.post('/placements',
+  requirePermission('internships.manage'),
+  validate(internshipSchemas.createPlacement),
+  internshipController.createPlacement
+);
+
+/**
+ * @route   GET /api/internships/placements/:id
+ * @desc    Get internship placement by ID
+ * @access  Private (Admin/Teacher)
+ */
+router.get('/placements/:id',
+  requirePermission('internships.view'),
+  validate(paramsValidation.id, 'params'),
+  internshipController.getPlacementById
+);
+
+/**
+ * @route   PUT /api/internships/placements/:id
+ * @desc    Update internship placement (company, supervisor, dates)
+ * @access  Private (Admin only)
+ */
+router.put('/placements/:id',
+  requirePermission('internships.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(internshipSchemas.updatePlacement),
+  internshipController.updatePlacement
+);
+
+/**
+ * @route   PATCH /api/internships/placements/:id/status
+ * @desc    Change placement status (Aktif -> Selesai/Batal)
+ * @access  Private (Admin only)
+ */
+router.patch('/placements/:id/status',
+  requirePermission('internships.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(internshipSchemas.updatePlacementStatus),
+  internshipController.updatePlacementStatus
+);
+
+/**
+ * @route   DELETE /api/internships/placements/:id
+ * @desc    Delete internship placement
+ * @access  Private (Admin only)
+ */
+router.delete('/placements/:id',
+  requirePermission('internships.manage'),
+  validate(paramsValidation.id, 'params'),
+  internshipController.deletePlacement
+);
+
+// ===== JOURNALS =====
+
+/**
+ * @route   GET /api/internships/journals/my-journals
+ * @desc    Get current student's internship journals
+ * @access  Private (Student only)
+ */
+router.get('/journals/my-journals',
+  requirePermission('internship_journals.write'),
+  validate(internshipSchemas.listJournals, 'query'),
+  internshipJournalController.getMyJournals
+);
+
+/**
+ * @route   GET /api/internships/journals/pending
+ * @desc    Get pending journals for placements supervised by current teacher
+ * @access  Private (Teacher only)
+ */
+router.get('/journals/pending',
+  requirePermission('internship_journals.review'),
+  validate(internshipSchemas.listJournals, 'query'),
+  internshipJournalController.getPendingQueue
+);
+
+/**
+ * @route   POST /api/internships/journals/approve-week
+ * @desc    Approve all pending journals of a week
+ * @access  Private (Teacher only - supervisor)
+ */
+router.post('/journals/approve-week',
+  requirePermission('internship_journals.review'),
+  validate(internshipSchemas.approveWeek),
+  internshipJournalController.approveWeek
+);
+
+/**
+ * @route   GET /api/internships/journals
+ * @desc    Get all internship journals with filtering
+ * @access  Private (Admin/Teacher)
+ */
+router.get('/journals',
+  requirePermission('internship_journals.view'),
+  validate(internshipSchemas.listJournals, 'query'),
+  internshipJournalController.getAllJournals
+);
+
+/**
+ * @route   POST /api/internships/journals
+ * @desc    Submit a daily internship journal
+ * @access  Private (Student only)
+ */
+router.post('/journals',
+  requirePermission('internship_journals.write'),
+  validate(internshipSchemas.submitJournal),
+  internshipJournalController.submitJournal
+);
+
+/**
+ * @route   GET /api/internships/journals/:id
+ * @desc    Get internship journal by ID
+ * @access  Private (Admin/Teacher)
+ */
+router.get('/journals/:id',
+  requirePermission('internship_journals.view'),
+  validate(paramsValidation.id, 'params'),
+  internshipJournalController.getJournalById
+);
+
+/**
+ * @route   PUT /api/internships/journals/:id
+ * @desc    Update own internship journal (not allowed once approved)
+ * @access  Private (Student only - own journals)
+ */
+router.put('/journals/:id',
+  requirePermission('internship_journals.write'),
+  validate(paramsValidation.id, 'params'),
+  validate(internshipSchemas.updateJournal),
+  internshipJournalController.updateJournal
+);
+
+/**
+ * @route   DELETE /api/internships/journals/:id
+ * @desc    Delete own internship journal (not allowed once approved)
+ * @access  Private (Student only - own journals)
+ */
+router.delete('/journals/:id',
+  requirePermission('internship_journals.write'),
+  validate(paramsValidation.id, 'params'),
+  internshipJournalController.deleteJournal
+);
+
+/**
+ * @route   PATCH /api/internships/journals/:id/review
+ * @desc    Approve or reject an internship journal
+ * @access  Private (Teacher only - supervisor)
+ */
+router.patch('/journals/:id/review',
+  requirePermission('internship_journals.review'),
+  validate(paramsValidation.id, 'params'),
+  validate(internshipSchemas.reviewJournal),
+  internshipJournalController.reviewJournal
+);
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const journalController = require('../controllers/journalController');
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, requirePermission, requireOwnership } = require('../middlewares/auth');
 const { validate } = require('../middlewares/validation');
+const { scopeToAcademicPeriod } = require('../middlewares/academicPeriod');
 const { journalSchemas, commonValidations } = require('../validators');
 
 // Validation schemas for params
@@ -32,8 +33,9 @@ router.use(authenticate);
  * @access  Private (Teacher only)
  */
 router.get('/my-journals',
-  authorize('teacher'),
+  requirePermission('journals.write_own'),
   validate(journalSchemas.list, 'query'),
+  scopeToAcademicPeriod,
   journalController.getMyJournals
 );
 
@@ -43,29 +45,31 @@ router.get('/my-journals',
  * @access  Private (Admin/Teacher)
  */
 router.get('/stats',
-  authorize('admin', 'teacher'),
+  requirePermission('journals.view'),
   validate(journalSchemas.stats, 'query'),
+  scopeToAcademicPeriod,
   journalController.getJournalStats
 );
 
 /**
  * @route   GET /api/journals
- * @desc    Get all teaching journals with filtering
+ * @desc    Get teaching journals of the active semester with filtering (admins may pass semester_id)
  * @access  Private (Admin/Teacher)
  */
 router.get('/',
-  authorize('admin', 'teacher'),
+  requirePermission('journals.view'),
   validate(journalSchemas.list, 'query'),
+  scopeToAcademicPeriod,
   journalController.getAllJournals
 );
 
 /**
  * @route   POST /api/journals
- * @desc    Create new teaching journal
- * @access  Private (Teacher only)
+ * @desc    Create new teaching journal on a schedule the teacher teaches
+ * @access  Private (Teacher, Admin)
  */
 router.post('/',
-  authorize('teacher'),
+  requirePermission('journals.write_own', 'journals.manage'),
   validate(journalSchemas.create),
   journalController.createJournal
 );
@@ -78,9 +82,10 @@ router.post('/',
  * @access  Private (Admin/Teacher)
  */
 router.get('/teacher/:teacherId',
-  authorize('admin', 'teacher'),
+  requirePermission('journals.view'),
   validate(paramsValidation.teacherId, 'params'),
   validate(journalSchemas.list, 'query'),
+  scopeToAcademicPeriod,
   journalController.getJournalsByTeacher
 );
 
@@ -90,9 +95,10 @@ router.get('/teacher/:teacherId',
  * @access  Private (Admin/Teacher)
  */
 router.get('/class/:classId',
-  authorize('admin', 'teacher'),
+  requirePermission('journals.view'),
   validate(paramsValidation.classId, 'params'),
   validate(journalSchemas.list, 'query'),
+  scopeToAcademicPeriod,
   journalController.getJournalsByClass
 );
 
@@ -102,9 +108,10 @@ router.get('/class/:classId',
  * @access  Private (Admin/Teacher)
  */
 router.get('/subject/:subjectId',
-  authorize('admin', 'teacher'),
+  requirePermission('journals.view'),
   validate(paramsValidation.subjectId, 'params'),
   validate(journalSchemas.list, 'query'),
+  scopeToAcademicPeriod,
   journalController.getJournalsBySubject
 );
 
@@ -114,7 +121,7 @@ router.get('/subject/:subjectId',
  * @access  Private (Admin/Teacher)
  */
 router.get('/:id',
-  authorize('admin', 'teacher'),
+  requirePermission('journals.view'),
   validate(paramsValidation.id, 'params'),
   journalController.getJournalById
 );
@@ -125,8 +132,9 @@ router.get('/:id',
  * @access  Private (Teacher only - own journals or Admin)
  */
 router.put('/:id',
-  authorize('admin', 'teacher'),
+  requirePermission('journals.manage', 'journals.write_own'),
   validate(paramsValidation.id, 'params'),
+  requireOwnership('journal', 'journals.manage'),
   validate(journalSchemas.update),
   journalController.updateJournal
 );
@@ -137,8 +145,9 @@ router.put('/:id',
  * @access  Private (Teacher only - own journals or Admin)
  */
 router.delete('/:id',
-  authorize('admin', 'teacher'),
+  requirePermission('journals.manage', 'journals.write_own'),
   validate(paramsValidation.id, 'params'),
+  requireOwnership('journal', 'journals.manage'),
   journalController.deleteJournal
 );
 
@@ -0,0 +1,91 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const leaveRequestController = require('../controllers/leaveRequestController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validation');
+const { uploadSingle, handleUploadError } = require('../middlewares/upload');
+const { leaveRequestSchemas, commonValidations } = require('../validators');
+
+// Validation schemas for params
+const paramsValidation = {
+  id: Joi.object({
+    id: commonValidations.id
+  })
+};
+
+// Authentication required for all leave request routes
+router.use(authenticate);
+
+// ===== SPECIFIC ROUTES (must come before parametric routes) =====
+
+/**
+ * @route   GET /api/leave-requests/my-requests
+ * @desc    Get current user's leave requests
+ * @access  Private (Teacher/Student/Staff)
+ */
+router.get('/my-requests',
+  requirePermission('leave_requests.submit'),
+  validate(leaveRequestSchemas.list, 'query'),
+  leaveRequestController.getMyLeaveRequests
+);
+
+/**
+ * @route   GET /api/leave-requests
+ * @desc    Get leave requests to verify (teachers only see their homeroom students)
+ * @access  Private (Admin/Teacher)
+ */
+router.get('/',
+  requirePermission('leave_requests.review'),
+  validate(leaveRequestSchemas.list, 'query'),
+  leaveRequestController.getAllLeaveRequests
+);
+
+/**
+ * @route   POST /api/leave-requests
+ * @desc    Submit leave request (multipart, optional `attachment` file)
+ * @access  Private (Teacher/Student/Staff)
+ */
+router.post('/',
+  requirePermission('leave_requests.submit'),
+  uploadSingle('attachment'),
+  handleUploadError,
+  validate(leaveRequestSchemas.create),
+  leaveRequestController.createLeaveRequest
+);
+
+// ===== PARAMETRIC ROUTES (must come after specific routes) =====
+
+/**
+ * @route   GET /api/leave-requests/:id
+ * @desc    Get leave request by ID
+ * @access  Private (Admin, homeroom teacher or requestor)
+ */
+router.get('/:id',
+  validate(paramsValidation.id, 'params'),
+  leaveRequestController.getLeaveRequestById
+);
+
+/**
+ * @route   PATCH /api/leave-requests/:id/verify
+ * @desc    Approve or reject leave request
+ * @access  Private (Admin or homeroom teacher of the student's class)
+ */
+router.patch('/:id/verify',
+  requirePermission('leave_requests.review'),
+  validate(paramsValidation.id, 'params'),
+  validate(leaveRequestSchemas.verify),
+  leaveRequestController.verifyLeaveRequest
+);
+
+/**
+ * @route   DELETE /api/leave-requests/:id
+ * @desc    Cancel own pending leave request
+ * @access  Private (Requestor only)
+ */
+router.delete('/:id',
+  validate(paramsValidation.id, 'params'),
+  leaveRequestController.cancelLeaveRequest
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const passwordResetController = require('../controllers/passwordResetController');
+const { authenticate, requirePermission, requireOwnership } = require('../middlewares/auth');
+const { validateBody, validateParams } = require('../middlewares/validation');
+const { passwordResetSchemas } = require('../validators');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(requirePermission('password_resets.issue'));
+
+/**
+ * @route   POST /api/password-resets
+ * @desc    Issue a one-time reset code for a user; homeroom teachers only for their own students
+ * @access  Private (Admin, Teacher)
+ */
+router.post('/', validateBody(passwordResetSchemas.issue), passwordResetController.issueCode);
+
+/**
+ * @route   POST /api/password-resets/classes/:classId
+ * @desc    Issue reset codes for every active student of a class; `format: html` returns a printable slip page
+ * @access  Private (Admin, Teacher - own homeroom class)
+ */
+router.post(
+  '/classes/:classId',
+  validateParams(passwordResetSchemas.classParams),
+  requireOwnership('class', 'password_resets.issue_any', 'classId'),
+  validateBody(passwordResetSchemas.classSlips),
+  passwordResetController.issueClassSlips
+);
+
+module.exports = router;
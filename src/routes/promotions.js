@@ -0,0 +1,76 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validation');
+const { promotionSchemas, commonValidations } = require('../validators');
+
+// Validation schemas for params
+const paramsValidation = {
+  id: Joi.object({
+    id: commonValidations.id
+  }),
+  studentId: Joi.object({
+    studentId: commonValidations.id
+  })
+};
+
+router.use(authenticate);
+
+/**
+ * @route   POST /api/promotions/preview
+ * @desc    Dry run of a promotion: who moves up, who is held back and who graduates
+ * @access  Private (Admin only)
+ */
+router.post('/preview',
+  requirePermission('promotions.manage'),
+  validate(promotionSchemas.plan),
+  promotionController.previewPromotion
+);
+
+/**
+ * @route   POST /api/promotions
+ * @desc    Execute a promotion in a single transaction
+ * @access  Private (Admin only)
+ */
+router.post('/',
+  requirePermission('promotions.manage'),
+  validate(promotionSchemas.plan),
+  promotionController.executePromotion
+);
+
+/**
+ * @route   GET /api/promotions
+ * @desc    Get executed promotions
+ * @access  Private (Admin only)
+ */
+router.get('/',
+  requirePermission('promotions.manage'),
+  validate(promotionSchemas.list, 'query'),
+  promotionController.getPromotions
+);
+
+/**
+ * @route   GET /api/promotions/students/:studentId
+ * @desc    Get the class a student was in for every academic year
+ * @access  Private (Admin, Teacher, Staff)
+ */
+router.get('/students/:studentId',
+  requirePermission('promotions.view_history'),
+  validate(paramsValidation.studentId, 'params'),
+  promotionController.getStudentHistory
+);
+
+/**
+ * @route   GET /api/promotions/:id
+ * @desc    Get an executed promotion with the outcome of every student
+ * @access  Private (Admin only)
+ */
+router.get('/:id',
+  requirePermission('promotions.manage'),
+  validate(paramsValidation.id, 'params'),
+  promotionController.getPromotionById
+);
+
+module.exports = router;
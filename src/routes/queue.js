@@ -0,0 +1,257 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const queueController = require('../controllers/queueController');
+const queueDisplayController = require('../controllers/queueDisplayController');
+const { authenticate, requirePermission, optionalAuth, authenticateDisplay } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validation');
+const { queueSchemas, commonValidations } = require('../validators');
+
+// Validation schemas for params
+const paramsValidation = {
+  id: Joi.object({
+    id: commonValidations.id
+  })
+};
+
+// ===== KIOSK =====
+
+/**
+ * @route   POST /api/queue/tickets
+ * @desc    Take the next ticket number of a counter (kiosk)
+ * @access  Public (linked to the student when logged in)
+ */
+router.post('/tickets',
+  optionalAuth,
+  validate(queueSchemas.issueTicket),
+  queueController.issueTicket
+);
+
+// ===== LIVE DISPLAY =====
+
+/**
+ * @route   GET /api/queue/display/stream
+ * @desc    Stream queue changes (Server-Sent Events) for lobby displays; ends with a `revoked` event when the key stops working
+ * @access  Display key (`X-Display-Key` header or `key` query parameter)
+ */
+router.get('/display/stream',
+  authenticateDisplay,
+  queueDisplayController.streamDisplay
+);
+
+/**
+ * @route   GET /api/queue/display/snapshot
+ * @desc    Get current queue state of every counter
+ * @access  Display key (`X-Display-Key` header or `key` query parameter)
+ */
+router.get('/display/snapshot',
+  authenticateDisplay,
+  queueDisplayController.getSnapshot
+);
+
+// Authentication required for all routes below
+router.use(authenticate);
+
+// ===== DISPLAY MANAGEMENT =====
+
+/**
+ * @route   GET /api/queue/displays
+ * @desc    Get all registered displays
+ * @access  Private (Admin only)
+ */
+router.get('/displays',
+  requirePermission('queue.manage'),
+  queueDisplayController.getAllDisplays
+);
+
+/**
+ * @route   POST /api/queue/displays
+ * @desc    Register a display and issue its read-only key
+ * @access  Private (Admin only)
+ */
+router.post('/displays',
+  requirePermission('queue.manage'),
+  validate(queueSchemas.createDisplay),
+  queueDisplayController.createDisplay
+);
+
+/**
+ * @route   POST /api/queue/displays/:id/regenerate-key
+ * @desc    Issue a new key for a display
+ * @access  Private (Admin only)
+ */
+router.post('/displays/:id/regenerate-key',
+  requirePermission('queue.manage'),
+  validate(paramsValidation.id, 'params'),
+  queueDisplayController.regenerateKey
+);
+
+/**
+ * @route   PATCH /api/queue/displays/:id/toggle-status
+ * @desc    Activate/deactivate a display
+ * @access  Private (Admin only)
+ */
+router.patch('/displays/:id/toggle-status',
+  requirePermission('queue.manage'),
+  validate(paramsValidation.id, 'params'),
+  queueDisplayController.toggleDisplayStatus
+);
+
+/**
+ * @route   DELETE /api/queue/displays/:id
+ * @desc    Delete a display
+ * @access  Private (Admin only)
+ */
+router.delete('/displays/:id',
+  requirePermission('queue.manage'),
+  validate(paramsValidation.id, 'params'),
+  queueDisplayController.deleteDisplay
+);
+
+// ===== COUNTERS =====
+
+/**
+ * @route   GET /api/queue/counters
+ * @desc    Get all queue counters
+ * @access  Private
+ */
+router.get('/counters',
+  validate(queueSchemas.listCounters, 'query'),
+  queueController.getAllCounters
+);
+
+/**
+ * @route   POST /api/queue/counters
+ * @desc    Create queue counter
+ * @access  Private (Admin only)
+ */
+router.post('/counters',
+  requirePermission('queue.manage'),
+  validate(queueSchemas.createCounter),
+  queueController.createCounter
+);
+
+/**
+ * @route   GET /api/queue/counters/:id
+ * @desc    Get queue counter by ID
+ * @access  Private
+ */
+router.get('/counters/:id',
+  validate(paramsValidation.id, 'params'),
+  queueController.getCounterById
+);
+
+/**
+ * @route   PUT /api/queue/counters/:id
+ * @desc    Update queue counter
+ * @access  Private (Admin only)
+ */
+router.put('/counters/:id',
+  requirePermission('queue.manage'),
+  validate(paramsValidation.id, 'params'),
+  validate(queueSchemas.updateCounter),
+  queueController.updateCounter
+);
+
+/**
+ * @route   PATCH /api/queue/counters/:id/toggle-status
+ * @desc    Activate/deactivate queue counter
+ * @access  Private (Admin/Staff)
+ */
+router.patch('/counters/:id/toggle-status',
+  requirePermission('queue.operate'),
+  validate(paramsValidation.id, 'params'),
+  queueController.toggleCounterStatus
+);
+
+/**
+ * @route   DELETE /api/queue/counters/:id
+ * @desc    Delete queue counter
+ * @access  Private (Admin only)
+ */
+router.delete('/counters/:id',
+  requirePermission('queue.manage'),
+  validate(paramsValidation.id, 'params'),
+  queueController.deleteCounter
+);
+
+/**
+ * @route   GET /api/queue/counters/:id/status
+ * @desc    Get today's queue status of a counter
+ * @access  Private (Admin/Staff)
+ */
+router.get('/counters/:id/status',
+  requirePermission('queue.operate'),
+  validate(paramsValidation.id, 'params'),
+  queueController.getCounterStatus
+);
+
+/**
+ * @route   POST /api/queue/counters/:id/call-next
+ * @desc    Call the next waiting ticket of a counter
+ * @access  Private (Admin/Staff)
+ */
+router.post('/counters/:id/call-next',
+  requirePermission('queue.operate'),
+  validate(paramsValidation.id, 'params'),
+  queueController.callNextTicket
+);
+
+// ===== TICKETS =====
+
+/**
+ * @route   GET /api/queue/tickets
+ * @desc    Get queue tickets of a day (defaults to today)
+ * @access  Private (Admin/Staff)
+ */
+router.get('/tickets',
+  requirePermission('queue.operate'),
+  validate(queueSchemas.listTickets, 'query'),
+  queueController.getAllTickets
+);
+
+/**
+ * @route   GET /api/queue/tickets/:id
+ * @desc    Get queue ticket by ID
+ * @access  Private (Admin/Staff)
+ */
+router.get('/tickets/:id',
+  requirePermission('queue.operate'),
+  validate(paramsValidation.id, 'params'),
+  queueController.getTicketById
+);
+
+/**
+ * @route   PATCH /api/queue/tickets/:id/serve
+ * @desc    Start serving a called ticket
+ * @access  Private (Admin/Staff)
+ */
+router.patch('/tickets/:id/serve',
+  requirePermission('queue.operate'),
+  validate(paramsValidation.id, 'params'),
+  queueController.serveTicket
+);
+
+/**
+ * @route   PATCH /api/queue/tickets/:id/finish
+ * @desc    Finish a ticket
+ * @access  Private (Admin/Staff)
+ */
+router.patch('/tickets/:id/finish',
+  requirePermission('queue.operate'),
+  validate(paramsValidation.id, 'params'),
+  queueController.finishTicket
+);
+
+/**
+ * @route   PATCH /api/queue/tickets/:id/skip
+ * @desc    Skip a ticket
+ * @access  Private (Admin/Staff)
+ */
+router.patch('/tickets/:id/skip',
+  requirePermission('queue.operate'),
+  validate(paramsValidation.id, 'params'),
+  queueController.skipTicket
+);
+
+module.exports = router;
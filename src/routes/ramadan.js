@@ -0,0 +1,65 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const ramadanController = require('../controllers/ramadanController');
+const { authenticate, requirePermission, requireOwnership } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validation');
+const { ramadanSchemas, commonValidations } = require('../validators');
+
+// Validation schemas for params
+const paramsValidation = {
+  id: Joi.object({
+    id: commonValidations.id
+  })
+};
+
+// Authentication required for all Ramadan routes
+router.use(authenticate);
+
+/**
+ * @route   GET /api/ramadhan/my-checklist
+ * @desc    Get current student's daily checklist (defaults to today)
+ * @access  Private (Student only)
+ */
+router.get('/my-checklist',
+  requirePermission('ramadan.checklist'),
+  validate(ramadanSchemas.checklistDate, 'query'),
+  ramadanController.getMyChecklist
+);
+
+/**
+ * @route   PUT /api/ramadhan/my-checklist
+ * @desc    Fill in current student's daily checklist
+ * @access  Private (Student only)
+ */
+router.put('/my-checklist',
+  requirePermission('ramadan.checklist'),
+  validate(ramadanSchemas.saveChecklist),
+  ramadanController.saveMyChecklist
+);
+
+/**
+ * @route   GET /api/ramadhan/classes/:id
+ * @desc    Get checklist of every student in a class (defaults to today)
+ * @access  Private (Homeroom teacher/Admin)
+ */
+router.get('/classes/:id',
+  requirePermission('ramadan.view_class'),
+  validate(paramsValidation.id, 'params'),
+  requireOwnership('class', 'ramadan.view_all_classes'),
+  validate(ramadanSchemas.checklistDate, 'query'),
+  ramadanController.getClassChecklist
+);
+
+/**
+ * @route   GET /api/ramadhan/recap
+ * @desc    Get completion recap per class and grade for the Ramadan period
+ * @access  Private (Admin only)
+ */
+router.get('/recap',
+  requirePermission('ramadan.recap'),
+  validate(ramadanSchemas.recap, 'query'),
+  ramadanController.getRecap
+);
+
+module.exports = router;
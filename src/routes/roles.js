@@ -0,0 +1,78 @@
+const express = require('express');
+const roleController = require('../controllers/roleController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { validateBody, validateParams } = require('../middlewares/validation');
+const { roleSchemas } = require('../validators');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(requirePermission('roles.manage'));
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    Get all permissions that can be granted to a role
+ * @access  Private (roles.manage)
+ */
+router.get('/permissions', roleController.getPermissions);
+
+/**
+ * @route   GET /api/roles/users/:userId
+ * @desc    Get the roles of a user and the permissions they add up to
+ * @access  Private (roles.manage)
+ */
+router.get('/users/:userId', validateParams(roleSchemas.userParams), roleController.getUserRoles);
+
+/**
+ * @route   PUT /api/roles/users/:userId
+ * @desc    Replace the extra roles of a user; the system role follows the account type
+ * @access  Private (roles.manage)
+ */
+router.put(
+  '/users/:userId',
+  validateParams(roleSchemas.userParams),
+  validateBody(roleSchemas.assignUser),
+  roleController.setUserRoles
+);
+
+/**
+ * @route   GET /api/roles
+ * @desc    Get all roles with their permissions
+ * @access  Private (roles.manage)
+ */
+router.get('/', roleController.getRoles);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a role
+ * @access  Private (roles.manage)
+ */
+router.post('/', validateBody(roleSchemas.create), roleController.createRole);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    Get role by ID
+ * @access  Private (roles.manage)
+ */
+router.get('/:id', validateParams(roleSchemas.params), roleController.getRoleById);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Update a role; a permission list replaces all its permissions
+ * @access  Private (roles.manage)
+ */
+router.put(
+  '/:id',
+  validateParams(roleSchemas.params),
+  validateBody(roleSchemas.update),
+  roleController.updateRole
+);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete a custom role; system roles cannot be deleted
+ * @access  Private (roles.manage)
+ */
+router.delete('/:id', validateParams(roleSchemas.params), roleController.deleteRole);
+
+module.exports = router;
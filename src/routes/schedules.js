@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const scheduleController = require('../controllers/scheduleController');
-const { authenticate, authorize } = require('../middlewares/auth');
+const lessonAttendanceController = require('../controllers/lessonAttendanceController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
 const { validate } = require('../middlewares/validation');
+const { scopeToAcademicPeriod } = require('../middlewares/academicPeriod');
 const { scheduleSchemas, commonValidations } = require('../validators');
 
 // Validation schemas for params
@@ -28,12 +30,15 @@ const queryValidation = {
     day_of_week: require('joi').string().valid('Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu', 'Minggu').optional(),
     room: require('joi').string().max(50).optional(),
     sort_by: require('joi').string().valid('day_of_week', 'time', 'class_name', 'subject_name', 'teacher_name').default('day_of_week'),
-    sort_order: require('joi').string().valid('asc', 'desc').default('asc')
+    sort_order: require('joi').string().valid('asc', 'desc').default('asc'),
+    ...commonValidations.academicPeriod
   }),
   weekly: require('joi').object({
     class_id: require('joi').string().pattern(/^\d+$/).optional(),
-    teacher_id: require('joi').string().pattern(/^\d+$/).optional()
+    teacher_id: require('joi').string().pattern(/^\d+$/).optional(),
+    ...commonValidations.academicPeriod
   }),
+  period: require('joi').object(commonValidations.academicPeriod),
   conflictCheck: require('joi').object({
     exclude_id: require('joi').string().pattern(/^\d+$/).optional()
   })
@@ -41,13 +46,14 @@ const queryValidation = {
 
 /**
  * @route GET /api/schedules
- * @desc Get all schedules with pagination and filtering
+ * @desc Get schedules of the active semester with pagination and filtering (admins may pass semester_id)
  * @access Private (Admin, Teacher)
  */
 router.get('/',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('schedules.view'),
   validate(queryValidation.list, 'query'),
+  scopeToAcademicPeriod,
   scheduleController.getSchedules
 );
 
@@ -58,7 +64,9 @@ router.get('/',
  */
 router.get('/stats',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('schedules.view'),
+  validate(queryValidation.period, 'query'),
+  scopeToAcademicPeriod,
   scheduleController.getScheduleStatistics
 );
 
@@ -69,8 +77,9 @@ router.get('/stats',
  */
 router.get('/weekly',
   authenticate,
-  authorize('admin', 'teacher', 'student'),
+  requirePermission('schedules.view_weekly'),
   validate(queryValidation.weekly, 'query'),
+  scopeToAcademicPeriod,
   scheduleController.getWeeklySchedule
 );
 
@@ -81,7 +90,7 @@ router.get('/weekly',
  */
 router.post('/check-conflicts',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('schedules.view'),
   validate(scheduleSchemas.conflictCheck, 'body'),
   validate(queryValidation.conflictCheck, 'query'),
   scheduleController.checkScheduleConflicts
@@ -94,8 +103,10 @@ router.post('/check-conflicts',
  */
 router.get('/class/:classId',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('schedules.view'),
   validate(paramsValidation.classId, 'params'),
+  validate(queryValidation.period, 'query'),
+  scopeToAcademicPeriod,
   scheduleController.getSchedulesByClass
 );
 
@@ -106,11 +117,39 @@ router.get('/class/:classId',
  */
 router.get('/teacher/:teacherId',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('schedules.view'),
   validate(paramsValidation.teacherId, 'params'),
+  validate(queryValidation.period, 'query'),
+  scopeToAcademicPeriod,
   scheduleController.getSchedulesByTeacher
 );
 
+/**
+ * @route GET /api/schedules/:id/roll-call
+ * @desc Get the per-lesson roll call of a schedule slot (defaults to today)
+ * @access Private (Admin, Teacher of the schedule)
+ */
+router.get('/:id/roll-call',
+  authenticate,
+  requirePermission('lesson_attendance.record'),
+  validate(paramsValidation.id, 'params'),
+  validate(scheduleSchemas.rollCallQuery, 'query'),
+  lessonAttendanceController.getRollCall
+);
+
+/**
+ * @route PUT /api/schedules/:id/roll-call
+ * @desc Mark every student as Hadir/Sakit/Izin/Alpa/Terlambat for a lesson date
+ * @access Private (Admin, Teacher of the schedule)
+ */
+router.put('/:id/roll-call',
+  authenticate,
+  requirePermission('lesson_attendance.record'),
+  validate(paramsValidation.id, 'params'),
+  validate(scheduleSchemas.rollCall, 'body'),
+  lessonAttendanceController.saveRollCall
+);
+
 /**
  * @route GET /api/schedules/:id
  * @desc Get schedule by ID
@@ -118,7 +157,7 @@ router.get('/teacher/:teacherId',
  */
 router.get('/:id',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('schedules.view'),
   validate(paramsValidation.id, 'params'),
   scheduleController.getScheduleById
 );
@@ -130,7 +169,7 @@ router.get('/:id',
  */
 router.post('/',
   authenticate,
-  authorize('admin'),
+  requirePermission('schedules.manage'),
   validate(scheduleSchemas.create, 'body'),
   scheduleController.createSchedule
 );
@@ -142,7 +181,7 @@ router.post('/',
  */
 router.put('/:id',
   authenticate,
-  authorize('admin'),
+  requirePermission('schedules.manage'),
   validate(paramsValidation.id, 'params'),
   validate(scheduleSchemas.update, 'body'),
   scheduleController.updateSchedule
@@ -155,7 +194,7 @@ router.put('/:id',
  */
 router.delete('/:id',
   authenticate,
-  authorize('admin'),
+  requirePermission('schedules.manage'),
   validate(paramsValidation.id, 'params'),
   scheduleController.deleteSchedule
 );
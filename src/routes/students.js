@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const studentController = require('../controllers/studentController');
-const { authenticate, authorize } = require('../middlewares/auth');
-const { validate } = require('../middlewares/validation');
+const { authenticate, requirePermission, requireOwnership } = require('../middlewares/auth');
+const { validate, validateByPermission } = require('../middlewares/validation');
 const { studentSchemas, commonValidations } = require('../validators');
 
 // Validation schemas for params
@@ -33,7 +33,11 @@ const queryValidation = {
 
 const bodyValidation = {
   assignToClass: require('joi').object({
-    class_id: commonValidations.id
+    class_id: commonValidations.id,
+    ...commonValidations.classChange
+  }),
+  removeFromClass: require('joi').object({
+    ...commonValidations.classChange
   })
 };
 
@@ -44,7 +48,7 @@ const bodyValidation = {
  */
 router.get('/',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('students.view'),
   validate(queryValidation.list, 'query'),
   studentController.getAllStudents
 );
@@ -56,7 +60,7 @@ router.get('/',
  */
 router.get('/stats',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('students.view'),
   studentController.getStudentStats
 );
 
@@ -67,7 +71,7 @@ router.get('/stats',
  */
 router.get('/available-users',
   authenticate,
-  authorize('admin'),
+  requirePermission('students.manage'),
   studentController.getAvailableUsers
 );
 
@@ -78,7 +82,7 @@ router.get('/available-users',
  */
 router.get('/search',
   authenticate,
-  authorize('admin', 'teacher', 'student'),
+  requirePermission('students.search'),
   validate(queryValidation.search, 'query'),
   studentController.searchStudents
 );
@@ -90,7 +94,7 @@ router.get('/search',
  */
 router.get('/class/:classId',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('students.view'),
   validate(paramsValidation.classId, 'params'),
   studentController.getStudentsByClass
 );
@@ -102,11 +106,24 @@ router.get('/class/:classId',
  */
 router.get('/:id',
   authenticate,
-  authorize('admin', 'teacher', 'student'),
+  requirePermission('students.view', 'students.view_own'),
   validate(paramsValidation.id, 'params'),
+  requireOwnership('student', 'students.view'),
   studentController.getStudentById
 );
 
+/**
+ * @route GET /api/students/:id/class-timeline
+ * @desc Get every class the student was in with effective dates, actor and reason
+ * @access Private (Admin, Teacher)
+ */
+router.get('/:id/class-timeline',
+  authenticate,
+  requirePermission('students.view'),
+  validate(paramsValidation.id, 'params'),
+  studentController.getClassTimeline
+);
+
 /**
  * @route POST /api/students
  * @desc Create new student
@@ -114,7 +131,7 @@ router.get('/:id',
  */
 router.post('/',
   authenticate,
-  authorize('admin'),
+  requirePermission('students.manage'),
   validate(studentSchemas.create, 'body'),
   studentController.createStudent
 );
@@ -126,9 +143,10 @@ router.post('/',
  */
 router.put('/:id',
   authenticate,
-  authorize('admin', 'student'),
+  requirePermission('students.manage', 'students.update_own'),
   validate(paramsValidation.id, 'params'),
-  validate(studentSchemas.update, 'body'),
+  requireOwnership('student', 'students.manage'),
+  validateByPermission('students.manage', studentSchemas.update, studentSchemas.updateOwn),
   studentController.updateStudent
 );
 
@@ -139,7 +157,7 @@ router.put('/:id',
  */
 router.delete('/:id',
   authenticate,
-  authorize('admin'),
+  requirePermission('students.manage'),
   validate(paramsValidation.id, 'params'),
   studentController.deleteStudent
 );
@@ -151,7 +169,7 @@ router.delete('/:id',
  */
 router.post('/:id/assign-class',
   authenticate,
-  authorize('admin'),
+  requirePermission('students.manage'),
   validate(paramsValidation.id, 'params'),
   validate(bodyValidation.assignToClass, 'body'),
   studentController.assignToClass
@@ -164,8 +182,9 @@ router.post('/:id/assign-class',
  */
 router.delete('/:id/remove-class',
   authenticate,
-  authorize('admin'),
+  requirePermission('students.manage'),
   validate(paramsValidation.id, 'params'),
+  validate(bodyValidation.removeFromClass, 'body'),
   studentController.removeFromClass
 );
 
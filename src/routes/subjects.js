@@ -1,7 +1,7 @@
 const express = require('express');
 const Joi = require('joi');
 const subjectController = require('../controllers/subjectController');
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
 const { validateBody, validateParams, validateQuery } = require('../middlewares/validation');
 const { subjectSchemas, commonValidations } = require('../validators');
 
@@ -15,28 +15,28 @@ router.use(authenticate);
  * @desc    Get subject statistics
  * @access  Private (Admin/Teacher)
  */
-router.get('/stats', authorize('admin', 'teacher'), subjectController.getSubjectStats);
+router.get('/stats', requirePermission('subjects.view'), subjectController.getSubjectStats);
 
 /**
  * @route   GET /api/subjects
  * @desc    Get all subjects with pagination and filters
  * @access  Private (Admin/Teacher)
  */
-router.get('/', authorize('admin', 'teacher'), validateQuery(subjectSchemas.list), subjectController.getSubjects);
+router.get('/', requirePermission('subjects.view'), validateQuery(subjectSchemas.list), subjectController.getSubjects);
 
 /**
  * @route   POST /api/subjects
  * @desc    Create new subject
  * @access  Private (Admin only)
  */
-router.post('/', authorize('admin'), validateBody(subjectSchemas.create), subjectController.createSubject);
+router.post('/', requirePermission('subjects.manage'), validateBody(subjectSchemas.create), subjectController.createSubject);
 
 /**
  * @route   GET /api/subjects/:id
  * @desc    Get subject by ID
  * @access  Private (Admin/Teacher)
  */
-router.get('/:id', authorize('admin', 'teacher'), validateParams(Joi.object({ id: commonValidations.id })), subjectController.getSubjectById);
+router.get('/:id', requirePermission('subjects.view'), validateParams(Joi.object({ id: commonValidations.id })), subjectController.getSubjectById);
 
 /**
  * @route   PUT /api/subjects/:id
@@ -45,7 +45,7 @@ router.get('/:id', authorize('admin', 'teacher'), validateParams(Joi.object({ id
  */
 router.put(
   '/:id',
-  authorize('admin'),
+  requirePermission('subjects.manage'),
   validateParams(Joi.object({ id: commonValidations.id })),
   validateBody(subjectSchemas.update),
   subjectController.updateSubject
@@ -56,6 +56,6 @@ router.put(
  * @desc    Delete subject
  * @access  Private (Admin only)
  */
-router.delete('/:id', authorize('admin'), validateParams(Joi.object({ id: commonValidations.id })), subjectController.deleteSubject);
+router.delete('/:id', requirePermission('subjects.manage'), validateParams(Joi.object({ id: commonValidations.id })), subjectController.deleteSubject);
 
 module.exports = router;
@@ -3,8 +3,8 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const teacherController = require('../controllers/teacherController');
-const { authenticate, authorize } = require('../middlewares/auth');
-const { validate } = require('../middlewares/validation');
+const { authenticate, requirePermission, requireOwnership } = require('../middlewares/auth');
+const { validate, validateByPermission } = require('../middlewares/validation');
 const { teacherSchemas, commonValidations } = require('../validators');
 
 // Configure multer for signature image upload
@@ -64,7 +64,7 @@ const queryValidation = {
  */
 router.get('/',
   authenticate,
-  authorize('admin'),
+  requirePermission('teachers.manage'),
   validate(queryValidation.list, 'query'),
   teacherController.getAllTeachers
 );
@@ -76,7 +76,7 @@ router.get('/',
  */
 router.get('/stats',
   authenticate,
-  authorize('admin'),
+  requirePermission('teachers.manage'),
   teacherController.getTeacherStats
 );
 
@@ -87,7 +87,7 @@ router.get('/stats',
  */
 router.get('/available-users',
   authenticate,
-  authorize('admin'),
+  requirePermission('teachers.manage'),
   teacherController.getAvailableUsers
 );
 
@@ -98,7 +98,7 @@ router.get('/available-users',
  */
 router.get('/search',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('teachers.view'),
   validate(queryValidation.search, 'query'),
   teacherController.searchTeachers
 );
@@ -110,7 +110,7 @@ router.get('/search',
  */
 router.get('/:id',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('teachers.view'),
   validate(paramsValidation.id, 'params'),
   teacherController.getTeacherById
 );
@@ -122,7 +122,7 @@ router.get('/:id',
  */
 router.post('/',
   authenticate,
-  authorize('admin'),
+  requirePermission('teachers.manage'),
   validate(teacherSchemas.create, 'body'),
   teacherController.createTeacher
 );
@@ -134,9 +134,10 @@ router.post('/',
  */
 router.put('/:id',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('teachers.manage', 'teachers.update_own'),
   validate(paramsValidation.id, 'params'),
-  validate(teacherSchemas.update, 'body'),
+  requireOwnership('teacher', 'teachers.manage'),
+  validateByPermission('teachers.manage', teacherSchemas.update, teacherSchemas.updateOwn),
   teacherController.updateTeacher
 );
 
@@ -147,7 +148,7 @@ router.put('/:id',
  */
 router.delete('/:id',
   authenticate,
-  authorize('admin'),
+  requirePermission('teachers.manage'),
   validate(paramsValidation.id, 'params'),
   teacherController.deleteTeacher
 );
@@ -159,8 +160,9 @@ router.delete('/:id',
  */
 router.post('/:id/signature',
   authenticate,
-  authorize('admin', 'teacher'),
+  requirePermission('teachers.manage', 'teachers.update_own'),
   validate(paramsValidation.id, 'params'),
+  requireOwnership('teacher', 'teachers.manage'),
   upload.single('signature'),
   teacherController.uploadSignature
 );
@@ -1,7 +1,7 @@
 const express = require('express');
 const Joi = require('joi');
 const userController = require('../controllers/userController');
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
 const { validateBody, validateParams, validateQuery } = require('../middlewares/validation');
 const { userSchemas, commonValidations } = require('../validators');
 
@@ -10,36 +10,88 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(authenticate);
 
-// Apply admin authorization to all routes (only admins can manage users)
-router.use(authorize('admin'));
-
 /**
  * @route   GET /api/users/stats
  * @desc    Get user statistics
  * @access  Private (Admin only)
  */
-router.get('/stats', userController.getUserStats);
+router.get('/stats', requirePermission('users.manage'), userController.getUserStats);
+
+/**
+ * @route   GET /api/users/lockouts
+ * @desc    Get usernames locked out after repeated failed logins
+ * @access  Private (Admin only)
+ */
+router.get('/lockouts', requirePermission('security.manage'), userController.getLockouts);
+
+/**
+ * @route   DELETE /api/users/lockouts/:id
+ * @desc    Lift a login lockout before it expires
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/lockouts/:id',
+  requirePermission('security.manage'),
+  validateParams(Joi.object({ id: commonValidations.id })),
+  userController.unlockLogin
+);
+
+/**
+ * @route   GET /api/users/audit-logs
+ * @desc    Get the security audit trail (lockouts, unlocks, ...)
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/audit-logs',
+  requirePermission('security.manage'),
+  validateQuery(userSchemas.auditLogs),
+  userController.getAuditLogs
+);
+
+/**
+ * @route   GET /api/users/security-policy
+ * @desc    Get the account security policy (mandatory 2FA, ...)
+ * @access  Private (Admin only)
+ */
+router.get('/security-policy', requirePermission('security.manage'), userController.getSecurityPolicy);
+
+/**
+ * @route   PUT /api/users/security-policy
+ * @desc    Update the account security policy
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/security-policy',
+  requirePermission('security.manage'),
+  validateBody(userSchemas.securityPolicy),
+  userController.updateSecurityPolicy
+);
 
 /**
  * @route   GET /api/users
  * @desc    Get all users with pagination and filters
  * @access  Private (Admin only)
  */
-router.get('/', validateQuery(userSchemas.list), userController.getUsers);
+router.get('/', requirePermission('users.manage'), validateQuery(userSchemas.list), userController.getUsers);
 
 /**
  * @route   POST /api/users
  * @desc    Create new user
  * @access  Private (Admin only)
  */
-router.post('/', validateBody(userSchemas.create), userController.createUser);
+router.post('/', requirePermission('users.manage'), validateBody(userSchemas.create), userController.createUser);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
  * @access  Private (Admin only)
  */
-router.get('/:id', validateParams(Joi.object({ id: commonValidations.id })), userController.getUserById);
+router.get(
+  '/:id',
+  requirePermission('users.manage'),
+  validateParams(Joi.object({ id: commonValidations.id })),
+  userController.getUserById
+);
 
 /**
  * @route   PUT /api/users/:id
@@ -48,6 +100,7 @@ router.get('/:id', validateParams(Joi.object({ id: commonValidations.id })), use
  */
 router.put(
   '/:id',
+  requirePermission('users.manage'),
   validateParams(Joi.object({ id: commonValidations.id })),
   validateBody(userSchemas.update),
   userController.updateUser
@@ -58,7 +111,12 @@ router.put(
  * @desc    Delete user
  * @access  Private (Admin only)
  */
-router.delete('/:id', validateParams(Joi.object({ id: commonValidations.id })), userController.deleteUser);
+router.delete(
+  '/:id',
+  requirePermission('users.manage'),
+  validateParams(Joi.object({ id: commonValidations.id })),
+  userController.deleteUser
+);
 
 /**
  * @route   PATCH /api/users/:id/toggle-status
@@ -67,8 +125,21 @@ router.delete('/:id', validateParams(Joi.object({ id: commonValidations.id })),
  */
 router.patch(
   '/:id/toggle-status',
+  requirePermission('users.manage'),
   validateParams(Joi.object({ id: commonValidations.id })),
   userController.toggleUserStatus
 );
 
+/**
+ * @route   DELETE /api/users/:id/two-factor
+ * @desc    Reset two-factor authentication of a user who lost their device
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/:id/two-factor',
+  requirePermission('security.manage'),
+  validateParams(Joi.object({ id: commonValidations.id })),
+  userController.resetTwoFactor
+);
+
 module.exports = router;
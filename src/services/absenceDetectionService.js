@@ -0,0 +1,381 @@
+const { PrismaClient } = require('@prisma/client');
+const { serializeBigInt, Pagination } = require('../utils/helpers');
+const config = require('../config');
+const logger = require('../utils/logger');
+const calendarService = require('./calendarService');
+const leaveRequestService = require('./leaveRequestService');
+const geofenceService = require('./geofenceService');
+
+const prisma = new PrismaClient();
+
+const JOB_NAME = 'absence-detection';
+
+/**
+ * Local YYYY-MM-DD of a date (attendance days follow server time)
+ */
+function formatLocalDate(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+function getDayRange(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+}
+
+/**
+ * Split people into absent and excused, and list who checked in but never checked out
+ */
+function classifyPeople(people, recordsByPerson, leaves, excludedIds = new Set()) {
+  const result = {
+    checked_in: 0,
+    on_leave: 0,
+    excluded: 0,
+    already_marked: 0,
+    absentIds: [],
+    missingPulang: []
+  };
+
+  people.forEach(person => {
+    const statuses = recordsByPerson.get(person.id.toString()) || new Set();
+
+    if (statuses.has('Masuk')) {
+      result.checked_in++;
+      if (!statuses.has('Pulang')) result.missingPulang.push(person);
+    } else if (statuses.has('Alpa')) {
+      result.already_marked++;
+    } else if (leaves.has(person.user_id.toString())) {
+      result.on_leave++;
+    } else if (excludedIds.has(person.id.toString())) {
+      result.excluded++;
+    } else {
+      result.absentIds.push(person.id);
+    }
+  });
+
+  return result;
+}
+
+function groupStatuses(records, key) {
+  const byPerson = new Map();
+  records.forEach(record => {
+    const id = record[key].toString();
+    if (!byPerson.has(id)) byPerson.set(id, new Set());
+    byPerson.get(id).add(record.status);
+  });
+  return byPerson;
+}
+
+class AbsenceDetectionService {
+  /**
+   * Whether attendance is expected on a date, school-wide and per grade level.
+   * Grade-specific events (e.g. a Saturday exam for grade 12) can put only
+   * some grades in session.
+   */
+  async getSchoolDayStatus(date) {
+    const [classes, resolver] = await Promise.all([
+      prisma.class.findMany({ distinct: ['grade_level'], select: { grade_level: true } }),
+      calendarService.getCalendarResolver(date, date)
+    ]);
+
+    const schoolDay = resolver.resolve(date);
+    const gradesInSession = classes
+      .map(item => item.grade_level)
+      .filter(gradeLevel => resolver.resolve(date, gradeLevel).is_effective);
+
+    return {
+      is_school_day: schoolDay.is_effective || gradesInSession.length > 0,
+      is_school_wide: schoolDay.is_effective,
+      grades_in_session: gradesInSession,
+      reason: schoolDay.reason
+    };
+  }
+
+  /**
+   * Detect missing check-ins on a date and record them as Alpa.
+   * Safe to re-run: people already marked are left alone.
+   */
+  async run(date = new Date(), options = {}) {
+    const { trigger = 'Scheduled', triggeredById = null } = options;
+    const { start, end } = getDayRange(date);
+    const targetDate = new Date(formatLocalDate(start));
+
+    const jobRun = await this.claimRun(targetDate, trigger, triggeredById);
+
+    try {
+      const schoolDay = await this.getSchoolDayStatus(start);
+
+      if (!schoolDay.is_school_day) {
+        return await this.finishRun(jobRun, 'Skipped', { reason: schoolDay.reason });
+      }
+
+      if (start > new Date()) {
+        return await this.finishRun(jobRun, 'Skipped', { reason: 'Date is in the future' });
+      }
+
+      const summary = await this.detectAbsences(start, end, schoolDay);
+
+      return await this.finishRun(jobRun, 'Success', summary);
+    } catch (error) {
+      logger.error('Error in absence detection run:', error);
+
+      await prisma.jobRun.update({
+        where: { id: jobRun.id },
+        data: { status: 'Failed', error_message: error.message, finished_at: new Date(), lock_key: null }
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Start a run for a date. The unique lock key lets only one run per date
+   * be Running across all processes; a run left Running longer than the
+   * stale timeout (e.g. the process died) is marked Failed and taken over.
+   */
+  async claimRun(targetDate, trigger, triggeredById) {
+    const lockKey = `${JOB_NAME}:${targetDate.toISOString().split('T')[0]}`;
+    const staleBefore = new Date(Date.now() - config.absenceJob.staleMinutes * 60 * 1000);
+
+    await prisma.jobRun.updateMany({
+      where: { lock_key: lockKey, status: 'Running', started_at: { lt: staleBefore } },
+      data: {
+        status: 'Failed',
+        error_message: 'Run did not finish in time',
+        finished_at: new Date(),
+        lock_key: null
+      }
+    });
+
+    try {
+      return await prisma.jobRun.create({
+        data: {
+          job_name: JOB_NAME,
+          target_date: targetDate,
+          trigger,
+          triggered_by_id: triggeredById ? BigInt(triggeredById) : null,
+          lock_key: lockKey
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('Absence detection is already running for this date');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a run as finished with its outcome
+   */
+  async finishRun(jobRun, status, summary) {
+    const finished = await prisma.jobRun.update({
+      where: { id: jobRun.id },
+      data: { status, summary, finished_at: new Date(), lock_key: null }
+    });
+
+    logger.info('Absence detection finished', {
+      jobRunId: jobRun.id.toString(),
+      status,
+      teachersMarked: summary.teachers?.marked_absent,
+      studentsMarked: summary.students?.marked_absent
+    });
+
+    return this.serializeRun(finished);
+  }
+
+  /**
+   * Create Alpa records for a school day and collect missing Pulang.
+   * Teachers are only expected on school-wide days; students when their grade is in session.
+   */
+  async detectAbsences(start, end, schoolDay) {
+    // A check-in rejected during geofence review leaves the person absent
+    const dayWhere = { timestamp: { gte: start, lt: end }, ...geofenceService.countedAttendanceWhere() };
+    const targetDate = new Date(formatLocalDate(start));
+
+    const [teachers, students, teacherRecords, studentRecords, leaves, placements] = await Promise.all([
+      prisma.teacher.findMany({
+        where: { user: { is_active: true } },
+        select: { id: true, user_id: true, nip: true, full_name: true }
+      }),
+      prisma.student.findMany({
+        where: { status: 'AKTIF', user: { is_active: true } },
+        select: {
+          id: true,
+          user_id: true,
+          nis: true,
+          full_name: true,
+          current_class: { select: { class_name: true, grade_level: true } }
+        }
+      }),
+      prisma.teacherAttendance.findMany({
+        where: dayWhere,
+        select: { teacher_id: true, status: true }
+      }),
+      prisma.studentAttendance.findMany({
+        where: dayWhere,
+        select: { student_id: true, status: true }
+      }),
+      leaveRequestService.getApprovedLeavesOnDate(start),
+      // Students on PKL attend at their company, not at school
+      prisma.internshipPlacement.findMany({
+        where: {
+          status: 'Aktif',
+          start_date: { lte: targetDate },
+          OR: [
+            { end_date: null },
+            { end_date: { gte: targetDate } }
+          ]
+        },
+        select: { student_id: true }
+      })
+    ]);
+
+    const isInSession = student => (student.current_class
+      ? schoolDay.grades_in_session.includes(student.current_class.grade_level)
+      : schoolDay.is_school_wide);
+    const studentsInSession = students.filter(isInSession);
+
+    const teacherResult = classifyPeople(
+      schoolDay.is_school_wide ? teachers : [],
+      groupStatuses(teacherRecords, 'teacher_id'),
+      leaves
+    );
+    const studentResult = classifyPeople(
+      studentsInSession,
+      groupStatuses(studentRecords, 'student_id'),
+      leaves,
+      new Set(placements.map(placement => placement.student_id.toString()))
+    );
+
+    await prisma.$transaction([
+      prisma.teacherAttendance.createMany({
+        data: teacherResult.absentIds.map(teacherId => ({ teacher_id: teacherId, timestamp: start, status: 'Alpa' }))
+      }),
+      prisma.studentAttendance.createMany({
+        data: studentResult.absentIds.map(studentId => ({ student_id: studentId, timestamp: start, status: 'Alpa' }))
+      })
+    ]);
+
+    const summarize = ({ absentIds, missingPulang, excluded, ...counts }) => ({
+      ...counts,
+      marked_absent: absentIds.length,
+      missing_pulang: missingPulang.length
+    });
+
+    return {
+      date: formatLocalDate(start),
+      grades_in_session: schoolDay.grades_in_session,
+      teachers: summarize(teacherResult),
+      students: {
+        ...summarize(studentResult),
+        on_internship: studentResult.excluded,
+        not_in_session: students.length - studentsInSession.length
+      },
+      missing_pulang: {
+        teachers: teacherResult.missingPulang.map(teacher => ({
+          id: teacher.id.toString(),
+          nip: teacher.nip,
+          full_name: teacher.full_name
+        })),
+        students: studentResult.missingPulang.map(student => ({
+          id: student.id.toString(),
+          nis: student.nis,
+          full_name: student.full_name,
+          class_name: student.current_class?.class_name || null
+        }))
+      }
+    };
+  }
+
+  /**
+   * Serialize job run data to handle BigInt and dates properly
+   */
+  serializeRun(jobRun) {
+    return {
+      ...serializeBigInt(jobRun),
+      target_date: jobRun.target_date.toISOString().split('T')[0]
+    };
+  }
+
+  /**
+   * Get absence detection runs, newest first
+   */
+  async getRuns(filters = {}) {
+    try {
+      const { status, date_from, date_to, page = 1, limit = 10 } = filters;
+
+      const where = { job_name: JOB_NAME };
+
+      if (status) where.status = status;
+      if (date_from || date_to) {
+        where.target_date = {};
+        if (date_from) where.target_date.gte = new Date(date_from);
+        if (date_to) where.target_date.lte = new Date(date_to);
+      }
+
+      const pagination = new Pagination(page, limit);
+
+      const [runs, total] = await Promise.all([
+        prisma.jobRun.findMany({
+          where,
+          // The missing Pulang list can be long, it is only returned by getRunById
+          select: {
+            id: true,
+            job_name: true,
+            target_date: true,
+            trigger: true,
+            status: true,
+            error_message: true,
+            started_at: true,
+            finished_at: true,
+            triggered_by: { select: { id: true, username: true } }
+          },
+          orderBy: { started_at: 'desc' },
+          skip: pagination.getOffset(),
+          take: pagination.limit
+        }),
+        prisma.jobRun.count({ where })
+      ]);
+
+      return {
+        data: runs.map(run => this.serializeRun(run)),
+        meta: new Pagination(page, limit, total).getMeta()
+      };
+    } catch (error) {
+      logger.error('Error in getRuns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an absence detection run with its full outcome
+   */
+  async getRunById(id) {
+    try {
+      const run = await prisma.jobRun.findFirst({
+        where: { id: BigInt(id), job_name: JOB_NAME },
+        include: {
+          triggered_by: { select: { id: true, username: true } }
+        }
+      });
+
+      if (!run) {
+        throw new Error('Job run not found');
+      }
+
+      return this.serializeRun(run);
+    } catch (error) {
+      logger.error('Error in getRunById:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AbsenceDetectionService();
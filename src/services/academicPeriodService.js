@@ -0,0 +1,242 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const READ_ONLY_MESSAGE = 'Archived academic period is read-only';
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+function readOnlyError() {
+  const error = new Error(READ_ONLY_MESSAGE);
+  error.status = 403;
+  return error;
+}
+
+class AcademicPeriodService {
+  /**
+   * Serialize a semester with its academic year
+   */
+  serializePeriod(semester) {
+    if (!semester) return null;
+
+    return {
+      semester_id: semester.id,
+      term: semester.term,
+      status: semester.status,
+      start_date: formatDate(semester.start_date),
+      end_date: formatDate(semester.end_date),
+      academic_year_id: semester.academic_year_id,
+      academic_year: semester.academic_year ? semester.academic_year.name : null
+    };
+  }
+
+  /**
+   * Get the active semester with its academic year, or null when none is active yet
+   */
+  async getActivePeriod() {
+    try {
+      const semester = await prisma.semester.findFirst({
+        where: { status: 'Active' },
+        include: { academic_year: true }
+      });
+
+      return this.serializePeriod(semester);
+    } catch (error) {
+      logger.error('Error in getActivePeriod:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the period a list is scoped to. Without an explicit semester or
+   * academic year the active period is used; null means no period is active
+   * yet and lists stay unscoped.
+   */
+  async resolveScope(filters = {}) {
+    try {
+      const { semester_id, academic_year_id } = filters;
+
+      if (semester_id) {
+        const semester = await prisma.semester.findUnique({
+          where: { id: parseInt(semester_id) },
+          include: { academic_year: true }
+        });
+
+        if (!semester) {
+          throw new Error('Semester not found');
+        }
+
+        return this.serializePeriod(semester);
+      }
+
+      if (academic_year_id) {
+        const academicYear = await prisma.academicYear.findUnique({
+          where: { id: parseInt(academic_year_id) }
+        });
+
+        if (!academicYear) {
+          throw new Error('Academic year not found');
+        }
+
+        return {
+          semester_id: null,
+          term: null,
+          status: null,
+          start_date: formatDate(academicYear.start_date),
+          end_date: formatDate(academicYear.end_date),
+          academic_year_id: academicYear.id,
+          academic_year: academicYear.name
+        };
+      }
+
+      return this.getActivePeriod();
+    } catch (error) {
+      logger.error('Error in resolveScope:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Prisma filter for classes within a scope
+   */
+  classWhere(scope) {
+    return scope ? { academic_year_id: scope.academic_year_id } : {};
+  }
+
+  /**
+   * Prisma filter for schedules or journals within a scope
+   */
+  semesterWhere(scope) {
+    if (!scope) return {};
+
+    return scope.semester_id
+      ? { semester_id: scope.semester_id }
+      : { semester: { academic_year_id: scope.academic_year_id } };
+  }
+
+  /**
+   * Make sure a semester can still be changed
+   */
+  async assertSemesterWritable(semesterId) {
+    if (!semesterId) return;
+
+    const semester = await prisma.semester.findUnique({
+      where: { id: parseInt(semesterId) },
+      select: { status: true }
+    });
+
+    if (semester && semester.status === 'Archived') {
+      throw readOnlyError();
+    }
+  }
+
+  /**
+   * Make sure an academic year can still be changed. A year is archived
+   * once all of its semesters are.
+   */
+  async assertAcademicYearWritable(academicYearId) {
+    if (!academicYearId) return;
+
+    const semesters = await prisma.semester.findMany({
+      where: { academic_year_id: parseInt(academicYearId) },
+      select: { status: true }
+    });
+
+    if (semesters.length > 0 && semesters.every(semester => semester.status === 'Archived')) {
+      throw readOnlyError();
+    }
+  }
+
+  /**
+   * Make the semester the active period. The previous active semester is
+   * archived, and data created before periods existed joins the new one.
+   */
+  async activateSemester(id) {
+    try {
+      const semester = await prisma.semester.findUnique({
+        where: { id: parseInt(id) },
+        include: { academic_year: true }
+      });
+
+      if (!semester) {
+        throw new Error('Semester not found');
+      }
+
+      if (semester.status === 'Archived') {
+        throw readOnlyError();
+      }
+
+      if (semester.status === 'Active') {
+        throw new Error('Semester is already active');
+      }
+
+      const previous = await prisma.semester.findFirst({
+        where: { status: 'Active' }
+      });
+
+      const adopted = await prisma.$transaction(async (tx) => {
+        if (previous) {
+          await tx.semester.update({
+            where: { id: previous.id },
+            data: { status: 'Archived' }
+          });
+        }
+
+        await tx.semester.update({
+          where: { id: semester.id },
+          data: { status: 'Active' }
+        });
+
+        const [classes, schedules] = await Promise.all([
+          tx.class.updateMany({
+            where: { academic_year_id: null },
+            data: { academic_year_id: semester.academic_year_id }
+          }),
+          tx.schedule.updateMany({
+            where: { semester_id: null },
+            data: { semester_id: semester.id }
+          })
+        ]);
+
+        const journals = await tx.teachingJournal.updateMany({
+          where: { semester_id: null },
+          data: { semester_id: semester.id }
+        });
+
+        const exams = await tx.exam.updateMany({
+          where: { academic_year_id: null, academic_year: semester.academic_year.name },
+          data: { academic_year_id: semester.academic_year_id }
+        });
+
+        return {
+          classes: classes.count,
+          schedules: schedules.count,
+          journals: journals.count,
+          exams: exams.count
+        };
+      });
+
+      logger.info('Academic period activated', {
+        semesterId: semester.id,
+        academicYear: semester.academic_year.name,
+        term: semester.term,
+        archivedSemesterId: previous ? previous.id : null,
+        adopted
+      });
+
+      return {
+        active: await this.getActivePeriod(),
+        archived_semester_id: previous ? previous.id : null,
+        adopted
+      };
+    } catch (error) {
+      logger.error('Error in activateSemester:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AcademicPeriodService();
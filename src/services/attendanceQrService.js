@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const logger = require('../utils/logger');
+const attendanceService = require('./attendanceService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Signature of a rotation window
+ */
+function signWindow(rotationSeconds, window) {
+  return crypto
+    .createHmac('sha256', config.attendanceQr.secret)
+    .update(`attendance-qr:${rotationSeconds}:${window}`)
+    .digest('base64url')
+    .slice(0, 32);
+}
+
+function currentWindow(now = Date.now()) {
+  return Math.floor(now / (config.attendanceQr.rotationSeconds * 1000));
+}
+
+class AttendanceQrService {
+  /**
+   * Get the token of the current rotation window as a QR image.
+   * Every display shows the same code within a window.
+   */
+  async getCurrentQr() {
+    try {
+      const { rotationSeconds } = config.attendanceQr;
+      const window = currentWindow();
+      const token = `${rotationSeconds}.${window}.${signWindow(rotationSeconds, window)}`;
+
+      const rotatesAt = new Date((window + 1) * rotationSeconds * 1000);
+      // The previous code stays valid for one more rotation to cover scanning delay
+      const expiresAt = new Date((window + 2) * rotationSeconds * 1000);
+
+      return {
+        token,
+        qr_code: await QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 1, width: 320 }),
+        rotation_seconds: rotationSeconds,
+        rotates_at: rotatesAt,
+        expires_at: expiresAt
+      };
+    } catch (error) {
+      logger.error('Error in getCurrentQr:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate signature and age of a scanned token
+   */
+  verifyToken(token) {
+    const [rotationPart, windowPart, signature] = String(token).split('.');
+    const rotationSeconds = parseInt(rotationPart);
+    const window = parseInt(windowPart);
+
+    if (!signature || rotationSeconds !== config.attendanceQr.rotationSeconds || Number.isNaN(window)) {
+      throw new Error('Invalid QR token');
+    }
+
+    const expected = Buffer.from(signWindow(rotationSeconds, window));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid QR token');
+    }
+
+    const now = currentWindow();
+
+    if (window > now) {
+      throw new Error('Invalid QR token');
+    }
+
+    if (window < now - 1) {
+      throw new Error('QR token has expired, scan the current code');
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a teacher's own attendance from a scanned QR token
+   */
+  async checkIn(teacherId, attendanceData) {
+    try {
+      const { qr_token, ...recordData } = attendanceData;
+
+      if (!qr_token) {
+        throw new Error('QR token is required');
+      }
+
+      this.verifyToken(qr_token);
+
+      const tokenHash = crypto.createHash('sha256').update(qr_token).digest('hex');
+
+      let scan;
+      try {
+        scan = await prisma.attendanceQrScan.create({
+          data: {
+            token_hash: tokenHash,
+            teacher_id: BigInt(teacherId)
+          }
+        });
+      } catch (error) {
+        if (error.code === 'P2002') {
+          throw new Error('QR token has already been used, scan the current code');
+        }
+        throw error;
+      }
+
+      try {
+        return await attendanceService.recordTeacherAttendance(teacherId, recordData);
+      } catch (error) {
+        // Give the token back so the teacher can retry (e.g. with the other status)
+        await prisma.attendanceQrScan.delete({ where: { id: scan.id } });
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error in checkIn:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove scans of tokens that can no longer be accepted. A token stays
+   * valid for two rotations, so older scans have nothing left to guard.
+   */
+  async purge() {
+    const cutoff = new Date(Date.now() - 2 * config.attendanceQr.rotationSeconds * 1000);
+    const { count } = await prisma.attendanceQrScan.deleteMany({
+      where: { scanned_at: { lt: cutoff } }
+    });
+
+    return count;
+  }
+}
+
+module.exports = new AttendanceQrService();
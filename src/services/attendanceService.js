@@ -1,5 +1,11 @@
 const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
 const logger = require('../utils/logger');
+const calendarService = require('./calendarService');
+const leaveRequestService = require('./leaveRequestService');
+const geofenceService = require('./geofenceService');
+const workingHourService = require('./workingHourService');
+const classMembershipService = require('./classMembershipService');
 
 const prisma = new PrismaClient();
 
@@ -42,14 +48,21 @@ class AttendanceService {
         throw new Error(`Teacher already recorded ${status.toLowerCase()} attendance today`);
       }
 
+      const geofence = await geofenceService.evaluateCheckIn(location_coordinates);
+
+      const now = new Date();
+      const punctuality = await workingHourService.classify({ appliesTo: 'Teacher', status, timestamp: now, teacher });
+
       // Create attendance record
       const attendance = await prisma.teacherAttendance.create({
         data: {
           teacher_id: BigInt(teacherId),
-          timestamp: new Date(),
+          timestamp: now,
           status: status,
           location_coordinates: location_coordinates || null,
-          photo_path: photo_path || null
+          photo_path: photo_path || null,
+          ...geofence,
+          ...punctuality
         },
         include: {
           teacher: {
@@ -106,7 +119,7 @@ class AttendanceService {
       }
 
       // Verify student belongs to the scheduled class
-      if (student.class_id !== schedule.class_id) {
+      if (student.current_class_id !== schedule.class_id) {
         throw new Error('Student does not belong to this class');
       }
 
@@ -119,6 +132,7 @@ class AttendanceService {
       const existingAttendance = await prisma.studentAttendance.findFirst({
         where: {
           student_id: BigInt(studentId),
+          schedule_id: schedule.id,
           status: status,
           timestamp: {
             gte: today,
@@ -128,16 +142,25 @@ class AttendanceService {
       });
 
       if (existingAttendance) {
-        throw new Error(`Student already recorded ${status.toLowerCase()} attendance today`);
+        throw new Error(`Student already recorded ${status.toLowerCase()} attendance for this schedule today`);
       }
 
+      // PKL students are checked against their company instead of only the school
+      const geofence = await geofenceService.evaluateCheckIn(location_coordinates, { studentId });
+
+      const now = new Date();
+      const punctuality = await workingHourService.classify({ appliesTo: 'Student', status, timestamp: now });
+
       // Create attendance record
       const attendance = await prisma.studentAttendance.create({
         data: {
           student_id: BigInt(studentId),
-          timestamp: new Date(),
+          timestamp: now,
           status: status,
-          location_coordinates: location_coordinates || null
+          location_coordinates: location_coordinates || null,
+          schedule_id: schedule.id,
+          ...geofence,
+          ...punctuality
         },
         include: {
           student: {
@@ -164,6 +187,109 @@ class AttendanceService {
     }
   }
 
+  /**
+   * Record a student's RFID tap at a gate device.
+   * Before the checkout time a tap is Masuk, from then on it is Pulang;
+   * taps inside the duplicate window or repeating today's status are ignored.
+   */
+  async recordRfidTap(rfidUid, device) {
+    try {
+      const student = await prisma.student.findUnique({
+        where: { rfid_uid: rfidUid },
+        include: {
+          current_class: { select: { class_name: true } }
+        }
+      });
+
+      if (!student) {
+        throw new Error('RFID card is not registered');
+      }
+
+      if (student.status !== 'AKTIF') {
+        throw new Error('Student is not active');
+      }
+
+      const now = new Date();
+      const today = new Date(now);
+      today.setHours(0, 0, 0, 0);
+      const tomorrow = new Date(today);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+
+      const todayTaps = await prisma.studentAttendance.findMany({
+        where: {
+          student_id: student.id,
+          timestamp: {
+            gte: today,
+            lt: tomorrow
+          }
+        },
+        orderBy: { timestamp: 'desc' }
+      });
+
+      const [hours, minutes] = config.rfid.checkoutStartTime.split(':').map(Number);
+      const checkoutStart = new Date(today);
+      checkoutStart.setHours(hours, minutes || 0, 0, 0);
+
+      const status = now < checkoutStart ? 'Masuk' : 'Pulang';
+
+      const studentInfo = {
+        id: student.id.toString(),
+        nis: student.nis,
+        full_name: student.full_name,
+        class_name: student.current_class?.class_name || null
+      };
+
+      const ignored = (reason) => ({
+        recorded: false,
+        status,
+        reason,
+        student: studentInfo,
+        timestamp: now
+      });
+
+      const lastTap = todayTaps[0];
+      if (lastTap && now - lastTap.timestamp < config.rfid.duplicateTapWindowSeconds * 1000) {
+        return ignored('Duplicate tap');
+      }
+
+      if (todayTaps.some(tap => tap.status === status)) {
+        return ignored(`Already recorded ${status.toLowerCase()} today`);
+      }
+
+      const punctuality = await workingHourService.classify({ appliesTo: 'Student', status, timestamp: now });
+
+      const attendance = await prisma.studentAttendance.create({
+        data: {
+          student_id: student.id,
+          timestamp: now,
+          status,
+          gate_device_id: device.id,
+          ...punctuality
+        }
+      });
+
+      logger.info('RFID tap recorded', {
+        studentId: student.id.toString(),
+        status,
+        deviceCode: device.device_code
+      });
+
+      return {
+        recorded: true,
+        status,
+        reason: null,
+        student: studentInfo,
+        attendance_id: attendance.id.toString(),
+        timestamp: attendance.timestamp,
+        punctuality: attendance.punctuality,
+        deviation_minutes: attendance.deviation_minutes
+      };
+    } catch (error) {
+      logger.error('Error in recordRfidTap:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get teacher attendance records with filters
    */
@@ -271,10 +397,9 @@ class AttendanceService {
         where.student_id = BigInt(student_id);
       }
 
+      // Records taken while the student was in the class, also after they moved on
       if (class_id) {
-        where.student = {
-          class_id: BigInt(class_id)
-        };
+        Object.assign(where, await classMembershipService.attendanceWhereForClass(class_id));
       }
 
       if (status) {
@@ -323,6 +448,8 @@ class AttendanceService {
         prisma.studentAttendance.count({ where })
       ]);
 
+      await this.labelClassAtTime(attendances);
+
       const serializedAttendances = attendances.map(attendance => 
         this.serializeStudentAttendance(attendance)
       );
@@ -358,42 +485,79 @@ class AttendanceService {
       const nextDate = new Date(targetDate);
       nextDate.setDate(nextDate.getDate() + 1);
 
+      // Check-ins rejected during geofence review do not count
       const where = {
         timestamp: {
           gte: targetDate,
           lt: nextDate
-        }
+        },
+        ...geofenceService.countedAttendanceWhere()
+      };
+
+      let summary = {
+        school_day: await calendarService.isEffectiveSchoolDay(targetDate)
       };
 
-      let summary = {};
+      // Approved leave on this date counts as excused rather than absent
+      const approvedLeaves = await leaveRequestService.getApprovedLeavesOnDate(targetDate);
 
       if (type === 'teacher' || type === 'all') {
-        const teacherStats = await prisma.teacherAttendance.groupBy({
-          by: ['status'],
-          where,
-          _count: {
-            id: true
-          }
-        });
+        const [teacherStats, teachers, checkedIn] = await Promise.all([
+          prisma.teacherAttendance.groupBy({
+            by: ['status', 'punctuality'],
+            where,
+            _count: {
+              id: true
+            }
+          }),
+          prisma.teacher.findMany({
+            where: { user: { is_active: true } },
+            select: { id: true, user_id: true }
+          }),
+          prisma.teacherAttendance.findMany({
+            where: { ...where, status: 'Masuk' },
+            select: { teacher_id: true },
+            distinct: ['teacher_id']
+          })
+        ]);
 
         summary.teachers = {
-          masuk: teacherStats.find(s => s.status === 'Masuk')?._count.id || 0,
-          pulang: teacherStats.find(s => s.status === 'Pulang')?._count.id || 0
+          ...this.countByStatusAndPunctuality(teacherStats),
+          ...this.countExcusedAndAbsent(
+            teachers,
+            new Set(checkedIn.map(record => record.teacher_id.toString())),
+            approvedLeaves
+          )
         };
       }
 
       if (type === 'student' || type === 'all') {
-        const studentStats = await prisma.studentAttendance.groupBy({
-          by: ['status'],
-          where,
-          _count: {
-            id: true
-          }
-        });
+        const [studentStats, students, checkedIn] = await Promise.all([
+          prisma.studentAttendance.groupBy({
+            by: ['status', 'punctuality'],
+            where,
+            _count: {
+              id: true
+            }
+          }),
+          prisma.student.findMany({
+            where: { status: 'AKTIF', user: { is_active: true } },
+            select: { id: true, user_id: true }
+          }),
+          prisma.studentAttendance.findMany({
+            where: { ...where, status: 'Masuk' },
+            select: { student_id: true },
+            distinct: ['student_id']
+          })
+        ]);
 
         summary.students = {
-          masuk: studentStats.find(s => s.status === 'Masuk')?._count.id || 0,
-          pulang: studentStats.find(s => s.status === 'Pulang')?._count.id || 0
+          ...this.countByStatusAndPunctuality(studentStats),
+          ...this.countExcusedAndAbsent(
+            students,
+            new Set(checkedIn.map(record => record.student_id.toString())),
+            approvedLeaves
+          )
         };
       }
 
@@ -419,7 +583,9 @@ class AttendanceService {
         group_by = 'day' // 'day', 'week', 'month'
       } = filters;
 
-      const where = {};
+      // Check-ins rejected during geofence review do not count; kept under AND
+      // so the class filter can add its own OR
+      const where = { AND: [geofenceService.countedAttendanceWhere()] };
 
       if (date_from || date_to) {
         where.timestamp = {};
@@ -461,9 +627,7 @@ class AttendanceService {
         report = this.groupAttendanceData(attendances, group_by, 'teacher');
       } else {
         if (class_id) {
-          where.student = {
-            class_id: BigInt(class_id)
-          };
+          Object.assign(where, await classMembershipService.attendanceWhereForClass(class_id));
         }
         if (student_id) {
           where.student_id = BigInt(student_id);
@@ -492,9 +656,15 @@ class AttendanceService {
           }
         });
 
+        await this.labelClassAtTime(attendances);
+
         report = this.groupAttendanceData(attendances, group_by, 'student');
       }
 
+      if (group_by === 'day' && report.length > 0) {
+        await this.markEffectiveSchoolDays(report, type === 'student' ? class_id : null);
+      }
+
       return report;
     } catch (error) {
       logger.error('Error in getAttendanceReport:', error);
@@ -558,11 +728,16 @@ class AttendanceService {
         }
       }
 
+      const approvedLeaves = await leaveRequestService.getApprovedLeavesOnDate(today, [userId]);
+      const leave = approvedLeaves.get(userId.toString());
+
       const status = {
         hasCheckedIn: false,
         hasCheckedOut: false,
         checkInTime: null,
-        checkOutTime: null
+        checkOutTime: null,
+        onLeave: Boolean(leave),
+        leaveType: leave ? leave.request_type : null
       };
 
       if (attendance && attendance.length > 0) {
@@ -584,6 +759,78 @@ class AttendanceService {
     }
   }
 
+  /**
+   * Masuk/Pulang counts plus on-time, late and early departure counts
+   * from a groupBy over status and punctuality
+   */
+  countByStatusAndPunctuality(stats) {
+    const counts = { masuk: 0, pulang: 0, alpa: 0, on_time: 0, late: 0, early_departure: 0 };
+    const punctualityKeys = { OnTime: 'on_time', Late: 'late', EarlyDeparture: 'early_departure' };
+
+    stats.forEach(stat => {
+      counts[stat.status.toLowerCase()] += stat._count.id;
+      if (stat.punctuality) {
+        counts[punctualityKeys[stat.punctuality]] += stat._count.id;
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Count people without a check-in as excused (approved leave) or absent
+   */
+  countExcusedAndAbsent(people, checkedInIds, approvedLeaves) {
+    let excused = 0;
+    let absent = 0;
+
+    people.forEach(person => {
+      if (checkedInIds.has(person.id.toString())) {
+        return;
+      }
+
+      if (approvedLeaves.has(person.user_id.toString())) {
+        excused++;
+      } else {
+        absent++;
+      }
+    });
+
+    return { excused, absent };
+  }
+
+  /**
+   * Flag each day group with whether it was an effective school day,
+   * for the class's grade level when the report covers one class
+   */
+  async markEffectiveSchoolDays(days, classId = null) {
+    const classData = classId
+      ? await prisma.class.findUnique({ where: { id: BigInt(classId) }, select: { grade_level: true } })
+      : null;
+
+    const resolver = await calendarService.getCalendarResolver(days[0].date, days[days.length - 1].date);
+
+    days.forEach(day => {
+      day.is_effective_school_day = resolver.resolve(day.date, classData?.grade_level ?? null).is_effective;
+    });
+  }
+
+  /**
+   * Label student attendance with the class the student was in when it was
+   * recorded instead of the current class
+   */
+  async labelClassAtTime(attendances) {
+    const studentIds = [...new Set(attendances.map(attendance => attendance.student_id.toString()))];
+    const resolver = await classMembershipService.getClassResolver(studentIds);
+
+    attendances.forEach(attendance => {
+      const resolved = resolver.classAt(attendance.student_id, attendance.timestamp);
+      if (resolved && attendance.student) {
+        attendance.student.current_class = resolved.class;
+      }
+    });
+  }
+
   /**
    * Group attendance data by specified period
    */
@@ -615,6 +862,11 @@ class AttendanceService {
           date: key,
           masuk: 0,
           pulang: 0,
+          alpa: 0,
+          on_time: 0,
+          late: 0,
+          late_minutes: 0,
+          early_departure: 0,
           records: []
         };
       }
@@ -623,6 +875,17 @@ class AttendanceService {
         grouped[key].masuk++;
       } else if (attendance.status === 'Pulang') {
         grouped[key].pulang++;
+      } else if (attendance.status === 'Alpa') {
+        grouped[key].alpa++;
+      }
+
+      if (attendance.punctuality === 'OnTime') {
+        grouped[key].on_time++;
+      } else if (attendance.punctuality === 'Late') {
+        grouped[key].late++;
+        grouped[key].late_minutes += attendance.deviation_minutes || 0;
+      } else if (attendance.punctuality === 'EarlyDeparture') {
+        grouped[key].early_departure++;
       }
 
       grouped[key].records.push(
@@ -646,6 +909,10 @@ class AttendanceService {
       status: attendance.status,
       location_coordinates: attendance.location_coordinates,
       photo_path: attendance.photo_path,
+      geofence_status: attendance.geofence_status,
+      review_status: attendance.review_status,
+      punctuality: attendance.punctuality,
+      deviation_minutes: attendance.deviation_minutes,
       teacher: attendance.teacher ? {
         id: attendance.teacher.id.toString(),
         nip: attendance.teacher.nip,
@@ -667,12 +934,17 @@ class AttendanceService {
       timestamp: attendance.timestamp,
       status: attendance.status,
       location_coordinates: attendance.location_coordinates,
+      schedule_id: attendance.schedule_id ? attendance.schedule_id.toString() : null,
+      geofence_status: attendance.geofence_status,
+      review_status: attendance.review_status,
+      punctuality: attendance.punctuality,
+      deviation_minutes: attendance.deviation_minutes,
       student: attendance.student ? {
         id: attendance.student.id.toString(),
         nis: attendance.student.nis,
         full_name: attendance.student.full_name,
-        class: attendance.student.class ? {
-          class_name: attendance.student.class.class_name
+        class: attendance.student.current_class ? {
+          class_name: attendance.student.current_class.class_name
         } : null,
         user: attendance.student.user ? {
           username: attendance.student.user.username
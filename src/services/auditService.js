@@ -0,0 +1,83 @@
+const database = require('../config/database');
+const { serializeBigInt, Pagination } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class AuditService {
+  constructor() {
+    this.prisma = database.getClient();
+  }
+
+  /**
+   * Record a security event. Failing to write the audit trail is logged
+   * but never breaks the action being audited.
+   */
+  async record(action, entry = {}) {
+    try {
+      await this.prisma.auditLog.create({
+        data: {
+          action,
+          actor_id: entry.actor_id ? BigInt(entry.actor_id) : null,
+          target_user_id: entry.target_user_id ? BigInt(entry.target_user_id) : null,
+          ip_address: entry.ip_address || null,
+          details: entry.details || undefined
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to record audit event ${action}`, error);
+    }
+  }
+
+  /**
+   * Get audit trail entries, newest first
+   */
+  async getLogs(filters = {}) {
+    try {
+      const { action, user_id, date_from, date_to, page = 1, limit = 10 } = filters;
+
+      const where = {};
+
+      if (action) where.action = action;
+      if (user_id) {
+        where.OR = [
+          { actor_id: BigInt(user_id) },
+          { target_user_id: BigInt(user_id) }
+        ];
+      }
+      if (date_from || date_to) {
+        where.created_at = {};
+        if (date_from) where.created_at.gte = new Date(date_from);
+        if (date_to) {
+          const endDate = new Date(date_to);
+          endDate.setHours(23, 59, 59, 999);
+          where.created_at.lte = endDate;
+        }
+      }
+
+      const pagination = new Pagination(page, limit);
+
+      const [logs, total] = await Promise.all([
+        this.prisma.auditLog.findMany({
+          where,
+          include: {
+            actor: { select: { id: true, username: true } },
+            target_user: { select: { id: true, username: true } }
+          },
+          orderBy: { created_at: 'desc' },
+          skip: pagination.getOffset(),
+          take: pagination.limit
+        }),
+        this.prisma.auditLog.count({ where })
+      ]);
+
+      return {
+        data: logs.map(log => serializeBigInt(log)),
+        meta: new Pagination(page, limit, total).getMeta()
+      };
+    } catch (error) {
+      logger.error('Get audit logs failed', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -1,14 +1,48 @@
 const database = require('../config/database');
 const { 
   hashPassword, 
-  comparePassword, 
-  generateAccessToken, 
-  generateRefreshToken,
-  createTokenPayload,
-  verifyRefreshToken 
+  comparePassword,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
 } = require('../utils/auth');
 const { serializeBigInt } = require('../utils/helpers');
 const logger = require('../utils/logger');
+const sessionService = require('./sessionService');
+const loginThrottleService = require('./loginThrottleService');
+const twoFactorService = require('./twoFactorService');
+const securityPolicyService = require('./securityPolicyService');
+
+// Related data returned with the user after a successful login
+const LOGIN_USER_INCLUDE = {
+  teacher: {
+    select: {
+      id: true,
+      full_name: true,
+      nip: true,
+      employment_status: true,
+    }
+  },
+  student: {
+    select: {
+      id: true,
+      full_name: true,
+      nis: true,
+      current_class: {
+        select: {
+          id: true,
+          class_name: true,
+          grade_level: true,
+        }
+      }
+    }
+  }
+};
+
+function invalidTwoFactorChallenge() {
+  const error = new Error('Invalid or expired two-factor challenge');
+  error.statusCode = 401;
+  return error;
+}
 
 class AuthService {
   constructor() {
@@ -16,74 +50,43 @@ class AuthService {
   }
 
   /**
-   * Login user
+   * Login user and start a session for the device. Failed attempts are
+   * throttled per username and per IP. With 2FA enabled the password only
+   * earns a challenge token, to be completed with verifyTwoFactor.
    */
-  async login(username, password) {
+  async login(username, password, context = {}) {
     try {
+      await loginThrottleService.assertAllowed(username, context.ip_address);
+
       // Find user with related data
       const user = await this.prisma.user.findUnique({
         where: { username, is_active: true },
-        include: {
-          teacher: {
-            select: {
-              id: true,
-              full_name: true,
-              nip: true,
-              employment_status: true,
-            }
-          },
-          student: {
-            select: {
-              id: true,
-              full_name: true,
-              nis: true,
-              current_class: {
-                select: {
-                  id: true,
-                  class_name: true,
-                  grade_level: true,
-                }
-              }
-            }
-          }
-        }
+        include: LOGIN_USER_INCLUDE
       });
 
       if (!user) {
+        await loginThrottleService.recordFailure(username, context.ip_address);
         throw new Error('Invalid credentials');
       }
 
       // Check password
       const isPasswordValid = await comparePassword(password, user.password);
       if (!isPasswordValid) {
+        await loginThrottleService.recordFailure(username, context.ip_address);
         throw new Error('Invalid credentials');
       }
 
-      // Update last login
-      await this.prisma.user.update({
-        where: { id: user.id },
-        data: { last_login: new Date() }
-      });
+      // Failures are only cleared once the second factor passes as well
+      if (user.two_factor_enabled_at) {
+        logger.info(`User ${username} passed the password step, awaiting two-factor code`);
 
-      // Create token payload
-      const tokenPayload = createTokenPayload(user);
-      
-      // Generate tokens
-      const accessToken = generateAccessToken(tokenPayload);
-      const refreshToken = generateRefreshToken(tokenPayload);
-
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
-
-      logger.info(`User ${username} logged in successfully`);
+        return {
+          two_factor_required: true,
+          challenge_token: generateTwoFactorChallenge(user)
+        };
+      }
 
-      return {
-        user: serializeBigInt(userWithoutPassword),
-        tokens: {
-          accessToken,
-          refreshToken,
-        }
-      };
+      return await this.completeLogin(user, context);
     } catch (error) {
       logger.error(`Login failed for username: ${username}`, error);
       throw error;
@@ -91,49 +94,119 @@ class AuthService {
   }
 
   /**
-   * Refresh access token
+   * Second step of a 2FA login: an authenticator code or a recovery code
+   * for the challenge issued by login
    */
-  async refreshToken(refreshToken) {
+  async verifyTwoFactor(challengeToken, data, context = {}) {
     try {
-      // Verify refresh token
-      const decoded = verifyRefreshToken(refreshToken);
-      
-      // Get user
+      let decoded;
+      try {
+        decoded = verifyTwoFactorChallenge(challengeToken);
+      } catch (error) {
+        throw invalidTwoFactorChallenge();
+      }
+
       const user = await this.prisma.user.findUnique({
-        where: { 
-          id: BigInt(decoded.userId),
-          is_active: true 
-        },
-        select: {
-          id: true,
-          username: true,
-          role: true,
-        }
+        where: { id: BigInt(decoded.userId), is_active: true },
+        include: LOGIN_USER_INCLUDE
       });
 
-      if (!user) {
-        throw new Error('User not found');
+      if (!user || !user.two_factor_enabled_at) {
+        throw invalidTwoFactorChallenge();
       }
 
-      // Generate new tokens
-      const tokenPayload = createTokenPayload(user);
-      const newAccessToken = generateAccessToken(tokenPayload);
-      const newRefreshToken = generateRefreshToken(tokenPayload);
+      await loginThrottleService.assertAllowed(user.username, context.ip_address);
 
-      return {
-        accessToken: newAccessToken,
-        refreshToken: newRefreshToken,
-      };
+      const isCodeValid = await twoFactorService.verifyLoginCode(user, data, context);
+      if (!isCodeValid) {
+        await loginThrottleService.recordFailure(user.username, context.ip_address);
+
+        const error = new Error('Invalid two-factor code');
+        error.statusCode = 401;
+        throw error;
+      }
+
+      return await this.completeLogin(user, context);
+    } catch (error) {
+      logger.error('Two-factor login failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the session of a fully authenticated user
+   */
+  async completeLogin(user, context) {
+    await loginThrottleService.recordSuccess(user.username);
+
+    // Update last login
+    await this.prisma.user.update({
+      where: { id: user.id },
+      data: { last_login: new Date() }
+    });
+
+    // Generate tokens
+    const tokens = await sessionService.createSession(user, context);
+
+    // Remove password and 2FA secrets from response
+    const {
+      password: _,
+      two_factor_secret: __,
+      two_factor_last_step: ___,
+      ...userWithoutSecrets
+    } = user;
+
+    logger.info(`User ${user.username} logged in successfully`);
+
+    const result = {
+      user: serializeBigInt(userWithoutSecrets),
+      tokens
+    };
+
+    // Until these are done the account can only reach its own account endpoints
+    if (user.must_change_password) {
+      result.password_change_required = true;
+    }
+    if (!user.two_factor_enabled_at && await securityPolicyService.isTwoFactorRequired(user.role)) {
+      result.two_factor_setup_required = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Refresh access token. The refresh token is rotated; the old one
+   * stops working.
+   */
+  async refreshToken(refreshToken) {
+    try {
+      return await sessionService.rotate(refreshToken);
     } catch (error) {
       logger.error('Token refresh failed', error);
-      throw new Error('Invalid or expired refresh token');
+      throw error;
     }
   }
 
   /**
-   * Change password
+   * Logout by revoking the current session
    */
-  async changePassword(userId, currentPassword, newPassword) {
+  async logout(userId, sessionId) {
+    try {
+      await sessionService.revoke(sessionId, 'Logout');
+
+      logger.info(`User ID ${userId} logged out`);
+
+      return { message: 'Logout successful' };
+    } catch (error) {
+      logger.error(`Logout failed for user ID: ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change password and sign out every other session of the user
+   */
+  async changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
     try {
       // Get user
       const user = await this.prisma.user.findUnique({
@@ -150,15 +223,29 @@ class AuthService {
         throw new Error('Current password is incorrect');
       }
 
+      if (await comparePassword(newPassword, user.password)) {
+        const error = new Error('New password must be different from the current password');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      await securityPolicyService.assertPasswordAllowed(newPassword, user.username);
+
       // Hash new password
       const hashedNewPassword = await hashPassword(newPassword);
 
-      // Update password
+      // Update password; this also satisfies a forced change
       await this.prisma.user.update({
         where: { id: BigInt(userId) },
-        data: { password: hashedNewPassword }
+        data: {
+          password: hashedNewPassword,
+          must_change_password: false,
+          password_changed_at: new Date()
+        }
       });
 
+      await sessionService.revokeAllForUser(user.id, 'Revoked', currentSessionId);
+
       logger.info(`Password changed for user ID: ${userId}`);
       
       return { message: 'Password changed successfully' };
@@ -181,6 +268,8 @@ class AuthService {
           role: true,
           is_active: true,
           last_login: true,
+          must_change_password: true,
+          two_factor_enabled_at: true,
           created_at: true,
           teacher: {
             select: {
@@ -0,0 +1,674 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const { parseIcsEvents } = require('../utils/ics');
+const logger = require('../utils/logger');
+const academicPeriodService = require('./academicPeriodService');
+
+const prisma = new PrismaClient();
+
+// Index sesuai Date#getUTCDay()
+const DAYS = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+const EVENT_TYPES = ['Libur', 'SetengahHari', 'Kegiatan', 'Ujian'];
+const MAX_RANGE_DAYS = 400;
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+/**
+ * Normalize to a date-only value (UTC midnight). Strings and values already at
+ * UTC midnight (validated query dates, @db.Date columns) keep their date; other
+ * timestamps use the server's local date, like attendance does.
+ */
+function toCalendarDate(value) {
+  if (typeof value === 'string') {
+    return new Date(value.slice(0, 10));
+  }
+
+  const date = new Date(value);
+
+  if (date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0) {
+    return date;
+  }
+
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+function appliesToGrade(event, gradeLevel) {
+  if (!Array.isArray(event.grade_levels) || event.grade_levels.length === 0) {
+    return true;
+  }
+
+  // Without a grade only school-wide events count
+  return gradeLevel !== null && gradeLevel !== undefined && event.grade_levels.includes(parseInt(gradeLevel));
+}
+
+function serializeEvent(event) {
+  return {
+    ...event,
+    start_date: formatDate(event.start_date),
+    end_date: formatDate(event.end_date)
+  };
+}
+
+function serializeAcademicYear(academicYear) {
+  return {
+    ...academicYear,
+    start_date: formatDate(academicYear.start_date),
+    end_date: formatDate(academicYear.end_date),
+    ...(academicYear.semesters && {
+      semesters: academicYear.semesters.map(semester => ({
+        ...semester,
+        start_date: formatDate(semester.start_date),
+        end_date: formatDate(semester.end_date)
+      }))
+    })
+  };
+}
+
+/**
+ * Resolve whether a date is an effective school day from preloaded calendar data
+ */
+function resolveDay(date, gradeLevel, calendar) {
+  const events = calendar.events
+    .filter(event => event.start_date <= date && event.end_date >= date && appliesToGrade(event, gradeLevel))
+    .map(serializeEvent);
+
+  const semester = calendar.semesters.find(item => item.start_date <= date && item.end_date >= date) || null;
+  const holiday = events.find(event => event.event_type === 'Libur');
+  const specialDay = events.find(event => event.event_type !== 'Libur');
+
+  let isEffective = true;
+  let reason = null;
+
+  if (calendar.hasSemesters && !semester) {
+    isEffective = false;
+    reason = 'Outside the semester period';
+  } else if (holiday) {
+    isEffective = false;
+    reason = `Holiday: ${holiday.title}`;
+  } else if (!config.calendar.schoolDays.includes(DAYS[date.getUTCDay()]) && !specialDay) {
+    // A special day (e.g. a Saturday exam) makes a non-school weekday effective
+    isEffective = false;
+    reason = `${DAYS[date.getUTCDay()]} is not a school day`;
+  }
+
+  return {
+    date: formatDate(date),
+    day_of_week: DAYS[date.getUTCDay()],
+    grade_level: gradeLevel !== null && gradeLevel !== undefined ? parseInt(gradeLevel) : null,
+    is_effective: isEffective,
+    reason,
+    day_type: isEffective && specialDay ? specialDay.event_type : (isEffective ? 'Reguler' : null),
+    semester: semester ? {
+      id: semester.id,
+      term: semester.term,
+      academic_year: semester.academic_year.name
+    } : null,
+    events
+  };
+}
+
+class CalendarService {
+  // ===== ACADEMIC YEARS & SEMESTERS =====
+
+  /**
+   * Get all academic years with their semesters
+   */
+  async getAllAcademicYears() {
+    try {
+      const academicYears = await prisma.academicYear.findMany({
+        include: { semesters: { orderBy: { start_date: 'asc' } } },
+        orderBy: { start_date: 'desc' }
+      });
+
+      return academicYears.map(serializeAcademicYear);
+    } catch (error) {
+      logger.error('Error in getAllAcademicYears:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get academic year by ID
+   */
+  async getAcademicYearById(id) {
+    try {
+      const academicYear = await prisma.academicYear.findUnique({
+        where: { id: parseInt(id) },
+        include: { semesters: { orderBy: { start_date: 'asc' } } }
+      });
+
+      if (!academicYear) {
+        throw new Error('Academic year not found');
+      }
+
+      return serializeAcademicYear(academicYear);
+    } catch (error) {
+      logger.error('Error in getAcademicYearById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure an academic year does not overlap another one
+   */
+  async validateAcademicYear(data, excludeId = null) {
+    if (data.end_date <= data.start_date) {
+      throw new Error('Academic year end date must be after start date');
+    }
+
+    const overlapping = await prisma.academicYear.findFirst({
+      where: {
+        start_date: { lte: data.end_date },
+        end_date: { gte: data.start_date },
+        ...(excludeId && { id: { not: excludeId } })
+      }
+    });
+
+    if (overlapping) {
+      throw new Error(`Academic year overlaps with ${overlapping.name}`);
+    }
+  }
+
+  /**
+   * Create new academic year
+   */
+  async createAcademicYear(academicYearData) {
+    try {
+      const data = {
+        name: academicYearData.name,
+        start_date: toCalendarDate(academicYearData.start_date),
+        end_date: toCalendarDate(academicYearData.end_date)
+      };
+
+      const existing = await prisma.academicYear.findUnique({ where: { name: data.name } });
+      if (existing) {
+        throw new Error('Academic year with this name already exists');
+      }
+
+      await this.validateAcademicYear(data);
+
+      const academicYear = await prisma.academicYear.create({
+        data,
+        include: { semesters: true }
+      });
+
+      logger.info('Academic year created', { academicYearId: academicYear.id, name: academicYear.name });
+
+      return serializeAcademicYear(academicYear);
+    } catch (error) {
+      logger.error('Error in createAcademicYear:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update academic year
+   */
+  async updateAcademicYear(id, updateData) {
+    try {
+      const existing = await prisma.academicYear.findUnique({
+        where: { id: parseInt(id) },
+        include: { semesters: true }
+      });
+
+      if (!existing) {
+        throw new Error('Academic year not found');
+      }
+
+      await academicPeriodService.assertAcademicYearWritable(existing.id);
+
+      const updateFields = {};
+      if (updateData.name !== undefined) updateFields.name = updateData.name;
+      if (updateData.start_date !== undefined) updateFields.start_date = toCalendarDate(updateData.start_date);
+      if (updateData.end_date !== undefined) updateFields.end_date = toCalendarDate(updateData.end_date);
+
+      if (updateFields.name && updateFields.name !== existing.name) {
+        const duplicate = await prisma.academicYear.findUnique({ where: { name: updateFields.name } });
+        if (duplicate) {
+          throw new Error('Academic year with this name already exists');
+        }
+      }
+
+      const merged = { ...existing, ...updateFields };
+      await this.validateAcademicYear(merged, existing.id);
+
+      const outside = existing.semesters.find(semester =>
+        semester.start_date < merged.start_date || semester.end_date > merged.end_date
+      );
+      if (outside) {
+        throw new Error(`Semester ${outside.term} falls outside the new academic year dates`);
+      }
+
+      const academicYear = await prisma.academicYear.update({
+        where: { id: existing.id },
+        data: updateFields,
+        include: { semesters: { orderBy: { start_date: 'asc' } } }
+      });
+
+      return serializeAcademicYear(academicYear);
+    } catch (error) {
+      logger.error('Error in updateAcademicYear:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an academic year that was never used, with its semesters.
+   * Events stay without a year.
+   */
+  async deleteAcademicYear(id) {
+    try {
+      const existing = await prisma.academicYear.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+          semesters: { select: { status: true } },
+          _count: { select: { classes: true, exams: true } }
+        }
+      });
+
+      if (!existing) {
+        throw new Error('Academic year not found');
+      }
+
+      const started = existing.semesters.some(semester => semester.status !== 'Draft');
+      if (started || existing._count.classes > 0 || existing._count.exams > 0) {
+        throw new Error('Cannot delete academic year that already has classes, exams or started semesters');
+      }
+
+      await prisma.academicYear.delete({ where: { id: existing.id } });
+
+      return { message: 'Academic year deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteAcademicYear:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace a semester (Ganjil/Genap) of an academic year
+   */
+  async saveSemester(academicYearId, semesterData) {
+    try {
+      const academicYear = await prisma.academicYear.findUnique({
+        where: { id: parseInt(academicYearId) },
+        include: { semesters: true }
+      });
+
+      if (!academicYear) {
+        throw new Error('Academic year not found');
+      }
+
+      const startDate = toCalendarDate(semesterData.start_date);
+      const endDate = toCalendarDate(semesterData.end_date);
+
+      if (endDate <= startDate) {
+        throw new Error('Semester end date must be after start date');
+      }
+
+      if (startDate < academicYear.start_date || endDate > academicYear.end_date) {
+        throw new Error('Semester must fall within the academic year');
+      }
+
+      const overlapping = academicYear.semesters.find(semester =>
+        semester.term !== semesterData.term && semester.start_date <= endDate && semester.end_date >= startDate
+      );
+      if (overlapping) {
+        throw new Error(`Semester overlaps with semester ${overlapping.term}`);
+      }
+
+      const current = academicYear.semesters.find(semester => semester.term === semesterData.term);
+      if (current) {
+        await academicPeriodService.assertSemesterWritable(current.id);
+      }
+
+      const key = { academic_year_id: academicYear.id, term: semesterData.term };
+
+      await prisma.semester.upsert({
+        where: { academic_year_term_unique: key },
+        create: { ...key, start_date: startDate, end_date: endDate },
+        update: { start_date: startDate, end_date: endDate }
+      });
+
+      return this.getAcademicYearById(academicYear.id);
+    } catch (error) {
+      logger.error('Error in saveSemester:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a draft semester that has no timetable yet
+   */
+  async deleteSemester(id) {
+    try {
+      const semester = await prisma.semester.findUnique({
+        where: { id: parseInt(id) },
+        include: { _count: { select: { schedules: true } } }
+      });
+
+      if (!semester) {
+        throw new Error('Semester not found');
+      }
+
+      if (semester.status !== 'Draft' || semester._count.schedules > 0) {
+        throw new Error('Cannot delete semester that has started or has schedules');
+      }
+
+      await prisma.semester.delete({ where: { id: semester.id } });
+
+      return { message: 'Semester deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteSemester:', error);
+      throw error;
+    }
+  }
+
+  // ===== CALENDAR EVENTS =====
+
+  /**
+   * Get calendar events overlapping a date range
+   */
+  async getEvents(filters = {}) {
+    try {
+      const { date_from, date_to, event_type, academic_year_id, grade_level } = filters;
+
+      const where = {};
+      if (event_type) where.event_type = event_type;
+      if (academic_year_id) where.academic_year_id = parseInt(academic_year_id);
+      if (date_from) where.end_date = { gte: toCalendarDate(date_from) };
+      if (date_to) where.start_date = { lte: toCalendarDate(date_to) };
+
+      const events = await prisma.calendarEvent.findMany({
+        where,
+        orderBy: { start_date: 'asc' }
+      });
+
+      return events
+        .filter(event => !grade_level || appliesToGrade(event, grade_level))
+        .map(serializeEvent);
+    } catch (error) {
+      logger.error('Error in getEvents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get calendar event by ID
+   */
+  async getEventById(id) {
+    try {
+      const event = await prisma.calendarEvent.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!event) {
+        throw new Error('Calendar event not found');
+      }
+
+      return serializeEvent(event);
+    } catch (error) {
+      logger.error('Error in getEventById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the academic year containing a date
+   */
+  async findAcademicYearId(date) {
+    const academicYear = await prisma.academicYear.findFirst({
+      where: { start_date: { lte: date }, end_date: { gte: date } },
+      select: { id: true }
+    });
+
+    return academicYear ? academicYear.id : null;
+  }
+
+  /**
+   * Create new calendar event
+   */
+  async createEvent(eventData) {
+    try {
+      const startDate = toCalendarDate(eventData.start_date);
+      const endDate = toCalendarDate(eventData.end_date || eventData.start_date);
+
+      if (endDate < startDate) {
+        throw new Error('Event end date must be on or after start date');
+      }
+
+      const event = await prisma.calendarEvent.create({
+        data: {
+          title: eventData.title,
+          event_type: eventData.event_type,
+          start_date: startDate,
+          end_date: endDate,
+          grade_levels: eventData.grade_levels && eventData.grade_levels.length > 0 ? eventData.grade_levels : null,
+          description: eventData.description || null,
+          academic_year_id: eventData.academic_year_id
+            ? parseInt(eventData.academic_year_id)
+            : await this.findAcademicYearId(startDate)
+        }
+      });
+
+      logger.info('Calendar event created', { eventId: event.id, eventType: event.event_type });
+
+      return serializeEvent(event);
+    } catch (error) {
+      logger.error('Error in createEvent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update calendar event
+   */
+  async updateEvent(id, updateData) {
+    try {
+      const existing = await prisma.calendarEvent.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!existing) {
+        throw new Error('Calendar event not found');
+      }
+
+      const updateFields = {};
+      if (updateData.title !== undefined) updateFields.title = updateData.title;
+      if (updateData.event_type !== undefined) updateFields.event_type = updateData.event_type;
+      if (updateData.description !== undefined) updateFields.description = updateData.description;
+      if (updateData.start_date !== undefined) updateFields.start_date = toCalendarDate(updateData.start_date);
+      if (updateData.end_date !== undefined) updateFields.end_date = toCalendarDate(updateData.end_date);
+      if (updateData.academic_year_id !== undefined) {
+        updateFields.academic_year_id = updateData.academic_year_id ? parseInt(updateData.academic_year_id) : null;
+      }
+      if (updateData.grade_levels !== undefined) {
+        updateFields.grade_levels = updateData.grade_levels && updateData.grade_levels.length > 0
+          ? updateData.grade_levels
+          : null;
+      }
+
+      const startDate = updateFields.start_date || existing.start_date;
+      const endDate = updateFields.end_date || existing.end_date;
+
+      if (endDate < startDate) {
+        throw new Error('Event end date must be on or after start date');
+      }
+
+      const event = await prisma.calendarEvent.update({
+        where: { id: existing.id },
+        data: updateFields
+      });
+
+      return serializeEvent(event);
+    } catch (error) {
+      logger.error('Error in updateEvent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete calendar event
+   */
+  async deleteEvent(id) {
+    try {
+      const existing = await prisma.calendarEvent.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!existing) {
+        throw new Error('Calendar event not found');
+      }
+
+      await prisma.calendarEvent.delete({ where: { id: existing.id } });
+
+      return { message: 'Calendar event deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteEvent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import events from an iCalendar file. Events are matched on their UID,
+   * so importing the same file again updates instead of duplicating.
+   * The event type comes from CATEGORIES when it names one, else the default.
+   */
+  async importIcs(content, options = {}) {
+    try {
+      const { event_type: defaultType = 'Libur', grade_levels } = options;
+
+      const parsed = parseIcsEvents(content);
+
+      if (parsed.length === 0) {
+        throw new Error('No events found in the iCalendar file');
+      }
+
+      const result = { created: 0, updated: 0, total: parsed.length };
+
+      for (const item of parsed) {
+        const startDate = new Date(item.start_date);
+        const category = item.categories.find(name =>
+          EVENT_TYPES.some(type => type.toLowerCase() === name.replace(/\s+/g, '').toLowerCase())
+        );
+        const eventType = category
+          ? EVENT_TYPES.find(type => type.toLowerCase() === category.replace(/\s+/g, '').toLowerCase())
+          : defaultType;
+
+        const fields = {
+          title: item.summary.slice(0, 255),
+          event_type: eventType,
+          start_date: startDate,
+          end_date: new Date(item.end_date),
+          description: item.description,
+          grade_levels: grade_levels && grade_levels.length > 0 ? grade_levels : null,
+          academic_year_id: await this.findAcademicYearId(startDate)
+        };
+
+        if (item.uid) {
+          const existing = await prisma.calendarEvent.findUnique({ where: { ics_uid: item.uid } });
+
+          await prisma.calendarEvent.upsert({
+            where: { ics_uid: item.uid },
+            create: { ...fields, ics_uid: item.uid },
+            update: fields
+          });
+
+          result[existing ? 'updated' : 'created']++;
+        } else {
+          await prisma.calendarEvent.create({ data: fields });
+          result.created++;
+        }
+      }
+
+      logger.info('Calendar imported from iCalendar file', result);
+
+      return result;
+    } catch (error) {
+      logger.error('Error in importIcs:', error);
+      throw error;
+    }
+  }
+
+  // ===== EFFECTIVE SCHOOL DAYS =====
+
+  /**
+   * Load semesters and events of a date range once, for resolving many days
+   */
+  async getCalendarResolver(dateFrom, dateTo) {
+    const from = toCalendarDate(dateFrom);
+    const to = toCalendarDate(dateTo);
+
+    const [semesters, semesterCount, events] = await Promise.all([
+      prisma.semester.findMany({
+        where: { start_date: { lte: to }, end_date: { gte: from } },
+        include: { academic_year: { select: { name: true } } }
+      }),
+      prisma.semester.count(),
+      prisma.calendarEvent.findMany({
+        where: { start_date: { lte: to }, end_date: { gte: from } }
+      })
+    ]);
+
+    const calendar = { semesters, events, hasSemesters: semesterCount > 0 };
+
+    return {
+      resolve: (date, gradeLevel = null) => resolveDay(toCalendarDate(date), gradeLevel, calendar)
+    };
+  }
+
+  /**
+   * Whether a date is an effective school day, optionally for one grade level.
+   * Without a grade level only school-wide holidays and events apply.
+   */
+  async isEffectiveSchoolDay(date, gradeLevel = null) {
+    try {
+      const resolver = await this.getCalendarResolver(date, date);
+
+      return resolver.resolve(date, gradeLevel);
+    } catch (error) {
+      logger.error('Error in isEffectiveSchoolDay:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List every day of a range with its effective school day status
+   */
+  async getEffectiveSchoolDays(dateFrom, dateTo, gradeLevel = null) {
+    try {
+      const from = toCalendarDate(dateFrom);
+      const to = toCalendarDate(dateTo);
+
+      if (to < from) {
+        throw new Error('End date must be on or after start date');
+      }
+
+      if ((to - from) / 86400000 > MAX_RANGE_DAYS) {
+        throw new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+      }
+
+      const resolver = await this.getCalendarResolver(from, to);
+      const days = [];
+
+      for (let date = new Date(from); date <= to; date.setUTCDate(date.getUTCDate() + 1)) {
+        days.push(resolver.resolve(new Date(date), gradeLevel));
+      }
+
+      return {
+        date_from: formatDate(from),
+        date_to: formatDate(to),
+        grade_level: gradeLevel !== null && gradeLevel !== undefined ? parseInt(gradeLevel) : null,
+        total_days: days.length,
+        effective_days: days.filter(day => day.is_effective).length,
+        days
+      };
+    } catch (error) {
+      logger.error('Error in getEffectiveSchoolDays:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,272 @@
+const { PrismaClient } = require('@prisma/client');
+const { serializeBigInt } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+function toDateOnly(date) {
+  return new Date(formatDate(new Date(date)));
+}
+
+/**
+ * Calendar date of a timestamp in server time (attendance days follow server time)
+ */
+function toLocalDateOnly(date) {
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+/**
+ * Local midnight of a membership date, to compare with attendance timestamps
+ */
+function startOfLocalDay(date) {
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function covers(membership, date) {
+  return (!membership.effective_from || membership.effective_from <= date) &&
+    (!membership.effective_until || membership.effective_until > date);
+}
+
+class ClassMembershipService {
+  /**
+   * Record that a student moved to another class (or out of any class,
+   * when classId is null) from the effective date on. The open membership
+   * is closed on that date. Students placed before history was kept get
+   * their previous class recorded as an open-ended membership first.
+   * Pass the transaction client so the change commits with the student update.
+   */
+  async recordChange(change, client = prisma) {
+    const { student_id, previous_class_id, class_id, effective_date, reason, changed_by_id } = change;
+
+    // Nothing moved, e.g. a profile update that resends the same class
+    if (String(previous_class_id || '') === String(class_id || '')) {
+      return null;
+    }
+
+    const studentId = BigInt(student_id);
+    const effectiveFrom = effective_date ? toDateOnly(effective_date) : toLocalDateOnly(new Date());
+
+    const open = await client.classMembership.findFirst({
+      where: { student_id: studentId, effective_until: null },
+      orderBy: { id: 'desc' }
+    });
+
+    if (open) {
+      if (open.effective_from && open.effective_from > effectiveFrom) {
+        const error = new Error(`Effective date cannot be before ${formatDate(open.effective_from)}, when the current class membership started`);
+        error.status = 400;
+        throw error;
+      }
+
+      await client.classMembership.update({
+        where: { id: open.id },
+        data: { effective_until: effectiveFrom }
+      });
+    } else if (previous_class_id) {
+      await client.classMembership.create({
+        data: {
+          student_id: studentId,
+          class_id: BigInt(previous_class_id),
+          effective_from: null,
+          effective_until: effectiveFrom
+        }
+      });
+    }
+
+    return client.classMembership.create({
+      data: {
+        student_id: studentId,
+        class_id: class_id ? BigInt(class_id) : null,
+        effective_from: effectiveFrom,
+        reason: reason || null,
+        changed_by_id: changed_by_id ? BigInt(changed_by_id) : null
+      }
+    });
+  }
+
+  /**
+   * Record a promotion outcome on the membership of the class it was decided
+   * in. Students placed before history was kept get that membership first.
+   * Record the outcome before the move, so the move closes this membership.
+   */
+  async recordOutcome(result, client = prisma) {
+    const { student_id, class_id, outcome, promotion_batch_id } = result;
+    const studentId = BigInt(student_id);
+    const data = { outcome, promotion_batch_id: BigInt(promotion_batch_id) };
+
+    const open = await client.classMembership.findFirst({
+      where: { student_id: studentId, effective_until: null },
+      orderBy: { id: 'desc' }
+    });
+
+    if (!open) {
+      return client.classMembership.create({
+        data: { student_id: studentId, class_id: BigInt(class_id), effective_from: null, ...data }
+      });
+    }
+
+    if (String(open.class_id || '') !== String(class_id)) {
+      throw new Error(`Class history of student ${student_id} does not match the current class`);
+    }
+
+    return client.classMembership.update({ where: { id: open.id }, data });
+  }
+
+  /**
+   * Full class timeline of a student, oldest first
+   */
+  async getTimeline(studentId) {
+    try {
+      const student = await prisma.student.findUnique({
+        where: { id: BigInt(studentId) },
+        select: {
+          id: true,
+          nis: true,
+          full_name: true,
+          status: true,
+          current_class: { select: { id: true, class_name: true, grade_level: true } }
+        }
+      });
+
+      if (!student) {
+        throw new Error('Student not found');
+      }
+
+      const memberships = await prisma.classMembership.findMany({
+        where: { student_id: student.id },
+        include: {
+          class: {
+            select: {
+              id: true,
+              class_name: true,
+              grade_level: true,
+              academic_year: { select: { id: true, name: true } }
+            }
+          },
+          changed_by: { select: { id: true, username: true } }
+        },
+        orderBy: [{ effective_from: 'asc' }, { id: 'asc' }]
+      });
+
+      // Without any recorded change the current class is the whole timeline
+      const timeline = memberships.length > 0
+        ? memberships.map(membership => ({
+          ...serializeBigInt(membership),
+          effective_from: formatDate(membership.effective_from),
+          effective_until: formatDate(membership.effective_until)
+        }))
+        : [{
+          class: serializeBigInt(student.current_class),
+          effective_from: null,
+          effective_until: null,
+          reason: null,
+          changed_by: null
+        }].filter(entry => entry.class);
+
+      return {
+        student: serializeBigInt(student),
+        timeline
+      };
+    } catch (error) {
+      logger.error('Error in getTimeline:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Students who were in a class on a date. Students without any recorded
+   * change are taken from the active students of their current class, and
+   * students who left school while still in the class no longer count.
+   */
+  async getStudentIdsInClassAt(classId, date) {
+    const day = toDateOnly(date);
+
+    const [memberships, unrecorded] = await Promise.all([
+      prisma.classMembership.findMany({
+        where: {
+          class_id: BigInt(classId),
+          AND: [
+            { OR: [{ effective_from: null }, { effective_from: { lte: day } }] },
+            { OR: [{ effective_until: null }, { effective_until: { gt: day } }] }
+          ]
+        },
+        select: { student_id: true, effective_until: true, student: { select: { status: true } } }
+      }),
+      prisma.student.findMany({
+        where: { current_class_id: BigInt(classId), status: 'AKTIF', class_memberships: { none: {} } },
+        select: { id: true }
+      })
+    ]);
+
+    return [
+      ...memberships
+        .filter(membership => membership.effective_until || membership.student.status === 'AKTIF')
+        .map(membership => membership.student_id),
+      ...unrecorded.map(student => student.id)
+    ];
+  }
+
+  /**
+   * Prisma filter for attendance records taken while the student was in a
+   * class, for models with a student_id and a timestamp
+   */
+  async attendanceWhereForClass(classId) {
+    const memberships = await prisma.classMembership.findMany({
+      where: { class_id: BigInt(classId) },
+      select: { student_id: true, effective_from: true, effective_until: true }
+    });
+
+    const periods = memberships.map(membership => {
+      const timestamp = {};
+      if (membership.effective_from) timestamp.gte = startOfLocalDay(membership.effective_from);
+      if (membership.effective_until) timestamp.lt = startOfLocalDay(membership.effective_until);
+
+      return { student_id: membership.student_id, timestamp };
+    });
+
+    return {
+      OR: [
+        ...periods,
+        { student: { current_class_id: BigInt(classId), class_memberships: { none: {} } } }
+      ]
+    };
+  }
+
+  /**
+   * Resolve the class students were in when a record was taken, for
+   * labelling records of past dates. classAt returns null when the student
+   * has no recorded change and the current class applies.
+   */
+  async getClassResolver(studentIds) {
+    const memberships = studentIds.length > 0
+      ? await prisma.classMembership.findMany({
+        where: { student_id: { in: studentIds.map(id => BigInt(id)) } },
+        include: { class: { select: { id: true, class_name: true } } }
+      })
+      : [];
+
+    const byStudent = new Map();
+    memberships.forEach(membership => {
+      const key = membership.student_id.toString();
+      if (!byStudent.has(key)) byStudent.set(key, []);
+      byStudent.get(key).push(membership);
+    });
+
+    return {
+      classAt(studentId, timestamp) {
+        const list = byStudent.get(studentId.toString());
+        if (!list) return null;
+
+        const day = toLocalDateOnly(new Date(timestamp));
+        const membership = list.find(item => covers(item, day));
+        return membership ? { class: membership.class } : { class: null };
+      }
+    };
+  }
+}
+
+module.exports = new ClassMembershipService();
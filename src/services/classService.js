@@ -1,6 +1,8 @@
 const { PrismaClient } = require('@prisma/client');
 const { serializeBigInt } = require('../utils/helpers');
 const logger = require('../utils/logger');
+const academicPeriodService = require('./academicPeriodService');
+const classMembershipService = require('./classMembershipService');
 
 const prisma = new PrismaClient();
 
@@ -53,6 +55,7 @@ class ClassService {
         homeroom_teacher_id,
         has_homeroom_teacher,
         search,
+        period = null,
       } = filters;
 
       // Ensure page and limit are integers
@@ -61,7 +64,7 @@ class ClassService {
       const skip = (currentPage - 1) * currentLimit;
       
       // Build where clause
-      const where = {};
+      const where = academicPeriodService.classWhere(period);
 
       if (grade_level) where.grade_level = grade_level;
       if (major) where.major = { contains: major };
@@ -239,11 +242,21 @@ class ClassService {
     try {
       const { class_name, grade_level, major, homeroom_teacher_id, counselor_id } = classData;
 
-      // Check if class name already exists
+      // New classes belong to the active academic year unless one is given
+      let academicYearId = classData.academic_year_id ? parseInt(classData.academic_year_id) : null;
+      if (!academicYearId) {
+        const activePeriod = await academicPeriodService.getActivePeriod();
+        academicYearId = activePeriod ? activePeriod.academic_year_id : null;
+      }
+
+      await academicPeriodService.assertAcademicYearWritable(academicYearId);
+
+      // Check if class name already exists in the academic year
       const existingClass = await prisma.class.findFirst({
         where: { 
           class_name,
-          grade_level: parseInt(grade_level)
+          grade_level: parseInt(grade_level),
+          academic_year_id: academicYearId
         }
       });
 
@@ -277,7 +290,8 @@ class ClassService {
           grade_level: parseInt(grade_level),
           major: major || null,
           homeroom_teacher_id: homeroom_teacher_id ? BigInt(homeroom_teacher_id) : null,
-          counselor_id: counselor_id ? BigInt(counselor_id) : null
+          counselor_id: counselor_id ? BigInt(counselor_id) : null,
+          academic_year_id: academicYearId
         }
       });
 
@@ -302,6 +316,8 @@ class ClassService {
         throw new Error('Class not found');
       }
 
+      await academicPeriodService.assertAcademicYearWritable(existingClass.academic_year_id);
+
       // Check for duplicate class name if updating
       if (updateData.class_name || updateData.grade_level) {
         const className = updateData.class_name || existingClass.class_name;
@@ -311,6 +327,7 @@ class ClassService {
           where: { 
             class_name: className,
             grade_level: gradeLevel,
+            academic_year_id: existingClass.academic_year_id,
             NOT: { id: BigInt(id) }
           }
         });
@@ -375,6 +392,7 @@ class ClassService {
         include: {
           students: true,
           schedules: true,
+          memberships: { take: 1 },
         },
       });
 
@@ -382,6 +400,8 @@ class ClassService {
         throw new Error('Class not found');
       }
 
+      await academicPeriodService.assertAcademicYearWritable(existingClass.academic_year_id);
+
       // Check if class has students or schedules
       if (existingClass.students.length > 0) {
         throw new Error('Cannot delete class with enrolled students');
@@ -391,6 +411,10 @@ class ClassService {
         throw new Error('Cannot delete class with existing schedules');
       }
 
+      if (existingClass.memberships.length > 0) {
+        throw new Error('Cannot delete class with student class history');
+      }
+
       await prisma.class.delete({
         where: { id: BigInt(id) }
       });
@@ -405,9 +429,12 @@ class ClassService {
   /**
    * Get class statistics
    */
-  async getClassStats() {
+  async getClassStats(period = null) {
     try {
+      const where = academicPeriodService.classWhere(period);
+
       const stats = await prisma.class.aggregate({
+        where,
         _count: true,
         _avg: {
           grade_level: true,
@@ -416,6 +443,7 @@ class ClassService {
 
       const gradeDistribution = await prisma.class.groupBy({
         by: ['grade_level'],
+        where,
         _count: {
           grade_level: true,
         },
@@ -430,6 +458,7 @@ class ClassService {
           major: true,
         },
         where: {
+          ...where,
           major: {
             not: null,
           },
@@ -451,10 +480,11 @@ class ClassService {
   /**
    * Get available teachers for homeroom assignment
    */
-  async getAvailableTeachers() {
+  async getAvailableTeachers(period = null) {
     try {
       const assignedTeachers = await prisma.class.findMany({
         where: {
+          ...academicPeriodService.classWhere(period),
           OR: [
             { homeroom_teacher_id: { not: null } },
             { counselor_id: { not: null } },
@@ -499,9 +529,9 @@ class ClassService {
   }
 
   /**
-   * Assign student to class
+   * Assign student to class, recording the move in the class history
    */
-  async assignStudent(classId, studentId) {
+  async assignStudent(classId, studentId, change = {}) {
     try {
       // Check if class exists
       const classItem = await prisma.class.findUnique({
@@ -515,6 +545,8 @@ class ClassService {
         throw new Error('Class not found');
       }
 
+      await academicPeriodService.assertAcademicYearWritable(classItem.academic_year_id);
+
       // Check if student exists
       const student = await prisma.student.findUnique({
         where: { id: BigInt(studentId) }
@@ -530,9 +562,18 @@ class ClassService {
       }
 
       // Update student's current class
-      await prisma.student.update({
-        where: { id: BigInt(studentId) },
-        data: { current_class_id: BigInt(classId) }
+      await prisma.$transaction(async (tx) => {
+        await classMembershipService.recordChange({
+          ...change,
+          student_id: student.id,
+          previous_class_id: student.current_class_id,
+          class_id: classId
+        }, tx);
+
+        await tx.student.update({
+          where: { id: BigInt(studentId) },
+          data: { current_class_id: BigInt(classId) }
+        });
       });
 
       return { message: 'Student assigned to class successfully' };
@@ -543,9 +584,9 @@ class ClassService {
   }
 
   /**
-   * Remove student from class
+   * Remove student from class, recording the move in the class history
    */
-  async removeStudent(classId, studentId) {
+  async removeStudent(classId, studentId, change = {}) {
     try {
       // Check if class exists
       const classItem = await prisma.class.findUnique({
@@ -556,6 +597,8 @@ class ClassService {
         throw new Error('Class not found');
       }
 
+      await academicPeriodService.assertAcademicYearWritable(classItem.academic_year_id);
+
       // Check if student exists and is in this class
       const student = await prisma.student.findUnique({
         where: { id: BigInt(studentId) }
@@ -570,9 +613,18 @@ class ClassService {
       }
 
       // Remove student from class
-      await prisma.student.update({
-        where: { id: BigInt(studentId) },
-        data: { current_class_id: null }
+      await prisma.$transaction(async (tx) => {
+        await classMembershipService.recordChange({
+          ...change,
+          student_id: student.id,
+          previous_class_id: student.current_class_id,
+          class_id: null
+        }, tx);
+
+        await tx.student.update({
+          where: { id: BigInt(studentId) },
+          data: { current_class_id: null }
+        });
       });
 
       return { message: 'Student removed from class successfully' };
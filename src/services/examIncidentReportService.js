@@ -0,0 +1,398 @@
+const { PrismaClient } = require('@prisma/client');
+const { serializeBigInt } = require('../utils/helpers');
+const { hasPermission } = require('../utils/auth');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Urutan status pada ringkasan ketidakhadiran
+const ABSENCE_STATUSES = ['Sakit', 'Izin', 'Absen'];
+const ATTENDANCE_STATUSES = ['Hadir', ...ABSENCE_STATUSES];
+
+const reportInclude = {
+  exam: {
+    select: { id: true, exam_name: true, academic_year: true }
+  },
+  room: true,
+  reported_by: {
+    select: { id: true, nip: true, full_name: true }
+  }
+};
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+/**
+ * Build the absent students summary text from the marked assignments
+ */
+function buildAbsenceSummary(assignments) {
+  const lines = ABSENCE_STATUSES
+    .map(status => {
+      const students = assignments.filter(assignment => assignment.student_attendance === status);
+      if (students.length === 0) return null;
+
+      const names = students
+        .map(({ student }) => `${student.nis} - ${student.full_name}${student.current_class ? ` (${student.current_class.class_name})` : ''}`)
+        .join(', ');
+
+      return `${status} (${students.length}): ${names}`;
+    })
+    .filter(Boolean);
+
+  return lines.length > 0 ? lines.join('\n') : 'Semua peserta hadir';
+}
+
+function emptyCounts() {
+  return ATTENDANCE_STATUSES.reduce((counts, status) => ({ ...counts, [status]: 0 }), { total: 0, unrecorded: 0 });
+}
+
+function addToCounts(counts, status) {
+  counts.total++;
+  if (status) {
+    counts[status]++;
+  } else {
+    counts.unrecorded++;
+  }
+}
+
+function attendanceRate(counts) {
+  const recorded = counts.total - counts.unrecorded;
+  return recorded > 0 ? Math.round((counts.Hadir / recorded) * 10000) / 100 : null;
+}
+
+class ExamIncidentReportService {
+  /**
+   * Serialize report data to handle BigInt and dates properly
+   */
+  serializeReport(report) {
+    if (!report) return null;
+
+    return {
+      ...serializeBigInt(report),
+      report_date: formatDate(report.report_date)
+    };
+  }
+
+  /**
+   * Get the assignments of a room in one session of an exam
+   */
+  async getSessionAssignments(examId, roomId, examDate, session) {
+    return prisma.examAssignment.findMany({
+      where: {
+        room_id: parseInt(roomId),
+        schedule: {
+          exam_id: BigInt(examId),
+          exam_date: new Date(examDate),
+          session: parseInt(session)
+        }
+      },
+      include: {
+        student: {
+          select: {
+            id: true,
+            nis: true,
+            full_name: true,
+            current_class: { select: { id: true, class_name: true } }
+          }
+        },
+        schedule: {
+          select: {
+            id: true,
+            grade_level: true,
+            subject: { select: { id: true, subject_name: true } }
+          }
+        }
+      },
+      orderBy: { seat_number: 'asc' }
+    });
+  }
+
+  /**
+   * Submit (or resubmit) the berita acara of a room and session,
+   * marking attendance of every assigned student
+   */
+  async submitReport(examId, reporter, reportData) {
+    try {
+      const { room_id, exam_date, session, notes, attendance } = reportData;
+
+      const exam = await prisma.exam.findUnique({
+        where: { id: BigInt(examId) }
+      });
+
+      if (!exam) {
+        throw new Error('Exam not found');
+      }
+
+      const assignments = await this.getSessionAssignments(exam.id, room_id, exam_date, session);
+
+      if (assignments.length === 0) {
+        throw new Error('No students are assigned to this room and session');
+      }
+
+      if (!hasPermission(reporter, 'exams.manage')) {
+        const isSupervisor = assignments.some(assignment =>
+          assignment.supervisor_1_id === reporter.teacherId || assignment.supervisor_2_id === reporter.teacherId
+        );
+
+        if (!isSupervisor) {
+          throw new Error('Access denied - you are not a supervisor of this room and session');
+        }
+      }
+
+      // Every assigned student must be marked exactly once
+      const statusByStudent = new Map(attendance.map(item => [item.student_id.toString(), item.status]));
+      const assignedIds = new Set(assignments.map(assignment => assignment.student_id.toString()));
+
+      const unknown = [...statusByStudent.keys()].filter(studentId => !assignedIds.has(studentId));
+      if (unknown.length > 0) {
+        throw new Error(`Students not assigned to this room and session: ${unknown.join(', ')}`);
+      }
+
+      const missing = assignments.filter(assignment => !statusByStudent.has(assignment.student_id.toString()));
+      if (missing.length > 0) {
+        throw new Error(`Attendance must be marked for every assigned student. Missing: ${missing.map(m => m.student.nis).join(', ')}`);
+      }
+
+      const markedAssignments = assignments.map(assignment => ({
+        ...assignment,
+        student_attendance: statusByStudent.get(assignment.student_id.toString())
+      }));
+
+      const reportDate = new Date(exam_date);
+      const uniqueKey = {
+        exam_id: exam.id,
+        room_id: parseInt(room_id),
+        report_date: reportDate,
+        session: parseInt(session)
+      };
+      const reportFields = {
+        notes: notes || null,
+        absent_students_summary: buildAbsenceSummary(markedAssignments),
+        reported_by_id: BigInt(reporter.teacherId)
+      };
+
+      const report = await prisma.$transaction(async (tx) => {
+        for (const status of ATTENDANCE_STATUSES) {
+          const ids = markedAssignments
+            .filter(assignment => assignment.student_attendance === status)
+            .map(assignment => assignment.id);
+
+          if (ids.length > 0) {
+            await tx.examAssignment.updateMany({
+              where: { id: { in: ids } },
+              data: { student_attendance: status }
+            });
+          }
+        }
+
+        return tx.examIncidentReport.upsert({
+          where: { exam_room_session_unique: uniqueKey },
+          create: { ...uniqueKey, ...reportFields },
+          update: reportFields,
+          include: reportInclude
+        });
+      });
+
+      logger.info('Exam incident report submitted', {
+        reportId: report.id.toString(),
+        examId: exam.id.toString(),
+        roomId: report.room_id,
+        session: report.session
+      });
+
+      return this.serializeReport(report);
+    } catch (error) {
+      logger.error('Error in submitReport:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get incident reports of an exam
+   */
+  async getReportsByExam(examId, options = {}) {
+    try {
+      const { room_id, exam_date, session } = options;
+
+      const where = { exam_id: BigInt(examId) };
+
+      if (room_id) where.room_id = parseInt(room_id);
+      if (exam_date) where.report_date = new Date(exam_date);
+      if (session) where.session = parseInt(session);
+
+      const reports = await prisma.examIncidentReport.findMany({
+        where,
+        include: reportInclude,
+        orderBy: [
+          { report_date: 'asc' },
+          { session: 'asc' },
+          { room_id: 'asc' }
+        ]
+      });
+
+      return reports.map(report => this.serializeReport(report));
+    } catch (error) {
+      logger.error('Error in getReportsByExam:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get incident report by ID with the marked attendance list
+   */
+  async getReportById(id) {
+    try {
+      const report = await prisma.examIncidentReport.findUnique({
+        where: { id: BigInt(id) },
+        include: reportInclude
+      });
+
+      if (!report) {
+        throw new Error('Exam incident report not found');
+      }
+
+      const assignments = await this.getSessionAssignments(
+        report.exam_id,
+        report.room_id,
+        formatDate(report.report_date),
+        report.session
+      );
+
+      return {
+        ...this.serializeReport(report),
+        attendance: assignments.map(assignment => serializeBigInt({
+          assignment_id: assignment.id,
+          seat_number: assignment.seat_number,
+          status: assignment.student_attendance,
+          student: assignment.student,
+          subject: assignment.schedule.subject
+        }))
+      };
+    } catch (error) {
+      logger.error('Error in getReportById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Per-exam attendance dashboard: rates per schedule and room,
+   * plus rooms that have not reported yet
+   */
+  async getDashboard(examId) {
+    try {
+      const exam = await prisma.exam.findUnique({
+        where: { id: BigInt(examId) }
+      });
+
+      if (!exam) {
+        throw new Error('Exam not found');
+      }
+
+      const [assignments, reports] = await Promise.all([
+        prisma.examAssignment.findMany({
+          where: { schedule: { exam_id: exam.id } },
+          select: {
+            room_id: true,
+            student_attendance: true,
+            room: { select: { room_name: true } },
+            schedule: {
+              select: {
+                id: true,
+                exam_date: true,
+                session: true,
+                grade_level: true,
+                subject: { select: { subject_name: true } }
+              }
+            },
+            supervisor_1: { select: { id: true, full_name: true } },
+            supervisor_2: { select: { id: true, full_name: true } }
+          }
+        }),
+        prisma.examIncidentReport.findMany({
+          where: { exam_id: exam.id },
+          select: { id: true, room_id: true, report_date: true, session: true, created_at: true }
+        })
+      ]);
+
+      const reportedKeys = new Map(
+        reports.map(report => [`${formatDate(report.report_date)}|${report.session}|${report.room_id}`, report])
+      );
+
+      const overall = emptyCounts();
+      const bySchedule = new Map();
+      const byRoomSession = new Map();
+
+      assignments.forEach(assignment => {
+        const { schedule } = assignment;
+        const date = formatDate(schedule.exam_date);
+
+        addToCounts(overall, assignment.student_attendance);
+
+        const scheduleKey = schedule.id.toString();
+        if (!bySchedule.has(scheduleKey)) {
+          bySchedule.set(scheduleKey, {
+            schedule_id: scheduleKey,
+            exam_date: date,
+            session: schedule.session,
+            grade_level: schedule.grade_level,
+            subject_name: schedule.subject.subject_name,
+            counts: emptyCounts()
+          });
+        }
+        addToCounts(bySchedule.get(scheduleKey).counts, assignment.student_attendance);
+
+        const roomKey = `${date}|${schedule.session}|${assignment.room_id}`;
+        if (!byRoomSession.has(roomKey)) {
+          const report = reportedKeys.get(roomKey);
+
+          byRoomSession.set(roomKey, {
+            exam_date: date,
+            session: schedule.session,
+            room_id: assignment.room_id,
+            room_name: assignment.room.room_name,
+            report_id: report ? report.id.toString() : null,
+            reported: Boolean(report),
+            supervisors: [assignment.supervisor_1, assignment.supervisor_2]
+              .filter(Boolean)
+              .map(teacher => ({ id: teacher.id.toString(), full_name: teacher.full_name })),
+            counts: emptyCounts()
+          });
+        }
+        addToCounts(byRoomSession.get(roomKey).counts, assignment.student_attendance);
+      });
+
+      const withRate = ({ counts, ...item }) => ({ ...item, ...counts, attendance_rate: attendanceRate(counts) });
+      const bySession = (a, b) => a.exam_date.localeCompare(b.exam_date) || a.session - b.session;
+
+      const rooms = [...byRoomSession.values()]
+        .sort((a, b) => bySession(a, b) || a.room_name.localeCompare(b.room_name))
+        .map(withRate);
+
+      return {
+        exam: {
+          id: exam.id.toString(),
+          exam_name: exam.exam_name,
+          academic_year: exam.academic_year,
+          start_date: formatDate(exam.start_date),
+          end_date: formatDate(exam.end_date)
+        },
+        overall: { ...overall, attendance_rate: attendanceRate(overall) },
+        total_rooms: rooms.length,
+        reported_rooms: rooms.filter(room => room.reported).length,
+        schedules: [...bySchedule.values()].sort(bySession).map(withRate),
+        rooms,
+        unreported_rooms: rooms
+          .filter(room => !room.reported)
+          .map(({ exam_date, session, room_id, room_name, supervisors }) => ({
+            exam_date, session, room_id, room_name, supervisors
+          }))
+      };
+    } catch (error) {
+      logger.error('Error in getDashboard:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ExamIncidentReportService();
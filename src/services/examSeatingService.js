@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { serializeBigInt } = require('../utils/helpers');
+const { createRandom, shuffle } = require('../utils/seededRandom');
+const { interleaveByClass, distributeAcrossRooms } = require('../utils/examSeating');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Token alphabet without look-alike characters (0/O, 1/I)
+const TOKEN_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TOKEN_LENGTH = 6;
+const MAX_TOKEN_ATTEMPTS = 10;
+
+/**
+ * Random exam token. Not taken from the seeded generator, which anyone who
+ * knows the seed could replay; the seed only decides the seat order.
+ */
+function generateToken() {
+  let token = '';
+
+  for (let i = 0; i < TOKEN_LENGTH; i++) {
+    token += TOKEN_ALPHABET[crypto.randomInt(TOKEN_ALPHABET.length)];
+  }
+
+  return token;
+}
+
+class ExamSeatingService {
+  /**
+   * Allocate students of the given classes to exam rooms for one exam schedule.
+   * Re-running replaces the previous allocation of the schedule.
+   */
+  async allocateSeating(scheduleId, options = {}) {
+    try {
+      const { class_ids: classIds, room_ids: roomIds } = options;
+      const seed = options.seed !== undefined && options.seed !== null ? String(options.seed) : String(scheduleId);
+
+      const schedule = await prisma.examSchedule.findUnique({
+        where: { id: BigInt(scheduleId) }
+      });
+
+      if (!schedule) {
+        throw new Error('Exam schedule not found');
+      }
+
+      const classes = await prisma.class.findMany({
+        where: { id: { in: classIds.map(id => BigInt(id)) } },
+        orderBy: { id: 'asc' }
+      });
+
+      if (classes.length !== new Set(classIds).size) {
+        throw new Error('Class not found');
+      }
+
+      // Schedules created before grade levels were recorded accept any class
+      const otherGrade = schedule.grade_level !== null
+        && classes.find(cls => cls.grade_level !== schedule.grade_level);
+      if (otherGrade) {
+        throw new Error(`Class ${otherGrade.class_name} is not in grade ${schedule.grade_level} of this exam schedule`);
+      }
+
+      const rooms = await prisma.examRoom.findMany({
+        where: roomIds ? { id: { in: roomIds.map(id => parseInt(id)) } } : {},
+        orderBy: { id: 'asc' }
+      });
+
+      if (roomIds && rooms.length !== new Set(roomIds.map(id => parseInt(id))).size) {
+        throw new Error('Exam room not found');
+      }
+
+      const students = await prisma.student.findMany({
+        where: {
+          current_class_id: { in: classes.map(cls => cls.id) },
+          status: 'AKTIF'
+        },
+        select: { id: true, current_class_id: true },
+        orderBy: { nis: 'asc' }
+      });
+
+      if (students.length === 0) {
+        throw new Error('No active students found in the selected classes');
+      }
+
+      const random = createRandom(seed);
+
+      const groups = shuffle(
+        classes.map(cls => shuffle(students.filter(student => student.current_class_id === cls.id), random)),
+        random
+      );
+      const orderedStudents = interleaveByClass(groups);
+
+      const result = await prisma.$transaction(async (tx) => {
+        const recordedCount = await tx.examAssignment.count({
+          where: {
+            schedule_id: schedule.id,
+            student_attendance: { not: null }
+          }
+        });
+
+        if (recordedCount > 0) {
+          throw new Error('Cannot re-allocate seating after exam attendance has been recorded');
+        }
+
+        const availableRooms = await this.getAvailableRooms(tx, schedule, rooms);
+        const totalAvailable = availableRooms.reduce((sum, room) => sum + room.available, 0);
+
+        if (totalAvailable < orderedStudents.length) {
+          throw new Error(
+            `Insufficient room capacity: ${orderedStudents.length} students but only ${totalAvailable} seats available`
+          );
+        }
+
+        // Keep supervisors already rostered for a room across re-runs
+        const previousAssignments = await tx.examAssignment.findMany({
+          where: { schedule_id: schedule.id },
+          select: { room_id: true, supervisor_1_id: true, supervisor_2_id: true }
+        });
+        const supervisorsByRoom = new Map(previousAssignments.map(assignment => [assignment.room_id, assignment]));
+
+        await tx.examAssignment.deleteMany({
+          where: { schedule_id: schedule.id }
+        });
+
+        const tokens = await this.generateUniqueTokens(tx, orderedStudents.length);
+
+        const rows = [];
+        const roomSummaries = [];
+        let cursor = 0;
+
+        distributeAcrossRooms(orderedStudents.length, availableRooms).forEach(({ room, quota }) => {
+          if (quota === 0) return;
+
+          const supervisors = supervisorsByRoom.get(room.id);
+
+          orderedStudents.slice(cursor, cursor + quota).forEach((student, index) => {
+            rows.push({
+              schedule_id: schedule.id,
+              student_id: student.id,
+              room_id: room.id,
+              seat_number: room.seatOffset + index + 1,
+              token: tokens[cursor + index],
+              supervisor_1_id: supervisors?.supervisor_1_id || null,
+              supervisor_2_id: supervisors?.supervisor_2_id || null
+            });
+          });
+
+          roomSummaries.push({
+            room_id: room.id,
+            room_name: room.room_name,
+            capacity: room.capacity,
+            available: room.available,
+            assigned: quota
+          });
+
+          cursor += quota;
+        });
+
+        await tx.examAssignment.createMany({ data: rows });
+
+        return roomSummaries;
+      }, { timeout: 30000 });
+
+      logger.info('Exam seating allocated', {
+        examScheduleId: schedule.id.toString(),
+        students: orderedStudents.length,
+        rooms: result.length,
+        seed
+      });
+
+      return {
+        schedule_id: schedule.id.toString(),
+        seed,
+        total_students: orderedStudents.length,
+        rooms: result
+      };
+    } catch (error) {
+      logger.error('Error in allocateSeating:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Free seats per room, excluding seats taken by other schedules
+   * running at the same time on the same date
+   */
+  async getAvailableRooms(tx, schedule, rooms) {
+    const overlappingSchedules = await tx.examSchedule.findMany({
+      where: {
+        id: { not: schedule.id },
+        exam_date: schedule.exam_date,
+        start_time: { lt: schedule.end_time },
+        end_time: { gt: schedule.start_time }
+      },
+      select: { id: true }
+    });
+
+    const occupied = overlappingSchedules.length > 0
+      ? await tx.examAssignment.groupBy({
+        by: ['room_id'],
+        where: {
+          schedule_id: { in: overlappingSchedules.map(item => item.id) },
+          room_id: { in: rooms.map(room => room.id) }
+        },
+        _count: { id: true },
+        _max: { seat_number: true }
+      })
+      : [];
+
+    const occupiedByRoom = new Map(occupied.map(item => [item.room_id, item]));
+
+    return rooms.map(room => {
+      const usage = occupiedByRoom.get(room.id);
+
+      return {
+        ...room,
+        available: Math.max(room.capacity - (usage?._count.id || 0), 0),
+        seatOffset: usage?._max.seat_number || 0
+      };
+    });
+  }
+
+  /**
+   * Generate tokens that are unique within the batch and across other schedules
+   */
+  async generateUniqueTokens(tx, count) {
+    const tokens = [];
+    const used = new Set();
+
+    const nextToken = () => {
+      let token;
+      do {
+        token = generateToken();
+      } while (used.has(token));
+      used.add(token);
+      return token;
+    };
+
+    for (let i = 0; i < count; i++) {
+      tokens.push(nextToken());
+    }
+
+    for (let attempt = 0; attempt < MAX_TOKEN_ATTEMPTS; attempt++) {
+      const taken = await tx.examAssignment.findMany({
+        where: { token: { in: tokens } },
+        select: { token: true }
+      });
+
+      if (taken.length === 0) {
+        return tokens;
+      }
+
+      const takenTokens = new Set(taken.map(item => item.token));
+      tokens.forEach((token, index) => {
+        if (takenTokens.has(token)) tokens[index] = nextToken();
+      });
+    }
+
+    throw new Error('Failed to generate unique exam tokens, please try again');
+  }
+
+  /**
+   * Get seat lists per room for an exam schedule
+   */
+  async getSeating(scheduleId, options = {}) {
+    try {
+      const { room_id } = options;
+
+      const schedule = await prisma.examSchedule.findUnique({
+        where: { id: BigInt(scheduleId) },
+        include: {
+          exam: { select: { id: true, exam_name: true, academic_year: true } },
+          subject: { select: { id: true, subject_code: true, subject_name: true } }
+        }
+      });
+
+      if (!schedule) {
+        throw new Error('Exam schedule not found');
+      }
+
+      const where = { schedule_id: schedule.id };
+      if (room_id) where.room_id = parseInt(room_id);
+
+      const assignments = await prisma.examAssignment.findMany({
+        where,
+        include: {
+          room: true,
+          student: {
+            select: {
+              id: true,
+              nis: true,
+              full_name: true,
+              current_class: {
+                select: { id: true, class_name: true }
+              }
+            }
+          }
+        },
+        orderBy: [
+          { room_id: 'asc' },
+          { seat_number: 'asc' }
+        ]
+      });
+
+      const rooms = new Map();
+
+      assignments.forEach(assignment => {
+        if (!rooms.has(assignment.room_id)) {
+          rooms.set(assignment.room_id, {
+            room_id: assignment.room.id,
+            room_name: assignment.room.room_name,
+            capacity: assignment.room.capacity,
+            total: 0,
+            seats: []
+          });
+        }
+
+        const room = rooms.get(assignment.room_id);
+        room.total++;
+        room.seats.push(serializeBigInt({
+          assignment_id: assignment.id,
+          seat_number: assignment.seat_number,
+          token: assignment.token,
+          student: assignment.student
+        }));
+      });
+
+      return {
+        schedule: {
+          id: schedule.id.toString(),
+          exam: serializeBigInt(schedule.exam),
+          subject: serializeBigInt(schedule.subject),
+          grade_level: schedule.grade_level,
+          session: schedule.session,
+          exam_date: schedule.exam_date.toISOString().split('T')[0]
+        },
+        total_students: assignments.length,
+        rooms: [...rooms.values()]
+      };
+    } catch (error) {
+      logger.error('Error in getSeating:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the seating allocation of an exam schedule
+   */
+  async clearSeating(scheduleId) {
+    try {
+      const schedule = await prisma.examSchedule.findUnique({
+        where: { id: BigInt(scheduleId) }
+      });
+
+      if (!schedule) {
+        throw new Error('Exam schedule not found');
+      }
+
+      const recordedCount = await prisma.examAssignment.count({
+        where: {
+          schedule_id: schedule.id,
+          student_attendance: { not: null }
+        }
+      });
+
+      if (recordedCount > 0) {
+        throw new Error('Cannot clear seating after exam attendance has been recorded');
+      }
+
+      const { count } = await prisma.examAssignment.deleteMany({
+        where: { schedule_id: schedule.id }
+      });
+
+      logger.info('Exam seating cleared', { examScheduleId: schedule.id.toString(), removed: count });
+
+      return { removed: count };
+    } catch (error) {
+      logger.error('Error in clearSeating:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ExamSeatingService();
@@ -0,0 +1,713 @@
+const { PrismaClient } = require('@prisma/client');
+const { serializeBigInt, Pagination } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const scheduleInclude = {
+  exam: {
+    select: {
+      id: true,
+      exam_name: true,
+      academic_year: true
+    }
+  },
+  subject: {
+    select: {
+      id: true,
+      subject_code: true,
+      subject_name: true
+    }
+  }
+};
+
+/**
+ * Convert "HH:MM:SS" to a Date usable for @db.Time() columns
+ */
+function toTime(time) {
+  return new Date(`1970-01-01T${time}.000Z`);
+}
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+function formatTime(time) {
+  return time ? time.toISOString().split('T')[1].split('.')[0] : null;
+}
+
+class ExamService {
+  /**
+   * Serialize exam data to handle BigInt and dates properly
+   */
+  serializeExam(exam) {
+    if (!exam) return null;
+
+    return {
+      ...serializeBigInt(exam),
+      start_date: formatDate(exam.start_date),
+      end_date: formatDate(exam.end_date),
+      ...(exam.schedules && {
+        schedules: exam.schedules.map(schedule => this.serializeExamSchedule(schedule))
+      })
+    };
+  }
+
+  /**
+   * Serialize exam schedule data to handle BigInt, dates and times properly
+   */
+  serializeExamSchedule(schedule) {
+    if (!schedule) return null;
+
+    return {
+      ...serializeBigInt(schedule),
+      exam_date: formatDate(schedule.exam_date),
+      start_time: formatTime(schedule.start_time),
+      end_time: formatTime(schedule.end_time)
+    };
+  }
+
+  // ===== EXAMS =====
+
+  /**
+   * Get all exams with pagination and filtering
+   */
+  async getAllExams(options = {}) {
+    try {
+      const { page = 1, limit = 10, search, period = null } = options;
+
+      const where = {};
+
+      if (period) where.academic_year_id = period.academic_year_id;
+      if (search) where.exam_name = { contains: search };
+
+      const pagination = new Pagination(page, limit);
+
+      const [exams, total] = await Promise.all([
+        prisma.exam.findMany({
+          where,
+          include: {
+            _count: {
+              select: { schedules: true }
+            }
+          },
+          orderBy: { start_date: 'desc' },
+          skip: pagination.getOffset(),
+          take: pagination.limit
+        }),
+        prisma.exam.count({ where })
+      ]);
+
+      return {
+        data: exams.map(exam => this.serializeExam(exam)),
+        meta: new Pagination(page, limit, total).getMeta()
+      };
+    } catch (error) {
+      logger.error('Error in getAllExams:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get exam by ID with its schedules
+   */
+  async getExamById(id) {
+    try {
+      const exam = await prisma.exam.findUnique({
+        where: { id: BigInt(id) },
+        include: {
+          schedules: {
+            include: { subject: scheduleInclude.subject },
+            orderBy: [
+              { exam_date: 'asc' },
+              { session: 'asc' },
+              { grade_level: 'asc' }
+            ]
+          }
+        }
+      });
+
+      if (!exam) {
+        throw new Error('Exam not found');
+      }
+
+      return this.serializeExam(exam);
+    } catch (error) {
+      logger.error('Error in getExamById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the academic calendar entry of an "YYYY/YYYY" academic year
+   */
+  async findAcademicYearId(name) {
+    const academicYear = await prisma.academicYear.findUnique({
+      where: { name },
+      select: { id: true }
+    });
+
+    if (!academicYear) {
+      throw new Error(`Academic year ${name} must be registered in the academic calendar first`);
+    }
+
+    return academicYear.id;
+  }
+
+  /**
+   * Create new exam
+   */
+  async createExam(examData) {
+    try {
+      const { exam_name, start_date, end_date, academic_year } = examData;
+
+      const exam = await prisma.exam.create({
+        data: {
+          exam_name,
+          start_date: new Date(start_date),
+          end_date: new Date(end_date),
+          academic_year,
+          academic_year_id: await this.findAcademicYearId(academic_year)
+        }
+      });
+
+      logger.info('Exam created successfully', { examId: exam.id.toString() });
+
+      return this.serializeExam(exam);
+    } catch (error) {
+      logger.error('Error in createExam:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update exam. The date range may not exclude already scheduled papers.
+   */
+  async updateExam(id, updateData) {
+    try {
+      const existingExam = await this.findExam(id);
+
+      const { exam_name, start_date, end_date, academic_year } = updateData;
+      const updateFields = {};
+
+      if (exam_name !== undefined) updateFields.exam_name = exam_name;
+      if (academic_year !== undefined) {
+        updateFields.academic_year = academic_year;
+        updateFields.academic_year_id = await this.findAcademicYearId(academic_year);
+      }
+      if (start_date !== undefined) updateFields.start_date = new Date(start_date);
+      if (end_date !== undefined) updateFields.end_date = new Date(end_date);
+
+      const newStart = updateFields.start_date || existingExam.start_date;
+      const newEnd = updateFields.end_date || existingExam.end_date;
+
+      if (newEnd < newStart) {
+        throw new Error('End date must be on or after start date');
+      }
+
+      const outsideSchedules = await prisma.examSchedule.count({
+        where: {
+          exam_id: existingExam.id,
+          OR: [
+            { exam_date: { lt: newStart } },
+            { exam_date: { gt: newEnd } }
+          ]
+        }
+      });
+
+      if (outsideSchedules > 0) {
+        throw new Error('Exam date range must cover all existing exam schedules');
+      }
+
+      const exam = await prisma.exam.update({
+        where: { id: existingExam.id },
+        data: updateFields
+      });
+
+      return this.serializeExam(exam);
+    } catch (error) {
+      logger.error('Error in updateExam:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete exam (only when no students are assigned to its schedules yet)
+   */
+  async deleteExam(id) {
+    try {
+      const existingExam = await this.findExam(id);
+
+      const assignmentCount = await prisma.examAssignment.count({
+        where: { schedule: { exam_id: existingExam.id } }
+      });
+
+      if (assignmentCount > 0) {
+        throw new Error('Cannot delete exam with seating assignments');
+      }
+
+      await prisma.exam.delete({
+        where: { id: existingExam.id }
+      });
+
+      return { message: 'Exam deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteExam:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find exam by ID
+   */
+  async findExam(id) {
+    const exam = await prisma.exam.findUnique({
+      where: { id: BigInt(id) }
+    });
+
+    if (!exam) {
+      throw new Error('Exam not found');
+    }
+
+    return exam;
+  }
+
+  // ===== EXAM SCHEDULES =====
+
+  /**
+   * Get all exam schedules with pagination and filtering
+   */
+  async getAllExamSchedules(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        exam_id,
+        subject_id,
+        grade_level,
+        exam_date,
+        session
+      } = options;
+
+      const where = {};
+
+      if (exam_id) where.exam_id = BigInt(exam_id);
+      if (subject_id) where.subject_id = BigInt(subject_id);
+      if (grade_level) where.grade_level = parseInt(grade_level);
+      if (exam_date) where.exam_date = new Date(exam_date);
+      if (session) where.session = parseInt(session);
+
+      const pagination = new Pagination(page, limit);
+
+      const [schedules, total] = await Promise.all([
+        prisma.examSchedule.findMany({
+          where,
+          include: scheduleInclude,
+          orderBy: [
+            { exam_date: 'asc' },
+            { session: 'asc' },
+            { grade_level: 'asc' }
+          ],
+          skip: pagination.getOffset(),
+          take: pagination.limit
+        }),
+        prisma.examSchedule.count({ where })
+      ]);
+
+      return {
+        data: schedules.map(schedule => this.serializeExamSchedule(schedule)),
+        meta: new Pagination(page, limit, total).getMeta()
+      };
+    } catch (error) {
+      logger.error('Error in getAllExamSchedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get exam schedule by ID
+   */
+  async getExamScheduleById(id) {
+    try {
+      const schedule = await prisma.examSchedule.findUnique({
+        where: { id: BigInt(id) },
+        include: {
+          ...scheduleInclude,
+          _count: {
+            select: { assignments: true }
+          }
+        }
+      });
+
+      if (!schedule) {
+        throw new Error('Exam schedule not found');
+      }
+
+      return this.serializeExamSchedule(schedule);
+    } catch (error) {
+      logger.error('Error in getExamScheduleById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new exam schedule
+   */
+  async createExamSchedule(scheduleData) {
+    try {
+      const exam = await this.findExam(scheduleData.exam_id);
+
+      const subject = await prisma.subject.findUnique({
+        where: { id: BigInt(scheduleData.subject_id) }
+      });
+
+      if (!subject) {
+        throw new Error('Subject not found');
+      }
+
+      const data = {
+        exam_id: exam.id,
+        subject_id: subject.id,
+        grade_level: scheduleData.grade_level,
+        exam_date: new Date(scheduleData.exam_date),
+        start_time: toTime(scheduleData.start_time),
+        end_time: toTime(scheduleData.end_time),
+        session: scheduleData.session || 1
+      };
+
+      if (data.end_time <= data.start_time) {
+        throw new Error('End time must be after start time');
+      }
+
+      this.checkWithinExamPeriod(exam, data.exam_date);
+      await this.checkExamScheduleConflicts(data);
+
+      const schedule = await prisma.examSchedule.create({
+        data,
+        include: scheduleInclude
+      });
+
+      logger.info('Exam schedule created successfully', {
+        examScheduleId: schedule.id.toString(),
+        examId: exam.id.toString()
+      });
+
+      return this.serializeExamSchedule(schedule);
+    } catch (error) {
+      logger.error('Error in createExamSchedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update exam schedule
+   */
+  async updateExamSchedule(id, updateData) {
+    try {
+      const existingSchedule = await prisma.examSchedule.findUnique({
+        where: { id: BigInt(id) },
+        include: { exam: true }
+      });
+
+      if (!existingSchedule) {
+        throw new Error('Exam schedule not found');
+      }
+
+      const updateFields = {};
+
+      if (updateData.subject_id) {
+        const subject = await prisma.subject.findUnique({
+          where: { id: BigInt(updateData.subject_id) }
+        });
+
+        if (!subject) {
+          throw new Error('Subject not found');
+        }
+
+        updateFields.subject_id = subject.id;
+      }
+
+      if (updateData.grade_level !== undefined) updateFields.grade_level = updateData.grade_level;
+      if (updateData.exam_date) updateFields.exam_date = new Date(updateData.exam_date);
+      if (updateData.start_time) updateFields.start_time = toTime(updateData.start_time);
+      if (updateData.end_time) updateFields.end_time = toTime(updateData.end_time);
+      if (updateData.session !== undefined) updateFields.session = updateData.session;
+
+      const conflictCheckData = {
+        ...existingSchedule,
+        ...updateFields
+      };
+
+      if (conflictCheckData.end_time <= conflictCheckData.start_time) {
+        throw new Error('End time must be after start time');
+      }
+
+      this.checkWithinExamPeriod(existingSchedule.exam, conflictCheckData.exam_date);
+      await this.checkExamScheduleConflicts(conflictCheckData, id);
+
+      const schedule = await prisma.examSchedule.update({
+        where: { id: existingSchedule.id },
+        data: updateFields,
+        include: scheduleInclude
+      });
+
+      return this.serializeExamSchedule(schedule);
+    } catch (error) {
+      logger.error('Error in updateExamSchedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete exam schedule (only when no students are assigned to it yet)
+   */
+  async deleteExamSchedule(id) {
+    try {
+      const existingSchedule = await prisma.examSchedule.findUnique({
+        where: { id: BigInt(id) },
+        include: {
+          _count: {
+            select: { assignments: true }
+          }
+        }
+      });
+
+      if (!existingSchedule) {
+        throw new Error('Exam schedule not found');
+      }
+
+      if (existingSchedule._count.assignments > 0) {
+        throw new Error('Cannot delete exam schedule with seating assignments');
+      }
+
+      await prisma.examSchedule.delete({
+        where: { id: existingSchedule.id }
+      });
+
+      return { message: 'Exam schedule deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteExamSchedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure the exam date falls inside the exam period
+   */
+  checkWithinExamPeriod(exam, examDate) {
+    if (examDate < exam.start_date || examDate > exam.end_date) {
+      throw new Error(
+        `Exam date must be between ${formatDate(exam.start_date)} and ${formatDate(exam.end_date)}`
+      );
+    }
+  }
+
+  /**
+   * Check for exam schedule conflicts: a grade sits one paper at a time,
+   * so the same session number or an overlapping time on that date is rejected.
+   */
+  async checkExamScheduleConflicts(scheduleData, excludeId = null) {
+    try {
+      const { grade_level, exam_date, start_time, end_time, session } = scheduleData;
+
+      const whereClause = {
+        grade_level,
+        exam_date,
+        OR: [
+          { session },
+          {
+            AND: [
+              { start_time: { lt: end_time } },
+              { end_time: { gt: start_time } }
+            ]
+          }
+        ]
+      };
+
+      if (excludeId) {
+        whereClause.id = { not: BigInt(excludeId) };
+      }
+
+      const conflict = await prisma.examSchedule.findFirst({
+        where: whereClause,
+        include: {
+          subject: { select: { subject_name: true } }
+        }
+      });
+
+      if (conflict) {
+        throw new Error(
+          `Exam schedule conflict detected. Grade ${grade_level} already has ${conflict.subject.subject_name} ` +
+          `in session ${conflict.session} (${formatTime(conflict.start_time)}-${formatTime(conflict.end_time)}) on ${formatDate(exam_date)}`
+        );
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error in checkExamScheduleConflicts:', error);
+      throw error;
+    }
+  }
+
+  // ===== ROOMS =====
+
+  /**
+   * Get all exam rooms
+   */
+  async getAllRooms(options = {}) {
+    try {
+      const { search } = options;
+
+      const where = {};
+
+      if (search) where.room_name = { contains: search };
+
+      const rooms = await prisma.examRoom.findMany({
+        where,
+        orderBy: { room_name: 'asc' }
+      });
+
+      const totalCapacity = rooms.reduce((sum, room) => sum + room.capacity, 0);
+
+      return {
+        rooms,
+        total_capacity: totalCapacity
+      };
+    } catch (error) {
+      logger.error('Error in getAllRooms:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get exam room by ID
+   */
+  async getRoomById(id) {
+    try {
+      const room = await prisma.examRoom.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+          _count: {
+            select: { assignments: true }
+          }
+        }
+      });
+
+      if (!room) {
+        throw new Error('Exam room not found');
+      }
+
+      return room;
+    } catch (error) {
+      logger.error('Error in getRoomById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new exam room
+   */
+  async createRoom(roomData) {
+    try {
+      const existingRoom = await prisma.examRoom.findUnique({
+        where: { room_name: roomData.room_name }
+      });
+
+      if (existingRoom) {
+        throw new Error('Exam room with this name already exists');
+      }
+
+      const room = await prisma.examRoom.create({
+        data: {
+          room_name: roomData.room_name,
+          capacity: roomData.capacity
+        }
+      });
+
+      logger.info('Exam room created successfully', { roomId: room.id });
+
+      return room;
+    } catch (error) {
+      logger.error('Error in createRoom:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update exam room
+   */
+  async updateRoom(id, updateData) {
+    try {
+      const existingRoom = await prisma.examRoom.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!existingRoom) {
+        throw new Error('Exam room not found');
+      }
+
+      const { room_name, capacity } = updateData;
+      const updateFields = {};
+
+      if (room_name !== undefined && room_name !== existingRoom.room_name) {
+        const duplicate = await prisma.examRoom.findUnique({
+          where: { room_name }
+        });
+
+        if (duplicate) {
+          throw new Error('Exam room with this name already exists');
+        }
+
+        updateFields.room_name = room_name;
+      }
+
+      if (capacity !== undefined) updateFields.capacity = capacity;
+
+      return await prisma.examRoom.update({
+        where: { id: existingRoom.id },
+        data: updateFields
+      });
+    } catch (error) {
+      logger.error('Error in updateRoom:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete exam room (only when it has no assignments or reports)
+   */
+  async deleteRoom(id) {
+    try {
+      const existingRoom = await prisma.examRoom.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+          _count: {
+            select: {
+              assignments: true,
+              incident_reports: true
+            }
+          }
+        }
+      });
+
+      if (!existingRoom) {
+        throw new Error('Exam room not found');
+      }
+
+      if (existingRoom._count.assignments > 0 || existingRoom._count.incident_reports > 0) {
+        throw new Error('Cannot delete exam room with seating assignments or incident reports');
+      }
+
+      await prisma.examRoom.delete({
+        where: { id: existingRoom.id }
+      });
+
+      return { message: 'Exam room deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteRoom:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ExamService();
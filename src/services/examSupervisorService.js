@@ -0,0 +1,419 @@
+const { PrismaClient } = require('@prisma/client');
+const academicPeriodService = require('./academicPeriodService');
+const leaveRequestService = require('./leaveRequestService');
+const { createRandom, shuffle } = require('../utils/seededRandom');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Pengawas per ruang per sesi
+const SUPERVISORS_PER_ROOM = 2;
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+function formatTime(time) {
+  return time ? time.toISOString().split('T')[1].split('.')[0] : null;
+}
+
+/**
+ * Group room usages (one row per schedule + room) into sessions.
+ * A session is an exam date + session number; every room used in it
+ * needs its own supervisors.
+ */
+function groupIntoSessions(roomUsages) {
+  const sessions = new Map();
+
+  roomUsages.forEach(({ schedule, room }) => {
+    const date = formatDate(schedule.exam_date);
+    const key = `${date}|${schedule.session}`;
+
+    if (!sessions.has(key)) {
+      sessions.set(key, {
+        key,
+        exam_date: date,
+        session: schedule.session,
+        start_time: schedule.start_time,
+        end_time: schedule.end_time,
+        rooms: new Map()
+      });
+    }
+
+    const session = sessions.get(key);
+    if (schedule.start_time < session.start_time) session.start_time = schedule.start_time;
+    if (schedule.end_time > session.end_time) session.end_time = schedule.end_time;
+
+    if (!session.rooms.has(room.id)) {
+      session.rooms.set(room.id, {
+        room_id: room.id,
+        room_name: room.room_name,
+        schedule_ids: [],
+        subjects: []
+      });
+    }
+
+    const sessionRoom = session.rooms.get(room.id);
+    sessionRoom.schedule_ids.push(schedule.id);
+    sessionRoom.subjects.push(schedule.subject);
+  });
+
+  return [...sessions.values()].sort((a, b) =>
+    a.exam_date.localeCompare(b.exam_date) || a.session - b.session
+  );
+}
+
+const roomUsageSelect = {
+  room: {
+    select: { id: true, room_name: true }
+  },
+  schedule: {
+    select: {
+      id: true,
+      exam_date: true,
+      start_time: true,
+      end_time: true,
+      session: true,
+      subject: {
+        select: { id: true, subject_code: true, subject_name: true }
+      }
+    }
+  }
+};
+
+class ExamSupervisorService {
+  /**
+   * Roster two supervisors for every room and session of an exam.
+   * Replaces any previous roster of the exam.
+   */
+  async assignSupervisors(examId, options = {}) {
+    try {
+      const { teacher_ids: teacherIds } = options;
+      const seed = options.seed !== undefined && options.seed !== null ? String(options.seed) : String(examId);
+
+      const exam = await prisma.exam.findUnique({
+        where: { id: BigInt(examId) }
+      });
+
+      if (!exam) {
+        throw new Error('Exam not found');
+      }
+
+      const roomUsages = await prisma.examAssignment.findMany({
+        where: { schedule: { exam_id: exam.id } },
+        distinct: ['schedule_id', 'room_id'],
+        select: roomUsageSelect
+      });
+
+      if (roomUsages.length === 0) {
+        throw new Error('No seating assignments found for this exam. Allocate seating first');
+      }
+
+      const sessions = groupIntoSessions(roomUsages);
+
+      const teacherWhere = { user: { is_active: true } };
+      if (teacherIds) {
+        teacherWhere.id = { in: teacherIds.map(id => BigInt(id)) };
+      }
+
+      const teachers = await prisma.teacher.findMany({
+        where: teacherWhere,
+        select: { id: true, user_id: true, full_name: true, nip: true },
+        orderBy: { id: 'asc' }
+      });
+
+      if (teacherIds && teachers.length !== new Set(teacherIds).size) {
+        throw new Error('Teacher not found or inactive');
+      }
+
+      // Subjects each teacher teaches, from the regular timetable of the active semester
+      const teachingSubjects = await prisma.schedule.findMany({
+        where: {
+          ...academicPeriodService.semesterWhere(await academicPeriodService.getActivePeriod()),
+          teacher_id: { in: teachers.map(teacher => teacher.id) }
+        },
+        distinct: ['teacher_id', 'subject_id'],
+        select: { teacher_id: true, subject_id: true }
+      });
+
+      const subjectsByTeacher = new Map(teachers.map(teacher => [teacher.id.toString(), new Set()]));
+      teachingSubjects.forEach(item => {
+        subjectsByTeacher.get(item.teacher_id.toString()).add(item.subject_id.toString());
+      });
+
+      const leavesByDate = new Map();
+      for (const date of new Set(sessions.map(session => session.exam_date))) {
+        leavesByDate.set(
+          date,
+          await leaveRequestService.getApprovedLeavesOnDate(date, teachers.map(teacher => teacher.user_id))
+        );
+      }
+
+      const random = createRandom(seed);
+      const pool = shuffle(teachers, random).map(teacher => ({
+        ...teacher,
+        load: 0,
+        busy: []
+      }));
+
+      const roster = [];
+
+      sessions.forEach(session => {
+        const leaves = leavesByDate.get(session.exam_date);
+
+        [...session.rooms.values()]
+          .sort((a, b) => a.room_name.localeCompare(b.room_name))
+          .forEach(room => {
+            const examinedSubjects = room.subjects.map(subject => subject.id.toString());
+
+            const eligible = pool
+              .filter(teacher =>
+                !leaves.has(teacher.user_id.toString()) &&
+                !examinedSubjects.some(subjectId => subjectsByTeacher.get(teacher.id.toString()).has(subjectId)) &&
+                !teacher.busy.some(slot =>
+                  slot.exam_date === session.exam_date &&
+                  (slot.session === session.session ||
+                    (slot.start_time < session.end_time && slot.end_time > session.start_time))
+                )
+              )
+              // Stable sort keeps the seeded order between teachers with equal load
+              .sort((a, b) => a.load - b.load);
+
+            if (eligible.length < SUPERVISORS_PER_ROOM) {
+              throw new Error(
+                `Not enough eligible supervisors for room ${room.room_name} on ${session.exam_date} session ${session.session}`
+              );
+            }
+
+            const chosen = eligible.slice(0, SUPERVISORS_PER_ROOM);
+            chosen.forEach(teacher => {
+              teacher.load++;
+              teacher.busy.push({
+                exam_date: session.exam_date,
+                session: session.session,
+                start_time: session.start_time,
+                end_time: session.end_time
+              });
+            });
+
+            roster.push({ session, room, supervisors: chosen });
+          });
+      });
+
+      await prisma.$transaction(
+        roster.map(({ room, supervisors }) =>
+          prisma.examAssignment.updateMany({
+            where: {
+              schedule_id: { in: room.schedule_ids },
+              room_id: room.room_id
+            },
+            data: {
+              supervisor_1_id: supervisors[0].id,
+              supervisor_2_id: supervisors[1].id
+            }
+          })
+        )
+      );
+
+      logger.info('Exam supervisors assigned', {
+        examId: exam.id.toString(),
+        rooms: roster.length,
+        teachers: pool.filter(teacher => teacher.load > 0).length,
+        seed
+      });
+
+      return {
+        exam_id: exam.id.toString(),
+        seed,
+        roster: roster.map(({ session, room, supervisors }) => ({
+          exam_date: session.exam_date,
+          session: session.session,
+          start_time: formatTime(session.start_time),
+          end_time: formatTime(session.end_time),
+          room_id: room.room_id,
+          room_name: room.room_name,
+          subjects: room.subjects.map(subject => subject.subject_name),
+          supervisors: supervisors.map(teacher => ({
+            id: teacher.id.toString(),
+            full_name: teacher.full_name
+          }))
+        })),
+        load: pool
+          .map(teacher => ({
+            teacher_id: teacher.id.toString(),
+            full_name: teacher.full_name,
+            nip: teacher.nip,
+            assignments: teacher.load
+          }))
+          .sort((a, b) => b.assignments - a.assignments || a.full_name.localeCompare(b.full_name))
+      };
+    } catch (error) {
+      logger.error('Error in assignSupervisors:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current supervisor roster of an exam with load per teacher
+   */
+  async getRoster(examId) {
+    try {
+      const exam = await prisma.exam.findUnique({
+        where: { id: BigInt(examId) }
+      });
+
+      if (!exam) {
+        throw new Error('Exam not found');
+      }
+
+      const roomUsages = await prisma.examAssignment.findMany({
+        where: { schedule: { exam_id: exam.id } },
+        distinct: ['schedule_id', 'room_id'],
+        select: {
+          ...roomUsageSelect,
+          supervisor_1: { select: { id: true, full_name: true } },
+          supervisor_2: { select: { id: true, full_name: true } }
+        }
+      });
+
+      const supervisorsByRoom = new Map();
+      roomUsages.forEach(usage => {
+        const key = `${formatDate(usage.schedule.exam_date)}|${usage.schedule.session}|${usage.room.id}`;
+        supervisorsByRoom.set(key, [usage.supervisor_1, usage.supervisor_2].filter(Boolean));
+      });
+
+      const load = new Map();
+      const roster = [];
+
+      groupIntoSessions(roomUsages).forEach(session => {
+        [...session.rooms.values()]
+          .sort((a, b) => a.room_name.localeCompare(b.room_name))
+          .forEach(room => {
+            const supervisors = supervisorsByRoom.get(`${session.key}|${room.room_id}`) || [];
+
+            supervisors.forEach(teacher => {
+              const id = teacher.id.toString();
+              if (!load.has(id)) load.set(id, { teacher_id: id, full_name: teacher.full_name, assignments: 0 });
+              load.get(id).assignments++;
+            });
+
+            roster.push({
+              exam_date: session.exam_date,
+              session: session.session,
+              start_time: formatTime(session.start_time),
+              end_time: formatTime(session.end_time),
+              room_id: room.room_id,
+              room_name: room.room_name,
+              subjects: room.subjects.map(subject => subject.subject_name),
+              supervisors: supervisors.map(teacher => ({
+                id: teacher.id.toString(),
+                full_name: teacher.full_name
+              }))
+            });
+          });
+      });
+
+      return {
+        exam_id: exam.id.toString(),
+        exam_name: exam.exam_name,
+        roster,
+        unstaffed_rooms: roster.filter(entry => entry.supervisors.length < SUPERVISORS_PER_ROOM).length,
+        load: [...load.values()].sort((a, b) => b.assignments - a.assignments || a.full_name.localeCompare(b.full_name))
+      };
+    } catch (error) {
+      logger.error('Error in getRoster:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a teacher's personal supervision timetable
+   */
+  async getTeacherTimetable(teacherId, options = {}) {
+    try {
+      const { exam_id } = options;
+
+      const teacher = await prisma.teacher.findUnique({
+        where: { id: BigInt(teacherId) },
+        select: { id: true, full_name: true, nip: true }
+      });
+
+      if (!teacher) {
+        throw new Error('Teacher not found');
+      }
+
+      const where = {
+        OR: [
+          { supervisor_1_id: teacher.id },
+          { supervisor_2_id: teacher.id }
+        ]
+      };
+
+      if (exam_id) {
+        where.schedule = { exam_id: BigInt(exam_id) };
+      }
+
+      const roomUsages = await prisma.examAssignment.findMany({
+        where,
+        distinct: ['schedule_id', 'room_id'],
+        select: {
+          ...roomUsageSelect,
+          schedule: {
+            select: {
+              ...roomUsageSelect.schedule.select,
+              exam: { select: { id: true, exam_name: true } }
+            }
+          },
+          supervisor_1: { select: { id: true, full_name: true } },
+          supervisor_2: { select: { id: true, full_name: true } }
+        }
+      });
+
+      const entries = new Map();
+
+      roomUsages.forEach(usage => {
+        const { schedule, room } = usage;
+        const key = `${schedule.exam.id}|${formatDate(schedule.exam_date)}|${schedule.session}|${room.id}`;
+
+        if (!entries.has(key)) {
+          const partner = [usage.supervisor_1, usage.supervisor_2]
+            .find(supervisor => supervisor && supervisor.id !== teacher.id);
+
+          entries.set(key, {
+            exam_id: schedule.exam.id.toString(),
+            exam_name: schedule.exam.exam_name,
+            exam_date: formatDate(schedule.exam_date),
+            session: schedule.session,
+            start_time: formatTime(schedule.start_time),
+            end_time: formatTime(schedule.end_time),
+            room_id: room.id,
+            room_name: room.room_name,
+            subjects: [],
+            partner: partner ? { id: partner.id.toString(), full_name: partner.full_name } : null
+          });
+        }
+
+        const entry = entries.get(key);
+        entry.subjects.push(schedule.subject.subject_name);
+        if (formatTime(schedule.start_time) < entry.start_time) entry.start_time = formatTime(schedule.start_time);
+        if (formatTime(schedule.end_time) > entry.end_time) entry.end_time = formatTime(schedule.end_time);
+      });
+
+      return {
+        teacher: {
+          id: teacher.id.toString(),
+          full_name: teacher.full_name,
+          nip: teacher.nip
+        },
+        timetable: [...entries.values()].sort((a, b) =>
+          a.exam_date.localeCompare(b.exam_date) || a.start_time.localeCompare(b.start_time)
+        )
+      };
+    } catch (error) {
+      logger.error('Error in getTeacherTimetable:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ExamSupervisorService();
@@ -0,0 +1,169 @@
+const { PrismaClient } = require('@prisma/client');
+const { generateApiKey, hashApiKey } = require('../utils/auth');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const deviceSelect = {
+  id: true,
+  device_code: true,
+  device_name: true,
+  location: true,
+  is_active: true,
+  last_seen_at: true,
+  created_at: true
+};
+
+class GateDeviceService {
+  /**
+   * Get all registered gate devices
+   */
+  async getAllDevices() {
+    try {
+      return await prisma.gateDevice.findMany({
+        select: deviceSelect,
+        orderBy: { device_code: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error in getAllDevices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a gate device. The plain key is only returned here.
+   */
+  async createDevice(deviceData) {
+    try {
+      const { device_code, device_name, location } = deviceData;
+
+      const existingDevice = await prisma.gateDevice.findUnique({
+        where: { device_code }
+      });
+
+      if (existingDevice) {
+        throw new Error('Gate device with this code already exists');
+      }
+
+      const key = generateApiKey();
+
+      const device = await prisma.gateDevice.create({
+        data: {
+          device_code,
+          device_name,
+          location: location || null,
+          key_hash: hashApiKey(key)
+        },
+        select: deviceSelect
+      });
+
+      logger.info('Gate device registered', { deviceId: device.id, deviceCode: device.device_code });
+
+      return { ...device, device_key: key };
+    } catch (error) {
+      logger.error('Error in createDevice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update gate device details
+   */
+  async updateDevice(id, updateData) {
+    try {
+      const existingDevice = await this.findDevice(id);
+
+      const { device_name, location } = updateData;
+      const updateFields = {};
+
+      if (device_name !== undefined) updateFields.device_name = device_name;
+      if (location !== undefined) updateFields.location = location;
+
+      return await prisma.gateDevice.update({
+        where: { id: existingDevice.id },
+        data: updateFields,
+        select: deviceSelect
+      });
+    } catch (error) {
+      logger.error('Error in updateDevice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a new key for a gate device, invalidating the old one
+   */
+  async regenerateKey(id) {
+    try {
+      const existingDevice = await this.findDevice(id);
+
+      const key = generateApiKey();
+
+      const device = await prisma.gateDevice.update({
+        where: { id: existingDevice.id },
+        data: { key_hash: hashApiKey(key) },
+        select: deviceSelect
+      });
+
+      logger.info('Gate device key regenerated', { deviceId: device.id });
+
+      return { ...device, device_key: key };
+    } catch (error) {
+      logger.error('Error in regenerateKey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Toggle gate device active status
+   */
+  async toggleDeviceStatus(id) {
+    try {
+      const existingDevice = await this.findDevice(id);
+
+      return await prisma.gateDevice.update({
+        where: { id: existingDevice.id },
+        data: { is_active: !existingDevice.is_active },
+        select: deviceSelect
+      });
+    } catch (error) {
+      logger.error('Error in toggleDeviceStatus:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete gate device (recorded taps keep their attendance rows)
+   */
+  async deleteDevice(id) {
+    try {
+      const existingDevice = await this.findDevice(id);
+
+      await prisma.gateDevice.delete({
+        where: { id: existingDevice.id }
+      });
+
+      return { message: 'Gate device deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteDevice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find gate device by ID
+   */
+  async findDevice(id) {
+    const device = await prisma.gateDevice.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!device) {
+      throw new Error('Gate device not found');
+    }
+
+    return device;
+  }
+}
+
+module.exports = new GateDeviceService();
@@ -0,0 +1,447 @@
+const { PrismaClient } = require('@prisma/client');
+const { serializeBigInt, Pagination } = require('../utils/helpers');
+const { parseCoordinates, distanceInMeters, isPointInPolygon } = require('../utils/geo');
+const logger = require('../utils/logger');
+const settingService = require('./settingService');
+
+const prisma = new PrismaClient();
+
+const GEOFENCE_MODES = ['reject', 'flag'];
+
+/**
+ * Check a point against one fence
+ */
+function isInsideFence(point, fence) {
+  if (fence.shape === 'Polygon') {
+    return isPointInPolygon(point, fence.polygon);
+  }
+
+  return distanceInMeters(point, { lat: fence.center_lat, lng: fence.center_lng }) <= fence.radius_meters;
+}
+
+/**
+ * Make sure the stored fields match the fence shape
+ */
+function normalizeShapeFields(shape, data) {
+  if (shape === 'Radius') {
+    if (data.center_lat === null || data.center_lat === undefined ||
+      data.center_lng === null || data.center_lng === undefined || !data.radius_meters) {
+      throw new Error('Radius geofence requires center_lat, center_lng and radius_meters');
+    }
+
+    return {
+      center_lat: data.center_lat,
+      center_lng: data.center_lng,
+      radius_meters: data.radius_meters,
+      polygon: null
+    };
+  }
+
+  if (!Array.isArray(data.polygon) || data.polygon.length < 3) {
+    throw new Error('Polygon geofence requires at least 3 points');
+  }
+
+  return {
+    center_lat: null,
+    center_lng: null,
+    radius_meters: null,
+    polygon: data.polygon
+  };
+}
+
+const reviewModels = {
+  teacher: {
+    delegate: () => prisma.teacherAttendance,
+    include: {
+      teacher: { select: { id: true, nip: true, full_name: true } },
+      reviewed_by: { select: { id: true, username: true } }
+    }
+  },
+  student: {
+    delegate: () => prisma.studentAttendance,
+    include: {
+      student: {
+        select: {
+          id: true,
+          nis: true,
+          full_name: true,
+          current_class: { select: { id: true, class_name: true } }
+        }
+      },
+      reviewed_by: { select: { id: true, username: true } }
+    }
+  }
+};
+
+class GeofenceService {
+  /**
+   * Get all geofences
+   */
+  async getAllGeofences() {
+    try {
+      const geofences = await prisma.geofence.findMany({
+        orderBy: { name: 'asc' }
+      });
+
+      return geofences;
+    } catch (error) {
+      logger.error('Error in getAllGeofences:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get geofence by ID
+   */
+  async getGeofenceById(id) {
+    try {
+      const geofence = await prisma.geofence.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!geofence) {
+        throw new Error('Geofence not found');
+      }
+
+      return geofence;
+    } catch (error) {
+      logger.error('Error in getGeofenceById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new geofence
+   */
+  async createGeofence(geofenceData) {
+    try {
+      const { name, shape, is_active } = geofenceData;
+
+      const geofence = await prisma.geofence.create({
+        data: {
+          name,
+          shape,
+          ...normalizeShapeFields(shape, geofenceData),
+          is_active: is_active !== undefined ? is_active : true
+        }
+      });
+
+      logger.info('Geofence created successfully', { geofenceId: geofence.id, shape });
+
+      return geofence;
+    } catch (error) {
+      logger.error('Error in createGeofence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update geofence
+   */
+  async updateGeofence(id, updateData) {
+    try {
+      const existingGeofence = await prisma.geofence.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!existingGeofence) {
+        throw new Error('Geofence not found');
+      }
+
+      const { name, shape, is_active } = updateData;
+      const updateFields = {};
+
+      if (name !== undefined) updateFields.name = name;
+      if (is_active !== undefined) updateFields.is_active = is_active;
+
+      const shapeChanged = ['shape', 'center_lat', 'center_lng', 'radius_meters', 'polygon']
+        .some(field => updateData[field] !== undefined);
+
+      if (shapeChanged) {
+        const nextShape = shape || existingGeofence.shape;
+        const merged = nextShape === existingGeofence.shape
+          ? { ...existingGeofence, ...updateData }
+          : updateData;
+
+        updateFields.shape = nextShape;
+        Object.assign(updateFields, normalizeShapeFields(nextShape, merged));
+      }
+
+      const geofence = await prisma.geofence.update({
+        where: { id: existingGeofence.id },
+        data: updateFields
+      });
+
+      return geofence;
+    } catch (error) {
+      logger.error('Error in updateGeofence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete geofence
+   */
+  async deleteGeofence(id) {
+    try {
+      const existingGeofence = await prisma.geofence.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!existingGeofence) {
+        throw new Error('Geofence not found');
+      }
+
+      await prisma.geofence.delete({
+        where: { id: existingGeofence.id }
+      });
+
+      return { message: 'Geofence deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteGeofence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get geofence enforcement settings
+   */
+  async getSettings() {
+    try {
+      const settings = await settingService.getMany(['geofence.mode', 'geofence.company_radius_meters']);
+
+      return {
+        mode: settings['geofence.mode'],
+        company_radius_meters: parseInt(settings['geofence.company_radius_meters'])
+      };
+    } catch (error) {
+      logger.error('Error in getSettings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update geofence enforcement settings
+   */
+  async updateSettings(settingsData) {
+    try {
+      const { mode, company_radius_meters } = settingsData;
+
+      if (mode !== undefined) {
+        if (!GEOFENCE_MODES.includes(mode)) {
+          throw new Error(`Invalid geofence mode. Must be one of: ${GEOFENCE_MODES.join(', ')}`);
+        }
+        await settingService.set('geofence.mode', mode);
+      }
+
+      if (company_radius_meters !== undefined) {
+        await settingService.set('geofence.company_radius_meters', company_radius_meters);
+      }
+
+      return this.getSettings();
+    } catch (error) {
+      logger.error('Error in updateSettings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fences that apply to a check-in: the active school fences, plus the
+   * company of a student's running PKL placement
+   */
+  async getApplicableFences(studentId, companyRadius) {
+    const fences = await prisma.geofence.findMany({
+      where: { is_active: true }
+    });
+
+    if (!studentId) {
+      return fences;
+    }
+
+    const today = new Date(new Date().toISOString().split('T')[0]);
+
+    const placement = await prisma.internshipPlacement.findFirst({
+      where: {
+        student_id: BigInt(studentId),
+        status: 'Aktif',
+        start_date: { lte: today },
+        OR: [
+          { end_date: null },
+          { end_date: { gte: today } }
+        ]
+      },
+      include: { company: true }
+    });
+
+    const companyCenter = placement ? parseCoordinates(placement.company.coordinates) : null;
+
+    if (companyCenter) {
+      fences.push({
+        name: placement.company.name,
+        shape: 'Radius',
+        center_lat: companyCenter.lat,
+        center_lng: companyCenter.lng,
+        radius_meters: placement.company.geofence_radius_meters || companyRadius
+      });
+    }
+
+    return fences;
+  }
+
+  /**
+   * Classify check-in coordinates as Inside, Outside or Unknown
+   */
+  async classifyLocation(locationCoordinates, options = {}) {
+    try {
+      const { studentId } = options;
+      const settings = await this.getSettings();
+
+      const fences = await this.getApplicableFences(studentId, settings.company_radius_meters);
+      const point = parseCoordinates(locationCoordinates);
+
+      let status = 'Unknown';
+      let matchedFence = null;
+
+      if (fences.length > 0 && point) {
+        matchedFence = fences.find(fence => isInsideFence(point, fence)) || null;
+        status = matchedFence ? 'Inside' : 'Outside';
+      }
+
+      return {
+        geofence_status: status,
+        fence_name: matchedFence ? matchedFence.name : null,
+        fences_configured: fences.length > 0,
+        mode: settings.mode
+      };
+    } catch (error) {
+      logger.error('Error in classifyLocation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Geofence fields for a new attendance record. In reject mode check-ins
+   * outside every fence are refused; otherwise they wait for admin review.
+   */
+  async evaluateCheckIn(locationCoordinates, options = {}) {
+    const result = await this.classifyLocation(locationCoordinates, options);
+
+    if (!result.fences_configured) {
+      return { geofence_status: 'Unknown', review_status: null };
+    }
+
+    if (result.geofence_status === 'Outside' && result.mode === 'reject') {
+      throw new Error('Check-in location is outside the allowed area');
+    }
+
+    return {
+      geofence_status: result.geofence_status,
+      review_status: result.geofence_status === 'Inside' ? null : 'Pending'
+    };
+  }
+
+  /**
+   * Where clause for attendance records that count in summaries: every
+   * record except check-ins rejected in review
+   */
+  countedAttendanceWhere() {
+    return {
+      OR: [
+        { review_status: null },
+        { review_status: { not: 'Rejected' } }
+      ]
+    };
+  }
+
+  /**
+   * Get flagged attendance records
+   */
+  async getReviewQueue(filters = {}) {
+    try {
+      const { type = 'teacher', status = 'Pending', date_from, date_to, page = 1, limit = 10 } = filters;
+      const model = reviewModels[type];
+
+      const where = { review_status: status };
+
+      if (date_from || date_to) {
+        where.timestamp = {};
+        if (date_from) where.timestamp.gte = new Date(date_from);
+        if (date_to) {
+          const endDate = new Date(date_to);
+          endDate.setHours(23, 59, 59, 999);
+          where.timestamp.lte = endDate;
+        }
+      }
+
+      const pagination = new Pagination(page, limit);
+
+      const [records, total] = await Promise.all([
+        model.delegate().findMany({
+          where,
+          skip: pagination.getOffset(),
+          take: pagination.limit,
+          include: model.include,
+          orderBy: { timestamp: 'asc' }
+        }),
+        model.delegate().count({ where })
+      ]);
+
+      return {
+        data: records.map(record => serializeBigInt(record)),
+        meta: new Pagination(page, limit, total).getMeta()
+      };
+    } catch (error) {
+      logger.error('Error in getReviewQueue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a flagged attendance record
+   */
+  async reviewAttendance(type, id, reviewerUserId, reviewData) {
+    try {
+      const model = reviewModels[type];
+
+      if (!model) {
+        throw new Error('Invalid attendance type');
+      }
+
+      const record = await model.delegate().findUnique({
+        where: { id: BigInt(id) }
+      });
+
+      if (!record) {
+        throw new Error('Attendance record not found');
+      }
+
+      if (!record.review_status) {
+        throw new Error('Attendance record is not flagged for review');
+      }
+
+      const reviewed = await model.delegate().update({
+        where: { id: record.id },
+        data: {
+          review_status: reviewData.status,
+          review_notes: reviewData.notes || null,
+          reviewed_by_id: BigInt(reviewerUserId),
+          reviewed_at: new Date()
+        },
+        include: model.include
+      });
+
+      logger.info('Attendance record reviewed', {
+        type,
+        attendanceId: record.id.toString(),
+        status: reviewData.status
+      });
+
+      return serializeBigInt(reviewed);
+    } catch (error) {
+      logger.error('Error in reviewAttendance:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new GeofenceService();
@@ -0,0 +1,365 @@
+const { PrismaClient } = require('@prisma/client');
+const { serializeBigInt, Pagination, toDateOnly } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const journalInclude = {
+  placement: {
+    select: {
+      id: true,
+      student_id: true,
+      supervisor_teacher_id: true,
+      student: {
+        select: {
+          id: true,
+          nis: true,
+          full_name: true
+        }
+      },
+      company: {
+        select: {
+          id: true,
+          name: true
+        }
+      }
+    }
+  }
+};
+
+class InternshipJournalService {
+  /**
+   * Serialize internship journal data to handle BigInt and dates properly
+   */
+  serializeJournal(journal) {
+    if (!journal) return null;
+
+    return {
+      ...serializeBigInt(journal),
+      activity_date: journal.activity_date ? journal.activity_date.toISOString().split('T')[0] : null,
+    };
+  }
+
+  /**
+   * Get all internship journals with pagination and filtering
+   */
+  async getAllJournals(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        placement_id,
+        student_id,
+        supervisor_teacher_id,
+        status,
+        date_from,
+        date_to
+      } = options;
+
+      const where = {};
+
+      if (placement_id) where.placement_id = BigInt(placement_id);
+      if (status) where.status = status;
+
+      if (student_id || supervisor_teacher_id) {
+        where.placement = {
+          ...(student_id && { student_id: BigInt(student_id) }),
+          ...(supervisor_teacher_id && { supervisor_teacher_id: BigInt(supervisor_teacher_id) })
+        };
+      }
+
+      if (date_from || date_to) {
+        where.activity_date = {};
+        if (date_from) where.activity_date.gte = new Date(date_from);
+        if (date_to) where.activity_date.lte = new Date(date_to);
+      }
+
+      const pagination = new Pagination(page, limit);
+
+      const [journals, total] = await Promise.all([
+        prisma.internshipJournal.findMany({
+          where,
+          include: journalInclude,
+          orderBy: { activity_date: 'desc' },
+          skip: pagination.getOffset(),
+          take: pagination.limit
+        }),
+        prisma.internshipJournal.count({ where })
+      ]);
+
+      return {
+        data: journals.map(journal => this.serializeJournal(journal)),
+        meta: new Pagination(page, limit, total).getMeta()
+      };
+    } catch (error) {
+      logger.error('Error in getAllJournals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get internship journal by ID
+   */
+  async getJournalById(id) {
+    try {
+      const journal = await prisma.internshipJournal.findUnique({
+        where: { id: BigInt(id) },
+        include: journalInclude
+      });
+
+      if (!journal) {
+        throw new Error('Internship journal not found');
+      }
+
+      return this.serializeJournal(journal);
+    } catch (error) {
+      logger.error('Error in getJournalById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a journal entry for the student's placement active on the activity date
+   */
+  async submitJournal(studentId, journalData) {
+    try {
+      const { activity_date, activity_description } = journalData;
+
+      const activityDate = toDateOnly(activity_date);
+      const today = toDateOnly(new Date());
+
+      if (activityDate > today) {
+        throw new Error('Cannot submit a journal for a future date');
+      }
+
+      const placement = await prisma.internshipPlacement.findFirst({
+        where: {
+          student_id: BigInt(studentId),
+          status: 'Aktif',
+          start_date: { lte: activityDate },
+          OR: [
+            { end_date: null },
+            { end_date: { gte: activityDate } }
+          ]
+        }
+      });
+
+      if (!placement) {
+        throw new Error('No active internship placement found for this date');
+      }
+
+      const existingJournal = await prisma.internshipJournal.findUnique({
+        where: {
+          placement_activity_date_unique: {
+            placement_id: placement.id,
+            activity_date: activityDate
+          }
+        }
+      });
+
+      if (existingJournal) {
+        throw new Error('Internship journal for this date already exists');
+      }
+
+      const journal = await prisma.internshipJournal.create({
+        data: {
+          placement_id: placement.id,
+          activity_date: activityDate,
+          activity_description
+        },
+        include: journalInclude
+      });
+
+      return this.serializeJournal(journal);
+    } catch (error) {
+      logger.error('Error in submitJournal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update own journal entry. Rejected entries go back to the pending queue.
+   */
+  async updateJournal(id, studentId, updateData) {
+    try {
+      const existingJournal = await this.findOwnJournal(id, studentId);
+
+      if (existingJournal.status === 'Approved') {
+        throw new Error('Approved internship journal cannot be modified');
+      }
+
+      const journal = await prisma.internshipJournal.update({
+        where: { id: BigInt(id) },
+        data: {
+          activity_description: updateData.activity_description,
+          status: 'Pending',
+          supervisor_notes: null,
+          approved_at: null
+        },
+        include: journalInclude
+      });
+
+      return this.serializeJournal(journal);
+    } catch (error) {
+      logger.error('Error in updateJournal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete own journal entry
+   */
+  async deleteJournal(id, studentId) {
+    try {
+      const existingJournal = await this.findOwnJournal(id, studentId);
+
+      if (existingJournal.status === 'Approved') {
+        throw new Error('Approved internship journal cannot be deleted');
+      }
+
+      await prisma.internshipJournal.delete({
+        where: { id: BigInt(id) }
+      });
+
+      return { message: 'Internship journal deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteJournal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending journals for placements supervised by a teacher
+   */
+  async getPendingQueue(teacherId, options = {}) {
+    try {
+      return await this.getAllJournals({
+        ...options,
+        supervisor_teacher_id: teacherId,
+        status: 'Pending'
+      });
+    } catch (error) {
+      logger.error('Error in getPendingQueue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a single journal entry as its supervising teacher
+   */
+  async reviewJournal(id, teacherId, reviewData) {
+    try {
+      const { status, supervisor_notes } = reviewData;
+
+      const existingJournal = await prisma.internshipJournal.findUnique({
+        where: { id: BigInt(id) },
+        include: { placement: true }
+      });
+
+      if (!existingJournal) {
+        throw new Error('Internship journal not found');
+      }
+
+      if (existingJournal.placement.supervisor_teacher_id?.toString() !== teacherId.toString()) {
+        throw new Error('Access denied - you are not the supervisor of this placement');
+      }
+
+      if (existingJournal.status !== 'Pending') {
+        throw new Error(`Internship journal has already been ${existingJournal.status.toLowerCase()}`);
+      }
+
+      const journal = await prisma.internshipJournal.update({
+        where: { id: BigInt(id) },
+        data: {
+          status,
+          supervisor_notes: supervisor_notes || null,
+          approved_at: status === 'Approved' ? new Date() : null
+        },
+        include: journalInclude
+      });
+
+      logger.info('Internship journal reviewed', {
+        journalId: id,
+        teacherId: teacherId.toString(),
+        status
+      });
+
+      return this.serializeJournal(journal);
+    } catch (error) {
+      logger.error('Error in reviewJournal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve every pending journal of a week (7 days from week_start)
+   * for placements supervised by a teacher
+   */
+  async approveWeek(teacherId, approvalData) {
+    try {
+      const { week_start, placement_id, supervisor_notes } = approvalData;
+
+      const weekStart = toDateOnly(week_start);
+      const weekEnd = new Date(weekStart);
+      weekEnd.setUTCDate(weekEnd.getUTCDate() + 6);
+
+      const where = {
+        status: 'Pending',
+        activity_date: {
+          gte: weekStart,
+          lte: weekEnd
+        },
+        placement: {
+          supervisor_teacher_id: BigInt(teacherId),
+          ...(placement_id && { id: BigInt(placement_id) })
+        }
+      };
+
+      const result = await prisma.internshipJournal.updateMany({
+        where,
+        data: {
+          status: 'Approved',
+          supervisor_notes: supervisor_notes || null,
+          approved_at: new Date()
+        }
+      });
+
+      logger.info('Internship journals approved in bulk', {
+        teacherId: teacherId.toString(),
+        weekStart: weekStart.toISOString().split('T')[0],
+        count: result.count
+      });
+
+      return {
+        week_start: weekStart.toISOString().split('T')[0],
+        week_end: weekEnd.toISOString().split('T')[0],
+        approved: result.count
+      };
+    } catch (error) {
+      logger.error('Error in approveWeek:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a journal entry that belongs to the given student
+   */
+  async findOwnJournal(id, studentId) {
+    const journal = await prisma.internshipJournal.findUnique({
+      where: { id: BigInt(id) },
+      include: { placement: true }
+    });
+
+    if (!journal) {
+      throw new Error('Internship journal not found');
+    }
+
+    if (journal.placement.student_id.toString() !== studentId.toString()) {
+      throw new Error('Access denied - this journal does not belong to you');
+    }
+
+    return journal;
+  }
+}
+
+module.exports = new InternshipJournalService();
@@ -0,0 +1,583 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { serializeBigInt, Pagination, toDateOnly } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Status yang boleh dituju dari setiap status penempatan
+const PLACEMENT_STATUS_TRANSITIONS = {
+  Aktif: ['Selesai', 'Batal'],
+  Selesai: [],
+  Batal: [],
+};
+
+const placementInclude = {
+  student: {
+    select: {
+      id: true,
+      nis: true,
+      full_name: true,
+      current_class: {
+        select: {
+          id: true,
+          class_name: true,
+          grade_level: true,
+          major: true
+        }
+      }
+    }
+  },
+  company: true,
+  supervisor_teacher: {
+    select: {
+      id: true,
+      nip: true,
+      full_name: true
+    }
+  }
+};
+
+class InternshipService {
+  /**
+   * Serialize placement data to handle BigInt and dates properly
+   */
+  serializePlacement(placement) {
+    if (!placement) return null;
+
+    return {
+      ...serializeBigInt(placement),
+      start_date: placement.start_date ? placement.start_date.toISOString().split('T')[0] : null,
+      end_date: placement.end_date ? placement.end_date.toISOString().split('T')[0] : null,
+    };
+  }
+
+  // ===== COMPANIES =====
+
+  /**
+   * Get all companies with pagination and search
+   */
+  async getAllCompanies(options = {}) {
+    try {
+      const { page = 1, limit = 10, search } = options;
+
+      const where = {};
+
+      if (search) {
+        where.OR = [
+          { name: { contains: search } },
+          { address: { contains: search } }
+        ];
+      }
+
+      const pagination = new Pagination(page, limit);
+
+      const [companies, total] = await Promise.all([
+        prisma.company.findMany({
+          where,
+          include: {
+            _count: {
+              select: { internship_placements: true }
+            }
+          },
+          orderBy: { name: 'asc' },
+          skip: pagination.getOffset(),
+          take: pagination.limit
+        }),
+        prisma.company.count({ where })
+      ]);
+
+      return {
+        data: companies.map(company => serializeBigInt(company)),
+        meta: new Pagination(page, limit, total).getMeta()
+      };
+    } catch (error) {
+      logger.error('Error in getAllCompanies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get company by ID with its placements
+   */
+  async getCompanyById(id) {
+    try {
+      const company = await prisma.company.findUnique({
+        where: { id: BigInt(id) },
+        include: {
+          internship_placements: {
+            include: placementInclude,
+            orderBy: { start_date: 'desc' }
+          }
+        }
+      });
+
+      if (!company) {
+        throw new Error('Company not found');
+      }
+
+      return {
+        ...serializeBigInt(company),
+        internship_placements: company.internship_placements.map(placement => this.serializePlacement(placement))
+      };
+    } catch (error) {
+      logger.error('Error in getCompanyById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new company
+   */
+  async createCompany(companyData) {
+    try {
+      const { name, address, coordinates, geofence_radius_meters } = companyData;
+
+      const company = await prisma.company.create({
+        data: {
+          name,
+          address: address || null,
+          coordinates: coordinates || null,
+          geofence_radius_meters: geofence_radius_meters || null
+        }
+      });
+
+      logger.info('Company created successfully', { companyId: company.id.toString() });
+
+      return serializeBigInt(company);
+    } catch (error) {
+      logger.error('Error in createCompany:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update company
+   */
+  async updateCompany(id, updateData) {
+    try {
+      const existingCompany = await prisma.company.findUnique({
+        where: { id: BigInt(id) }
+      });
+
+      if (!existingCompany) {
+        throw new Error('Company not found');
+      }
+
+      const { name, address, coordinates, geofence_radius_meters } = updateData;
+      const updateFields = {};
+
+      if (name !== undefined) updateFields.name = name;
+      if (address !== undefined) updateFields.address = address;
+      if (coordinates !== undefined) updateFields.coordinates = coordinates;
+      if (geofence_radius_meters !== undefined) updateFields.geofence_radius_meters = geofence_radius_meters;
+
+      const company = await prisma.company.update({
+        where: { id: BigInt(id) },
+        data: updateFields
+      });
+
+      return serializeBigInt(company);
+    } catch (error) {
+      logger.error('Error in updateCompany:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete company (only when it has no placements)
+   */
+  async deleteCompany(id) {
+    try {
+      const existingCompany = await prisma.company.findUnique({
+        where: { id: BigInt(id) },
+        include: {
+          _count: {
+            select: { internship_placements: true }
+          }
+        }
+      });
+
+      if (!existingCompany) {
+        throw new Error('Company not found');
+      }
+
+      if (existingCompany._count.internship_placements > 0) {
+        throw new Error('Cannot delete company with internship placement records');
+      }
+
+      await prisma.company.delete({
+        where: { id: BigInt(id) }
+      });
+
+      return { message: 'Company deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteCompany:', error);
+      throw error;
+    }
+  }
+
+  // ===== PLACEMENTS =====
+
+  /**
+   * Get all placements with pagination and filtering
+   */
+  async getAllPlacements(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        student_id,
+        company_id,
+        supervisor_teacher_id,
+        class_id,
+        status,
+        active_on
+      } = options;
+
+      const where = {};
+
+      if (student_id) where.student_id = BigInt(student_id);
+      if (company_id) where.company_id = BigInt(company_id);
+      if (supervisor_teacher_id) where.supervisor_teacher_id = BigInt(supervisor_teacher_id);
+      if (status) where.status = status;
+
+      if (class_id) {
+        where.student = { current_class_id: BigInt(class_id) };
+      }
+
+      if (active_on) {
+        const date = new Date(active_on);
+        where.start_date = { lte: date };
+        where.OR = [
+          { end_date: null },
+          { end_date: { gte: date } }
+        ];
+      }
+
+      const pagination = new Pagination(page, limit);
+
+      const [placements, total] = await Promise.all([
+        prisma.internshipPlacement.findMany({
+          where,
+          include: placementInclude,
+          orderBy: { start_date: 'desc' },
+          skip: pagination.getOffset(),
+          take: pagination.limit
+        }),
+        prisma.internshipPlacement.count({ where })
+      ]);
+
+      return {
+        data: placements.map(placement => this.serializePlacement(placement)),
+        meta: new Pagination(page, limit, total).getMeta()
+      };
+    } catch (error) {
+      logger.error('Error in getAllPlacements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get placement by ID
+   */
+  async getPlacementById(id) {
+    try {
+      const placement = await prisma.internshipPlacement.findUnique({
+        where: { id: BigInt(id) },
+        include: placementInclude
+      });
+
+      if (!placement) {
+        throw new Error('Internship placement not found');
+      }
+
+      return this.serializePlacement(placement);
+    } catch (error) {
+      logger.error('Error in getPlacementById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new placement (assign student to company)
+   */
+  async createPlacement(placementData) {
+    try {
+      const {
+        student_id,
+        company_id,
+        supervisor_teacher_id,
+        start_date,
+        end_date
+      } = placementData;
+
+      const student = await prisma.student.findUnique({
+        where: { id: BigInt(student_id) }
+      });
+
+      if (!student) {
+        throw new Error('Student not found');
+      }
+
+      if (student.status !== 'AKTIF') {
+        throw new Error('Only active students can be placed for internship');
+      }
+
+      const company = await prisma.company.findUnique({
+        where: { id: BigInt(company_id) }
+      });
+
+      if (!company) {
+        throw new Error('Company not found');
+      }
+
+      if (supervisor_teacher_id) {
+        const teacher = await prisma.teacher.findUnique({
+          where: { id: BigInt(supervisor_teacher_id) }
+        });
+
+        if (!teacher) {
+          throw new Error('Supervisor teacher not found');
+        }
+      }
+
+      const startDate = new Date(start_date);
+      const endDate = end_date ? new Date(end_date) : null;
+
+      const placement = await this.saveWithoutOverlap(student_id, startDate, endDate, null, tx =>
+        tx.internshipPlacement.create({
+          data: {
+            student_id: BigInt(student_id),
+            company_id: BigInt(company_id),
+            supervisor_teacher_id: supervisor_teacher_id ? BigInt(supervisor_teacher_id) : null,
+            start_date: startDate,
+            end_date: endDate,
+            status: 'Aktif'
+          },
+          include: placementInclude
+        })
+      );
+
+      logger.info('Internship placement created successfully', {
+        placementId: placement.id.toString(),
+        studentId: student_id,
+        companyId: company_id
+      });
+
+      return this.serializePlacement(placement);
+    } catch (error) {
+      logger.error('Error in createPlacement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update placement details (company, supervisor, dates)
+   */
+  async updatePlacement(id, updateData) {
+    try {
+      const existingPlacement = await prisma.internshipPlacement.findUnique({
+        where: { id: BigInt(id) }
+      });
+
+      if (!existingPlacement) {
+        throw new Error('Internship placement not found');
+      }
+
+      if (existingPlacement.status !== 'Aktif') {
+        throw new Error(`Cannot update a placement with status ${existingPlacement.status}`);
+      }
+
+      const { company_id, supervisor_teacher_id, start_date, end_date } = updateData;
+      const updateFields = {};
+
+      if (company_id !== undefined) {
+        const company = await prisma.company.findUnique({
+          where: { id: BigInt(company_id) }
+        });
+
+        if (!company) {
+          throw new Error('Company not found');
+        }
+
+        updateFields.company_id = BigInt(company_id);
+      }
+
+      if (supervisor_teacher_id !== undefined) {
+        if (supervisor_teacher_id) {
+          const teacher = await prisma.teacher.findUnique({
+            where: { id: BigInt(supervisor_teacher_id) }
+          });
+
+          if (!teacher) {
+            throw new Error('Supervisor teacher not found');
+          }
+        }
+
+        updateFields.supervisor_teacher_id = supervisor_teacher_id ? BigInt(supervisor_teacher_id) : null;
+      }
+
+      if (start_date !== undefined) updateFields.start_date = new Date(start_date);
+      if (end_date !== undefined) updateFields.end_date = end_date ? new Date(end_date) : null;
+
+      const update = client => client.internshipPlacement.update({
+        where: { id: BigInt(id) },
+        data: updateFields,
+        include: placementInclude
+      });
+
+      let placement;
+
+      if (start_date !== undefined || end_date !== undefined) {
+        const startDate = updateFields.start_date || existingPlacement.start_date;
+        const endDate = end_date !== undefined ? updateFields.end_date : existingPlacement.end_date;
+
+        if (endDate && endDate < startDate) {
+          throw new Error('End date must be on or after start date');
+        }
+
+        placement = await this.saveWithoutOverlap(existingPlacement.student_id, startDate, endDate, id, update);
+      } else {
+        placement = await update(prisma);
+      }
+
+      return this.serializePlacement(placement);
+    } catch (error) {
+      logger.error('Error in updatePlacement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change placement status (Aktif -> Selesai/Batal)
+   */
+  async updatePlacementStatus(id, status) {
+    try {
+      const existingPlacement = await prisma.internshipPlacement.findUnique({
+        where: { id: BigInt(id) }
+      });
+
+      if (!existingPlacement) {
+        throw new Error('Internship placement not found');
+      }
+
+      const allowedStatuses = PLACEMENT_STATUS_TRANSITIONS[existingPlacement.status] || [];
+
+      if (!allowedStatuses.includes(status)) {
+        throw new Error(`Invalid status transition from ${existingPlacement.status} to ${status}`);
+      }
+
+      const updateFields = { status };
+
+      // Penempatan yang selesai tanpa tanggal akhir ditutup pada hari ini
+      if (status === 'Selesai' && !existingPlacement.end_date) {
+        updateFields.end_date = toDateOnly(new Date());
+      }
+
+      const placement = await prisma.internshipPlacement.update({
+        where: { id: BigInt(id) },
+        data: updateFields,
+        include: placementInclude
+      });
+
+      logger.info('Internship placement status updated', {
+        placementId: id,
+        from: existingPlacement.status,
+        to: status
+      });
+
+      return this.serializePlacement(placement);
+    } catch (error) {
+      logger.error('Error in updatePlacementStatus:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete placement
+   */
+  async deletePlacement(id) {
+    try {
+      const existingPlacement = await prisma.internshipPlacement.findUnique({
+        where: { id: BigInt(id) },
+        include: {
+          _count: {
+            select: { journals: true }
+          }
+        }
+      });
+
+      if (!existingPlacement) {
+        throw new Error('Internship placement not found');
+      }
+
+      if (existingPlacement._count.journals > 0) {
+        throw new Error('Cannot delete placement with internship journal records');
+      }
+
+      await prisma.internshipPlacement.delete({
+        where: { id: BigInt(id) }
+      });
+
+      return { message: 'Internship placement deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deletePlacement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure a student has no other active placement overlapping the given period.
+   * A missing end date is treated as open-ended.
+   */
+  async checkPlacementOverlap(studentId, startDate, endDate, excludeId = null, client = prisma) {
+    const where = {
+      student_id: BigInt(studentId),
+      status: 'Aktif',
+      OR: [
+        { end_date: null },
+        { end_date: { gte: startDate } }
+      ]
+    };
+
+    if (endDate) {
+      where.start_date = { lte: endDate };
+    }
+
+    if (excludeId) {
+      where.id = { not: BigInt(excludeId) };
+    }
+
+    const overlapping = await client.internshipPlacement.findFirst({
+      where,
+      include: { company: { select: { name: true } } }
+    });
+
+    if (overlapping) {
+      throw new Error(`Placement conflict detected. Student already has an active placement at ${overlapping.company.name} in this period`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Run the overlap check and the save in one serializable transaction, so
+   * two requests for the same student cannot both pass the check
+   */
+  async saveWithoutOverlap(studentId, startDate, endDate, excludeId, save) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        await this.checkPlacementOverlap(studentId, startDate, endDate, excludeId, tx);
+        return save(tx);
+      }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+    } catch (error) {
+      // The concurrent request lost the race on the same placements
+      if (error.code === 'P2034') {
+        throw new Error('Placement conflict detected. Another placement for this student was saved at the same time, please try again');
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new InternshipService();
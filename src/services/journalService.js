@@ -1,6 +1,10 @@
 const { PrismaClient } = require('@prisma/client');
 const { serializeBigInt, Pagination } = require('../utils/helpers');
+const { hasPermission } = require('../utils/auth');
 const logger = require('../utils/logger');
+const academicPeriodService = require('./academicPeriodService');
+const calendarService = require('./calendarService');
+const lessonAttendanceService = require('./lessonAttendanceService');
 
 const prisma = new PrismaClient();
 
@@ -37,13 +41,14 @@ class JournalService {
         date_to,
         search,
         sort_by = 'teaching_date',
-        sort_order = 'desc'
+        sort_order = 'desc',
+        period = null
       } = options;
 
       const skip = (page - 1) * limit;
       
       // Build where clause
-      const where = {};
+      const where = academicPeriodService.semesterWhere(period);
       
       if (teacher_id) {
         where.schedule = {
@@ -174,15 +179,15 @@ class JournalService {
   }
 
   /**
-   * Create new teaching journal
+   * Create new teaching journal; teachers may only write journals of
+   * schedules they teach
    */
-  async createJournal(journalData) {
+  async createJournal(journalData, user) {
     try {
       const {
         schedule_id,
         teaching_date,
         topic,
-        student_attendance_summary,
         notes
       } = journalData;
 
@@ -195,6 +200,13 @@ class JournalService {
         throw new Error('Schedule not found');
       }
 
+      const teachesSchedule = Boolean(user.teacher) && schedule.teacher_id === user.teacher.id;
+      if (!teachesSchedule && !hasPermission(user, 'journals.manage')) {
+        throw new Error('Access denied - you do not teach this schedule');
+      }
+
+      await academicPeriodService.assertSemesterWritable(schedule.semester_id);
+
       // Check if journal already exists for this schedule and date
       const existingJournal = await prisma.teachingJournal.findFirst({
         where: {
@@ -212,8 +224,10 @@ class JournalService {
           schedule_id: BigInt(schedule_id),
           teaching_date: new Date(teaching_date),
           topic,
-          student_attendance_summary,
-          notes
+          // Generated from the lesson roll call, filled in later if it is taken after the journal
+          student_attendance_summary: await lessonAttendanceService.buildJournalSummary(schedule_id, teaching_date),
+          notes,
+          semester_id: schedule.semester_id
         },
         include: {
           schedule: {
@@ -256,10 +270,11 @@ class JournalService {
         throw new Error('Teaching journal not found');
       }
 
+      await academicPeriodService.assertSemesterWritable(existingJournal.semester_id);
+
       const {
         teaching_date,
         topic,
-        student_attendance_summary,
         notes
       } = updateData;
 
@@ -267,13 +282,14 @@ class JournalService {
       
       if (teaching_date !== undefined) {
         updateFields.teaching_date = new Date(teaching_date);
+        updateFields.student_attendance_summary = await lessonAttendanceService.buildJournalSummary(
+          existingJournal.schedule_id,
+          teaching_date
+        );
       }
       if (topic !== undefined) {
         updateFields.topic = topic;
       }
-      if (student_attendance_summary !== undefined) {
-        updateFields.student_attendance_summary = student_attendance_summary;
-      }
       if (notes !== undefined) {
         updateFields.notes = notes;
       }
@@ -322,6 +338,8 @@ class JournalService {
         throw new Error('Teaching journal not found');
       }
 
+      await academicPeriodService.assertSemesterWritable(existingJournal.semester_id);
+
       await prisma.teachingJournal.delete({
         where: { id: BigInt(id) }
       });
@@ -388,10 +406,11 @@ class JournalService {
         class_id,
         subject_id,
         date_from,
-        date_to
+        date_to,
+        period = null
       } = filters;
 
-      const where = {};
+      const where = academicPeriodService.semesterWhere(period);
       
       if (teacher_id) {
         where.schedule = {
@@ -439,16 +458,55 @@ class JournalService {
         }
       });
 
-      return {
+      const stats = {
         total,
         this_month: thisMonth,
         today
       };
+
+      if (date_from && date_to) {
+        stats.expected = await this.countExpectedLessons(
+          { ...academicPeriodService.semesterWhere(period), ...where.schedule },
+          date_from,
+          date_to
+        );
+        stats.completeness = stats.expected > 0
+          ? Math.round((total / stats.expected) * 10000) / 100
+          : null;
+      }
+
+      return stats;
     } catch (error) {
       logger.error('Error in getJournalStats:', error);
       throw error;
     }
   }
+
+  /**
+   * Count lessons that should have a journal: every schedule slot on each
+   * effective school day of the range, for the grade level of its class
+   */
+  async countExpectedLessons(scheduleWhere, dateFrom, dateTo) {
+    const [schedules, resolver] = await Promise.all([
+      prisma.schedule.findMany({
+        where: scheduleWhere,
+        select: { day_of_week: true, class: { select: { grade_level: true } } }
+      }),
+      calendarService.getCalendarResolver(dateFrom, dateTo)
+    ]);
+
+    let expected = 0;
+    const endDate = new Date(dateTo);
+
+    for (let date = new Date(dateFrom); date <= endDate; date.setUTCDate(date.getUTCDate() + 1)) {
+      schedules.forEach(schedule => {
+        const day = resolver.resolve(date, schedule.class.grade_level);
+        if (day.is_effective && day.day_of_week === schedule.day_of_week) expected++;
+      });
+    }
+
+    return expected;
+  }
 }
 
 module.exports = new JournalService();
@@ -0,0 +1,346 @@
+const { PrismaClient } = require('@prisma/client');
+const { serializeBigInt, Pagination, toDateOnly } = require('../utils/helpers');
+const { hasPermission } = require('../utils/auth');
+const { removeUploadedFiles } = require('../middlewares/upload');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const leaveRequestInclude = {
+  requestor: {
+    select: {
+      id: true,
+      username: true,
+      role: true,
+      teacher: {
+        select: {
+          id: true,
+          nip: true,
+          full_name: true
+        }
+      },
+      student: {
+        select: {
+          id: true,
+          nis: true,
+          full_name: true,
+          current_class: {
+            select: {
+              id: true,
+              class_name: true,
+              homeroom_teacher_id: true
+            }
+          }
+        }
+      }
+    }
+  },
+  verifier: {
+    select: {
+      id: true,
+      username: true,
+      role: true
+    }
+  }
+};
+
+class LeaveRequestService {
+  /**
+   * Serialize leave request data to handle BigInt and dates properly
+   */
+  serializeLeaveRequest(leaveRequest) {
+    if (!leaveRequest) return null;
+
+    return {
+      ...serializeBigInt(leaveRequest),
+      start_date: leaveRequest.start_date ? leaveRequest.start_date.toISOString().split('T')[0] : null,
+      end_date: leaveRequest.end_date ? leaveRequest.end_date.toISOString().split('T')[0] : null,
+    };
+  }
+
+  /**
+   * Get leave requests with pagination and filtering.
+   * When `homeroom_teacher_id` is given only requests from students of that
+   * teacher's homeroom classes are returned.
+   */
+  async getAllLeaveRequests(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        user_id,
+        status,
+        request_type,
+        role,
+        class_id,
+        homeroom_teacher_id,
+        date_from,
+        date_to
+      } = options;
+
+      const where = {};
+
+      if (user_id) where.user_id = BigInt(user_id);
+      if (status) where.status = status;
+      if (request_type) where.request_type = request_type;
+
+      if (role || class_id || homeroom_teacher_id) {
+        where.requestor = {
+          ...(role && { role }),
+          ...((class_id || homeroom_teacher_id) && {
+            student: {
+              current_class: {
+                ...(class_id && { id: BigInt(class_id) }),
+                ...(homeroom_teacher_id && { homeroom_teacher_id: BigInt(homeroom_teacher_id) })
+              }
+            }
+          })
+        };
+      }
+
+      // Permohonan yang rentangnya beririsan dengan periode filter
+      if (date_from) where.end_date = { gte: new Date(date_from) };
+      if (date_to) where.start_date = { lte: new Date(date_to) };
+
+      const pagination = new Pagination(page, limit);
+
+      const [leaveRequests, total] = await Promise.all([
+        prisma.leaveRequest.findMany({
+          where,
+          include: leaveRequestInclude,
+          orderBy: { created_at: 'desc' },
+          skip: pagination.getOffset(),
+          take: pagination.limit
+        }),
+        prisma.leaveRequest.count({ where })
+      ]);
+
+      return {
+        data: leaveRequests.map(leaveRequest => this.serializeLeaveRequest(leaveRequest)),
+        meta: new Pagination(page, limit, total).getMeta()
+      };
+    } catch (error) {
+      logger.error('Error in getAllLeaveRequests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get leave request by ID
+   */
+  async getLeaveRequestById(id) {
+    try {
+      const leaveRequest = await prisma.leaveRequest.findUnique({
+        where: { id: BigInt(id) },
+        include: leaveRequestInclude
+      });
+
+      if (!leaveRequest) {
+        throw new Error('Leave request not found');
+      }
+
+      return this.serializeLeaveRequest(leaveRequest);
+    } catch (error) {
+      logger.error('Error in getLeaveRequestById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a new leave request
+   */
+  async createLeaveRequest(userId, requestData, attachmentPath = null) {
+    try {
+      const { request_type, start_date, end_date, reason } = requestData;
+
+      const startDate = toDateOnly(start_date);
+      const endDate = toDateOnly(end_date);
+
+      const overlapping = await prisma.leaveRequest.findFirst({
+        where: {
+          user_id: BigInt(userId),
+          status: { in: ['Pending', 'Approved'] },
+          start_date: { lte: endDate },
+          end_date: { gte: startDate }
+        }
+      });
+
+      if (overlapping) {
+        throw new Error('Leave request conflict detected. You already have a pending or approved request in this period');
+      }
+
+      const leaveRequest = await prisma.leaveRequest.create({
+        data: {
+          user_id: BigInt(userId),
+          request_type,
+          start_date: startDate,
+          end_date: endDate,
+          reason,
+          attachment_path: attachmentPath
+        },
+        include: leaveRequestInclude
+      });
+
+      logger.info('Leave request submitted', {
+        leaveRequestId: leaveRequest.id.toString(),
+        userId: userId.toString(),
+        type: request_type
+      });
+
+      return this.serializeLeaveRequest(leaveRequest);
+    } catch (error) {
+      logger.error('Error in createLeaveRequest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel (delete) own pending leave request
+   */
+  async cancelLeaveRequest(id, userId) {
+    try {
+      const leaveRequest = await prisma.leaveRequest.findUnique({
+        where: { id: BigInt(id) }
+      });
+
+      if (!leaveRequest) {
+        throw new Error('Leave request not found');
+      }
+
+      if (leaveRequest.user_id.toString() !== userId.toString()) {
+        throw new Error('Access denied - this leave request does not belong to you');
+      }
+
+      if (leaveRequest.status !== 'Pending') {
+        throw new Error('Only pending leave requests can be cancelled');
+      }
+
+      await prisma.leaveRequest.delete({
+        where: { id: BigInt(id) }
+      });
+
+      // The attachment belongs to the deleted request only
+      if (leaveRequest.attachment_path) {
+        await removeUploadedFiles({ file: { path: leaveRequest.attachment_path } });
+      }
+
+      return { message: 'Leave request cancelled successfully' };
+    } catch (error) {
+      logger.error('Error in cancelLeaveRequest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a leave request.
+   * Admins can verify any request; a teacher may only verify requests from
+   * students of a class where they are the homeroom teacher.
+   */
+  async verifyLeaveRequest(id, verifier, verificationData) {
+    try {
+      const { status, rejection_reason } = verificationData;
+
+      const leaveRequest = await prisma.leaveRequest.findUnique({
+        where: { id: BigInt(id) },
+        include: leaveRequestInclude
+      });
+
+      if (!leaveRequest) {
+        throw new Error('Leave request not found');
+      }
+
+      if (!this.canVerify(leaveRequest, verifier)) {
+        throw new Error('Access denied - you are not allowed to verify this leave request');
+      }
+
+      if (leaveRequest.status !== 'Pending') {
+        throw new Error(`Leave request has already been ${leaveRequest.status.toLowerCase()}`);
+      }
+
+      const updatedLeaveRequest = await prisma.leaveRequest.update({
+        where: { id: BigInt(id) },
+        data: {
+          status,
+          verifier_id: BigInt(verifier.id),
+          verified_at: new Date(),
+          rejection_reason: status === 'Rejected' ? rejection_reason : null
+        },
+        include: leaveRequestInclude
+      });
+
+      logger.info('Leave request verified', {
+        leaveRequestId: id,
+        verifierId: verifier.id.toString(),
+        status
+      });
+
+      return this.serializeLeaveRequest(updatedLeaveRequest);
+    } catch (error) {
+      logger.error('Error in verifyLeaveRequest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a user may verify the given leave request
+   */
+  canVerify(leaveRequest, verifier) {
+    if (hasPermission(verifier, 'leave_requests.review_any')) {
+      return true;
+    }
+
+    if (!verifier.teacher) {
+      return false;
+    }
+
+    const homeroomTeacherId = leaveRequest.requestor.student?.current_class?.homeroom_teacher_id;
+
+    return Boolean(homeroomTeacherId) && homeroomTeacherId.toString() === verifier.teacher.id.toString();
+  }
+
+  /**
+   * Get approved leave covering a date, keyed by user ID.
+   * Used by the attendance module to count those days as excused.
+   */
+  async getApprovedLeavesOnDate(date, userIds = null) {
+    try {
+      const targetDate = toDateOnly(date);
+
+      const where = {
+        status: 'Approved',
+        start_date: { lte: targetDate },
+        end_date: { gte: targetDate }
+      };
+
+      if (userIds) {
+        where.user_id = { in: userIds.map(userId => BigInt(userId)) };
+      }
+
+      const leaveRequests = await prisma.leaveRequest.findMany({
+        where,
+        select: {
+          id: true,
+          user_id: true,
+          request_type: true,
+          start_date: true,
+          end_date: true,
+          requestor: {
+            select: { role: true }
+          }
+        }
+      });
+
+      const leavesByUser = new Map();
+      leaveRequests.forEach(leaveRequest => {
+        leavesByUser.set(leaveRequest.user_id.toString(), leaveRequest);
+      });
+
+      return leavesByUser;
+    } catch (error) {
+      logger.error('Error in getApprovedLeavesOnDate:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new LeaveRequestService();
@@ -0,0 +1,229 @@
+const { PrismaClient } = require('@prisma/client');
+const { serializeBigInt, toDateOnly } = require('../utils/helpers');
+const { hasPermission } = require('../utils/auth');
+const logger = require('../utils/logger');
+const academicPeriodService = require('./academicPeriodService');
+const classMembershipService = require('./classMembershipService');
+
+const prisma = new PrismaClient();
+
+// Urutan status pada ringkasan presensi jurnal
+const ROLL_CALL_STATUSES = ['Hadir', 'Terlambat', 'Sakit', 'Izin', 'Alpa'];
+
+// Index sesuai Date#getUTCDay()
+const DAYS = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+function formatTime(time) {
+  return time ? time.toISOString().split('T')[1].split('.')[0] : null;
+}
+
+function countStatuses(records) {
+  const counts = ROLL_CALL_STATUSES.reduce((result, status) => ({ ...result, [status]: 0 }), {});
+  records.forEach(record => {
+    counts[record.status]++;
+  });
+  return counts;
+}
+
+/**
+ * Journal summary text, e.g. "Hadir 30, Terlambat 1, Sakit 1, Izin 0, Alpa 2 (34 siswa)"
+ */
+function buildSummaryText(records) {
+  const counts = countStatuses(records);
+
+  return `${ROLL_CALL_STATUSES.map(status => `${status} ${counts[status]}`).join(', ')} (${records.length} siswa)`;
+}
+
+class LessonAttendanceService {
+  /**
+   * Get a schedule and make sure the viewer teaches it (admins may view any)
+   */
+  async getScheduleForViewer(scheduleId, viewer) {
+    const schedule = await prisma.schedule.findUnique({
+      where: { id: BigInt(scheduleId) },
+      include: {
+        class: { select: { id: true, class_name: true, grade_level: true } },
+        subject: { select: { id: true, subject_code: true, subject_name: true } },
+        teacher: { select: { id: true, nip: true, full_name: true } }
+      }
+    });
+
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    if (!hasPermission(viewer, 'lesson_attendance.record_any') && schedule.teacher_id !== viewer.teacherId) {
+      throw new Error('Access denied - you do not teach this schedule');
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Get the roll call of a schedule slot on a date, listing every
+   * student who was in the class on that date (status null when not marked yet)
+   */
+  async getRollCall(scheduleId, viewer, date) {
+    try {
+      const schedule = await this.getScheduleForViewer(scheduleId, viewer);
+      const lessonDate = toDateOnly(date || new Date());
+      const classStudentIds = await classMembershipService.getStudentIdsInClassAt(schedule.class_id, lessonDate);
+
+      const [students, records] = await Promise.all([
+        prisma.student.findMany({
+          where: { id: { in: classStudentIds } },
+          select: { id: true, nis: true, full_name: true, gender: true },
+          orderBy: { full_name: 'asc' }
+        }),
+        prisma.lessonAttendance.findMany({
+          where: { schedule_id: schedule.id, lesson_date: lessonDate },
+          include: {
+            student: { select: { id: true, nis: true, full_name: true, gender: true } }
+          }
+        })
+      ]);
+
+      const recordByStudent = new Map(records.map(record => [record.student_id.toString(), record]));
+
+      // Students who left the class keep their recorded status on this date
+      const roster = [
+        ...students,
+        ...records
+          .filter(record => !students.some(student => student.id === record.student_id))
+          .map(record => record.student)
+      ];
+
+      return {
+        schedule: {
+          id: schedule.id.toString(),
+          day_of_week: schedule.day_of_week,
+          start_time: formatTime(schedule.start_time),
+          end_time: formatTime(schedule.end_time),
+          class: serializeBigInt(schedule.class),
+          subject: serializeBigInt(schedule.subject),
+          teacher: serializeBigInt(schedule.teacher)
+        },
+        lesson_date: formatDate(lessonDate),
+        recorded: records.length > 0,
+        counts: countStatuses(records),
+        students: roster.map(student => {
+          const record = recordByStudent.get(student.id.toString());
+
+          return {
+            ...serializeBigInt(student),
+            status: record ? record.status : null,
+            notes: record ? record.notes : null
+          };
+        })
+      };
+    } catch (error) {
+      logger.error('Error in getRollCall:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the roll call of a schedule slot. Every student who was in the
+   * class on the lesson date must be marked; resubmitting replaces the previous marks.
+   */
+  async saveRollCall(scheduleId, viewer, rollCallData) {
+    try {
+      const schedule = await this.getScheduleForViewer(scheduleId, viewer);
+      const lessonDate = toDateOnly(rollCallData.lesson_date);
+
+      await academicPeriodService.assertSemesterWritable(schedule.semester_id);
+
+      if (lessonDate > toDateOnly(new Date())) {
+        throw new Error('Cannot take a roll call for a future date');
+      }
+
+      if (DAYS[lessonDate.getUTCDay()] !== schedule.day_of_week) {
+        throw new Error(`Lesson date does not fall on the scheduled day (${schedule.day_of_week})`);
+      }
+
+      const classStudentIds = await classMembershipService.getStudentIdsInClassAt(schedule.class_id, lessonDate);
+      const students = await prisma.student.findMany({
+        where: { id: { in: classStudentIds } },
+        select: { id: true, nis: true }
+      });
+
+      const markByStudent = new Map(rollCallData.attendance.map(item => [item.student_id.toString(), item]));
+      const classIds = new Set(students.map(student => student.id.toString()));
+
+      const unknown = [...markByStudent.keys()].filter(studentId => !classIds.has(studentId));
+      if (unknown.length > 0) {
+        throw new Error(`Students not in this class: ${unknown.join(', ')}`);
+      }
+
+      const missing = students.filter(student => !markByStudent.has(student.id.toString()));
+      if (missing.length > 0) {
+        throw new Error(`Attendance must be marked for every student in the class. Missing: ${missing.map(m => m.nis).join(', ')}`);
+      }
+
+      const recordedById = viewer.teacherId ? BigInt(viewer.teacherId) : null;
+
+      await prisma.$transaction(async (tx) => {
+        for (const student of students) {
+          const mark = markByStudent.get(student.id.toString());
+          const key = {
+            schedule_id: schedule.id,
+            student_id: student.id,
+            lesson_date: lessonDate
+          };
+          const fields = {
+            status: mark.status,
+            notes: mark.notes || null,
+            recorded_by_id: recordedById
+          };
+
+          await tx.lessonAttendance.upsert({
+            where: { schedule_student_date_unique: key },
+            create: { ...key, ...fields },
+            update: fields
+          });
+        }
+
+        // Keep the journal of this lesson in sync with the roll call
+        await tx.teachingJournal.updateMany({
+          where: { schedule_id: schedule.id, teaching_date: lessonDate },
+          data: {
+            student_attendance_summary: await this.buildJournalSummary(schedule.id, lessonDate, tx)
+          }
+        });
+      }, { timeout: 30000 });
+
+      logger.info('Lesson roll call saved', {
+        scheduleId: schedule.id.toString(),
+        lessonDate: formatDate(lessonDate),
+        students: students.length
+      });
+
+      return this.getRollCall(schedule.id, viewer, lessonDate);
+    } catch (error) {
+      logger.error('Error in saveRollCall:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the journal's student attendance summary from the roll call.
+   * Returns null when no roll call has been taken for the lesson.
+   */
+  async buildJournalSummary(scheduleId, lessonDate, client = prisma) {
+    const records = await client.lessonAttendance.findMany({
+      where: {
+        schedule_id: BigInt(scheduleId),
+        lesson_date: toDateOnly(lessonDate)
+      },
+      select: { status: true }
+    });
+
+    return records.length > 0 ? buildSummaryText(records) : null;
+  }
+}
+
+module.exports = new LessonAttendanceService();
@@ -0,0 +1,253 @@
+const database = require('../config/database');
+const config = require('../config');
+const logger = require('../utils/logger');
+const auditService = require('./auditService');
+
+const MINUTE_MS = 60 * 1000;
+
+function tooManyAttempts(message, retryAfterSeconds) {
+  const error = new Error(message);
+  error.statusCode = 429;
+  error.retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  return error;
+}
+
+class LoginThrottleService {
+  constructor() {
+    this.prisma = database.getClient();
+  }
+
+  /**
+   * Failures older than the window no longer count
+   */
+  isStale(throttle, now) {
+    return throttle.last_failed_at < new Date(now.getTime() - config.loginProtection.windowMinutes * MINUTE_MS);
+  }
+
+  async findThrottles(username, ipAddress) {
+    const keys = [{ scope: 'Username', identifier: username }];
+    if (ipAddress) keys.push({ scope: 'Ip', identifier: ipAddress });
+
+    return this.prisma.loginThrottle.findMany({ where: { OR: keys } });
+  }
+
+  /**
+   * Seconds still to wait before the next attempt of a scope, following
+   * a delay of 1, 2, 4, ... seconds once the failures pass the threshold
+   */
+  getWaitSeconds(throttle, now) {
+    const { delayAfterFailures, maxDelaySeconds, ipDelayAfterFailures, ipMaxDelaySeconds } = config.loginProtection;
+    const [threshold, maxDelay] = throttle.scope === 'Ip'
+      ? [ipDelayAfterFailures, ipMaxDelaySeconds]
+      : [delayAfterFailures, maxDelaySeconds];
+
+    if (this.isStale(throttle, now) || throttle.failed_count < threshold) {
+      return 0;
+    }
+
+    const delaySeconds = Math.min(2 ** (throttle.failed_count - threshold), maxDelay);
+
+    return (throttle.last_failed_at.getTime() + delaySeconds * 1000 - now.getTime()) / 1000;
+  }
+
+  /**
+   * Refuse a login attempt while the username is locked out, or before
+   * the progressive delay after the last failure of the username or IP
+   * has passed. An IP is never locked out: a whole school can share one
+   * NAT address, so it only slows down.
+   */
+  async assertAllowed(username, ipAddress) {
+    const now = new Date();
+    const throttles = await this.findThrottles(username, ipAddress);
+
+    const usernameThrottle = throttles.find(throttle => throttle.scope === 'Username');
+    if (usernameThrottle && usernameThrottle.locked_until && usernameThrottle.locked_until > now) {
+      throw tooManyAttempts(
+        'Too many failed login attempts. Login is temporarily locked',
+        (usernameThrottle.locked_until - now) / 1000
+      );
+    }
+
+    const waitSeconds = Math.max(0, ...throttles.map(throttle => this.getWaitSeconds(throttle, now)));
+
+    if (waitSeconds > 0) {
+      throw tooManyAttempts(`Too many failed login attempts. Try again in ${Math.ceil(waitSeconds)} seconds`, waitSeconds);
+    }
+  }
+
+  /**
+   * Atomically add one failure to a scope; failures outside the window
+   * start over
+   */
+  async countFailure(scope, identifier, now) {
+    await this.prisma.loginThrottle.updateMany({
+      where: {
+        scope,
+        identifier,
+        last_failed_at: { lt: new Date(now.getTime() - config.loginProtection.windowMinutes * MINUTE_MS) }
+      },
+      data: { failed_count: 0, locked_until: null }
+    });
+
+    return this.prisma.loginThrottle.upsert({
+      where: { scope_identifier_unique: { scope, identifier } },
+      create: { scope, identifier, failed_count: 1, last_failed_at: now },
+      update: { failed_count: { increment: 1 }, last_failed_at: now }
+    });
+  }
+
+  /**
+   * Count a failed login against the username and the IP. The username is
+   * locked out at its threshold; the IP only gets the progressive delay.
+   * Unknown usernames are counted too, so the reply never tells which
+   * usernames exist; stale rows are removed by purgeStale.
+   */
+  async recordFailure(username, ipAddress) {
+    const { usernameLockoutThreshold, ipDelayAfterFailures, lockoutMinutes } = config.loginProtection;
+    const now = new Date();
+
+    const usernameThrottle = await this.countFailure('Username', username, now);
+
+    if (usernameThrottle.failed_count >= usernameLockoutThreshold) {
+      const lockedUntil = new Date(now.getTime() + lockoutMinutes * MINUTE_MS);
+
+      // Conditional so concurrent failures past the threshold lock out only once
+      const { count } = await this.prisma.loginThrottle.updateMany({
+        where: {
+          id: usernameThrottle.id,
+          OR: [{ locked_until: null }, { locked_until: { lte: now } }]
+        },
+        data: { locked_until: lockedUntil }
+      });
+
+      if (count > 0) {
+        await this.recordLockout(username, usernameThrottle.failed_count, lockedUntil, ipAddress);
+      }
+    }
+
+    if (ipAddress) {
+      const ipThrottle = await this.countFailure('Ip', ipAddress, now);
+
+      if (ipThrottle.failed_count === ipDelayAfterFailures) {
+        logger.warn('Login attempts from IP slowed down after repeated failures', {
+          identifier: ipAddress,
+          failedCount: ipThrottle.failed_count
+        });
+
+        await auditService.record('auth.ip_throttled', {
+          ip_address: ipAddress,
+          details: { failed_count: ipThrottle.failed_count }
+        });
+      }
+    }
+  }
+
+  async recordLockout(username, failedCount, lockedUntil, ipAddress) {
+    const user = await this.prisma.user.findUnique({ where: { username }, select: { id: true } });
+
+    logger.warn('Login locked out after repeated failures', { username, failedCount });
+
+    await auditService.record('auth.lockout', {
+      target_user_id: user ? user.id : null,
+      ip_address: ipAddress,
+      details: {
+        scope: 'Username',
+        identifier: username,
+        failed_count: failedCount,
+        locked_until: lockedUntil.toISOString()
+      }
+    });
+  }
+
+  /**
+   * A successful login clears the failures of the username. The IP keeps
+   * its count so one valid account cannot mask spraying from the same IP.
+   */
+  async recordSuccess(username) {
+    await this.prisma.loginThrottle.deleteMany({
+      where: { scope: 'Username', identifier: username }
+    });
+  }
+
+  /**
+   * Remove throttles whose failures have left the window and that are not
+   * locked out, so guessed usernames do not pile up in the table
+   */
+  async purgeStale() {
+    const now = new Date();
+
+    const { count } = await this.prisma.loginThrottle.deleteMany({
+      where: {
+        last_failed_at: { lt: new Date(now.getTime() - config.loginProtection.windowMinutes * MINUTE_MS) },
+        OR: [{ locked_until: null }, { locked_until: { lte: now } }]
+      }
+    });
+
+    if (count > 0) {
+      logger.info(`Purged ${count} stale login throttles`);
+    }
+
+    return count;
+  }
+
+  /**
+   * Usernames that are locked out right now
+   */
+  async getLockouts() {
+    try {
+      return await this.prisma.loginThrottle.findMany({
+        where: { scope: 'Username', locked_until: { gt: new Date() } },
+        orderBy: { locked_until: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Get login lockouts failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lift a lockout before it expires
+   */
+  async unlock(id, actorId, ipAddress) {
+    try {
+      const throttle = await this.prisma.loginThrottle.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!throttle) {
+        const error = new Error('Lockout not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      await this.prisma.loginThrottle.delete({
+        where: { id: throttle.id }
+      });
+
+      const user = throttle.scope === 'Username'
+        ? await this.prisma.user.findUnique({ where: { username: throttle.identifier }, select: { id: true } })
+        : null;
+
+      await auditService.record('auth.unlock', {
+        actor_id: actorId,
+        target_user_id: user ? user.id : null,
+        ip_address: ipAddress,
+        details: {
+          scope: throttle.scope,
+          identifier: throttle.identifier,
+          failed_count: throttle.failed_count,
+          locked_until: throttle.locked_until ? throttle.locked_until.toISOString() : null
+        }
+      });
+
+      logger.info('Login lockout lifted', { scope: throttle.scope, identifier: throttle.identifier });
+
+      return { message: 'Lockout lifted successfully' };
+    } catch (error) {
+      logger.error(`Unlock login failed: ${id}`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new LoginThrottleService();
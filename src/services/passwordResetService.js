@@ -0,0 +1,299 @@
+const database = require('../config/database');
+const config = require('../config');
+const {
+  hashPassword,
+  generateReadableCode,
+  hashReadableCode,
+  hasPermission
+} = require('../utils/auth');
+const { serializeBigInt } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+const loginThrottleService = require('./loginThrottleService');
+const securityPolicyService = require('./securityPolicyService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function resetError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Printable page with one cut-out slip per student
+ */
+function renderSlipsHtml({ class: cls, expires_at, slips }) {
+  const expires = new Date(expires_at).toLocaleString('id-ID', { dateStyle: 'long', timeStyle: 'short' });
+
+  const items = slips.map(slip => `
+    <div class="slip">
+      <h3>Reset Password - ${escapeHtml(config.app.name)}</h3>
+      <p><strong>${escapeHtml(slip.full_name)}</strong> (NIS ${escapeHtml(slip.nis)}) - ${escapeHtml(cls.class_name)}</p>
+      <p>Username: <code>${escapeHtml(slip.username)}</code></p>
+      <p>Kode reset: <code class="code">${escapeHtml(slip.code)}</code></p>
+      <p class="note">Buka halaman "Lupa Password", masukkan username dan kode ini, lalu buat password baru.
+        Kode hanya bisa dipakai sekali dan berlaku sampai ${escapeHtml(expires)}.</p>
+    </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+  <meta charset="utf-8">
+  <title>Slip Reset Password ${escapeHtml(cls.class_name)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 16px; }
+    .slip { border: 1px dashed #444; padding: 8px 12px; margin-bottom: 12px; page-break-inside: avoid; }
+    .slip h3 { margin: 0 0 6px; font-size: 14px; }
+    .slip p { margin: 4px 0; font-size: 13px; }
+    .code { font-size: 18px; letter-spacing: 2px; }
+    .note { color: #555; font-size: 11px; }
+  </style>
+</head>
+<body>${items}
+</body>
+</html>`;
+}
+
+class PasswordResetService {
+  constructor() {
+    this.prisma = database.getClient();
+  }
+
+  /**
+   * Issuers allowed to reset anyone may issue codes for any user; a
+   * homeroom teacher only for the students of their own classes
+   */
+  assertCanIssue(issuer, homeroomTeacherId) {
+    if (hasPermission(issuer, 'password_resets.issue_any')) return;
+
+    if (!issuer.teacher || homeroomTeacherId !== issuer.teacher.id) {
+      throw resetError('Access denied - you are not the homeroom teacher', 403);
+    }
+  }
+
+  /**
+   * Replace any unused code of the user with a new one
+   */
+  async createCode(userId, issuerId, expiresAt, client = this.prisma) {
+    const code = generateReadableCode(2, 4);
+
+    await client.passwordResetCode.deleteMany({
+      where: { user_id: userId, used_at: null }
+    });
+
+    await client.passwordResetCode.create({
+      data: {
+        user_id: userId,
+        code_hash: hashReadableCode(code),
+        issued_by_id: BigInt(issuerId),
+        expires_at: expiresAt
+      }
+    });
+
+    return code;
+  }
+
+  /**
+   * Issue a one-time reset code for one user
+   */
+  async issueCode(userId, issuer, ipAddress) {
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { id: BigInt(userId) },
+        select: {
+          id: true,
+          username: true,
+          role: true,
+          is_active: true,
+          student: {
+            select: {
+              full_name: true,
+              current_class: { select: { homeroom_teacher_id: true } }
+            }
+          }
+        }
+      });
+
+      if (!user || !user.is_active) {
+        throw resetError('User not found', 404);
+      }
+
+      this.assertCanIssue(issuer, user.student?.current_class?.homeroom_teacher_id ?? null);
+
+      const expiresAt = new Date(Date.now() + config.passwordReset.codeExpiresHours * HOUR_MS);
+      const code = await this.createCode(user.id, issuer.id, expiresAt);
+
+      await auditService.record('auth.reset_code_issued', {
+        actor_id: issuer.id,
+        target_user_id: user.id,
+        ip_address: ipAddress
+      });
+
+      logger.info(`Password reset code issued for user ID: ${userId}`);
+
+      return {
+        user: serializeBigInt({ id: user.id, username: user.username, role: user.role }),
+        code,
+        expires_at: expiresAt
+      };
+    } catch (error) {
+      logger.error(`Issue reset code failed for user ID: ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue reset codes for every active student of a class, e.g. for a
+   * printed slip handed out in class. The route checks the issuer is the
+   * homeroom teacher of the class.
+   */
+  async issueClassSlips(classId, issuer, ipAddress) {
+    try {
+      const cls = await this.prisma.class.findUnique({
+        where: { id: BigInt(classId) },
+        select: {
+          id: true,
+          class_name: true,
+          students: {
+            where: { status: 'AKTIF', user: { is_active: true } },
+            select: {
+              id: true,
+              nis: true,
+              full_name: true,
+              user: { select: { id: true, username: true } }
+            },
+            orderBy: { full_name: 'asc' }
+          }
+        }
+      });
+
+      if (!cls) {
+        throw resetError('Class not found', 404);
+      }
+
+      const expiresAt = new Date(Date.now() + config.passwordReset.codeExpiresHours * HOUR_MS);
+
+      const slips = await this.prisma.$transaction(async (tx) => {
+        const result = [];
+        for (const student of cls.students) {
+          result.push({
+            student_id: student.id,
+            nis: student.nis,
+            full_name: student.full_name,
+            username: student.user.username,
+            code: await this.createCode(student.user.id, issuer.id, expiresAt, tx)
+          });
+        }
+        return result;
+      }, { timeout: 60000 });
+
+      await auditService.record('auth.reset_code_issued', {
+        actor_id: issuer.id,
+        ip_address: ipAddress,
+        details: { class_id: cls.id.toString(), count: slips.length }
+      });
+
+      logger.info(`Password reset slips issued for class ID: ${classId}`, { count: slips.length });
+
+      return serializeBigInt({
+        class: { id: cls.id, class_name: cls.class_name },
+        expires_at: expiresAt,
+        slips
+      });
+    } catch (error) {
+      logger.error(`Issue reset slips failed for class ID: ${classId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Printable HTML version of the slips of a class
+   */
+  renderSlips(result) {
+    return renderSlipsHtml(result);
+  }
+
+  /**
+   * Set a new password with a reset code. Attempts count towards the login
+   * throttle of the username, so codes cannot be guessed.
+   */
+  async redeem({ username, code, newPassword }, context = {}) {
+    try {
+      await loginThrottleService.assertAllowed(username, context.ip_address);
+
+      const user = await this.prisma.user.findUnique({
+        where: { username, is_active: true },
+        select: { id: true, username: true }
+      });
+
+      const resetCode = user && await this.prisma.passwordResetCode.findFirst({
+        where: {
+          user_id: user.id,
+          code_hash: hashReadableCode(code),
+          used_at: null,
+          expires_at: { gt: new Date() }
+        }
+      });
+
+      if (!resetCode) {
+        await loginThrottleService.recordFailure(username, context.ip_address);
+        throw resetError('Invalid or expired reset code', 400);
+      }
+
+      await securityPolicyService.assertPasswordAllowed(newPassword, user.username);
+
+      const hashedPassword = await hashPassword(newPassword);
+
+      await this.prisma.$transaction(async (tx) => {
+        // Conditional update so one code cannot be redeemed twice concurrently
+        const { count } = await tx.passwordResetCode.updateMany({
+          where: { id: resetCode.id, used_at: null },
+          data: { used_at: new Date() }
+        });
+
+        if (count === 0) {
+          throw resetError('Invalid or expired reset code', 400);
+        }
+
+        await tx.user.update({
+          where: { id: user.id },
+          data: {
+            password: hashedPassword,
+            must_change_password: false,
+            password_changed_at: new Date()
+          }
+        });
+      });
+
+      // Whoever was logged in with the old password is logged out
+      await sessionService.revokeAllForUser(user.id, 'Revoked');
+      await loginThrottleService.recordSuccess(username);
+
+      await auditService.record('auth.password_reset', {
+        actor_id: user.id,
+        target_user_id: user.id,
+        ip_address: context.ip_address,
+        details: { issued_by_id: resetCode.issued_by_id ? resetCode.issued_by_id.toString() : null }
+      });
+
+      logger.info(`Password reset with code for user ${username}`);
+
+      return { message: 'Password reset successfully' };
+    } catch (error) {
+      logger.error(`Password reset failed for username: ${username}`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PasswordResetService();
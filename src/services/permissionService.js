@@ -0,0 +1,175 @@
+const database = require('../config/database');
+const { PERMISSIONS, SYSTEM_ROLES } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+// Role permissions are cached per process. Changes made through roleService
+// clear the cache of the process that made them; other PM2 cluster workers
+// pick them up when their cache expires, so keep this short.
+const CACHE_TTL_MS = 10 * 1000;
+
+// How to tell whether a user owns a resource; null = the resource does not exist
+const OWNERSHIP_RESOLVERS = {
+  journal: async (prisma, id, user) => {
+    const journal = await prisma.teachingJournal.findUnique({
+      where: { id: BigInt(id) },
+      select: { schedule: { select: { teacher_id: true } } }
+    });
+
+    if (!journal) return null;
+
+    return Boolean(user.teacher) && journal.schedule.teacher_id === user.teacher.id;
+  },
+
+  // A homeroom teacher owns their own class
+  class: async (prisma, id, user) => {
+    const cls = await prisma.class.findUnique({
+      where: { id: BigInt(id) },
+      select: { homeroom_teacher_id: true }
+    });
+
+    if (!cls) return null;
+
+    return Boolean(user.teacher) && cls.homeroom_teacher_id === user.teacher.id;
+  },
+
+  teacher: async (prisma, id, user) => Boolean(user.teacher) && user.teacher.id === BigInt(id),
+
+  student: async (prisma, id, user) => Boolean(user.student) && user.student.id === BigInt(id),
+};
+
+class PermissionService {
+  constructor() {
+    this.prisma = database.getClient();
+    this.cache = null;
+  }
+
+  /**
+   * Bring the database in line with the permission catalogue. New
+   * permissions are granted to their default system roles and missing
+   * system roles are created; grants changed by admins are left alone.
+   * Every cluster worker runs this at startup, so each write tolerates
+   * another worker having made it first.
+   */
+  async syncCatalogue() {
+    try {
+      const existing = await this.prisma.permission.findMany();
+      const existingByName = new Map(existing.map(permission => [permission.name, permission]));
+      const addedNames = Object.keys(PERMISSIONS).filter(name => !existingByName.has(name));
+
+      await this.prisma.permission.createMany({
+        data: addedNames.map(name => ({ name, description: PERMISSIONS[name].description })),
+        skipDuplicates: true
+      });
+
+      for (const [name, { description }] of Object.entries(PERMISSIONS)) {
+        const permission = existingByName.get(name);
+        if (permission && permission.description !== description) {
+          await this.prisma.permission.update({ where: { id: permission.id }, data: { description } });
+        }
+      }
+
+      // Permissions dropped from the catalogue no longer guard anything
+      await this.prisma.permission.deleteMany({
+        where: { name: { notIn: Object.keys(PERMISSIONS) } }
+      });
+
+      const permissionIds = new Map(
+        (await this.prisma.permission.findMany({ select: { id: true, name: true } }))
+          .map(permission => [permission.name, permission.id])
+      );
+
+      const existingRoles = new Set(
+        (await this.prisma.role.findMany({ select: { name: true } })).map(role => role.name)
+      );
+
+      for (const [roleName, description] of Object.entries(SYSTEM_ROLES)) {
+        const isNewRole = !existingRoles.has(roleName);
+        const role = await this.prisma.role.upsert({
+          where: { name: roleName },
+          create: { name: roleName, description, is_system: true },
+          update: {}
+        });
+
+        // A new system role gets all its defaults, an existing one only the permissions added now
+        const grants = Object.entries(PERMISSIONS)
+          .filter(([name, permission]) => permission.roles.includes(roleName) && (isNewRole || addedNames.includes(name)))
+          .map(([name]) => ({ role_id: role.id, permission_id: permissionIds.get(name) }));
+
+        if (grants.length > 0) {
+          await this.prisma.rolePermission.createMany({ data: grants, skipDuplicates: true });
+        }
+      }
+
+      this.invalidate();
+
+      logger.info('Permission catalogue synchronized', { added: addedNames.length });
+    } catch (error) {
+      logger.error('Permission catalogue sync failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Every role with its permission names, keyed by role ID
+   */
+  async getRoles() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.roles;
+    }
+
+    const roles = await this.prisma.role.findMany({
+      select: {
+        id: true,
+        name: true,
+        is_system: true,
+        permissions: { select: { permission: { select: { name: true } } } }
+      }
+    });
+
+    const rolesById = new Map(roles.map(role => [role.id, {
+      name: role.name,
+      is_system: role.is_system,
+      permissions: new Set(role.permissions.map(grant => grant.permission.name))
+    }]));
+
+    this.cache = { roles: rolesById, expiresAt: Date.now() + CACHE_TTL_MS };
+
+    return rolesById;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Effective permissions of a user: those of the system role matching the
+   * account type plus those of any extra roles assigned to the user
+   */
+  async getUserPermissions(user, assignedRoleIds = []) {
+    const roles = await this.getRoles();
+    const permissions = new Set();
+
+    for (const [roleId, role] of roles) {
+      if ((role.is_system && role.name === user.role) || assignedRoleIds.includes(roleId)) {
+        role.permissions.forEach(permission => permissions.add(permission));
+      }
+    }
+
+    return permissions;
+  }
+
+  /**
+   * Whether a user owns a resource (null when the resource does not exist)
+   */
+  async isOwner(resource, id, user) {
+    const resolve = OWNERSHIP_RESOLVERS[resource];
+
+    if (!resolve) {
+      throw new Error(`Unknown ownership resource: ${resource}`);
+    }
+
+    return resolve(this.prisma, id, user);
+  }
+}
+
+module.exports = new PermissionService();
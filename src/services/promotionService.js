@@ -0,0 +1,480 @@
+const { PrismaClient } = require('@prisma/client');
+const { serializeBigInt, Pagination } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const classMembershipService = require('./classMembershipService');
+
+const prisma = new PrismaClient();
+
+// Students of this grade graduate instead of moving up
+const GRADUATION_GRADE = 12;
+
+// Reason recorded in the class history for each outcome
+const OUTCOME_REASONS = {
+  Naik: 'Naik kelas',
+  TinggalKelas: 'Tinggal kelas',
+  Lulus: 'Lulus'
+};
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+function serializeYear(academicYear) {
+  return {
+    id: academicYear.id,
+    name: academicYear.name,
+    start_date: formatDate(academicYear.start_date),
+    end_date: formatDate(academicYear.end_date)
+  };
+}
+
+function classRef(classItem) {
+  return classItem ? {
+    id: classItem.id.toString(),
+    class_name: classItem.class_name,
+    grade_level: classItem.grade_level
+  } : null;
+}
+
+class PromotionService {
+  /**
+   * Work out what a promotion would do without changing anything.
+   * Every class of the source year moves to its mapped class of the next
+   * year, grade 12 graduates, and held back students stay in their grade.
+   */
+  async buildPlan(data) {
+    const { from_academic_year_id, to_academic_year_id, mappings = [], held_back = [] } = data;
+
+    const [fromYear, toYear] = await Promise.all([
+      prisma.academicYear.findUnique({ where: { id: parseInt(from_academic_year_id) } }),
+      prisma.academicYear.findUnique({ where: { id: parseInt(to_academic_year_id) } })
+    ]);
+
+    if (!fromYear || !toYear) {
+      throw new Error('Academic year not found');
+    }
+
+    const nextYear = await prisma.academicYear.findFirst({
+      where: { start_date: { gt: fromYear.start_date } },
+      orderBy: { start_date: 'asc' }
+    });
+
+    if (!nextYear || nextYear.id !== toYear.id) {
+      throw new Error(`Target academic year must be the one following ${fromYear.name}`);
+    }
+
+    const [sourceClasses, targetClasses, processed] = await Promise.all([
+      prisma.class.findMany({
+        where: { academic_year_id: fromYear.id },
+        include: {
+          students: {
+            where: { status: 'AKTIF' },
+            select: { id: true, nis: true, full_name: true },
+            orderBy: { full_name: 'asc' }
+          }
+        },
+        orderBy: [{ grade_level: 'asc' }, { class_name: 'asc' }]
+      }),
+      prisma.class.findMany({
+        where: { academic_year_id: toYear.id },
+        orderBy: [{ grade_level: 'asc' }, { class_name: 'asc' }]
+      }),
+      prisma.classMembership.findMany({
+        where: { outcome: { not: null }, class: { academic_year_id: fromYear.id } },
+        select: { student_id: true }
+      })
+    ]);
+
+    const errors = [];
+    const sourceById = new Map(sourceClasses.map(classItem => [classItem.id.toString(), classItem]));
+    const targetById = new Map(targetClasses.map(classItem => [classItem.id.toString(), classItem]));
+    const processedIds = new Set(processed.map(history => history.student_id.toString()));
+
+    const targetFor = new Map();
+    mappings.forEach(mapping => {
+      const source = sourceById.get(mapping.from_class_id.toString());
+      const target = targetById.get(mapping.to_class_id.toString());
+
+      if (!source) {
+        errors.push(`Class ${mapping.from_class_id} does not belong to ${fromYear.name}`);
+      } else if (!target) {
+        errors.push(`Class ${mapping.to_class_id} does not belong to ${toYear.name}`);
+      } else if (source.grade_level >= GRADUATION_GRADE) {
+        errors.push(`Class ${source.class_name} graduates and cannot be mapped to another class`);
+      } else if (target.grade_level !== source.grade_level + 1) {
+        errors.push(`Class ${source.class_name} must move up to a grade ${source.grade_level + 1} class, not ${target.class_name}`);
+      } else if (targetFor.has(source.id.toString())) {
+        errors.push(`Class ${source.class_name} is mapped more than once`);
+      } else {
+        targetFor.set(source.id.toString(), target);
+      }
+    });
+
+    const sourceOfStudent = new Map();
+    sourceClasses.forEach(classItem => {
+      classItem.students.forEach(student => sourceOfStudent.set(student.id.toString(), classItem));
+    });
+
+    const heldBack = new Map();
+    held_back.forEach(item => {
+      const studentId = item.student_id.toString();
+      const source = sourceOfStudent.get(studentId);
+      const target = item.to_class_id ? targetById.get(item.to_class_id.toString()) : null;
+
+      if (!source) {
+        errors.push(`Student ${studentId} is not an active student of ${fromYear.name}`);
+      } else if (item.to_class_id && !target) {
+        errors.push(`Class ${item.to_class_id} does not belong to ${toYear.name}`);
+      } else if (target && target.grade_level !== source.grade_level) {
+        errors.push(`Held back student ${studentId} must stay in grade ${source.grade_level}, not ${target.class_name}`);
+      } else {
+        heldBack.set(studentId, target);
+      }
+    });
+
+    const summary = { promoted: 0, held_back: 0, graduated: 0, already_processed: 0, total: 0 };
+
+    const classes = sourceClasses.map(classItem => {
+      const graduates = classItem.grade_level >= GRADUATION_GRADE;
+      const target = targetFor.get(classItem.id.toString()) || null;
+      const students = [];
+
+      classItem.students.forEach(student => {
+        const studentId = student.id.toString();
+
+        if (processedIds.has(studentId)) {
+          summary.already_processed++;
+          return;
+        }
+
+        let outcome = graduates ? 'Lulus' : 'Naik';
+        let nextClass = graduates ? null : target;
+
+        if (heldBack.has(studentId)) {
+          outcome = 'TinggalKelas';
+          nextClass = heldBack.get(studentId);
+          summary.held_back++;
+        } else if (graduates) {
+          summary.graduated++;
+        } else {
+          summary.promoted++;
+        }
+
+        students.push({
+          id: studentId,
+          nis: student.nis,
+          full_name: student.full_name,
+          outcome,
+          next_class: classRef(nextClass)
+        });
+      });
+
+      const needsTarget = students.some(student => student.outcome === 'Naik');
+      if (needsTarget && !target) {
+        errors.push(`Class ${classItem.class_name} is not mapped to a class in ${toYear.name}`);
+      }
+
+      return {
+        ...classRef(classItem),
+        outcome: graduates ? 'Lulus' : 'Naik',
+        to_class: classRef(target),
+        // Offered to the wizard while the class is still unmapped
+        candidates: graduates || target ? [] : targetClasses
+          .filter(candidate => candidate.grade_level === classItem.grade_level + 1)
+          .map(classRef),
+        students
+      };
+    });
+
+    summary.total = summary.promoted + summary.held_back + summary.graduated;
+
+    return {
+      from_academic_year: serializeYear(fromYear),
+      to_academic_year: serializeYear(toYear),
+      summary,
+      classes,
+      errors,
+      can_execute: errors.length === 0 && summary.total > 0
+    };
+  }
+
+  /**
+   * Dry run of a promotion
+   */
+  async preview(data) {
+    try {
+      return await this.buildPlan(data);
+    } catch (error) {
+      logger.error('Error in preview promotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a promotion in a single transaction. The outcome is recorded on the
+   * class membership of the source year, and the move is recorded in the
+   * class history from the first day of the next year.
+   */
+  async execute(data, executedById) {
+    try {
+      const plan = await this.buildPlan(data);
+
+      if (plan.errors.length > 0) {
+        const error = new Error('Promotion plan is invalid');
+        error.details = plan.errors;
+        throw error;
+      }
+
+      if (plan.summary.total === 0) {
+        throw new Error(`No students left to promote in ${plan.from_academic_year.name}`);
+      }
+
+      const results = [];
+      const changes = [];
+      const moves = new Map();
+      const graduateIds = [];
+
+      plan.classes.forEach(classItem => {
+        classItem.students.forEach(student => {
+          const nextClassId = student.next_class ? student.next_class.id : null;
+
+          results.push({
+            student_id: student.id,
+            class_id: classItem.id,
+            outcome: student.outcome
+          });
+
+          if (student.outcome === 'Lulus' || nextClassId) {
+            changes.push({
+              student_id: student.id,
+              previous_class_id: classItem.id,
+              class_id: nextClassId,
+              effective_date: plan.to_academic_year.start_date,
+              reason: `${OUTCOME_REASONS[student.outcome]} (${plan.from_academic_year.name})`,
+              changed_by_id: executedById
+            });
+          }
+
+          if (student.outcome === 'Lulus') {
+            graduateIds.push(BigInt(student.id));
+          } else if (nextClassId) {
+            if (!moves.has(nextClassId)) moves.set(nextClassId, []);
+            moves.get(nextClassId).push(BigInt(student.id));
+          }
+        });
+      });
+
+      const batch = await prisma.$transaction(async (tx) => {
+        const created = await tx.promotionBatch.create({
+          data: {
+            from_academic_year_id: plan.from_academic_year.id,
+            to_academic_year_id: plan.to_academic_year.id,
+            summary: plan.summary,
+            executed_by_id: executedById ? BigInt(executedById) : null
+          }
+        });
+
+        for (const result of results) {
+          await classMembershipService.recordOutcome({ ...result, promotion_batch_id: created.id }, tx);
+        }
+
+        for (const change of changes) {
+          await classMembershipService.recordChange(change, tx);
+        }
+
+        for (const [classId, studentIds] of moves) {
+          await tx.student.updateMany({
+            where: { id: { in: studentIds } },
+            data: { current_class_id: BigInt(classId) }
+          });
+        }
+
+        if (graduateIds.length > 0) {
+          await tx.student.updateMany({
+            where: { id: { in: graduateIds } },
+            data: { status: 'LULUS', current_class_id: null }
+          });
+        }
+
+        return created;
+      }, { timeout: 120000 });
+
+      logger.info('Promotion executed', {
+        batchId: batch.id.toString(),
+        from: plan.from_academic_year.name,
+        to: plan.to_academic_year.name,
+        ...plan.summary
+      });
+
+      return this.getPromotionById(batch.id);
+    } catch (error) {
+      logger.error('Error in execute promotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get executed promotions
+   */
+  async getPromotions(filters = {}) {
+    try {
+      const { academic_year_id, page = 1, limit = 10 } = filters;
+
+      const where = {};
+      if (academic_year_id) where.from_academic_year_id = parseInt(academic_year_id);
+
+      const pagination = new Pagination(page, limit);
+
+      const [batches, total] = await Promise.all([
+        prisma.promotionBatch.findMany({
+          where,
+          include: {
+            from_academic_year: { select: { id: true, name: true } },
+            to_academic_year: { select: { id: true, name: true } },
+            executed_by: { select: { id: true, username: true } }
+          },
+          orderBy: { executed_at: 'desc' },
+          skip: pagination.getOffset(),
+          take: pagination.limit
+        }),
+        prisma.promotionBatch.count({ where })
+      ]);
+
+      return {
+        data: batches.map(batch => serializeBigInt(batch)),
+        meta: new Pagination(page, limit, total).getMeta()
+      };
+    } catch (error) {
+      logger.error('Error in getPromotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an executed promotion with the outcome of every student
+   */
+  async getPromotionById(id) {
+    try {
+      const batch = await prisma.promotionBatch.findUnique({
+        where: { id: BigInt(id) },
+        include: {
+          from_academic_year: { select: { id: true, name: true } },
+          to_academic_year: { select: { id: true, name: true } },
+          executed_by: { select: { id: true, username: true } },
+          memberships: {
+            include: {
+              student: { select: { id: true, nis: true, full_name: true } },
+              class: { select: { id: true, class_name: true, grade_level: true } }
+            },
+            orderBy: [{ class_id: 'asc' }, { student_id: 'asc' }]
+          }
+        }
+      });
+
+      if (!batch) {
+        throw new Error('Promotion not found');
+      }
+
+      const { memberships, ...rest } = batch;
+
+      return serializeBigInt({ ...rest, histories: await this.toHistories(memberships) });
+    } catch (error) {
+      logger.error('Error in getPromotionById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Promotion outcomes from the class memberships they were recorded on.
+   * The next class is the membership that starts when that one ends.
+   */
+  async toHistories(memberships) {
+    const closed = memberships.filter(membership => membership.effective_until);
+
+    const following = closed.length > 0
+      ? await prisma.classMembership.findMany({
+        where: {
+          OR: closed.map(membership => ({
+            student_id: membership.student_id,
+            effective_from: membership.effective_until
+          }))
+        },
+        include: { class: { select: { id: true, class_name: true, grade_level: true } } },
+        orderBy: { id: 'asc' }
+      })
+      : [];
+
+    const nextByKey = new Map();
+    following.forEach(membership => {
+      const key = `${membership.student_id}|${formatDate(membership.effective_from)}`;
+      if (!nextByKey.has(key)) nextByKey.set(key, membership);
+    });
+
+    return memberships.map(membership => {
+      const next = membership.effective_until
+        ? nextByKey.get(`${membership.student_id}|${formatDate(membership.effective_until)}`)
+        : null;
+
+      return {
+        id: membership.id,
+        student_id: membership.student_id,
+        class_id: membership.class_id,
+        outcome: membership.outcome,
+        next_class_id: next ? next.class_id : null,
+        promotion_batch_id: membership.promotion_batch_id,
+        ...(membership.student && { student: membership.student }),
+        class: membership.class,
+        next_class: next ? next.class : null
+      };
+    });
+  }
+
+  /**
+   * Classes a student was in, one entry per academic year
+   */
+  async getStudentHistory(studentId) {
+    try {
+      const student = await prisma.student.findUnique({
+        where: { id: BigInt(studentId) },
+        select: {
+          id: true,
+          nis: true,
+          full_name: true,
+          status: true,
+          current_class: { select: { id: true, class_name: true, grade_level: true } }
+        }
+      });
+
+      if (!student) {
+        throw new Error('Student not found');
+      }
+
+      const memberships = await prisma.classMembership.findMany({
+        where: { student_id: student.id, outcome: { not: null } },
+        include: {
+          class: {
+            select: {
+              id: true,
+              class_name: true,
+              grade_level: true,
+              academic_year: { select: { id: true, name: true } }
+            }
+          }
+        },
+        orderBy: [{ effective_from: 'asc' }, { id: 'asc' }]
+      });
+
+      const histories = (await this.toHistories(memberships)).map(history => ({
+        ...history,
+        academic_year: history.class.academic_year
+      }));
+
+      return serializeBigInt({ student, histories });
+    } catch (error) {
+      logger.error('Error in getStudentHistory:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PromotionService();
@@ -0,0 +1,158 @@
+const { PrismaClient } = require('@prisma/client');
+const { generateApiKey, hashApiKey } = require('../utils/auth');
+const logger = require('../utils/logger');
+const queueEventService = require('./queueEventService');
+
+const prisma = new PrismaClient();
+
+const displaySelect = {
+  id: true,
+  display_name: true,
+  is_active: true,
+  last_seen_at: true,
+  created_at: true
+};
+
+class QueueDisplayService {
+  /**
+   * Get all registered displays
+   */
+  async getAllDisplays() {
+    try {
+      return await prisma.queueDisplay.findMany({
+        select: displaySelect,
+        orderBy: { display_name: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error in getAllDisplays:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a display. The plain key is only returned here.
+   */
+  async createDisplay(displayData) {
+    try {
+      const key = generateApiKey();
+
+      const display = await prisma.queueDisplay.create({
+        data: {
+          display_name: displayData.display_name,
+          key_hash: hashApiKey(key)
+        },
+        select: displaySelect
+      });
+
+      logger.info('Queue display registered', { displayId: display.id });
+
+      return { ...display, display_key: key };
+    } catch (error) {
+      logger.error('Error in createDisplay:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a new key for a display, invalidating the old one
+   */
+  async regenerateKey(id) {
+    try {
+      await this.findDisplay(id);
+
+      const key = generateApiKey();
+
+      const display = await prisma.queueDisplay.update({
+        where: { id: parseInt(id) },
+        data: { key_hash: hashApiKey(key) },
+        select: displaySelect
+      });
+
+      await this.disconnect(display.id);
+
+      logger.info('Queue display key regenerated', { displayId: display.id });
+
+      return { ...display, display_key: key };
+    } catch (error) {
+      logger.error('Error in regenerateKey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Toggle display active status
+   */
+  async toggleDisplayStatus(id) {
+    try {
+      const existingDisplay = await this.findDisplay(id);
+
+      const display = await prisma.queueDisplay.update({
+        where: { id: existingDisplay.id },
+        data: { is_active: !existingDisplay.is_active },
+        select: displaySelect
+      });
+
+      if (!display.is_active) {
+        await this.disconnect(display.id);
+      }
+
+      return display;
+    } catch (error) {
+      logger.error('Error in toggleDisplayStatus:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete display
+   */
+  async deleteDisplay(id) {
+    try {
+      const existingDisplay = await this.findDisplay(id);
+
+      await prisma.queueDisplay.delete({
+        where: { id: existingDisplay.id }
+      });
+
+      await this.disconnect(existingDisplay.id);
+
+      return { message: 'Queue display deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteDisplay:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close the open streams of a display whose key no longer works, in
+   * every process. Failures are logged only; the change itself is saved.
+   */
+  async disconnect(displayId) {
+    try {
+      await queueEventService.publish({
+        type: 'display.revoked',
+        display_id: displayId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in disconnect display:', error);
+    }
+  }
+
+  /**
+   * Find display by ID
+   */
+  async findDisplay(id) {
+    const display = await prisma.queueDisplay.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!display) {
+      throw new Error('Queue display not found');
+    }
+
+    return display;
+  }
+}
+
+module.exports = new QueueDisplayService();
@@ -0,0 +1,103 @@
+const { PrismaClient } = require('@prisma/client');
+const queueEvents = require('../utils/queueEvents');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// How often a process with connected displays checks for new events
+const POLL_INTERVAL_MS = 1000;
+
+// Events are only relayed live, an hour of history is plenty
+const RETENTION_MS = 60 * 60 * 1000;
+
+const BATCH_SIZE = 100;
+
+class QueueEventService {
+  constructor() {
+    this.lastId = null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Record a queue event. The events table is shared by every process, so
+   * displays connected to any PM2 worker receive it.
+   */
+  async publish(payload) {
+    await prisma.queueEvent.create({
+      data: { type: payload.type, payload }
+    });
+  }
+
+  /**
+   * Receive the queue events of every process. Returns a function that
+   * unsubscribes; the process only polls while it has subscribers.
+   */
+  subscribe(listener) {
+    queueEvents.on('change', listener);
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+      this.timer.unref();
+      this.poll();
+    }
+
+    return () => {
+      queueEvents.off('change', listener);
+
+      if (queueEvents.listenerCount('change') === 0 && this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.lastId = null;
+      }
+    };
+  }
+
+  /**
+   * Relay events newer than the last one seen. The first poll only notes
+   * where the stream starts; displays get the current state as a snapshot.
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      if (this.lastId === null) {
+        const latest = await prisma.queueEvent.findFirst({
+          orderBy: { id: 'desc' },
+          select: { id: true }
+        });
+        this.lastId = latest ? latest.id : BigInt(0);
+        return;
+      }
+
+      const events = await prisma.queueEvent.findMany({
+        where: { id: { gt: this.lastId } },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE
+      });
+
+      events.forEach(event => {
+        this.lastId = event.id;
+        queueEvents.emit('change', event.payload);
+      });
+    } catch (error) {
+      logger.error('Error in queue event poll:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Remove events older than the retention period
+   */
+  async purge() {
+    const { count } = await prisma.queueEvent.deleteMany({
+      where: { created_at: { lt: new Date(Date.now() - RETENTION_MS) } }
+    });
+
+    return count;
+  }
+}
+
+module.exports = new QueueEventService();
@@ -0,0 +1,659 @@
+const { PrismaClient } = require('@prisma/client');
+const { serializeBigInt, Pagination, toDateOnly } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const queueEventService = require('./queueEventService');
+
+const prisma = new PrismaClient();
+
+// Jumlah percobaan ulang ketika dua permintaan berebut nomor/tiket yang sama
+const MAX_RETRIES = 5;
+
+// Status tiket yang boleh dituju dari setiap status
+const TICKET_STATUS_TRANSITIONS = {
+  Waiting: ['Called', 'Skipped'],
+  Called: ['Serving', 'Finished', 'Skipped'],
+  Serving: ['Finished'],
+  Finished: [],
+  Skipped: [],
+};
+
+const ticketInclude = {
+  counter: {
+    select: {
+      id: true,
+      counter_name: true,
+      counter_code: true
+    }
+  },
+  student: {
+    select: {
+      id: true,
+      nis: true,
+      full_name: true
+    }
+  }
+};
+
+class QueueService {
+  /**
+   * Serialize ticket data to handle BigInt and dates properly
+   */
+  serializeTicket(ticket) {
+    if (!ticket) return null;
+
+    const serialized = {
+      ...serializeBigInt(ticket),
+      queue_date: ticket.queue_date ? ticket.queue_date.toISOString().split('T')[0] : null,
+    };
+
+    if (ticket.counter) {
+      serialized.display_number = this.formatTicketNumber(ticket.counter.counter_code, ticket.ticket_number);
+    }
+
+    return serialized;
+  }
+
+  /**
+   * Format ticket number for display, e.g. "A-007"
+   */
+  formatTicketNumber(counterCode, ticketNumber) {
+    return `${counterCode}-${String(ticketNumber).padStart(3, '0')}`;
+  }
+
+  /**
+   * Server-local calendar date of the queue day (matches the @db.Date queue_date column)
+   */
+  getQueueDate(date = new Date()) {
+    return toDateOnly(date);
+  }
+
+  // ===== COUNTERS =====
+
+  /**
+   * Get all counters
+   */
+  async getAllCounters(options = {}) {
+    try {
+      const { is_active } = options;
+
+      const where = {};
+      if (is_active !== undefined) where.is_active = is_active;
+
+      const counters = await prisma.queueCounter.findMany({
+        where,
+        orderBy: { counter_code: 'asc' }
+      });
+
+      return counters;
+    } catch (error) {
+      logger.error('Error in getAllCounters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get counter by ID
+   */
+  async getCounterById(id) {
+    try {
+      const counter = await prisma.queueCounter.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!counter) {
+        throw new Error('Queue counter not found');
+      }
+
+      return counter;
+    } catch (error) {
+      logger.error('Error in getCounterById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new counter
+   */
+  async createCounter(counterData) {
+    try {
+      const { counter_name, counter_code, is_active = true } = counterData;
+
+      const existingCounter = await prisma.queueCounter.findUnique({
+        where: { counter_code }
+      });
+
+      if (existingCounter) {
+        throw new Error('Counter code already exists');
+      }
+
+      const counter = await prisma.queueCounter.create({
+        data: {
+          counter_name,
+          counter_code,
+          is_active
+        }
+      });
+
+      logger.info('Queue counter created successfully', { counterId: counter.id });
+
+      return counter;
+    } catch (error) {
+      logger.error('Error in createCounter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update counter
+   */
+  async updateCounter(id, updateData) {
+    try {
+      const existingCounter = await this.getCounterById(id);
+
+      const { counter_name, counter_code, is_active } = updateData;
+      const updateFields = {};
+
+      if (counter_code !== undefined && counter_code !== existingCounter.counter_code) {
+        const duplicate = await prisma.queueCounter.findUnique({
+          where: { counter_code }
+        });
+
+        if (duplicate) {
+          throw new Error('Counter code already exists');
+        }
+
+        updateFields.counter_code = counter_code;
+      }
+
+      if (counter_name !== undefined) updateFields.counter_name = counter_name;
+      if (is_active !== undefined) updateFields.is_active = is_active;
+
+      const counter = await prisma.queueCounter.update({
+        where: { id: existingCounter.id },
+        data: updateFields
+      });
+
+      if (counter.is_active !== existingCounter.is_active) {
+        await this.publishChange(counter.is_active ? 'counter.activated' : 'counter.deactivated', counter.id);
+      } else {
+        await this.publishChange('counter.updated', counter.id);
+      }
+
+      return counter;
+    } catch (error) {
+      logger.error('Error in updateCounter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Toggle counter active status
+   */
+  async toggleCounterStatus(id) {
+    try {
+      const existingCounter = await this.getCounterById(id);
+
+      const counter = await prisma.queueCounter.update({
+        where: { id: existingCounter.id },
+        data: { is_active: !existingCounter.is_active }
+      });
+
+      logger.info(`Queue counter status toggled: ${counter.id} - Active: ${counter.is_active}`);
+
+      await this.publishChange(counter.is_active ? 'counter.activated' : 'counter.deactivated', counter.id);
+
+      return counter;
+    } catch (error) {
+      logger.error('Error in toggleCounterStatus:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete counter (only when it has no tickets)
+   */
+  async deleteCounter(id) {
+    try {
+      const existingCounter = await this.getCounterById(id);
+
+      const ticketCount = await prisma.queueTicket.count({
+        where: { counter_id: existingCounter.id }
+      });
+
+      if (ticketCount > 0) {
+        throw new Error('Cannot delete counter with queue ticket records, deactivate it instead');
+      }
+
+      await prisma.queueCounter.delete({
+        where: { id: existingCounter.id }
+      });
+
+      return { message: 'Queue counter deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteCounter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get today's queue status of a counter
+   */
+  async getCounterStatus(id) {
+    try {
+      const counter = await this.getCounterById(id);
+      const queueDate = this.getQueueDate();
+
+      const [current, waitingCount, statusCounts] = await Promise.all([
+        prisma.queueTicket.findFirst({
+          where: {
+            counter_id: counter.id,
+            queue_date: queueDate,
+            status: { in: ['Called', 'Serving'] }
+          },
+          include: ticketInclude,
+          orderBy: { called_at: 'desc' }
+        }),
+        prisma.queueTicket.count({
+          where: {
+            counter_id: counter.id,
+            queue_date: queueDate,
+            status: 'Waiting'
+          }
+        }),
+        prisma.queueTicket.groupBy({
+          by: ['status'],
+          where: {
+            counter_id: counter.id,
+            queue_date: queueDate
+          },
+          _count: { id: true }
+        })
+      ]);
+
+      const counts = {};
+      Object.keys(TICKET_STATUS_TRANSITIONS).forEach(status => {
+        counts[status.toLowerCase()] = statusCounts.find(s => s.status === status)?._count.id || 0;
+      });
+
+      return {
+        counter,
+        queue_date: queueDate.toISOString().split('T')[0],
+        current_ticket: this.serializeTicket(current),
+        waiting: waitingCount,
+        counts
+      };
+    } catch (error) {
+      logger.error('Error in getCounterStatus:', error);
+      throw error;
+    }
+  }
+
+  // ===== TICKETS =====
+
+  /**
+   * Get tickets with pagination and filtering
+   */
+  async getAllTickets(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        counter_id,
+        status,
+        date
+      } = options;
+
+      const where = {
+        queue_date: this.getQueueDate(date || new Date())
+      };
+
+      if (counter_id) where.counter_id = parseInt(counter_id);
+      if (status) where.status = status;
+
+      const pagination = new Pagination(page, limit);
+
+      const [tickets, total] = await Promise.all([
+        prisma.queueTicket.findMany({
+          where,
+          include: ticketInclude,
+          orderBy: [
+            { counter_id: 'asc' },
+            { ticket_number: 'asc' }
+          ],
+          skip: pagination.getOffset(),
+          take: pagination.limit
+        }),
+        prisma.queueTicket.count({ where })
+      ]);
+
+      return {
+        data: tickets.map(ticket => this.serializeTicket(ticket)),
+        meta: new Pagination(page, limit, total).getMeta()
+      };
+    } catch (error) {
+      logger.error('Error in getAllTickets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get ticket by ID
+   */
+  async getTicketById(id) {
+    try {
+      const ticket = await prisma.queueTicket.findUnique({
+        where: { id: BigInt(id) },
+        include: ticketInclude
+      });
+
+      if (!ticket) {
+        throw new Error('Queue ticket not found');
+      }
+
+      return this.serializeTicket(ticket);
+    } catch (error) {
+      logger.error('Error in getTicketById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue the next ticket number of a counter for today.
+   *
+   * The number is derived from the highest number issued today; the
+   * date_counter_ticket_unique constraint rejects a concurrent request that
+   * picked the same number, in which case we simply try again.
+   */
+  async issueTicket(counterId, studentId = null) {
+    try {
+      const counter = await this.getCounterById(counterId);
+
+      if (!counter.is_active) {
+        throw new Error('Queue counter is not active');
+      }
+
+      const queueDate = this.getQueueDate();
+
+      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        try {
+          const ticket = await prisma.$transaction(async (tx) => {
+            const lastTicket = await tx.queueTicket.findFirst({
+              where: {
+                counter_id: counter.id,
+                queue_date: queueDate
+              },
+              orderBy: { ticket_number: 'desc' },
+              select: { ticket_number: true }
+            });
+
+            return tx.queueTicket.create({
+              data: {
+                counter_id: counter.id,
+                student_id: studentId ? BigInt(studentId) : null,
+                ticket_number: (lastTicket?.ticket_number || 0) + 1,
+                queue_date: queueDate
+              },
+              include: ticketInclude
+            });
+          });
+
+          logger.info('Queue ticket issued', {
+            ticketId: ticket.id.toString(),
+            counter: counter.counter_code,
+            number: ticket.ticket_number
+          });
+
+          const serializedTicket = this.serializeTicket(ticket);
+          await this.publishChange('ticket.issued', counter.id, serializedTicket);
+
+          return serializedTicket;
+        } catch (error) {
+          if (error.code !== 'P2002' || attempt === MAX_RETRIES) {
+            throw error;
+          }
+
+          logger.warn(`Queue ticket number collision on counter ${counter.counter_code}, retrying (${attempt})`);
+        }
+      }
+    } catch (error) {
+      logger.error('Error in issueTicket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Call the oldest waiting ticket of a counter.
+   *
+   * The status guard on the update makes sure two staff members calling at
+   * the same moment never receive the same ticket.
+   */
+  async callNextTicket(counterId) {
+    try {
+      const counter = await this.getCounterById(counterId);
+      const queueDate = this.getQueueDate();
+
+      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        const nextTicket = await prisma.queueTicket.findFirst({
+          where: {
+            counter_id: counter.id,
+            queue_date: queueDate,
+            status: 'Waiting'
+          },
+          orderBy: { ticket_number: 'asc' }
+        });
+
+        if (!nextTicket) {
+          throw new Error('No waiting tickets in queue');
+        }
+
+        const result = await prisma.queueTicket.updateMany({
+          where: {
+            id: nextTicket.id,
+            status: 'Waiting'
+          },
+          data: {
+            status: 'Called',
+            called_at: new Date()
+          }
+        });
+
+        if (result.count === 1) {
+          const calledTicket = await this.getTicketById(nextTicket.id);
+          await this.publishChange('ticket.called', counter.id, calledTicket);
+
+          return calledTicket;
+        }
+      }
+
+      throw new Error('Failed to call next ticket, please try again');
+    } catch (error) {
+      logger.error('Error in callNextTicket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a ticket to a new status (serve, finish, skip)
+   */
+  async updateTicketStatus(id, status) {
+    try {
+      const ticket = await prisma.queueTicket.findUnique({
+        where: { id: BigInt(id) }
+      });
+
+      if (!ticket) {
+        throw new Error('Queue ticket not found');
+      }
+
+      const allowedStatuses = TICKET_STATUS_TRANSITIONS[ticket.status] || [];
+
+      if (!allowedStatuses.includes(status)) {
+        throw new Error(`Invalid status transition from ${ticket.status} to ${status}`);
+      }
+
+      const data = { status };
+      const now = new Date();
+
+      if ((status === 'Called' || status === 'Serving') && !ticket.called_at) {
+        data.called_at = now;
+      }
+
+      if (status === 'Finished') {
+        data.finished_at = now;
+      }
+
+      const result = await prisma.queueTicket.updateMany({
+        where: {
+          id: ticket.id,
+          status: ticket.status
+        },
+        data
+      });
+
+      if (result.count === 0) {
+        throw new Error('Queue ticket status has changed, please refresh');
+      }
+
+      logger.info('Queue ticket status updated', {
+        ticketId: id,
+        from: ticket.status,
+        to: status
+      });
+
+      const updatedTicket = await this.getTicketById(id);
+      await this.publishChange(`ticket.${status.toLowerCase()}`, ticket.counter_id, updatedTicket);
+
+      return updatedTicket;
+    } catch (error) {
+      logger.error('Error in updateTicketStatus:', error);
+      throw error;
+    }
+  }
+
+  // ===== LIVE DISPLAY =====
+
+  /**
+   * Average waiting time (created_at -> called_at) per counter for a day
+   */
+  async getAverageWaitingTimes(queueDate = this.getQueueDate(), counterId = null) {
+    const where = {
+      queue_date: queueDate,
+      called_at: { not: null }
+    };
+
+    if (counterId) where.counter_id = counterId;
+
+    const tickets = await prisma.queueTicket.findMany({
+      where,
+      select: {
+        counter_id: true,
+        created_at: true,
+        called_at: true
+      }
+    });
+
+    const totals = {};
+    tickets.forEach(ticket => {
+      if (!totals[ticket.counter_id]) {
+        totals[ticket.counter_id] = { seconds: 0, count: 0 };
+      }
+      totals[ticket.counter_id].seconds += (ticket.called_at - ticket.created_at) / 1000;
+      totals[ticket.counter_id].count++;
+    });
+
+    const averages = {};
+    Object.entries(totals).forEach(([id, total]) => {
+      averages[id] = {
+        average_waiting_seconds: Math.round(total.seconds / total.count),
+        called_count: total.count
+      };
+    });
+
+    return averages;
+  }
+
+  /**
+   * Build the display state of a counter: current ticket, waiting count and average waiting time
+   */
+  async getCounterDisplayState(counter, queueDate = this.getQueueDate()) {
+    const [current, waiting, averages] = await Promise.all([
+      prisma.queueTicket.findFirst({
+        where: {
+          counter_id: counter.id,
+          queue_date: queueDate,
+          status: { in: ['Called', 'Serving'] }
+        },
+        include: ticketInclude,
+        orderBy: { called_at: 'desc' }
+      }),
+      prisma.queueTicket.count({
+        where: {
+          counter_id: counter.id,
+          queue_date: queueDate,
+          status: 'Waiting'
+        }
+      }),
+      this.getAverageWaitingTimes(queueDate, counter.id)
+    ]);
+
+    return {
+      counter_id: counter.id,
+      counter_name: counter.counter_name,
+      counter_code: counter.counter_code,
+      is_active: counter.is_active,
+      current_ticket: this.serializeTicket(current),
+      waiting,
+      average_waiting_seconds: averages[counter.id]?.average_waiting_seconds || 0,
+      called_count: averages[counter.id]?.called_count || 0
+    };
+  }
+
+  /**
+   * Get the full display state of every counter
+   */
+  async getDisplaySnapshot() {
+    try {
+      const queueDate = this.getQueueDate();
+      const counters = await prisma.queueCounter.findMany({
+        orderBy: { counter_code: 'asc' }
+      });
+
+      const states = await Promise.all(
+        counters.map(counter => this.getCounterDisplayState(counter, queueDate))
+      );
+
+      return {
+        queue_date: queueDate.toISOString().split('T')[0],
+        counters: states
+      };
+    } catch (error) {
+      logger.error('Error in getDisplaySnapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify live displays about a change. Failures are logged only so the
+   * staff action that triggered the change still succeeds.
+   */
+  async publishChange(type, counterId, ticket = null) {
+    try {
+      const counter = await prisma.queueCounter.findUnique({
+        where: { id: counterId }
+      });
+
+      if (!counter) return;
+
+      await queueEventService.publish({
+        type,
+        ticket,
+        counter: await this.getCounterDisplayState(counter),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in publishChange:', error);
+    }
+  }
+}
+
+module.exports = new QueueService();
@@ -0,0 +1,400 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const { toDateOnly } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const academicPeriodService = require('./academicPeriodService');
+
+const prisma = new PrismaClient();
+
+const FARDU_PRAYERS = ['Subuh', 'Dzuhur', 'Ashar', 'Maghrib', 'Isya'];
+const DAILY_ACTIVITIES = ['SalatTarawih', 'SalatSunnah', 'Tadarus', 'Taklim'];
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+function itemKey(activityType, subType) {
+  return `${activityType}|${subType || ''}`;
+}
+
+/**
+ * Checklist items expected from a student on a date.
+ * On Fridays male students pray Jumat instead of Dzuhur.
+ */
+function getChecklistItems(date, gender) {
+  const replacesDzuhur = date.getUTCDay() === 5 && gender === 'L';
+
+  const items = [{ activity_type: 'Puasa', sub_type: '' }];
+
+  FARDU_PRAYERS.forEach(prayer => {
+    if (replacesDzuhur && prayer === 'Dzuhur') return;
+    items.push({ activity_type: 'SalatFardu', sub_type: prayer });
+  });
+
+  if (replacesDzuhur) {
+    items.push({ activity_type: 'SalatJumat', sub_type: '' });
+  }
+
+  DAILY_ACTIVITIES.forEach(activityType => {
+    items.push({ activity_type: activityType, sub_type: '' });
+  });
+
+  return items;
+}
+
+function eachDate(startDate, endDate, callback) {
+  for (let date = new Date(startDate); date <= endDate; date.setUTCDate(date.getUTCDate() + 1)) {
+    callback(new Date(date));
+  }
+}
+
+function percentage(done, expected) {
+  return expected > 0 ? Math.round((done / expected) * 10000) / 100 : 0;
+}
+
+class RamadanService {
+  /**
+   * Resolve the Ramadan period from the query or configuration
+   */
+  getPeriod(options = {}) {
+    const startDate = options.start_date || config.ramadan.startDate;
+    const endDate = options.end_date || config.ramadan.endDate;
+
+    if (!startDate || !endDate) {
+      throw new Error('Ramadan period is not configured');
+    }
+
+    const start = toDateOnly(startDate);
+    const end = toDateOnly(endDate);
+
+    if (end < start) {
+      throw new Error('Ramadan period end date must be on or after start date');
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Get a student's checklist for a date
+   */
+  async getStudentChecklist(studentId, date) {
+    try {
+      const activityDate = toDateOnly(date || new Date());
+
+      const student = await prisma.student.findUnique({
+        where: { id: BigInt(studentId) },
+        select: { id: true, gender: true }
+      });
+
+      if (!student) {
+        throw new Error('Student not found');
+      }
+
+      const activities = await prisma.ramadanActivity.findMany({
+        where: {
+          student_id: student.id,
+          activity_date: activityDate
+        }
+      });
+
+      const activityByKey = new Map(
+        activities.map(activity => [itemKey(activity.activity_type, activity.sub_type), activity])
+      );
+
+      const items = getChecklistItems(activityDate, student.gender).map(item => {
+        const activity = activityByKey.get(itemKey(item.activity_type, item.sub_type));
+
+        return {
+          ...item,
+          is_done: activity ? activity.is_done : false,
+          description: activity ? activity.description : null
+        };
+      });
+
+      const done = items.filter(item => item.is_done).length;
+
+      return {
+        activity_date: formatDate(activityDate),
+        items,
+        done,
+        expected: items.length,
+        completion: percentage(done, items.length)
+      };
+    } catch (error) {
+      logger.error('Error in getStudentChecklist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a student's checklist for a date
+   */
+  async saveChecklist(studentId, checklistData) {
+    try {
+      const activityDate = toDateOnly(checklistData.activity_date);
+
+      if (activityDate > toDateOnly(new Date())) {
+        throw new Error('Cannot fill in the checklist for a future date');
+      }
+
+      if (config.ramadan.startDate && config.ramadan.endDate) {
+        const { start, end } = this.getPeriod();
+
+        if (activityDate < start || activityDate > end) {
+          throw new Error(`Activity date must be within the Ramadan period (${formatDate(start)} to ${formatDate(end)})`);
+        }
+      }
+
+      const student = await prisma.student.findUnique({
+        where: { id: BigInt(studentId) },
+        select: { id: true, gender: true }
+      });
+
+      if (!student) {
+        throw new Error('Student not found');
+      }
+
+      const allowedKeys = new Set(
+        getChecklistItems(activityDate, student.gender).map(item => itemKey(item.activity_type, item.sub_type))
+      );
+
+      const invalid = checklistData.items.find(item => !allowedKeys.has(itemKey(item.activity_type, item.sub_type)));
+      if (invalid) {
+        throw new Error(
+          `Invalid checklist item: ${invalid.activity_type}${invalid.sub_type ? ` (${invalid.sub_type})` : ''} is not expected on this date`
+        );
+      }
+
+      await prisma.$transaction(
+        checklistData.items.map(item => {
+          const key = {
+            student_id: student.id,
+            activity_date: activityDate,
+            activity_type: item.activity_type,
+            sub_type: item.sub_type || ''
+          };
+
+          return prisma.ramadanActivity.upsert({
+            where: { student_activity_date_unique: key },
+            create: {
+              ...key,
+              is_done: item.is_done,
+              description: item.description || null
+            },
+            update: {
+              is_done: item.is_done,
+              description: item.description || null
+            }
+          });
+        })
+      );
+
+      logger.info('Ramadan checklist saved', {
+        studentId: student.id.toString(),
+        activityDate: formatDate(activityDate),
+        items: checklistData.items.length
+      });
+
+      return this.getStudentChecklist(student.id, activityDate);
+    } catch (error) {
+      logger.error('Error in saveChecklist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the checklist of every student in a class for a date (homeroom view;
+   * the route checks the viewer is the homeroom teacher)
+   */
+  async getClassChecklist(classId, date) {
+    try {
+      const activityDate = toDateOnly(date || new Date());
+
+      const cls = await prisma.class.findUnique({
+        where: { id: BigInt(classId) },
+        include: {
+          homeroom_teacher: { select: { id: true, full_name: true } },
+          students: {
+            where: { status: 'AKTIF' },
+            select: { id: true, nis: true, full_name: true, gender: true },
+            orderBy: { full_name: 'asc' }
+          }
+        }
+      });
+
+      if (!cls) {
+        throw new Error('Class not found');
+      }
+
+      const activities = await prisma.ramadanActivity.findMany({
+        where: {
+          student_id: { in: cls.students.map(student => student.id) },
+          activity_date: activityDate,
+          is_done: true
+        },
+        select: { student_id: true, activity_type: true, sub_type: true }
+      });
+
+      const doneByStudent = new Map();
+      activities.forEach(activity => {
+        const id = activity.student_id.toString();
+        if (!doneByStudent.has(id)) doneByStudent.set(id, new Set());
+        doneByStudent.get(id).add(itemKey(activity.activity_type, activity.sub_type));
+      });
+
+      const students = cls.students.map(student => {
+        const doneKeys = doneByStudent.get(student.id.toString()) || new Set();
+        const items = getChecklistItems(activityDate, student.gender).map(item => ({
+          ...item,
+          is_done: doneKeys.has(itemKey(item.activity_type, item.sub_type))
+        }));
+        const done = items.filter(item => item.is_done).length;
+
+        return {
+          id: student.id.toString(),
+          nis: student.nis,
+          full_name: student.full_name,
+          items,
+          done,
+          expected: items.length,
+          completion: percentage(done, items.length)
+        };
+      });
+
+      const totalDone = students.reduce((sum, student) => sum + student.done, 0);
+      const totalExpected = students.reduce((sum, student) => sum + student.expected, 0);
+
+      return {
+        class: {
+          id: cls.id.toString(),
+          class_name: cls.class_name,
+          grade_level: cls.grade_level,
+          homeroom_teacher: cls.homeroom_teacher ? {
+            id: cls.homeroom_teacher.id.toString(),
+            full_name: cls.homeroom_teacher.full_name
+          } : null
+        },
+        activity_date: formatDate(activityDate),
+        completion: percentage(totalDone, totalExpected),
+        students
+      };
+    } catch (error) {
+      logger.error('Error in getClassChecklist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Completion recap per class and grade over the Ramadan period (up to today)
+   */
+  async getRecap(options = {}) {
+    try {
+      const { grade_level, class_id } = options;
+      const { start, end } = this.getPeriod(options);
+
+      const today = toDateOnly(new Date());
+      const recapEnd = end < today ? end : today;
+
+      const classWhere = academicPeriodService.classWhere(await academicPeriodService.getActivePeriod());
+      if (grade_level) classWhere.grade_level = parseInt(grade_level);
+      if (class_id) classWhere.id = BigInt(class_id);
+
+      const classes = await prisma.class.findMany({
+        where: classWhere,
+        include: {
+          students: {
+            where: { status: 'AKTIF' },
+            select: { id: true, gender: true }
+          }
+        },
+        orderBy: [
+          { grade_level: 'asc' },
+          { class_name: 'asc' }
+        ]
+      });
+
+      const studentIds = classes.flatMap(cls => cls.students.map(student => student.id));
+
+      const doneCounts = recapEnd < start || studentIds.length === 0
+        ? []
+        : await prisma.ramadanActivity.groupBy({
+          by: ['student_id'],
+          where: {
+            student_id: { in: studentIds },
+            activity_date: { gte: start, lte: recapEnd },
+            is_done: true
+          },
+          _count: { id: true }
+        });
+
+      const doneByStudent = new Map(doneCounts.map(item => [item.student_id.toString(), item._count.id]));
+
+      // Expected items per gender over the period
+      const expectedByGender = { L: 0, P: 0 };
+      let totalDays = 0;
+      if (recapEnd >= start) {
+        eachDate(start, recapEnd, date => {
+          totalDays++;
+          expectedByGender.L += getChecklistItems(date, 'L').length;
+          expectedByGender.P += getChecklistItems(date, 'P').length;
+        });
+      }
+
+      const grades = new Map();
+
+      const classRecaps = classes.map(cls => {
+        const done = cls.students.reduce((sum, student) => sum + (doneByStudent.get(student.id.toString()) || 0), 0);
+        const expected = cls.students.reduce((sum, student) => sum + expectedByGender[student.gender], 0);
+
+        if (!grades.has(cls.grade_level)) {
+          grades.set(cls.grade_level, { grade_level: cls.grade_level, classes: 0, students: 0, done: 0, expected: 0 });
+        }
+        const grade = grades.get(cls.grade_level);
+        grade.classes++;
+        grade.students += cls.students.length;
+        grade.done += done;
+        grade.expected += expected;
+
+        return {
+          class_id: cls.id.toString(),
+          class_name: cls.class_name,
+          grade_level: cls.grade_level,
+          students: cls.students.length,
+          done,
+          expected,
+          completion: percentage(done, expected)
+        };
+      });
+
+      const gradeRecaps = [...grades.values()].map(grade => ({
+        ...grade,
+        completion: percentage(grade.done, grade.expected)
+      }));
+
+      const totalDone = gradeRecaps.reduce((sum, grade) => sum + grade.done, 0);
+      const totalExpected = gradeRecaps.reduce((sum, grade) => sum + grade.expected, 0);
+
+      return {
+        period: {
+          start_date: formatDate(start),
+          end_date: formatDate(end),
+          recap_until: formatDate(recapEnd),
+          days: totalDays
+        },
+        overall: {
+          students: studentIds.length,
+          done: totalDone,
+          expected: totalExpected,
+          completion: percentage(totalDone, totalExpected)
+        },
+        grades: gradeRecaps,
+        classes: classRecaps
+      };
+    } catch (error) {
+      logger.error('Error in getRecap:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RamadanService();
@@ -0,0 +1,336 @@
+const database = require('../config/database');
+const { SYSTEM_ROLES } = require('../config/permissions');
+const { serializeBigInt } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const auditService = require('./auditService');
+const permissionService = require('./permissionService');
+
+// Without it nobody could manage roles any more
+const ADMIN_REQUIRED_PERMISSION = 'roles.manage';
+
+function roleError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function formatRole(role) {
+  return {
+    id: role.id,
+    name: role.name,
+    description: role.description,
+    is_system: role.is_system,
+    permissions: role.permissions.map(grant => grant.permission.name).sort(),
+    user_count: role._count ? role._count.users : undefined,
+    created_at: role.created_at,
+    updated_at: role.updated_at
+  };
+}
+
+const ROLE_INCLUDE = {
+  permissions: { select: { permission: { select: { name: true } } } },
+  _count: { select: { users: true } }
+};
+
+class RoleService {
+  constructor() {
+    this.prisma = database.getClient();
+  }
+
+  /**
+   * Every named permission that can be granted
+   */
+  async getPermissions() {
+    try {
+      return await this.prisma.permission.findMany({
+        orderBy: { name: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Get permissions failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * All roles with their permissions; system roles first
+   */
+  async getRoles() {
+    try {
+      const roles = await this.prisma.role.findMany({
+        include: ROLE_INCLUDE,
+        orderBy: [{ is_system: 'desc' }, { name: 'asc' }]
+      });
+
+      return roles.map(formatRole);
+    } catch (error) {
+      logger.error('Get roles failed', error);
+      throw error;
+    }
+  }
+
+  async findRole(id) {
+    const role = await this.prisma.role.findUnique({
+      where: { id: parseInt(id) },
+      include: ROLE_INCLUDE
+    });
+
+    if (!role) {
+      throw roleError('Role not found', 404);
+    }
+
+    return role;
+  }
+
+  /**
+   * Get a role by ID
+   */
+  async getRoleById(id) {
+    try {
+      return formatRole(await this.findRole(id));
+    } catch (error) {
+      logger.error(`Get role failed: ${id}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of the named permissions; unknown names are rejected
+   */
+  async resolvePermissionIds(names) {
+    const permissions = await this.prisma.permission.findMany({
+      where: { name: { in: names } },
+      select: { id: true, name: true }
+    });
+
+    const known = new Set(permissions.map(permission => permission.name));
+    const unknown = names.filter(name => !known.has(name));
+
+    if (unknown.length > 0) {
+      throw roleError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+    }
+
+    return permissions.map(permission => permission.id);
+  }
+
+  async assertNameAvailable(name, exceptId = null) {
+    const existing = await this.prisma.role.findUnique({ where: { name } });
+
+    if ((existing && existing.id !== exceptId) || SYSTEM_ROLES[name]) {
+      throw roleError('Role name already exists', 400);
+    }
+  }
+
+  /**
+   * Create a role with a set of permissions
+   */
+  async createRole(data, actorId, ipAddress) {
+    try {
+      await this.assertNameAvailable(data.name);
+      const permissionIds = await this.resolvePermissionIds(data.permissions);
+
+      const role = await this.prisma.role.create({
+        data: {
+          name: data.name,
+          description: data.description || null,
+          permissions: {
+            create: permissionIds.map(permissionId => ({ permission_id: permissionId }))
+          }
+        },
+        include: ROLE_INCLUDE
+      });
+
+      permissionService.invalidate();
+
+      await auditService.record('roles.created', {
+        actor_id: actorId,
+        ip_address: ipAddress,
+        details: { role: role.name, permissions: data.permissions }
+      });
+
+      logger.info(`Role created: ${role.name}`);
+
+      return formatRole(role);
+    } catch (error) {
+      logger.error('Create role failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a role. Giving a permission list replaces all its permissions.
+   * System roles keep their name, and admin keeps roles.manage.
+   */
+  async updateRole(id, data, actorId, ipAddress) {
+    try {
+      const role = await this.findRole(id);
+
+      if (data.name && data.name !== role.name) {
+        if (role.is_system) {
+          throw roleError('System roles cannot be renamed', 400);
+        }
+        await this.assertNameAvailable(data.name, role.id);
+      }
+
+      if (data.permissions && role.name === 'admin' && !data.permissions.includes(ADMIN_REQUIRED_PERMISSION)) {
+        throw roleError(`The admin role must keep the ${ADMIN_REQUIRED_PERMISSION} permission`, 400);
+      }
+
+      const permissionIds = data.permissions ? await this.resolvePermissionIds(data.permissions) : null;
+
+      const updatedRole = await this.prisma.$transaction(async (tx) => {
+        if (permissionIds) {
+          await tx.rolePermission.deleteMany({ where: { role_id: role.id } });
+          await tx.rolePermission.createMany({
+            data: permissionIds.map(permissionId => ({ role_id: role.id, permission_id: permissionId }))
+          });
+        }
+
+        return tx.role.update({
+          where: { id: role.id },
+          data: {
+            ...(data.name && { name: data.name }),
+            ...(data.description !== undefined && { description: data.description })
+          },
+          include: ROLE_INCLUDE
+        });
+      });
+
+      permissionService.invalidate();
+
+      await auditService.record('roles.updated', {
+        actor_id: actorId,
+        ip_address: ipAddress,
+        details: {
+          role: updatedRole.name,
+          previous_permissions: role.permissions.map(grant => grant.permission.name).sort(),
+          permissions: data.permissions
+        }
+      });
+
+      logger.info(`Role updated: ${updatedRole.name}`);
+
+      return formatRole(updatedRole);
+    } catch (error) {
+      logger.error(`Update role failed: ${id}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a custom role; users holding it lose its permissions
+   */
+  async deleteRole(id, actorId, ipAddress) {
+    try {
+      const role = await this.findRole(id);
+
+      if (role.is_system) {
+        throw roleError('System roles cannot be deleted', 400);
+      }
+
+      await this.prisma.role.delete({ where: { id: role.id } });
+
+      permissionService.invalidate();
+
+      await auditService.record('roles.deleted', {
+        actor_id: actorId,
+        ip_address: ipAddress,
+        details: { role: role.name, user_count: role._count.users }
+      });
+
+      logger.info(`Role deleted: ${role.name}`);
+
+      return { message: 'Role deleted successfully' };
+    } catch (error) {
+      logger.error(`Delete role failed: ${id}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Roles of a user and the permissions they add up to
+   */
+  async getUserRoles(userId) {
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { id: BigInt(userId) },
+        select: {
+          id: true,
+          username: true,
+          role: true,
+          role_assignments: {
+            select: { role: { select: { id: true, name: true, description: true } } }
+          }
+        }
+      });
+
+      if (!user) {
+        throw roleError('User not found', 404);
+      }
+
+      const roles = user.role_assignments.map(assignment => assignment.role);
+      const permissions = await permissionService.getUserPermissions(user, roles.map(role => role.id));
+
+      return serializeBigInt({
+        user: { id: user.id, username: user.username, role: user.role },
+        roles,
+        permissions: [...permissions].sort()
+      });
+    } catch (error) {
+      logger.error(`Get user roles failed: ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the extra roles of a user. The system role always follows the
+   * account type and cannot be assigned here.
+   */
+  async setUserRoles(userId, roleIds, actorId, ipAddress) {
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { id: BigInt(userId) },
+        select: { id: true }
+      });
+
+      if (!user) {
+        throw roleError('User not found', 404);
+      }
+
+      const roles = await this.prisma.role.findMany({
+        where: { id: { in: roleIds } },
+        select: { id: true, name: true, is_system: true }
+      });
+
+      if (roles.length !== roleIds.length) {
+        throw roleError('Role not found', 404);
+      }
+
+      if (roles.some(role => role.is_system)) {
+        throw roleError('System roles follow the account type and cannot be assigned', 400);
+      }
+
+      await this.prisma.$transaction([
+        this.prisma.userRoleAssignment.deleteMany({ where: { user_id: user.id } }),
+        this.prisma.userRoleAssignment.createMany({
+          data: roles.map(role => ({ user_id: user.id, role_id: role.id }))
+        })
+      ]);
+
+      await auditService.record('roles.assigned', {
+        actor_id: actorId,
+        target_user_id: user.id,
+        ip_address: ipAddress,
+        details: { roles: roles.map(role => role.name) }
+      });
+
+      logger.info(`Roles of user ID ${userId} set`, { roles: roles.map(role => role.name) });
+
+      return await this.getUserRoles(userId);
+    } catch (error) {
+      logger.error(`Set user roles failed: ${userId}`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RoleService();
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const academicPeriodService = require('./academicPeriodService');
 
 const prisma = new PrismaClient();
 
@@ -49,7 +50,8 @@ class ScheduleService {
         day_of_week = '',
         room = '',
         sort_by = 'day_of_week',
-        sort_order = 'asc'
+        sort_order = 'asc',
+        period = null
       } = options;
 
       // Ensure page and limit are integers
@@ -58,7 +60,7 @@ class ScheduleService {
       const skip = (currentPage - 1) * currentLimit;
 
       // Build where clause
-      const whereClause = {};
+      const whereClause = academicPeriodService.semesterWhere(period);
 
       if (class_id) {
         whereClause.class_id = BigInt(class_id);
@@ -179,9 +181,12 @@ class ScheduleService {
       const startDateTime = new Date(`${today}T${scheduleData.start_time}`);
       const endDateTime = new Date(`${today}T${scheduleData.end_time}`);
 
+      const semesterId = await this.resolveSemesterForClass(scheduleData.semester_id, scheduleData.class_id);
+
       // Check for scheduling conflicts
       await this.checkScheduleConflicts({
         ...scheduleData,
+        semester_id: semesterId,
         start_time: startDateTime,
         end_time: endDateTime
       });
@@ -195,6 +200,7 @@ class ScheduleService {
           start_time: startDateTime,
           end_time: endDateTime,
           room: scheduleData.room || null,
+          semester_id: semesterId,
         },
         include: {
           class: {
@@ -255,6 +261,8 @@ class ScheduleService {
         throw new Error('Schedule not found');
       }
 
+      await academicPeriodService.assertSemesterWritable(existingSchedule.semester_id);
+
       // Prepare update data with BigInt conversion
       const processedData = {};
       
@@ -272,6 +280,10 @@ class ScheduleService {
       }
       if (updateData.room !== undefined) processedData.room = updateData.room;
 
+      if (processedData.class_id) {
+        await this.resolveSemesterForClass(existingSchedule.semester_id, processedData.class_id);
+      }
+
       // Check for conflicts with the updated data
       const conflictCheckData = {
         ...existingSchedule,
@@ -337,6 +349,8 @@ class ScheduleService {
         throw new Error('Schedule not found');
       }
 
+      await academicPeriodService.assertSemesterWritable(existingSchedule.semester_id);
+
       await prisma.schedule.delete({
         where: { id: BigInt(id) }
       });
@@ -348,17 +362,20 @@ class ScheduleService {
       return true;
     } catch (error) {
       logger.error('Error in deleteSchedule:', error);
-      throw new Error('Failed to delete schedule');
+      throw error;
     }
   }
 
   /**
    * Get schedules by class
    */
-  async getSchedulesByClass(classId) {
+  async getSchedulesByClass(classId, period = null) {
     try {
       const schedules = await prisma.schedule.findMany({
-        where: { class_id: BigInt(classId) },
+        where: {
+          ...academicPeriodService.semesterWhere(period),
+          class_id: BigInt(classId)
+        },
         include: {
           subject: {
             select: {
@@ -391,10 +408,13 @@ class ScheduleService {
   /**
    * Get schedules by teacher
    */
-  async getSchedulesByTeacher(teacherId) {
+  async getSchedulesByTeacher(teacherId, period = null) {
     try {
       const schedules = await prisma.schedule.findMany({
-        where: { teacher_id: BigInt(teacherId) },
+        where: {
+          ...academicPeriodService.semesterWhere(period),
+          teacher_id: BigInt(teacherId)
+        },
         include: {
           class: {
             select: {
@@ -430,9 +450,9 @@ class ScheduleService {
    */
   async getWeeklySchedule(filters = {}) {
     try {
-      const { class_id, teacher_id } = filters;
+      const { class_id, teacher_id, period = null } = filters;
       
-      const whereClause = {};
+      const whereClause = academicPeriodService.semesterWhere(period);
       if (class_id) whereClause.class_id = BigInt(class_id);
       if (teacher_id) whereClause.teacher_id = BigInt(teacher_id);
 
@@ -491,14 +511,52 @@ class ScheduleService {
     }
   }
 
+  /**
+   * Semester a class's schedule goes into: the given one or the active one.
+   * The class must belong to the semester's academic year.
+   */
+  async resolveSemesterForClass(semesterId, classId) {
+    const activePeriod = semesterId ? null : await academicPeriodService.getActivePeriod();
+    const targetId = semesterId ? parseInt(semesterId) : activePeriod?.semester_id;
+
+    if (!targetId) {
+      return null;
+    }
+
+    const [semester, classItem] = await Promise.all([
+      prisma.semester.findUnique({ where: { id: targetId } }),
+      prisma.class.findUnique({ where: { id: BigInt(classId) }, select: { academic_year_id: true } })
+    ]);
+
+    if (!semester) {
+      throw new Error('Semester not found');
+    }
+
+    await academicPeriodService.assertSemesterWritable(semester.id);
+
+    if (classItem && classItem.academic_year_id && classItem.academic_year_id !== semester.academic_year_id) {
+      throw new Error('Class does not belong to the academic year of the semester');
+    }
+
+    return semester.id;
+  }
+
   /**
    * Check for schedule conflicts
    */
   async checkScheduleConflicts(scheduleData, excludeId = null) {
     try {
       const { class_id, teacher_id, day_of_week, start_time, end_time, room } = scheduleData;
+
+      // Only slots of the same semester can clash; next period's timetable is separate
+      let semesterId = scheduleData.semester_id;
+      if (semesterId === undefined) {
+        const activePeriod = await academicPeriodService.getActivePeriod();
+        semesterId = activePeriod ? activePeriod.semester_id : null;
+      }
       
       const whereClause = {
+        semester_id: semesterId ? parseInt(semesterId) : null,
         day_of_week,
         OR: [
           {
@@ -587,8 +645,10 @@ class ScheduleService {
   /**
    * Get schedule statistics
    */
-  async getScheduleStatistics() {
+  async getScheduleStatistics(period = null) {
     try {
+      const where = academicPeriodService.semesterWhere(period);
+
       const [
         totalSchedules,
         schedulesByDay,
@@ -598,11 +658,12 @@ class ScheduleService {
         roomUsage
       ] = await Promise.all([
         // Total schedules
-        prisma.schedule.count(),
+        prisma.schedule.count({ where }),
         
         // Schedules by day
         prisma.schedule.groupBy({
           by: ['day_of_week'],
+          where,
           _count: { id: true },
           orderBy: { day_of_week: 'asc' }
         }),
@@ -610,6 +671,7 @@ class ScheduleService {
         // Schedules by class
         prisma.schedule.groupBy({
           by: ['class_id'],
+          where,
           _count: { id: true },
           orderBy: { _count: { id: 'desc' } },
           take: 10
@@ -618,6 +680,7 @@ class ScheduleService {
         // Schedules by teacher
         prisma.schedule.groupBy({
           by: ['teacher_id'],
+          where,
           _count: { id: true },
           orderBy: { _count: { id: 'desc' } },
           take: 10
@@ -626,6 +689,7 @@ class ScheduleService {
         // Schedules by subject
         prisma.schedule.groupBy({
           by: ['subject_id'],
+          where,
           _count: { id: true },
           orderBy: { _count: { id: 'desc' } },
           take: 10
@@ -635,7 +699,7 @@ class ScheduleService {
         prisma.schedule.groupBy({
           by: ['room'],
           _count: { id: true },
-          where: { room: { not: null } },
+          where: { ...where, room: { not: null } },
           orderBy: { _count: { id: 'desc' } },
           take: 10
         })
@@ -0,0 +1,91 @@
+const settingService = require('./settingService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+
+// Field of the policy => key of the setting that stores it
+const POLICY_SETTINGS = {
+  two_factor_required_for_admin: 'auth.two_factor_required_admin',
+  password_min_length: 'auth.password_min_length',
+  password_require_letters_and_digits: 'auth.password_require_letters_and_digits',
+};
+
+const BOOLEAN_FIELDS = ['two_factor_required_for_admin', 'password_require_letters_and_digits'];
+
+function policyViolation(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+class SecurityPolicyService {
+  /**
+   * Current account security policy
+   */
+  async getPolicy() {
+    try {
+      const values = await settingService.getMany(Object.values(POLICY_SETTINGS));
+
+      return Object.entries(POLICY_SETTINGS).reduce((policy, [field, key]) => ({
+        ...policy,
+        [field]: BOOLEAN_FIELDS.includes(field) ? values[key] === 'true' : parseInt(values[key])
+      }), {});
+    } catch (error) {
+      logger.error('Get security policy failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the account security policy
+   */
+  async updatePolicy(data, actorId, ipAddress) {
+    try {
+      for (const [field, key] of Object.entries(POLICY_SETTINGS)) {
+        if (data[field] !== undefined) {
+          await settingService.set(key, data[field]);
+        }
+      }
+
+      await auditService.record('security.policy_updated', {
+        actor_id: actorId,
+        ip_address: ipAddress,
+        details: data
+      });
+
+      return await this.getPolicy();
+    } catch (error) {
+      logger.error('Update security policy failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether accounts of a role must use two-factor authentication
+   */
+  async isTwoFactorRequired(role) {
+    if (role !== 'admin') return false;
+
+    return (await settingService.get(POLICY_SETTINGS.two_factor_required_for_admin)) === 'true';
+  }
+
+  /**
+   * Reject a new password that does not meet the password policy
+   */
+  async assertPasswordAllowed(password, username) {
+    const policy = await this.getPolicy();
+
+    if (password.length < policy.password_min_length) {
+      throw policyViolation(`Password must be at least ${policy.password_min_length} characters`);
+    }
+
+    if (policy.password_require_letters_and_digits && !(/[a-zA-Z]/.test(password) && /\d/.test(password))) {
+      throw policyViolation('Password must contain both letters and digits');
+    }
+
+    if (username && password.toLowerCase() === username.toLowerCase()) {
+      throw policyViolation('Password must not be the same as the username');
+    }
+  }
+}
+
+module.exports = new SecurityPolicyService();
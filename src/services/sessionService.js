@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const database = require('../config/database');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  createTokenPayload,
+  verifyRefreshToken,
+  hashApiKey
+} = require('../utils/auth');
+const { serializeBigInt } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+function invalidRefreshToken() {
+  const error = new Error('Invalid or expired refresh token');
+  error.statusCode = 401;
+  return error;
+}
+
+/**
+ * Expiry of a signed token as a Date
+ */
+function expiresAt(token) {
+  return new Date(jwt.decode(token).exp * 1000);
+}
+
+class SessionService {
+  constructor() {
+    this.prisma = database.getClient();
+  }
+
+  /**
+   * Start a session for a user who just logged in and issue its first tokens
+   */
+  async createSession(user, context = {}) {
+    const familyId = crypto.randomUUID();
+    const tokenPayload = { ...createTokenPayload(user), sid: familyId };
+
+    const accessToken = generateAccessToken(tokenPayload);
+    const refreshToken = generateRefreshToken(tokenPayload);
+
+    await this.prisma.userSession.create({
+      data: {
+        user_id: user.id,
+        family_id: familyId,
+        token_hash: hashApiKey(refreshToken),
+        user_agent: context.user_agent ? context.user_agent.substring(0, 255) : null,
+        ip_address: context.ip_address || null,
+        expires_at: expiresAt(refreshToken)
+      }
+    });
+
+    return { accessToken, refreshToken };
+  }
+
+  /**
+   * Swap a refresh token for a new pair. Each refresh token is single use:
+   * presenting one that was already rotated means it leaked, so the whole
+   * session is revoked.
+   */
+  async rotate(refreshToken) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw invalidRefreshToken();
+    }
+
+    if (!decoded.sid) {
+      throw invalidRefreshToken();
+    }
+
+    const session = await this.prisma.userSession.findUnique({
+      where: { family_id: decoded.sid },
+      include: {
+        user: { select: { id: true, username: true, role: true, is_active: true } }
+      }
+    });
+
+    if (!session || session.revoked_at || !session.user.is_active) {
+      throw invalidRefreshToken();
+    }
+
+    if (session.token_hash !== hashApiKey(refreshToken)) {
+      await this.revoke(session.id, 'TokenReuse');
+
+      logger.warn('Refresh token reuse detected, session revoked', {
+        userId: session.user_id.toString(),
+        sessionId: session.id.toString()
+      });
+
+      throw invalidRefreshToken();
+    }
+
+    const tokenPayload = { ...createTokenPayload(session.user), sid: session.family_id };
+    const accessToken = generateAccessToken(tokenPayload);
+    const newRefreshToken = generateRefreshToken(tokenPayload);
+
+    // Only the holder of the current token may rotate, even under concurrent refreshes
+    const { count } = await this.prisma.userSession.updateMany({
+      where: { id: session.id, token_hash: session.token_hash, revoked_at: null },
+      data: {
+        token_hash: hashApiKey(newRefreshToken),
+        last_used_at: new Date(),
+        expires_at: expiresAt(newRefreshToken)
+      }
+    });
+
+    if (count === 0) {
+      throw invalidRefreshToken();
+    }
+
+    return { accessToken, refreshToken: newRefreshToken };
+  }
+
+  /**
+   * Find the active session of a decoded access token
+   */
+  async findActiveSession(decoded) {
+    if (!decoded.sid) return null;
+
+    return this.prisma.userSession.findFirst({
+      where: {
+        family_id: decoded.sid,
+        user_id: BigInt(decoded.userId),
+        revoked_at: null
+      },
+      select: { id: true, user_id: true }
+    });
+  }
+
+  /**
+   * Revoke a single session
+   */
+  async revoke(sessionId, reason) {
+    await this.prisma.userSession.updateMany({
+      where: { id: BigInt(sessionId), revoked_at: null },
+      data: { revoked_at: new Date(), revoked_reason: reason }
+    });
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping one
+   */
+  async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const where = { user_id: BigInt(userId), revoked_at: null };
+    if (exceptSessionId) where.id = { not: BigInt(exceptSessionId) };
+
+    const { count } = await this.prisma.userSession.updateMany({
+      where,
+      data: { revoked_at: new Date(), revoked_reason: reason }
+    });
+
+    return count;
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  async getUserSessions(userId, currentSessionId = null) {
+    try {
+      const sessions = await this.prisma.userSession.findMany({
+        where: {
+          user_id: BigInt(userId),
+          revoked_at: null,
+          expires_at: { gt: new Date() }
+        },
+        select: {
+          id: true,
+          user_agent: true,
+          ip_address: true,
+          created_at: true,
+          last_used_at: true,
+          expires_at: true
+        },
+        orderBy: { last_used_at: 'desc' }
+      });
+
+      return sessions.map(session => ({
+        ...serializeBigInt(session),
+        is_current: currentSessionId !== null && session.id === BigInt(currentSessionId)
+      }));
+    } catch (error) {
+      logger.error(`Get sessions failed for user ID: ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of the user's own sessions
+   */
+  async revokeUserSession(userId, sessionId) {
+    try {
+      const session = await this.prisma.userSession.findFirst({
+        where: { id: BigInt(sessionId), user_id: BigInt(userId), revoked_at: null }
+      });
+
+      if (!session) {
+        const error = new Error('Session not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      await this.revoke(session.id, 'Revoked');
+
+      logger.info(`Session ${sessionId} revoked by user ID: ${userId}`);
+
+      return { message: 'Session revoked successfully' };
+    } catch (error) {
+      logger.error(`Revoke session failed for user ID: ${userId}`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,74 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Nilai bawaan untuk pengaturan yang belum pernah diubah admin
+const SETTING_DEFAULTS = {
+  'geofence.mode': 'flag',
+  'geofence.company_radius_meters': '200',
+  'auth.two_factor_required_admin': 'false',
+  'auth.password_min_length': '8',
+  'auth.password_require_letters_and_digits': 'true',
+};
+
+class SettingService {
+  /**
+   * Get a setting value (falls back to its default)
+   */
+  async get(key) {
+    try {
+      const setting = await prisma.appSetting.findUnique({
+        where: { key }
+      });
+
+      return setting ? setting.value : (SETTING_DEFAULTS[key] ?? null);
+    } catch (error) {
+      logger.error('Error in get setting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get several settings at once as a key/value object
+   */
+  async getMany(keys) {
+    try {
+      const settings = await prisma.appSetting.findMany({
+        where: { key: { in: keys } }
+      });
+
+      const values = new Map(settings.map(setting => [setting.key, setting.value]));
+
+      return keys.reduce((result, key) => ({
+        ...result,
+        [key]: values.has(key) ? values.get(key) : (SETTING_DEFAULTS[key] ?? null)
+      }), {});
+    } catch (error) {
+      logger.error('Error in getMany settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a setting value
+   */
+  async set(key, value) {
+    try {
+      await prisma.appSetting.upsert({
+        where: { key },
+        create: { key, value: String(value) },
+        update: { value: String(value) }
+      });
+
+      logger.info('Setting updated', { key });
+
+      return String(value);
+    } catch (error) {
+      logger.error('Error in set setting:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SettingService();
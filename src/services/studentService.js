@@ -1,6 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const { serializeBigInt, Pagination } = require('../utils/helpers');
 const logger = require('../utils/logger');
+const classMembershipService = require('./classMembershipService');
 
 const prisma = new PrismaClient();
 
@@ -343,9 +344,9 @@ class StudentService {
   }
 
   /**
-   * Update student
+   * Update student. A class change is recorded in the class history.
    */
-  async updateStudent(id, studentData) {
+  async updateStudent(id, studentData, actorId = null) {
     try {
       const existingStudent = await prisma.student.findUnique({
         where: { id: BigInt(id) }
@@ -395,37 +396,48 @@ class StudentService {
         }
       }
 
-      const student = await prisma.student.update({
-        where: { id: BigInt(id) },
-        data: {
-          ...studentData,
-          current_class_id: studentData.current_class_id ? BigInt(studentData.current_class_id) : undefined
-        },
-        include: {
-          user: {
-            select: {
-              id: true,
-              username: true,
-              role: true,
-              is_active: true
-            }
+      const student = await prisma.$transaction(async (tx) => {
+        if (studentData.current_class_id) {
+          await classMembershipService.recordChange({
+            student_id: existingStudent.id,
+            previous_class_id: existingStudent.current_class_id,
+            class_id: studentData.current_class_id,
+            changed_by_id: actorId
+          }, tx);
+        }
+
+        return tx.student.update({
+          where: { id: BigInt(id) },
+          data: {
+            ...studentData,
+            current_class_id: studentData.current_class_id ? BigInt(studentData.current_class_id) : undefined
           },
-          current_class: {
-            select: {
-              id: true,
-              class_name: true,
-              grade_level: true,
-              major: true,
-              homeroom_teacher: {
-                select: {
-                  id: true,
-                  full_name: true,
-                  nip: true
+          include: {
+            user: {
+              select: {
+                id: true,
+                username: true,
+                role: true,
+                is_active: true
+              }
+            },
+            current_class: {
+              select: {
+                id: true,
+                class_name: true,
+                grade_level: true,
+                major: true,
+                homeroom_teacher: {
+                  select: {
+                    id: true,
+                    full_name: true,
+                    nip: true
+                  }
                 }
               }
             }
           }
-        }
+        });
       });
 
       return this.serializeStudent(student);
@@ -664,9 +676,10 @@ class StudentService {
   }
 
   /**
-   * Assign student to class
+   * Assign student to class, recording the move with its effective date,
+   * reason and actor
    */
-  async assignToClass(studentId, classId) {
+  async assignToClass(studentId, classId, change = {}) {
     try {
       const student = await prisma.student.findUnique({
         where: { id: BigInt(studentId) }
@@ -684,29 +697,38 @@ class StudentService {
         throw new Error('Class not found');
       }
 
-      const updatedStudent = await prisma.student.update({
-        where: { id: BigInt(studentId) },
-        data: {
-          current_class_id: BigInt(classId)
-        },
-        include: {
-          user: {
-            select: {
-              id: true,
-              username: true,
-              role: true,
-              is_active: true
-            }
+      const updatedStudent = await prisma.$transaction(async (tx) => {
+        await classMembershipService.recordChange({
+          ...change,
+          student_id: student.id,
+          previous_class_id: student.current_class_id,
+          class_id: classId
+        }, tx);
+
+        return tx.student.update({
+          where: { id: BigInt(studentId) },
+          data: {
+            current_class_id: BigInt(classId)
           },
-          current_class: {
-            select: {
-              id: true,
-              class_name: true,
-              grade_level: true,
-              major: true
+          include: {
+            user: {
+              select: {
+                id: true,
+                username: true,
+                role: true,
+                is_active: true
+              }
+            },
+            current_class: {
+              select: {
+                id: true,
+                class_name: true,
+                grade_level: true,
+                major: true
+              }
             }
           }
-        }
+        });
       });
 
       return this.serializeStudent(updatedStudent);
@@ -717,9 +739,10 @@ class StudentService {
   }
 
   /**
-   * Remove student from class
+   * Remove student from class, recording the move with its effective date,
+   * reason and actor
    */
-  async removeFromClass(studentId) {
+  async removeFromClass(studentId, change = {}) {
     try {
       const student = await prisma.student.findUnique({
         where: { id: BigInt(studentId) }
@@ -729,21 +752,30 @@ class StudentService {
         throw new Error('Student not found');
       }
 
-      const updatedStudent = await prisma.student.update({
-        where: { id: BigInt(studentId) },
-        data: {
-          current_class_id: null
-        },
-        include: {
-          user: {
-            select: {
-              id: true,
-              username: true,
-              role: true,
-              is_active: true
+      const updatedStudent = await prisma.$transaction(async (tx) => {
+        await classMembershipService.recordChange({
+          ...change,
+          student_id: student.id,
+          previous_class_id: student.current_class_id,
+          class_id: null
+        }, tx);
+
+        return tx.student.update({
+          where: { id: BigInt(studentId) },
+          data: {
+            current_class_id: null
+          },
+          include: {
+            user: {
+              select: {
+                id: true,
+                username: true,
+                role: true,
+                is_active: true
+              }
             }
           }
-        }
+        });
       });
 
       return this.serializeStudent(updatedStudent);
@@ -0,0 +1,334 @@
+const QRCode = require('qrcode');
+const database = require('../config/database');
+const config = require('../config');
+const {
+  comparePassword,
+  generateReadableCode,
+  hashReadableCode,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/auth');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const logger = require('../utils/logger');
+const auditService = require('./auditService');
+const securityPolicyService = require('./securityPolicyService');
+
+function twoFactorError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class TwoFactorService {
+  constructor() {
+    this.prisma = database.getClient();
+  }
+
+  async findUser(userId) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: BigInt(userId) }
+    });
+
+    if (!user) {
+      throw twoFactorError('User not found', 404);
+    }
+
+    return user;
+  }
+
+  /**
+   * Two-factor status of a user
+   */
+  async getStatus(userId) {
+    try {
+      const user = await this.findUser(userId);
+
+      const recoveryCodesRemaining = await this.prisma.twoFactorRecoveryCode.count({
+        where: { user_id: user.id, used_at: null }
+      });
+
+      return {
+        enabled: Boolean(user.two_factor_enabled_at),
+        enabled_at: user.two_factor_enabled_at,
+        recovery_codes_remaining: recoveryCodesRemaining,
+        required: await securityPolicyService.isTwoFactorRequired(user.role)
+      };
+    } catch (error) {
+      logger.error(`Get two-factor status failed for user ID: ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start enrolment: create a new secret and the QR code to scan with an
+   * authenticator app. 2FA stays off until a code is confirmed.
+   */
+  async startSetup(userId) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (user.two_factor_enabled_at) {
+        throw twoFactorError('Two-factor authentication is already enabled', 400);
+      }
+
+      const secret = generateSecret();
+      const otpauthUri = buildOtpauthUri(secret, user.username, config.twoFactor.issuer);
+
+      await this.prisma.user.update({
+        where: { id: user.id },
+        data: {
+          two_factor_secret: encryptSecret(secret),
+          two_factor_last_step: null
+        }
+      });
+
+      return {
+        secret,
+        otpauth_uri: otpauthUri,
+        qr_code: await QRCode.toDataURL(otpauthUri, { errorCorrectionLevel: 'M', margin: 1, width: 320 })
+      };
+    } catch (error) {
+      logger.error(`Two-factor setup failed for user ID: ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish enrolment with a code from the app. Returns the recovery codes,
+   * which are shown only this once.
+   */
+  async enable(userId, code, context = {}) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (user.two_factor_enabled_at) {
+        throw twoFactorError('Two-factor authentication is already enabled', 400);
+      }
+
+      if (!user.two_factor_secret) {
+        throw twoFactorError('Two-factor setup has not been started', 400);
+      }
+
+      if (!(await this.consumeCode(user, code))) {
+        throw twoFactorError('Invalid two-factor code', 400);
+      }
+
+      const recoveryCodes = await this.prisma.$transaction(async (tx) => {
+        await tx.user.update({
+          where: { id: user.id },
+          data: { two_factor_enabled_at: new Date() }
+        });
+
+        return this.replaceRecoveryCodes(user.id, tx);
+      });
+
+      await auditService.record('auth.2fa_enabled', {
+        actor_id: user.id,
+        target_user_id: user.id,
+        ip_address: context.ip_address
+      });
+
+      logger.info(`Two-factor authentication enabled for user ID: ${userId}`);
+
+      return { recovery_codes: recoveryCodes };
+    } catch (error) {
+      logger.error(`Enable two-factor failed for user ID: ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn 2FA off. Needs the password and a code (or recovery code), and is
+   * refused while the policy makes 2FA mandatory for the user's role.
+   */
+  async disable(userId, data, context = {}) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (!user.two_factor_enabled_at) {
+        throw twoFactorError('Two-factor authentication is not enabled', 400);
+      }
+
+      if (await securityPolicyService.isTwoFactorRequired(user.role)) {
+        throw twoFactorError(`Two-factor authentication is mandatory for ${user.role} accounts`, 403);
+      }
+
+      if (!(await comparePassword(data.password, user.password))) {
+        throw twoFactorError('Password is incorrect', 400);
+      }
+
+      if (!(await this.verifyLoginCode(user, data, context))) {
+        throw twoFactorError('Invalid two-factor code', 400);
+      }
+
+      await this.clear(user.id);
+
+      await auditService.record('auth.2fa_disabled', {
+        actor_id: user.id,
+        target_user_id: user.id,
+        ip_address: context.ip_address
+      });
+
+      logger.info(`Two-factor authentication disabled for user ID: ${userId}`);
+
+      return { message: 'Two-factor authentication disabled successfully' };
+    } catch (error) {
+      logger.error(`Disable two-factor failed for user ID: ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all recovery codes of a user, after confirming a code
+   */
+  async regenerateRecoveryCodes(userId, code, context = {}) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (!user.two_factor_enabled_at) {
+        throw twoFactorError('Two-factor authentication is not enabled', 400);
+      }
+
+      if (!(await this.consumeCode(user, code))) {
+        throw twoFactorError('Invalid two-factor code', 400);
+      }
+
+      const recoveryCodes = await this.prisma.$transaction(tx => this.replaceRecoveryCodes(user.id, tx));
+
+      await auditService.record('auth.2fa_recovery_regenerated', {
+        actor_id: user.id,
+        target_user_id: user.id,
+        ip_address: context.ip_address
+      });
+
+      return { recovery_codes: recoveryCodes };
+    } catch (error) {
+      logger.error(`Regenerate recovery codes failed for user ID: ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Admin reset for a user who lost their authenticator and recovery codes
+   */
+  async reset(userId, actorId, ipAddress) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (!user.two_factor_enabled_at && !user.two_factor_secret) {
+        throw twoFactorError('Two-factor authentication is not enabled', 400);
+      }
+
+      await this.clear(user.id);
+
+      await auditService.record('auth.2fa_reset', {
+        actor_id: actorId,
+        target_user_id: user.id,
+        ip_address: ipAddress
+      });
+
+      logger.info(`Two-factor authentication reset for user ID: ${userId}`);
+
+      return { message: 'Two-factor authentication reset successfully' };
+    } catch (error) {
+      logger.error(`Reset two-factor failed for user ID: ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the second factor of a login: either an authenticator code or
+   * an unused recovery code. Both are single use.
+   */
+  async verifyLoginCode(user, { code, recovery_code }, context = {}) {
+    if (code) {
+      return this.consumeCode(user, code);
+    }
+
+    if (!recovery_code) {
+      return false;
+    }
+
+    const { count } = await this.prisma.twoFactorRecoveryCode.updateMany({
+      where: {
+        user_id: user.id,
+        code_hash: hashReadableCode(recovery_code),
+        used_at: null
+      },
+      data: { used_at: new Date() }
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    await auditService.record('auth.2fa_recovery_used', {
+      actor_id: user.id,
+      target_user_id: user.id,
+      ip_address: context.ip_address
+    });
+
+    return true;
+  }
+
+  /**
+   * Accept an authenticator code at most once. A code whose time step is
+   * not newer than the last accepted one is a replay.
+   */
+  async consumeCode(user, code) {
+    const step = verifyCode(decryptSecret(user.two_factor_secret), code);
+
+    if (step === null || (user.two_factor_last_step !== null && step <= user.two_factor_last_step)) {
+      return false;
+    }
+
+    // Conditional update so concurrent requests cannot both use the same code
+    const { count } = await this.prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { two_factor_last_step: null },
+          { two_factor_last_step: { lt: step } }
+        ]
+      },
+      data: { two_factor_last_step: step }
+    });
+
+    return count > 0;
+  }
+
+  async replaceRecoveryCodes(userId, client) {
+    const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () => generateReadableCode(2, 5));
+
+    await client.twoFactorRecoveryCode.deleteMany({
+      where: { user_id: userId }
+    });
+
+    await client.twoFactorRecoveryCode.createMany({
+      data: codes.map(code => ({
+        user_id: userId,
+        code_hash: hashReadableCode(code)
+      }))
+    });
+
+    return codes;
+  }
+
+  async clear(userId) {
+    await this.prisma.$transaction([
+      this.prisma.user.update({
+        where: { id: userId },
+        data: {
+          two_factor_secret: null,
+          two_factor_enabled_at: null,
+          two_factor_last_step: null
+        }
+      }),
+      this.prisma.twoFactorRecoveryCode.deleteMany({
+        where: { user_id: userId }
+      })
+    ]);
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -2,6 +2,8 @@ const database = require('../config/database');
 const { hashPassword } = require('../utils/auth');
 const { Pagination, serializeBigInt } = require('../utils/helpers');
 const logger = require('../utils/logger');
+const sessionService = require('./sessionService');
+const securityPolicyService = require('./securityPolicyService');
 
 class UserService {
   constructor() {
@@ -160,16 +162,19 @@ class UserService {
         throw new Error('Username already exists');
       }
 
+      await securityPolicyService.assertPasswordAllowed(userData.password, userData.username);
+
       // Hash password
       const hashedPassword = await hashPassword(userData.password);
 
-      // Create user
+      // Create user; the initial password must be changed on first login
       const user = await this.prisma.user.create({
         data: {
           username: userData.username,
           password: hashedPassword,
           role: userData.role,
           is_active: userData.is_active ?? true,
+          must_change_password: true,
         },
         select: {
           id: true,
@@ -222,6 +227,18 @@ class UserService {
         ...(updateData.is_active !== undefined && { is_active: updateData.is_active }),
       };
 
+      // A password set by an admin must be changed by the user on next login
+      if (updateData.password) {
+        await securityPolicyService.assertPasswordAllowed(
+          updateData.password,
+          updateData.username || existingUser.username
+        );
+
+        dataToUpdate.password = await hashPassword(updateData.password);
+        dataToUpdate.must_change_password = true;
+        dataToUpdate.password_changed_at = new Date();
+      }
+
       // Update user
       const user = await this.prisma.user.update({
         where: { id: BigInt(id) },
@@ -237,6 +254,12 @@ class UserService {
         }
       });
 
+      if (existingUser.is_active && !user.is_active) {
+        await sessionService.revokeAllForUser(user.id, 'Deactivated');
+      } else if (updateData.password) {
+        await sessionService.revokeAllForUser(user.id, 'Revoked');
+      }
+
       logger.info(`User updated: ${id}`);
       
       return serializeBigInt(user);
@@ -308,6 +331,12 @@ class UserService {
         }
       });
 
+      // A deactivated user is logged out everywhere at once
+      if (!user.is_active) {
+        const revoked = await sessionService.revokeAllForUser(user.id, 'Deactivated');
+        logger.info(`Revoked ${revoked} sessions of deactivated user: ${id}`);
+      }
+
       logger.info(`User status toggled: ${id} - Active: ${user.is_active}`);
       
       return serializeBigInt(user);
@@ -0,0 +1,297 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const academicPeriodService = require('./academicPeriodService');
+
+const prisma = new PrismaClient();
+
+// Index sesuai Date#getDay()
+const DAYS = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+
+/**
+ * Convert "HH:MM:SS" to a Date usable for @db.Time() columns
+ */
+function toTime(time) {
+  return new Date(`1970-01-01T${time}.000Z`);
+}
+
+function formatTime(time) {
+  return time ? time.toISOString().split('T')[1].split('.')[0] : null;
+}
+
+/**
+ * Minutes since midnight of a @db.Time() value
+ */
+function timeToMinutes(time) {
+  return time.getUTCHours() * 60 + time.getUTCMinutes();
+}
+
+/**
+ * Minutes since local midnight of an attendance timestamp
+ */
+function timestampToMinutes(timestamp) {
+  return timestamp.getHours() * 60 + timestamp.getMinutes();
+}
+
+class WorkingHourService {
+  /**
+   * Serialize rule data to format times properly
+   */
+  serializeRule(rule) {
+    if (!rule) return null;
+
+    return {
+      ...rule,
+      check_in_time: formatTime(rule.check_in_time),
+      check_out_time: formatTime(rule.check_out_time)
+    };
+  }
+
+  /**
+   * Get all working hour rules
+   */
+  async getAllRules(filters = {}) {
+    try {
+      const { applies_to, day_of_week } = filters;
+
+      const where = {};
+      if (applies_to) where.applies_to = applies_to;
+      if (day_of_week) where.day_of_week = day_of_week;
+
+      const rules = await prisma.workingHourRule.findMany({
+        where,
+        orderBy: [
+          { applies_to: 'asc' },
+          { day_of_week: 'asc' },
+          { employment_status: 'asc' }
+        ]
+      });
+
+      return rules.map(rule => this.serializeRule(rule));
+    } catch (error) {
+      logger.error('Error in getAllRules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get working hour rule by ID
+   */
+  async getRuleById(id) {
+    try {
+      const rule = await prisma.workingHourRule.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!rule) {
+        throw new Error('Working hour rule not found');
+      }
+
+      return this.serializeRule(rule);
+    } catch (error) {
+      logger.error('Error in getRuleById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a rule and make sure no other rule covers the same day and status
+   */
+  async validateRule(rule, excludeId = null) {
+    if (rule.applies_to === 'Student' && rule.employment_status) {
+      throw new Error('Employment status can only be set on teacher rules');
+    }
+
+    if (rule.applies_to === 'Student' && rule.follow_schedule) {
+      throw new Error('Following the teaching schedule is only available for teacher rules');
+    }
+
+    if (rule.check_out_time <= rule.check_in_time) {
+      throw new Error('Check-out time must be after check-in time');
+    }
+
+    const duplicate = await prisma.workingHourRule.findFirst({
+      where: {
+        applies_to: rule.applies_to,
+        day_of_week: rule.day_of_week,
+        employment_status: rule.employment_status || null,
+        ...(excludeId && { id: { not: excludeId } })
+      }
+    });
+
+    if (duplicate) {
+      throw new Error('A working hour rule already exists for this day and employment status');
+    }
+  }
+
+  /**
+   * Create new working hour rule
+   */
+  async createRule(ruleData) {
+    try {
+      const data = {
+        applies_to: ruleData.applies_to,
+        day_of_week: ruleData.day_of_week,
+        employment_status: ruleData.employment_status || null,
+        check_in_time: toTime(ruleData.check_in_time),
+        check_out_time: toTime(ruleData.check_out_time),
+        late_grace_minutes: ruleData.late_grace_minutes || 0,
+        early_grace_minutes: ruleData.early_grace_minutes || 0,
+        follow_schedule: ruleData.follow_schedule || false,
+        is_active: ruleData.is_active !== undefined ? ruleData.is_active : true
+      };
+
+      await this.validateRule(data);
+
+      const rule = await prisma.workingHourRule.create({ data });
+
+      logger.info('Working hour rule created', { ruleId: rule.id, appliesTo: rule.applies_to, day: rule.day_of_week });
+
+      return this.serializeRule(rule);
+    } catch (error) {
+      logger.error('Error in createRule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update working hour rule
+   */
+  async updateRule(id, updateData) {
+    try {
+      const existingRule = await prisma.workingHourRule.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!existingRule) {
+        throw new Error('Working hour rule not found');
+      }
+
+      const updateFields = {};
+
+      ['applies_to', 'day_of_week', 'late_grace_minutes', 'early_grace_minutes', 'follow_schedule', 'is_active']
+        .forEach(field => {
+          if (updateData[field] !== undefined) updateFields[field] = updateData[field];
+        });
+
+      if (updateData.employment_status !== undefined) updateFields.employment_status = updateData.employment_status || null;
+      if (updateData.check_in_time !== undefined) updateFields.check_in_time = toTime(updateData.check_in_time);
+      if (updateData.check_out_time !== undefined) updateFields.check_out_time = toTime(updateData.check_out_time);
+
+      await this.validateRule({ ...existingRule, ...updateFields }, existingRule.id);
+
+      const rule = await prisma.workingHourRule.update({
+        where: { id: existingRule.id },
+        data: updateFields
+      });
+
+      return this.serializeRule(rule);
+    } catch (error) {
+      logger.error('Error in updateRule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete working hour rule. Already classified records keep their result.
+   */
+  async deleteRule(id) {
+    try {
+      const existingRule = await prisma.workingHourRule.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!existingRule) {
+        throw new Error('Working hour rule not found');
+      }
+
+      await prisma.workingHourRule.delete({
+        where: { id: existingRule.id }
+      });
+
+      return { message: 'Working hour rule deleted successfully' };
+    } catch (error) {
+      logger.error('Error in deleteRule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the rule for a day. A rule for the teacher's employment status
+   * wins over the general rule of that day.
+   */
+  async findApplicableRule(appliesTo, timestamp, employmentStatus = null) {
+    const rules = await prisma.workingHourRule.findMany({
+      where: {
+        applies_to: appliesTo,
+        day_of_week: DAYS[timestamp.getDay()],
+        is_active: true,
+        OR: [
+          { employment_status: null },
+          ...(employmentStatus ? [{ employment_status: employmentStatus }] : [])
+        ]
+      }
+    });
+
+    return rules.find(rule => rule.employment_status !== null) || rules[0] || null;
+  }
+
+  /**
+   * Expected check-in of a teacher: the start of the first lesson of the day
+   * when the rule follows the schedule and the teacher teaches that day
+   */
+  async getExpectedCheckIn(rule, teacherId, timestamp) {
+    if (!rule.follow_schedule || !teacherId) {
+      return rule.check_in_time;
+    }
+
+    const firstSchedule = await prisma.schedule.findFirst({
+      where: {
+        ...academicPeriodService.semesterWhere(await academicPeriodService.getActivePeriod()),
+        teacher_id: BigInt(teacherId),
+        day_of_week: DAYS[timestamp.getDay()]
+      },
+      orderBy: { start_time: 'asc' },
+      select: { start_time: true }
+    });
+
+    return firstSchedule ? firstSchedule.start_time : rule.check_in_time;
+  }
+
+  /**
+   * Classify an attendance record as OnTime, Late or EarlyDeparture.
+   * Returns null fields when no rule applies to the day.
+   */
+  async classify({ appliesTo, status, timestamp, teacher = null }) {
+    try {
+      const unclassified = { punctuality: null, deviation_minutes: null };
+
+      const rule = await this.findApplicableRule(appliesTo, timestamp, teacher?.employment_status);
+
+      if (!rule) {
+        return unclassified;
+      }
+
+      const actual = timestampToMinutes(timestamp);
+
+      if (status === 'Masuk') {
+        const expected = timeToMinutes(await this.getExpectedCheckIn(rule, teacher?.id, timestamp));
+        const minutesLate = actual - expected;
+
+        return minutesLate > rule.late_grace_minutes
+          ? { punctuality: 'Late', deviation_minutes: minutesLate }
+          : { punctuality: 'OnTime', deviation_minutes: 0 };
+      }
+
+      const minutesEarly = timeToMinutes(rule.check_out_time) - actual;
+
+      return minutesEarly > rule.early_grace_minutes
+        ? { punctuality: 'EarlyDeparture', deviation_minutes: minutesEarly }
+        : { punctuality: 'OnTime', deviation_minutes: 0 };
+    } catch (error) {
+      logger.error('Error in classify:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WorkingHourService();
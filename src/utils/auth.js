@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
@@ -28,12 +29,14 @@ function generateAccessToken(payload) {
 }
 
 /**
- * Generate JWT refresh token
+ * Generate JWT refresh token. Every token gets its own ID so a rotated
+ * token never equals the one it replaces.
  */
 function generateRefreshToken(payload) {
   return jwt.sign(payload, config.jwt.refreshSecret, {
     expiresIn: config.jwt.refreshExpiresIn,
     issuer: 'stmadb-portal',
+    jwtid: crypto.randomUUID(),
   });
 }
 
@@ -76,6 +79,106 @@ function createTokenPayload(user) {
   };
 }
 
+/**
+ * Whether an authenticated user holds a named permission
+ */
+function hasPermission(user, permission) {
+  return Boolean(user && user.permissions && user.permissions.has(permission));
+}
+
+/**
+ * Generate random API key for devices (displays, gates, ...)
+ */
+function generateApiKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash API key for storage and lookup
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Tanpa 0/O dan 1/I/L agar kode mudah disalin dari kertas
+const READABLE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a one-time code meant to be read and typed by people, e.g.
+ * `generateReadableCode(2, 5)` gives XXXXX-XXXXX
+ */
+function generateReadableCode(groups, groupLength) {
+  return Array.from({ length: groups }, () =>
+    Array.from({ length: groupLength }, () =>
+      READABLE_CODE_ALPHABET[crypto.randomInt(READABLE_CODE_ALPHABET.length)]
+    ).join('')
+  ).join('-');
+}
+
+/**
+ * Hash of a readable code for storage; case and separators are ignored
+ */
+function hashReadableCode(code) {
+  return hashApiKey(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''));
+}
+
+/**
+ * Generate the short-lived token that links the password step of a login
+ * to its two-factor step. It carries no session, so it cannot be used as
+ * an access token.
+ */
+function generateTwoFactorChallenge(user) {
+  return jwt.sign({ userId: user.id.toString(), purpose: 'two-factor' }, config.jwt.secret, {
+    expiresIn: config.twoFactor.challengeExpiresIn,
+    issuer: 'stmadb-portal',
+    audience: 'two-factor',
+  });
+}
+
+/**
+ * Verify a two-factor login challenge
+ */
+function verifyTwoFactorChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, config.jwt.secret, { audience: 'two-factor' });
+    if (decoded.purpose !== 'two-factor') {
+      throw new Error('Wrong token purpose');
+    }
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid or expired token');
+  }
+}
+
+/**
+ * Key used to encrypt secrets stored in the database
+ */
+function getEncryptionKey() {
+  return crypto.createHash('sha256').update(config.twoFactor.encryptionKey).digest();
+}
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM, `iv:tag:ciphertext` in hex)
+ */
+function encryptSecret(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt a secret encrypted with encryptSecret
+ */
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
 module.exports = {
   hashPassword,
   comparePassword,
@@ -85,4 +188,13 @@ module.exports = {
   verifyRefreshToken,
   extractTokenFromHeader,
   createTokenPayload,
+  hasPermission,
+  generateApiKey,
+  hashApiKey,
+  generateReadableCode,
+  hashReadableCode,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  encryptSecret,
+  decryptSecret,
 };
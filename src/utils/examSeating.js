@@ -0,0 +1,56 @@
+/**
+ * Merge per-class queues so consecutive students come from different classes.
+ * Always takes from the largest remaining class that is not the previous one.
+ */
+function interleaveByClass(groups) {
+  const queues = groups.map(group => [...group]);
+  const result = [];
+  let lastIndex = -1;
+
+  while (queues.some(queue => queue.length > 0)) {
+    let pick = -1;
+
+    queues.forEach((queue, index) => {
+      if (queue.length === 0 || index === lastIndex) return;
+      if (pick === -1 || queue.length > queues[pick].length) pick = index;
+    });
+
+    // Only the previous class has students left
+    if (pick === -1) pick = lastIndex;
+
+    result.push(queues[pick].shift());
+    lastIndex = pick;
+  }
+
+  return result;
+}
+
+/**
+ * Split the student count over rooms proportionally to their free seats
+ */
+function distributeAcrossRooms(totalStudents, rooms) {
+  const totalAvailable = rooms.reduce((sum, room) => sum + room.available, 0);
+
+  const quotas = rooms.map(room => {
+    const exact = (totalStudents * room.available) / totalAvailable;
+    return { room, quota: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let unassigned = totalStudents - quotas.reduce((sum, item) => sum + item.quota, 0);
+
+  [...quotas]
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(item => {
+      if (unassigned > 0 && item.quota < item.room.available) {
+        item.quota++;
+        unassigned--;
+      }
+    });
+
+  return quotas;
+}
+
+module.exports = {
+  interleaveByClass,
+  distributeAcrossRooms,
+};
@@ -0,0 +1,59 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Parse a "latitude,longitude" string. Returns null when missing or invalid.
+ */
+function parseCoordinates(value) {
+  if (!value) return null;
+
+  const parts = String(value).split(',').map(part => parseFloat(part.trim()));
+
+  if (parts.length !== 2 || parts.some(Number.isNaN)) return null;
+
+  const [lat, lng] = parts;
+
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+  return { lat, lng };
+}
+
+/**
+ * Great-circle distance between two points in meters (haversine)
+ */
+function distanceInMeters(from, to) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Ray casting point-in-polygon test. Polygon is a list of [lat, lng] vertices.
+ * Accurate enough for campus-sized areas.
+ */
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+
+    const intersects = (lngI > point.lng) !== (lngJ > point.lng) &&
+      point.lat < ((latJ - latI) * (point.lng - lngI)) / (lngJ - lngI) + latI;
+
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+}
+
+module.exports = {
+  parseCoordinates,
+  distanceInMeters,
+  isPointInPolygon,
+};
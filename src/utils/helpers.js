@@ -89,6 +89,21 @@ function formatDateIndonesia(date) {
   return `${dayName}, ${day} ${month} ${year}`;
 }
 
+/**
+ * Helper untuk nilai kolom @db.Date: tengah malam UTC dari tanggal kalender menurut
+ * waktu server. Tengah malam lokal (setHours(0, 0, 0, 0)) di UTC+7 jatuh pada hari
+ * sebelumnya dalam UTC, sehingga tanggal yang tersimpan bergeser satu hari.
+ * String "YYYY-MM-DD" dipakai apa adanya.
+ */
+function toDateOnly(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T00:00:00.000Z`);
+  }
+
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
 /**
  * Helper untuk generate token acak
  */
@@ -138,6 +153,14 @@ function serializeBigInt(obj) {
   ));
 }
 
+/**
+ * Helper untuk menyamarkan kunci rahasia di query string (mis. `?key=` layar
+ * antrean, karena EventSource tidak bisa mengirim header) sebelum URL dicatat di log
+ */
+function redactUrl(url) {
+  return String(url).replace(/([?&]key=)[^&#]*/gi, '$1[REDACTED]');
+}
+
 module.exports = {
   ApiResponse,
   Pagination,
@@ -146,6 +169,8 @@ module.exports = {
   generateRandomToken,
   isValidEmail,
   isValidPhoneNumber,
+  redactUrl,
   sanitizeInput,
   serializeBigInt,
+  toDateOnly,
 };
@@ -0,0 +1,120 @@
+/**
+ * Minimal iCalendar (RFC 5545) reader for importing school calendars.
+ * Only VEVENT dates, UID, SUMMARY, DESCRIPTION and CATEGORIES are read.
+ */
+
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Split "NAME;PARAM=X:VALUE" into its name, params and value
+ */
+function parseLine(line) {
+  const separator = line.indexOf(':');
+  if (separator === -1) return null;
+
+  const [name, ...params] = line.slice(0, separator).split(';');
+
+  return {
+    name: name.toUpperCase(),
+    params: params.map(param => param.toUpperCase()),
+    value: line.slice(separator + 1)
+  };
+}
+
+function toIsoDate(value) {
+  return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse the VEVENTs of an .ics file into date-only events.
+ * All-day DTEND is exclusive, so the last day is DTEND minus one day.
+ */
+function parseIcsEvents(text) {
+  const events = [];
+  let current = null;
+
+  unfoldLines(text).forEach(rawLine => {
+    const line = parseLine(rawLine.trim());
+    if (!line) return;
+
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      current = {};
+      return;
+    }
+
+    if (!current) return;
+
+    if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') {
+      if (current.start) {
+        const start = toIsoDate(current.start.value);
+        let end = current.end ? toIsoDate(current.end.value) : start;
+
+        const endsAtMidnight = current.end && (current.end.allDay || /T0{6}/.test(current.end.value));
+        if (endsAtMidnight && end > start) {
+          end = addDays(end, -1);
+        }
+
+        events.push({
+          uid: current.uid || null,
+          summary: current.summary || 'Untitled event',
+          description: current.description || null,
+          categories: current.categories || [],
+          start_date: start,
+          end_date: end < start ? start : end
+        });
+      }
+      current = null;
+      return;
+    }
+
+    switch (line.name) {
+      case 'UID':
+        current.uid = line.value.trim();
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(line.value);
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(line.value);
+        break;
+      case 'CATEGORIES':
+        // Escaped commas belong to the category name
+        current.categories = line.value.split(/(?<!\\),/).map(unescapeText);
+        break;
+      case 'DTSTART':
+      case 'DTEND':
+        current[line.name === 'DTSTART' ? 'start' : 'end'] = {
+          value: line.value.trim(),
+          allDay: line.params.includes('VALUE=DATE')
+        };
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+}
+
+module.exports = {
+  parseIcsEvents,
+};
@@ -0,0 +1,13 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process event bus for queue state changes. queueEventService relays
+ * the events of every process onto it; listeners receive a single `change`
+ * event with the payload built by queueService.
+ */
+const queueEvents = new EventEmitter();
+
+// Every connected display adds a listener
+queueEvents.setMaxListeners(0);
+
+module.exports = queueEvents;
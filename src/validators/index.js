@@ -29,6 +29,20 @@ const commonValidations = {
   enum: (values) => Joi.string().valid(...values).messages({
     'any.only': `Value must be one of: ${values.join(', ')}`
   }),
+
+  // Browse another academic period than the active one (admin only)
+  academicPeriod: {
+    semester_id: Joi.number().integer().positive().optional(),
+    academic_year_id: Joi.number().integer().positive().optional(),
+  },
+
+  // Recorded in the student's class history; the date defaults to today
+  classChange: {
+    effective_date: Joi.date().iso().max('now').optional().messages({
+      'date.max': 'Effective date cannot be in the future'
+    }),
+    reason: Joi.string().max(255).optional(),
+  },
 };
 
 // Auth validation schemas
@@ -49,6 +63,41 @@ const authSchemas = {
   refreshToken: Joi.object({
     refreshToken: Joi.string().required(),
   }),
+
+  sessionParams: Joi.object({
+    id: commonValidations.id,
+  }),
+
+  resetPassword: Joi.object({
+    username: Joi.string().min(3).max(100).required(),
+    code: Joi.string().max(20).required(),
+    newPassword: Joi.string().min(6).max(128).required(),
+    confirmPassword: Joi.string().valid(Joi.ref('newPassword')).required().messages({
+      'any.only': 'Confirm password must match new password'
+    }),
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Code must be 6 digits'
+    }),
+  }),
+
+  twoFactorLogin: Joi.object({
+    challenge_token: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Code must be 6 digits'
+    }),
+    recovery_code: Joi.string().max(20),
+  }).xor('code', 'recovery_code'),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Code must be 6 digits'
+    }),
+    recovery_code: Joi.string().max(20),
+  }).xor('code', 'recovery_code'),
 };
 
 // User validation schemas
@@ -62,6 +111,7 @@ const userSchemas = {
   
   update: Joi.object({
     username: Joi.string().min(3).max(100).optional(),
+    password: Joi.string().min(6).max(128).optional(),
     role: commonValidations.enum(['admin', 'teacher', 'student', 'staff']).optional(),
     is_active: Joi.boolean().optional(),
   }),
@@ -72,6 +122,64 @@ const userSchemas = {
     role: commonValidations.enum(['admin', 'teacher', 'student', 'staff']).optional(),
     is_active: Joi.boolean().optional(),
   }),
+
+  auditLogs: Joi.object({
+    ...commonValidations.pagination,
+    action: Joi.string().max(100).optional(),
+    user_id: commonValidations.optionalId,
+    date_from: Joi.date().iso().optional(),
+    date_to: Joi.date().iso().min(Joi.ref('date_from')).optional(),
+  }),
+
+  securityPolicy: Joi.object({
+    two_factor_required_for_admin: Joi.boolean().optional(),
+    password_min_length: Joi.number().integer().min(6).max(64).optional(),
+    password_require_letters_and_digits: Joi.boolean().optional(),
+  }).min(1),
+};
+
+// Password reset code validation schemas
+const passwordResetSchemas = {
+  issue: Joi.object({
+    user_id: commonValidations.id,
+  }),
+
+  classSlips: Joi.object({
+    format: commonValidations.enum(['json', 'html']).default('json'),
+  }),
+
+  classParams: Joi.object({
+    classId: commonValidations.id,
+  }),
+};
+
+// Role & permission validation schemas
+const roleSchemas = {
+  create: Joi.object({
+    name: Joi.string().pattern(/^[a-z0-9_]+$/).min(3).max(50).required()
+      .messages({ 'string.pattern.base': 'Role name may only contain lowercase letters, digits and underscores' }),
+    description: Joi.string().max(255).allow('', null).optional(),
+    permissions: Joi.array().items(Joi.string().max(100)).unique().default([]),
+  }),
+
+  update: Joi.object({
+    name: Joi.string().pattern(/^[a-z0-9_]+$/).min(3).max(50).optional()
+      .messages({ 'string.pattern.base': 'Role name may only contain lowercase letters, digits and underscores' }),
+    description: Joi.string().max(255).allow('', null).optional(),
+    permissions: Joi.array().items(Joi.string().max(100)).unique().optional(),
+  }).min(1),
+
+  params: Joi.object({
+    id: commonValidations.id,
+  }),
+
+  userParams: Joi.object({
+    userId: commonValidations.id,
+  }),
+
+  assignUser: Joi.object({
+    role_ids: Joi.array().items(Joi.number().integer().positive()).unique().required(),
+  }),
 };
 
 // Subject validation schemas
@@ -112,6 +220,12 @@ const teacherSchemas = {
     phone_number: commonValidations.phone,
     employment_status: commonValidations.enum(['ASN', 'GTT', 'PTT', 'Tetap']).optional(),
   }),
+
+  // A teacher editing their own profile; NIP/NIK and employment status stay with admins
+  updateOwn: Joi.object({
+    full_name: Joi.string().min(2).max(255).optional(),
+    phone_number: commonValidations.phone,
+  }),
   
   list: Joi.object({
     ...commonValidations.pagination,
@@ -146,6 +260,12 @@ const studentSchemas = {
     status: commonValidations.enum(['AKTIF', 'LULUS', 'PINDAH', 'DO']).optional(),
     rfid_uid: Joi.string().max(100).optional().allow(null),
   }),
+
+  // A student editing their own record; class, status, NIS and RFID stay with admins
+  updateOwn: Joi.object({
+    address: Joi.string().max(1000).optional().allow(null),
+    phone_number: commonValidations.phone,
+  }),
   
   list: Joi.object({
     ...commonValidations.pagination,
@@ -164,6 +284,7 @@ const classSchemas = {
     major: Joi.string().max(100).optional().allow(null),
     homeroom_teacher_id: commonValidations.optionalId,
     counselor_id: commonValidations.optionalId,
+    academic_year_id: Joi.number().integer().positive().optional(),
   }),
   
   update: Joi.object({
@@ -181,14 +302,22 @@ const classSchemas = {
     homeroom_teacher_id: commonValidations.optionalId,
     has_homeroom_teacher: Joi.boolean().optional(),
     search: Joi.string().max(100).optional(),
+    ...commonValidations.academicPeriod,
+  }),
+
+  // Class statistics and available teachers only take the academic period
+  period: Joi.object({
+    ...commonValidations.academicPeriod,
   }),
   
   assignStudent: Joi.object({
     student_id: commonValidations.id.required(),
+    ...commonValidations.classChange,
   }),
   
   removeStudent: Joi.object({
     student_id: commonValidations.id.required(),
+    ...commonValidations.classChange,
   }),
 };
 
@@ -237,6 +366,7 @@ const attendanceSchemas = {
     location_coordinates: Joi.string().max(100).optional().allow(null),
     photo_path: Joi.string().max(255).optional().allow(null),
     scheduleId: commonValidations.optionalId, // Required for students, optional for teachers
+    qr_token: Joi.string().max(200).optional(), // Required for teachers
   }),
 
   recordMyAttendance: Joi.object({
@@ -277,6 +407,84 @@ const attendanceSchemas = {
     location_coordinates: Joi.string().max(100).optional().allow(null),
     photo_path: Joi.string().max(255).optional().allow(null),
   }),
+
+  rfidTap: Joi.object({
+    rfid_uid: Joi.string().min(1).max(100).required(),
+    device_id: Joi.string().min(1).max(50).required(),
+  }),
+
+  createGateDevice: Joi.object({
+    device_code: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).min(1).max(50).required().messages({
+      'string.pattern.base': 'Device code may only contain letters, numbers, dashes and underscores'
+    }),
+    device_name: Joi.string().min(2).max(255).required(),
+    location: Joi.string().max(255).optional().allow(null),
+  }),
+
+  updateGateDevice: Joi.object({
+    device_name: Joi.string().min(2).max(255).optional(),
+    location: Joi.string().max(255).optional().allow(null),
+  }),
+
+  gateDeviceParams: Joi.object({
+    id: commonValidations.id,
+  }),
+
+  listWorkingHourRules: Joi.object({
+    applies_to: commonValidations.enum(['Teacher', 'Student']).optional(),
+    day_of_week: commonValidations.enum(['Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu', 'Minggu']).optional(),
+  }),
+
+  createWorkingHourRule: Joi.object({
+    applies_to: commonValidations.enum(['Teacher', 'Student']).required(),
+    day_of_week: commonValidations.enum(['Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu', 'Minggu']).required(),
+    employment_status: commonValidations.enum(['ASN', 'GTT', 'PTT', 'Tetap']).optional().allow(null),
+    check_in_time: Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/).required().messages({
+      'string.pattern.base': 'Check-in time must be in HH:MM:SS format'
+    }),
+    check_out_time: Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/).required().messages({
+      'string.pattern.base': 'Check-out time must be in HH:MM:SS format'
+    }),
+    late_grace_minutes: Joi.number().integer().min(0).max(240).optional(),
+    early_grace_minutes: Joi.number().integer().min(0).max(240).optional(),
+    follow_schedule: Joi.boolean().optional(),
+    is_active: Joi.boolean().optional(),
+  }),
+
+  updateWorkingHourRule: Joi.object({
+    applies_to: commonValidations.enum(['Teacher', 'Student']).optional(),
+    day_of_week: commonValidations.enum(['Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu', 'Minggu']).optional(),
+    employment_status: commonValidations.enum(['ASN', 'GTT', 'PTT', 'Tetap']).optional().allow(null),
+    check_in_time: Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/).optional().messages({
+      'string.pattern.base': 'Check-in time must be in HH:MM:SS format'
+    }),
+    check_out_time: Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/).optional().messages({
+      'string.pattern.base': 'Check-out time must be in HH:MM:SS format'
+    }),
+    late_grace_minutes: Joi.number().integer().min(0).max(240).optional(),
+    early_grace_minutes: Joi.number().integer().min(0).max(240).optional(),
+    follow_schedule: Joi.boolean().optional(),
+    is_active: Joi.boolean().optional(),
+  }),
+
+  workingHourParams: Joi.object({
+    id: commonValidations.id,
+  }),
+
+  listAbsenceJobRuns: Joi.object({
+    ...commonValidations.pagination,
+    status: commonValidations.enum(['Running', 'Success', 'Skipped', 'Failed']).optional(),
+    date_from: Joi.date().iso().optional(),
+    date_to: Joi.date().iso().optional(),
+  }),
+
+  runAbsenceJob: Joi.object({
+    date: Joi.date().iso().max('now').optional(),
+  }),
+
+  absenceJobParams: Joi.object({
+    id: commonValidations.id,
+  }),
 };
 
 // Schedule validation schemas
@@ -293,6 +501,7 @@ const scheduleSchemas = {
       'string.pattern.base': 'End time must be in HH:MM:SS format'
     }),
     room: Joi.string().max(50).optional().allow(null),
+    semester_id: Joi.number().integer().positive().optional(),
   }),
   
   update: Joi.object({
@@ -318,6 +527,7 @@ const scheduleSchemas = {
     room: Joi.string().max(50).optional(),
     sort_by: commonValidations.enum(['day_of_week', 'time', 'class_name', 'subject_name', 'teacher_name']).default('day_of_week'),
     sort_order: commonValidations.enum(['asc', 'desc']).default('asc'),
+    ...commonValidations.academicPeriod,
   }),
   
   conflictCheck: Joi.object({
@@ -328,6 +538,19 @@ const scheduleSchemas = {
     end_time: Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/).required(),
     room: Joi.string().max(50).optional().allow(null),
   }),
+
+  rollCallQuery: Joi.object({
+    date: Joi.date().iso().optional(),
+  }),
+
+  rollCall: Joi.object({
+    lesson_date: Joi.date().iso().required(),
+    attendance: Joi.array().items(Joi.object({
+      student_id: commonValidations.id,
+      status: commonValidations.enum(['Hadir', 'Sakit', 'Izin', 'Alpa', 'Terlambat']).required(),
+      notes: Joi.string().max(255).optional().allow(null, ''),
+    })).min(1).unique('student_id').required(),
+  }),
 };
 
 // Journal validation schemas
@@ -341,7 +564,6 @@ const journalSchemas = {
       'string.min': 'Topic must be at least 5 characters long',
       'string.max': 'Topic must not exceed 1000 characters'
     }),
-    student_attendance_summary: Joi.string().max(255).optional().allow(null),
     notes: Joi.string().max(2000).optional().allow(null),
   }),
 
@@ -353,7 +575,6 @@ const journalSchemas = {
       'string.min': 'Topic must be at least 5 characters long',
       'string.max': 'Topic must not exceed 1000 characters'
     }),
-    student_attendance_summary: Joi.string().max(255).optional().allow(null),
     notes: Joi.string().max(2000).optional().allow(null),
   }),
 
@@ -367,6 +588,7 @@ const journalSchemas = {
     search: commonValidations.search,
     sort_by: commonValidations.enum(['teaching_date', 'topic', 'created_at']).default('teaching_date'),
     sort_order: commonValidations.enum(['asc', 'desc']).default('desc'),
+    ...commonValidations.academicPeriod,
   }),
 
   stats: Joi.object({
@@ -375,6 +597,484 @@ const journalSchemas = {
     subject_id: commonValidations.optionalId,
     date_from: Joi.date().iso().optional(),
     date_to: Joi.date().iso().optional(),
+    ...commonValidations.academicPeriod,
+  }),
+};
+
+// Internship (PKL) validation schemas
+const internshipSchemas = {
+  createCompany: Joi.object({
+    name: Joi.string().min(2).max(255).required(),
+    address: Joi.string().max(1000).optional().allow(null),
+    coordinates: Joi.string().max(100).pattern(/^-?\d+(\.\d+)?,\s*-?\d+(\.\d+)?$/).optional().allow(null).messages({
+      'string.pattern.base': 'Coordinates must be in "latitude,longitude" format'
+    }),
+    geofence_radius_meters: Joi.number().integer().min(10).max(10000).optional().allow(null),
+  }),
+
+  updateCompany: Joi.object({
+    name: Joi.string().min(2).max(255).optional(),
+    address: Joi.string().max(1000).optional().allow(null),
+    coordinates: Joi.string().max(100).pattern(/^-?\d+(\.\d+)?,\s*-?\d+(\.\d+)?$/).optional().allow(null).messages({
+      'string.pattern.base': 'Coordinates must be in "latitude,longitude" format'
+    }),
+    geofence_radius_meters: Joi.number().integer().min(10).max(10000).optional().allow(null),
+  }),
+
+  listCompanies: Joi.object({
+    ...commonValidations.pagination,
+    search: commonValidations.search,
+  }),
+
+  createPlacement: Joi.object({
+    student_id: commonValidations.id,
+    company_id: commonValidations.id,
+    supervisor_teacher_id: commonValidations.optionalId.allow(null),
+    start_date: Joi.date().iso().required(),
+    end_date: Joi.date().iso().min(Joi.ref('start_date')).optional().allow(null).messages({
+      'date.min': 'End date must be on or after start date'
+    }),
+  }),
+
+  updatePlacement: Joi.object({
+    company_id: commonValidations.optionalId,
+    supervisor_teacher_id: commonValidations.optionalId.allow(null),
+    start_date: Joi.date().iso().optional(),
+    end_date: Joi.date().iso().optional().allow(null),
+  }),
+
+  updatePlacementStatus: Joi.object({
+    status: commonValidations.enum(['Selesai', 'Batal']).required(),
+  }),
+
+  listPlacements: Joi.object({
+    ...commonValidations.pagination,
+    student_id: commonValidations.optionalId,
+    company_id: commonValidations.optionalId,
+    supervisor_teacher_id: commonValidations.optionalId,
+    class_id: commonValidations.optionalId,
+    status: commonValidations.enum(['Aktif', 'Selesai', 'Batal']).optional(),
+    active_on: Joi.date().iso().optional(),
+  }),
+
+  submitJournal: Joi.object({
+    activity_date: Joi.date().iso().required(),
+    activity_description: Joi.string().min(10).max(5000).required(),
+  }),
+
+  updateJournal: Joi.object({
+    activity_description: Joi.string().min(10).max(5000).required(),
+  }),
+
+  reviewJournal: Joi.object({
+    status: commonValidations.enum(['Approved', 'Rejected']).required(),
+    supervisor_notes: Joi.when('status', {
+      is: 'Rejected',
+      then: Joi.string().min(1).max(2000).required(),
+      otherwise: Joi.string().max(2000).optional().allow(null, '')
+    }),
+  }),
+
+  approveWeek: Joi.object({
+    week_start: Joi.date().iso().required(),
+    placement_id: commonValidations.optionalId,
+    supervisor_notes: Joi.string().max(2000).optional().allow(null, ''),
+  }),
+
+  listJournals: Joi.object({
+    ...commonValidations.pagination,
+    placement_id: commonValidations.optionalId,
+    student_id: commonValidations.optionalId,
+    supervisor_teacher_id: commonValidations.optionalId,
+    status: commonValidations.enum(['Pending', 'Approved', 'Rejected']).optional(),
+    date_from: Joi.date().iso().optional(),
+    date_to: Joi.date().iso().optional(),
+  }),
+};
+
+// Leave request validation schemas
+const leaveRequestSchemas = {
+  create: Joi.object({
+    request_type: commonValidations.enum(['Sakit', 'Izin', 'Cuti', 'DinasLuar']).required(),
+    start_date: Joi.date().iso().required(),
+    end_date: Joi.date().iso().min(Joi.ref('start_date')).required().messages({
+      'date.min': 'End date must be on or after start date'
+    }),
+    reason: Joi.string().min(5).max(2000).required(),
+  }),
+
+  verify: Joi.object({
+    status: commonValidations.enum(['Approved', 'Rejected']).required(),
+    rejection_reason: Joi.when('status', {
+      is: 'Rejected',
+      then: Joi.string().min(1).max(2000).required(),
+      otherwise: Joi.forbidden()
+    }),
+  }),
+
+  list: Joi.object({
+    ...commonValidations.pagination,
+    user_id: commonValidations.optionalId,
+    status: commonValidations.enum(['Pending', 'Approved', 'Rejected']).optional(),
+    request_type: commonValidations.enum(['Sakit', 'Izin', 'Cuti', 'DinasLuar']).optional(),
+    role: commonValidations.enum(['teacher', 'student', 'staff']).optional(),
+    class_id: commonValidations.optionalId,
+    date_from: Joi.date().iso().optional(),
+    date_to: Joi.date().iso().optional(),
+  }),
+};
+
+// Queue validation schemas
+const queueSchemas = {
+  createCounter: Joi.object({
+    counter_name: Joi.string().min(2).max(255).required(),
+    counter_code: Joi.string().alphanum().uppercase().min(1).max(10).required(),
+    is_active: Joi.boolean().default(true),
+  }),
+
+  updateCounter: Joi.object({
+    counter_name: Joi.string().min(2).max(255).optional(),
+    counter_code: Joi.string().alphanum().uppercase().min(1).max(10).optional(),
+    is_active: Joi.boolean().optional(),
+  }),
+
+  listCounters: Joi.object({
+    is_active: Joi.boolean().optional(),
+  }),
+
+  issueTicket: Joi.object({
+    counter_id: commonValidations.id,
+  }),
+
+  listTickets: Joi.object({
+    ...commonValidations.pagination,
+    counter_id: commonValidations.optionalId,
+    status: commonValidations.enum(['Waiting', 'Called', 'Serving', 'Finished', 'Skipped']).optional(),
+    date: Joi.date().iso().optional(),
+  }),
+
+  createDisplay: Joi.object({
+    display_name: Joi.string().min(2).max(255).required(),
+  }),
+};
+
+// Exam validation schemas
+const examSchemas = {
+  createExam: Joi.object({
+    exam_name: Joi.string().min(2).max(255).required(),
+    academic_year: Joi.string().pattern(/^\d{4}\/\d{4}$/).required().messages({
+      'string.pattern.base': 'Academic year must be in YYYY/YYYY format'
+    }),
+    start_date: Joi.date().iso().required(),
+    end_date: Joi.date().iso().min(Joi.ref('start_date')).required().messages({
+      'date.min': 'End date must be on or after start date'
+    }),
+  }),
+
+  updateExam: Joi.object({
+    exam_name: Joi.string().min(2).max(255).optional(),
+    academic_year: Joi.string().pattern(/^\d{4}\/\d{4}$/).optional().messages({
+      'string.pattern.base': 'Academic year must be in YYYY/YYYY format'
+    }),
+    start_date: Joi.date().iso().optional(),
+    end_date: Joi.date().iso().optional(),
+  }),
+
+  listExams: Joi.object({
+    ...commonValidations.pagination,
+    search: commonValidations.search,
+    ...commonValidations.academicPeriod,
+  }),
+
+  createSchedule: Joi.object({
+    exam_id: commonValidations.id,
+    subject_id: commonValidations.id,
+    grade_level: Joi.number().integer().min(1).max(12).required(),
+    exam_date: Joi.date().iso().required(),
+    start_time: Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/).required().messages({
+      'string.pattern.base': 'Start time must be in HH:MM:SS format'
+    }),
+    end_time: Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/).required().messages({
+      'string.pattern.base': 'End time must be in HH:MM:SS format'
+    }),
+    session: Joi.number().integer().min(1).max(10).default(1),
+  }),
+
+  updateSchedule: Joi.object({
+    subject_id: commonValidations.optionalId,
+    grade_level: Joi.number().integer().min(1).max(12).optional(),
+    exam_date: Joi.date().iso().optional(),
+    start_time: Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/).optional().messages({
+      'string.pattern.base': 'Start time must be in HH:MM:SS format'
+    }),
+    end_time: Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/).optional().messages({
+      'string.pattern.base': 'End time must be in HH:MM:SS format'
+    }),
+    session: Joi.number().integer().min(1).max(10).optional(),
+  }),
+
+  listSchedules: Joi.object({
+    ...commonValidations.pagination,
+    exam_id: commonValidations.optionalId,
+    subject_id: commonValidations.optionalId,
+    grade_level: Joi.number().integer().min(1).max(12).optional(),
+    exam_date: Joi.date().iso().optional(),
+    session: Joi.number().integer().min(1).max(10).optional(),
+  }),
+
+  createRoom: Joi.object({
+    room_name: Joi.string().min(1).max(100).required(),
+    capacity: Joi.number().integer().min(1).max(1000).required(),
+  }),
+
+  updateRoom: Joi.object({
+    room_name: Joi.string().min(1).max(100).optional(),
+    capacity: Joi.number().integer().min(1).max(1000).optional(),
+  }),
+
+  listRooms: Joi.object({
+    search: commonValidations.search,
+  }),
+
+  allocateSeating: Joi.object({
+    class_ids: Joi.array().items(commonValidations.id).min(1).unique().required(),
+    room_ids: Joi.array().items(Joi.number().integer().min(1)).min(1).unique().optional(),
+    seed: Joi.alternatives().try(Joi.string().max(100), Joi.number().integer()).optional(),
+  }),
+
+  getSeating: Joi.object({
+    room_id: Joi.number().integer().min(1).optional(),
+  }),
+
+  assignSupervisors: Joi.object({
+    teacher_ids: Joi.array().items(commonValidations.id).min(2).unique().optional(),
+    seed: Joi.alternatives().try(Joi.string().max(100), Joi.number().integer()).optional(),
+  }),
+
+  timetable: Joi.object({
+    exam_id: commonValidations.optionalId,
+  }),
+
+  submitIncidentReport: Joi.object({
+    room_id: Joi.number().integer().min(1).required(),
+    exam_date: Joi.date().iso().required(),
+    session: Joi.number().integer().min(1).max(10).required(),
+    notes: Joi.string().max(5000).optional().allow(null, ''),
+    attendance: Joi.array().items(Joi.object({
+      student_id: commonValidations.id,
+      status: commonValidations.enum(['Hadir', 'Absen', 'Sakit', 'Izin']).required(),
+    })).min(1).unique('student_id').required(),
+  }),
+
+  listIncidentReports: Joi.object({
+    room_id: Joi.number().integer().min(1).optional(),
+    exam_date: Joi.date().iso().optional(),
+    session: Joi.number().integer().min(1).max(10).optional(),
+  }),
+};
+
+// Ramadan activity validation schemas
+const ramadanSchemas = {
+  checklistDate: Joi.object({
+    date: Joi.date().iso().optional(),
+  }),
+
+  saveChecklist: Joi.object({
+    activity_date: Joi.date().iso().required(),
+    items: Joi.array().items(Joi.object({
+      activity_type: commonValidations.enum([
+        'Puasa', 'SalatFardu', 'SalatTarawih', 'SalatSunnah', 'Tadarus', 'Taklim', 'SalatJumat'
+      ]).required(),
+      sub_type: Joi.when('activity_type', {
+        is: 'SalatFardu',
+        then: commonValidations.enum(['Subuh', 'Dzuhur', 'Ashar', 'Maghrib', 'Isya']).required(),
+        otherwise: Joi.string().valid('').optional().allow(null)
+      }),
+      is_done: Joi.boolean().required(),
+      description: Joi.string().max(1000).optional().allow(null, ''),
+    })).min(1).unique((a, b) => a.activity_type === b.activity_type && (a.sub_type || '') === (b.sub_type || '')).required(),
+  }),
+
+  recap: Joi.object({
+    start_date: Joi.date().iso().optional(),
+    end_date: Joi.date().iso().optional(),
+    grade_level: Joi.number().integer().min(1).max(12).optional(),
+    class_id: commonValidations.optionalId,
+  }),
+};
+
+// Geofence validation schemas
+const geofencePoint = Joi.array().ordered(
+  Joi.number().min(-90).max(90).required(),
+  Joi.number().min(-180).max(180).required()
+).length(2);
+
+const geofenceShapeFields = {
+  center_lat: Joi.when('shape', {
+    is: 'Radius',
+    then: Joi.number().min(-90).max(90).required(),
+    otherwise: Joi.forbidden()
+  }),
+  center_lng: Joi.when('shape', {
+    is: 'Radius',
+    then: Joi.number().min(-180).max(180).required(),
+    otherwise: Joi.forbidden()
+  }),
+  radius_meters: Joi.when('shape', {
+    is: 'Radius',
+    then: Joi.number().integer().min(10).max(10000).required(),
+    otherwise: Joi.forbidden()
+  }),
+  polygon: Joi.when('shape', {
+    is: 'Polygon',
+    then: Joi.array().items(geofencePoint).min(3).required().messages({
+      'array.min': 'Polygon must have at least 3 points'
+    }),
+    otherwise: Joi.forbidden()
+  }),
+};
+
+const geofenceSchemas = {
+  create: Joi.object({
+    name: Joi.string().min(2).max(255).required(),
+    shape: commonValidations.enum(['Radius', 'Polygon']).required(),
+    ...geofenceShapeFields,
+    is_active: Joi.boolean().optional(),
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(2).max(255).optional(),
+    shape: commonValidations.enum(['Radius', 'Polygon']).optional(),
+    center_lat: Joi.number().min(-90).max(90).optional(),
+    center_lng: Joi.number().min(-180).max(180).optional(),
+    radius_meters: Joi.number().integer().min(10).max(10000).optional(),
+    polygon: Joi.array().items(geofencePoint).min(3).optional().messages({
+      'array.min': 'Polygon must have at least 3 points'
+    }),
+    is_active: Joi.boolean().optional(),
+  }),
+
+  updateSettings: Joi.object({
+    mode: commonValidations.enum(['reject', 'flag']).optional(),
+    company_radius_meters: Joi.number().integer().min(10).max(10000).optional(),
+  }).min(1),
+
+  reviewQueue: Joi.object({
+    ...commonValidations.pagination,
+    type: commonValidations.enum(['teacher', 'student']).default('teacher'),
+    status: commonValidations.enum(['Pending', 'Approved', 'Rejected']).default('Pending'),
+    date_from: Joi.date().iso().optional(),
+    date_to: Joi.date().iso().optional(),
+  }),
+
+  reviewParams: Joi.object({
+    type: commonValidations.enum(['teacher', 'student']).required(),
+    id: commonValidations.id,
+  }),
+
+  review: Joi.object({
+    status: commonValidations.enum(['Approved', 'Rejected']).required(),
+    notes: Joi.string().max(1000).optional().allow(null, ''),
+  }),
+};
+
+// Academic calendar validation schemas
+const calendarEventTypes = ['Libur', 'SetengahHari', 'Kegiatan', 'Ujian'];
+const gradeLevels = Joi.array().items(Joi.number().integer().min(1).max(12)).unique();
+
+const calendarSchemas = {
+  createAcademicYear: Joi.object({
+    name: Joi.string().pattern(/^\d{4}\/\d{4}$/).required().messages({
+      'string.pattern.base': 'Academic year name must look like 2025/2026'
+    }),
+    start_date: Joi.date().iso().required(),
+    end_date: Joi.date().iso().greater(Joi.ref('start_date')).required(),
+  }),
+
+  updateAcademicYear: Joi.object({
+    name: Joi.string().pattern(/^\d{4}\/\d{4}$/).optional().messages({
+      'string.pattern.base': 'Academic year name must look like 2025/2026'
+    }),
+    start_date: Joi.date().iso().optional(),
+    end_date: Joi.date().iso().optional(),
+  }).min(1),
+
+  saveSemester: Joi.object({
+    term: commonValidations.enum(['Ganjil', 'Genap']).required(),
+    start_date: Joi.date().iso().required(),
+    end_date: Joi.date().iso().greater(Joi.ref('start_date')).required(),
+  }),
+
+  listEvents: Joi.object({
+    date_from: Joi.date().iso().optional(),
+    date_to: Joi.date().iso().optional(),
+    event_type: commonValidations.enum(calendarEventTypes).optional(),
+    academic_year_id: Joi.number().integer().positive().optional(),
+    grade_level: Joi.number().integer().min(1).max(12).optional(),
+  }),
+
+  createEvent: Joi.object({
+    title: Joi.string().min(2).max(255).required(),
+    event_type: commonValidations.enum(calendarEventTypes).required(),
+    start_date: Joi.date().iso().required(),
+    end_date: Joi.date().iso().min(Joi.ref('start_date')).optional(),
+    grade_levels: gradeLevels.optional().allow(null),
+    description: Joi.string().max(1000).optional().allow(null, ''),
+    academic_year_id: Joi.number().integer().positive().optional().allow(null),
+  }),
+
+  updateEvent: Joi.object({
+    title: Joi.string().min(2).max(255).optional(),
+    event_type: commonValidations.enum(calendarEventTypes).optional(),
+    start_date: Joi.date().iso().optional(),
+    end_date: Joi.date().iso().optional(),
+    grade_levels: gradeLevels.optional().allow(null),
+    description: Joi.string().max(1000).optional().allow(null, ''),
+    academic_year_id: Joi.number().integer().positive().optional().allow(null),
+  }).min(1),
+
+  // Multipart fields, so grade levels arrive as "10,11"
+  importIcs: Joi.object({
+    event_type: commonValidations.enum(calendarEventTypes).default('Libur'),
+    grade_levels: Joi.alternatives().try(
+      gradeLevels,
+      Joi.string().pattern(/^\d{1,2}(,\d{1,2})*$/).custom(value => value.split(',').map(Number))
+    ).optional(),
+  }),
+
+  schoolDay: Joi.object({
+    date: Joi.date().iso().optional(),
+    grade_level: Joi.number().integer().min(1).max(12).optional(),
+  }),
+
+  effectiveDays: Joi.object({
+    date_from: Joi.date().iso().required(),
+    date_to: Joi.date().iso().min(Joi.ref('date_from')).required(),
+    grade_level: Joi.number().integer().min(1).max(12).optional(),
+  }),
+};
+
+// Promotion validation schemas
+const promotionSchemas = {
+  plan: Joi.object({
+    from_academic_year_id: Joi.number().integer().positive().required(),
+    to_academic_year_id: Joi.number().integer().positive().invalid(Joi.ref('from_academic_year_id')).required().messages({
+      'any.invalid': 'Target academic year must differ from the source academic year'
+    }),
+    mappings: Joi.array().items(Joi.object({
+      from_class_id: commonValidations.id,
+      to_class_id: commonValidations.id,
+    })).unique('from_class_id').default([]),
+    // Held back students stay in their grade, optionally in a class of the next year
+    held_back: Joi.array().items(Joi.object({
+      student_id: commonValidations.id,
+      to_class_id: commonValidations.optionalId,
+    })).unique('student_id').default([]),
+  }),
+
+  list: Joi.object({
+    ...commonValidations.pagination,
+    academic_year_id: Joi.number().integer().positive().optional(),
   }),
 };
 
@@ -389,4 +1089,14 @@ module.exports = {
   attendanceSchemas,
   scheduleSchemas,
   journalSchemas,
+  internshipSchemas,
+  leaveRequestSchemas,
+  queueSchemas,
+  examSchemas,
+  ramadanSchemas,
+  geofenceSchemas,
+  calendarSchemas,
+  promotionSchemas,
+  passwordResetSchemas,
+  roleSchemas,
 };
@@ -0,0 +1,84 @@
+const { createRandom, shuffle } = require('../src/utils/seededRandom');
+const { interleaveByClass, distributeAcrossRooms } = require('../src/utils/examSeating');
+
+describe('Seeded random', () => {
+  test('same seed should produce the same sequence', () => {
+    const first = createRandom('schedule-1');
+    const second = createRandom('schedule-1');
+
+    const a = Array.from({ length: 5 }, () => first());
+    const b = Array.from({ length: 5 }, () => second());
+
+    expect(a).toEqual(b);
+    a.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('different seeds should produce different sequences', () => {
+    expect(createRandom('schedule-1')()).not.toBe(createRandom('schedule-2')());
+  });
+
+  test('shuffle should be deterministic and keep every item', () => {
+    const items = [1, 2, 3, 4, 5, 6, 7, 8];
+
+    const first = shuffle(items, createRandom(42));
+    const second = shuffle(items, createRandom(42));
+
+    expect(first).toEqual(second);
+    expect([...first].sort((a, b) => a - b)).toEqual(items);
+    expect(items).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+});
+
+describe('Exam seating', () => {
+  test('interleaveByClass should not seat students of one class next to each other', () => {
+    const result = interleaveByClass([
+      ['A1', 'A2', 'A3'],
+      ['B1', 'B2'],
+      ['C1', 'C2']
+    ]);
+
+    expect(result).toHaveLength(7);
+    for (let i = 1; i < result.length; i++) {
+      expect(result[i][0]).not.toBe(result[i - 1][0]);
+    }
+  });
+
+  test('interleaveByClass should append the rest when one class is left', () => {
+    expect(interleaveByClass([['A1', 'A2', 'A3', 'A4'], ['B1']])).toEqual(['A1', 'B1', 'A2', 'A3', 'A4']);
+  });
+
+  test('interleaveByClass should not change the input groups', () => {
+    const groups = [['A1'], ['B1']];
+    interleaveByClass(groups);
+
+    expect(groups).toEqual([['A1'], ['B1']]);
+  });
+
+  test('distributeAcrossRooms should split students proportionally to free seats', () => {
+    const rooms = [{ id: 1, available: 20 }, { id: 2, available: 10 }];
+
+    const quotas = distributeAcrossRooms(15, rooms).map(item => item.quota);
+
+    expect(quotas).toEqual([10, 5]);
+  });
+
+  test('distributeAcrossRooms should hand out remainders by largest fraction', () => {
+    const rooms = [{ id: 1, available: 10 }, { id: 2, available: 10 }, { id: 3, available: 10 }];
+
+    const quotas = distributeAcrossRooms(10, rooms).map(item => item.quota);
+
+    expect(quotas.reduce((sum, quota) => sum + quota, 0)).toBe(10);
+    quotas.forEach(quota => expect([3, 4]).toContain(quota));
+  });
+
+  test('distributeAcrossRooms should never exceed the free seats of a room', () => {
+    const rooms = [{ id: 1, available: 1 }, { id: 2, available: 3 }];
+
+    distributeAcrossRooms(4, rooms).forEach(({ room, quota }) => {
+      expect(quota).toBeLessThanOrEqual(room.available);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const { parseCoordinates, distanceInMeters, isPointInPolygon } = require('../src/utils/geo');
+
+describe('Geo utilities', () => {
+  test('parseCoordinates should read a "latitude,longitude" string', () => {
+    expect(parseCoordinates('-6.2088, 106.8456')).toEqual({ lat: -6.2088, lng: 106.8456 });
+  });
+
+  test('parseCoordinates should reject missing, malformed and out of range values', () => {
+    expect(parseCoordinates(null)).toBeNull();
+    expect(parseCoordinates('-6.2088')).toBeNull();
+    expect(parseCoordinates('abc,106.8')).toBeNull();
+    expect(parseCoordinates('91,106.8')).toBeNull();
+    expect(parseCoordinates('-6.2,181')).toBeNull();
+  });
+
+  test('distanceInMeters should be zero for the same point', () => {
+    const point = { lat: -6.2088, lng: 106.8456 };
+
+    expect(distanceInMeters(point, point)).toBe(0);
+  });
+
+  test('distanceInMeters should match one degree of latitude', () => {
+    const distance = distanceInMeters({ lat: 0, lng: 106 }, { lat: 1, lng: 106 });
+
+    // 2 * PI * 6371 km / 360
+    expect(distance).toBeCloseTo(111194.93, 1);
+  });
+
+  test('distanceInMeters should shrink longitude degrees away from the equator', () => {
+    const atEquator = distanceInMeters({ lat: 0, lng: 0 }, { lat: 0, lng: 1 });
+    const atSixty = distanceInMeters({ lat: 60, lng: 0 }, { lat: 60, lng: 1 });
+
+    expect(atSixty).toBeCloseTo(atEquator / 2, -2);
+  });
+
+  test('distanceInMeters should be symmetric over a short campus distance', () => {
+    const gate = { lat: -6.2088, lng: 106.8456 };
+    const hall = { lat: -6.2097, lng: 106.8456 };
+
+    expect(distanceInMeters(gate, hall)).toBeCloseTo(100.08, 1);
+    expect(distanceInMeters(hall, gate)).toBeCloseTo(distanceInMeters(gate, hall), 6);
+  });
+
+  test('isPointInPolygon should tell inside from outside', () => {
+    const campus = [[-6.20, 106.84], [-6.20, 106.85], [-6.21, 106.85], [-6.21, 106.84]];
+
+    expect(isPointInPolygon({ lat: -6.205, lng: 106.845 }, campus)).toBe(true);
+    expect(isPointInPolygon({ lat: -6.215, lng: 106.845 }, campus)).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+const { parseIcsEvents } = require('../src/utils/ics');
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Test//Calendar//EN',
+  ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('ICS import', () => {
+  test('should read a single-day all-day event with an exclusive end date', () => {
+    const events = parseIcsEvents(calendar([
+      'UID:hut-ri@example.com',
+      'DTSTART;VALUE=DATE:20260817',
+      'DTEND;VALUE=DATE:20260818',
+      'SUMMARY:Hari Kemerdekaan'
+    ]));
+
+    expect(events).toEqual([{
+      uid: 'hut-ri@example.com',
+      summary: 'Hari Kemerdekaan',
+      description: null,
+      categories: [],
+      start_date: '2026-08-17',
+      end_date: '2026-08-17'
+    }]);
+  });
+
+  test('should end a multi-day event on the day before DTEND', () => {
+    const [event] = parseIcsEvents(calendar([
+      'DTSTART;VALUE=DATE:20261221',
+      'DTEND;VALUE=DATE:20270102',
+      'SUMMARY:Libur Semester'
+    ]));
+
+    expect(event.start_date).toBe('2026-12-21');
+    expect(event.end_date).toBe('2027-01-01');
+  });
+
+  test('should treat an event without DTEND as a single day', () => {
+    const [event] = parseIcsEvents(calendar([
+      'DTSTART;VALUE=DATE:20260301',
+      'SUMMARY:Rapat Guru'
+    ]));
+
+    expect(event.end_date).toBe('2026-03-01');
+  });
+
+  test('should keep the end date of a timed event', () => {
+    const [event] = parseIcsEvents(calendar([
+      'DTSTART:20260910T080000Z',
+      'DTEND:20260911T120000Z',
+      'SUMMARY:Pelatihan'
+    ]));
+
+    expect(event.start_date).toBe('2026-09-10');
+    expect(event.end_date).toBe('2026-09-11');
+  });
+
+  test('should unescape text values and split categories', () => {
+    const [event] = parseIcsEvents(calendar([
+      'DTSTART;VALUE=DATE:20260501',
+      'SUMMARY:Hari Buruh\\, libur nasional',
+      'DESCRIPTION:Baris pertama\\nBaris kedua\\; selesai \\\\ akhir',
+      'CATEGORIES:Holiday,Nasional\\, resmi'
+    ]));
+
+    expect(event.summary).toBe('Hari Buruh, libur nasional');
+    expect(event.description).toBe('Baris pertama\nBaris kedua; selesai \\ akhir');
+    expect(event.categories).toEqual(['Holiday', 'Nasional, resmi']);
+  });
+
+  test('should unfold continuation lines', () => {
+    const [event] = parseIcsEvents([
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20260601',
+      'SUMMARY:Penilaian Akhir',
+      '  Semester Genap',
+      'END:VEVENT'
+    ].join('\r\n'));
+
+    expect(event.summary).toBe('Penilaian Akhir Semester Genap');
+  });
+
+  test('should skip events without a start date and name untitled events', () => {
+    const events = parseIcsEvents(calendar(
+      ['SUMMARY:Tanpa tanggal'],
+      ['DTSTART;VALUE=DATE:20260702']
+    ));
+
+    expect(events).toHaveLength(1);
+    expect(events[0].summary).toBe('Untitled event');
+  });
+});
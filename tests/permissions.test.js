@@ -0,0 +1,220 @@
+const request = require('supertest');
+const { PERMISSIONS, SYSTEM_ROLES } = require('../src/config/permissions');
+
+const mockPrisma = {
+  user: { findUnique: jest.fn() },
+  userSession: { findFirst: jest.fn() },
+  role: { findMany: jest.fn() },
+  class: { findUnique: jest.fn() },
+  schedule: { findUnique: jest.fn() },
+  teachingJournal: { findFirst: jest.fn(), create: jest.fn() },
+  appSetting: { findUnique: jest.fn() }
+};
+
+jest.mock('../src/config/database', () => ({
+  connect: jest.fn(),
+  disconnect: jest.fn(),
+  getClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('@prisma/client', () => ({
+  ...jest.requireActual('@prisma/client'),
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../src/services/classService', () => ({
+  getClassById: jest.fn(async id => ({ id, class_name: 'XI RPL 1' }))
+}));
+
+jest.mock('../src/services/studentService', () => ({
+  updateStudent: jest.fn(async (id, data) => ({ id, ...data }))
+}));
+
+const App = require('../src/app');
+const classService = require('../src/services/classService');
+const permissionService = require('../src/services/permissionService');
+const studentService = require('../src/services/studentService');
+const { generateAccessToken } = require('../src/utils/auth');
+
+// System roles with the permissions the catalogue grants them by default
+const systemRoles = Object.keys(SYSTEM_ROLES).map((name, index) => ({
+  id: index + 1,
+  name,
+  is_system: true,
+  permissions: Object.entries(PERMISSIONS)
+    .filter(([, permission]) => permission.roles.includes(name))
+    .map(([permission]) => ({ permission: { name: permission } }))
+}));
+
+const rolesWithout = (roleName, permissionName) => systemRoles.map(role => ({
+  ...role,
+  permissions: role.permissions.filter(grant => role.name !== roleName || grant.permission.name !== permissionName)
+}));
+
+const accounts = {
+  admin: { id: 1n, username: 'admin', role: 'admin', teacher: null, student: null },
+  homeroom: { id: 2n, username: 'teacher001', role: 'teacher', teacher: { id: 10n, full_name: 'Budi', nip: '1' }, student: null },
+  teacher: { id: 3n, username: 'teacher002', role: 'teacher', teacher: { id: 11n, full_name: 'Ani', nip: '2' }, student: null },
+  student: { id: 4n, username: 'student001', role: 'student', teacher: null, student: { id: 20n, full_name: 'Siti', nis: '2024001' } }
+};
+
+const tokenFor = account => generateAccessToken({
+  userId: account.id.toString(),
+  username: account.username,
+  role: account.role,
+  sid: `session-${account.id}`
+});
+
+describe('Permission and ownership checks', () => {
+  let app;
+
+  beforeAll(() => {
+    app = new App().getApp();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    permissionService.invalidate();
+
+    mockPrisma.user.findUnique.mockImplementation(async ({ where }) => {
+      const account = Object.values(accounts).find(item => item.id === where.id);
+
+      return account ? {
+        ...account,
+        is_active: true,
+        must_change_password: false,
+        two_factor_enabled_at: null,
+        role_assignments: []
+      } : null;
+    });
+    mockPrisma.userSession.findFirst.mockResolvedValue({ id: 1n, user_id: 1n });
+    mockPrisma.role.findMany.mockResolvedValue(systemRoles);
+    mockPrisma.appSetting.findUnique.mockResolvedValue(null);
+    mockPrisma.class.findUnique.mockResolvedValue({ homeroom_teacher_id: 10n });
+  });
+
+  test('should reject requests without a token', async () => {
+    const response = await request(app)
+      .get('/api/classes/5')
+      .expect(401);
+
+    expect(response.body.message).toBe('Access token is required');
+  });
+
+  test('should reject users without any of the required permissions', async () => {
+    const response = await request(app)
+      .get('/api/classes/5')
+      .set('Authorization', `Bearer ${tokenFor(accounts.student)}`)
+      .expect(403);
+
+    expect(response.body.message).toBe('Access denied - insufficient permissions');
+    expect(classService.getClassById).not.toHaveBeenCalled();
+  });
+
+  test('should let the bypass permission skip the ownership check', async () => {
+    await request(app)
+      .get('/api/classes/5')
+      .set('Authorization', `Bearer ${tokenFor(accounts.admin)}`)
+      .expect(200);
+
+    expect(mockPrisma.class.findUnique).not.toHaveBeenCalled();
+    expect(classService.getClassById).toHaveBeenCalledWith('5');
+  });
+
+  test('should let a homeroom teacher view their own class', async () => {
+    await request(app)
+      .get('/api/classes/5')
+      .set('Authorization', `Bearer ${tokenFor(accounts.homeroom)}`)
+      .expect(200);
+
+    expect(classService.getClassById).toHaveBeenCalledWith('5');
+  });
+
+  test('should reject teachers viewing a class they do not own', async () => {
+    // Teachers hold classes.view by default, so take it away for this check
+    mockPrisma.role.findMany.mockResolvedValue(rolesWithout('teacher', 'classes.view'));
+
+    const response = await request(app)
+      .get('/api/classes/5')
+      .set('Authorization', `Bearer ${tokenFor(accounts.teacher)}`)
+      .expect(403);
+
+    expect(response.body.message).toBe('Access denied - you can only access your own records');
+    expect(classService.getClassById).not.toHaveBeenCalled();
+  });
+
+  test('should leave a missing resource to the controller', async () => {
+    mockPrisma.role.findMany.mockResolvedValue(rolesWithout('teacher', 'classes.view'));
+    mockPrisma.class.findUnique.mockResolvedValue(null);
+
+    await request(app)
+      .get('/api/classes/999')
+      .set('Authorization', `Bearer ${tokenFor(accounts.teacher)}`);
+
+    expect(mockPrisma.class.findUnique).toHaveBeenCalled();
+    expect(classService.getClassById).toHaveBeenCalledWith('999');
+  });
+
+  test('should reject a non-numeric academic period before scoping the class list', async () => {
+    const response = await request(app)
+      .get('/api/classes?semester_id=abc')
+      .set('Authorization', `Bearer ${tokenFor(accounts.admin)}`)
+      .expect(400);
+
+    expect(response.body.message).toMatch(/semester_id must be a number/);
+  });
+
+  test('should reject students updating another student', async () => {
+    await request(app)
+      .put('/api/students/21')
+      .set('Authorization', `Bearer ${tokenFor(accounts.student)}`)
+      .send({ phone_number: '081234567899' })
+      .expect(403);
+
+    expect(studentService.updateStudent).not.toHaveBeenCalled();
+  });
+
+  test('should limit students updating their own record to personal fields', async () => {
+    await request(app)
+      .put('/api/students/20')
+      .set('Authorization', `Bearer ${tokenFor(accounts.student)}`)
+      .send({ phone_number: '081234567899', full_name: 'Someone Else', status: 'LULUS' })
+      .expect(200);
+
+    expect(studentService.updateStudent).toHaveBeenCalledWith('20', { phone_number: '081234567899' }, 4n);
+  });
+
+  test('should let admins update every student field', async () => {
+    await request(app)
+      .put('/api/students/20')
+      .set('Authorization', `Bearer ${tokenFor(accounts.admin)}`)
+      .send({ full_name: 'Siti Nurhaliza' })
+      .expect(200);
+
+    expect(studentService.updateStudent).toHaveBeenCalledWith('20', { full_name: 'Siti Nurhaliza' }, 1n);
+  });
+
+  test('should reject teachers writing a journal on a schedule of another teacher', async () => {
+    mockPrisma.schedule.findUnique.mockResolvedValue({ id: 30n, teacher_id: 10n, semester_id: 1 });
+
+    const response = await request(app)
+      .post('/api/journals')
+      .set('Authorization', `Bearer ${tokenFor(accounts.teacher)}`)
+      .send({ schedule_id: '30', teaching_date: '2026-10-19', topic: 'Persamaan linear' })
+      .expect(403);
+
+    expect(response.body.message).toBe('Access denied - you do not teach this schedule');
+    expect(mockPrisma.teachingJournal.create).not.toHaveBeenCalled();
+  });
+
+  test('should reject revoked sessions', async () => {
+    mockPrisma.userSession.findFirst.mockResolvedValue(null);
+
+    const response = await request(app)
+      .get('/api/classes/5')
+      .set('Authorization', `Bearer ${tokenFor(accounts.admin)}`)
+      .expect(401);
+
+    expect(response.body.message).toBe('Session has been revoked or expired');
+  });
+});
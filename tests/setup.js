@@ -1,5 +1,7 @@
 // Jest setup file
 process.env.NODE_ENV = 'test';
+process.env.ATTENDANCE_QR_SECRET = process.env.ATTENDANCE_QR_SECRET || 'test_attendance_qr_secret';
+process.env.TOTP_ENCRYPTION_KEY = process.env.TOTP_ENCRYPTION_KEY || 'test_totp_encryption_key';
 
 // Mock database for testing
 jest.mock('../src/config/database', () => ({
@@ -0,0 +1,60 @@
+const { generateSecret, generateCode, verifyCode, getTimeStep, buildOtpauthUri } = require('../src/utils/totp');
+
+// RFC 6238 appendix B test key "12345678901234567890" (SHA1), in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B SHA1 vectors, truncated to 6 digits
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('TOTP', () => {
+  test.each(RFC_VECTORS)('should match the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(code);
+  });
+
+  test('should accept a code of the current time step', () => {
+    expect(verifyCode(RFC_SECRET, '081804', 1, 1111111109 * 1000)).toBe(getTimeStep(1111111109 * 1000));
+  });
+
+  test('should accept codes of neighbouring time steps within the window', () => {
+    const timestamp = 1111111109 * 1000;
+    const previous = generateCode(RFC_SECRET, getTimeStep(timestamp) - 1);
+
+    expect(verifyCode(RFC_SECRET, previous, 1, timestamp)).toBe(getTimeStep(timestamp) - 1);
+    expect(verifyCode(RFC_SECRET, previous, 0, timestamp)).toBeNull();
+  });
+
+  test('should ignore spaces and reject malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '081 804', 0, 1111111109 * 1000)).not.toBeNull();
+    expect(verifyCode(RFC_SECRET, '81804', 0, 1111111109 * 1000)).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', 0, 1111111109 * 1000)).toBeNull();
+    expect(verifyCode(RFC_SECRET, '000000', 0, 1111111109 * 1000)).toBeNull();
+  });
+
+  test('should decode secrets regardless of case, spaces and padding', () => {
+    const step = getTimeStep(59 * 1000);
+
+    expect(generateCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====', step)).toBe('287082');
+  });
+
+  test('should generate 160-bit base32 secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  test('should build a provisioning URI with encoded label and issuer', () => {
+    const uri = buildOtpauthUri(RFC_SECRET, 'admin', 'STMADB Portal');
+
+    expect(uri).toBe(
+      `otpauth://totp/STMADB%20Portal:admin?secret=${RFC_SECRET}&issuer=STMADB%20Portal&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
@@ -0,0 +1,129 @@
+const mockPrisma = {
+  workingHourRule: { findMany: jest.fn() },
+  schedule: { findFirst: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+jest.mock('../src/services/academicPeriodService', () => ({
+  getActivePeriod: jest.fn(async () => null),
+  semesterWhere: jest.fn(() => ({}))
+}));
+
+const workingHourService = require('../src/services/workingHourService');
+
+const time = value => new Date(`1970-01-01T${value}.000Z`);
+
+// Monday 19 October 2026, local time
+const monday = (hours, minutes) => new Date(2026, 9, 19, hours, minutes);
+
+const rule = (overrides = {}) => ({
+  id: 1,
+  applies_to: 'Teacher',
+  day_of_week: 'Senin',
+  employment_status: null,
+  check_in_time: time('07:00:00'),
+  check_out_time: time('15:00:00'),
+  late_grace_minutes: 10,
+  early_grace_minutes: 5,
+  follow_schedule: false,
+  is_active: true,
+  ...overrides
+});
+
+describe('Working hour classification', () => {
+  beforeEach(() => {
+    mockPrisma.workingHourRule.findMany.mockReset();
+    mockPrisma.schedule.findFirst.mockReset();
+  });
+
+  test('should leave records unclassified when no rule applies', async () => {
+    mockPrisma.workingHourRule.findMany.mockResolvedValue([]);
+
+    const result = await workingHourService.classify({ appliesTo: 'Teacher', status: 'Masuk', timestamp: monday(9, 0) });
+
+    expect(result).toEqual({ punctuality: null, deviation_minutes: null });
+  });
+
+  test('should look up the rule of the weekday of the record', async () => {
+    mockPrisma.workingHourRule.findMany.mockResolvedValue([]);
+
+    await workingHourService.classify({ appliesTo: 'Student', status: 'Masuk', timestamp: monday(7, 0) });
+
+    expect(mockPrisma.workingHourRule.findMany).toHaveBeenCalledWith({
+      where: expect.objectContaining({ applies_to: 'Student', day_of_week: 'Senin', is_active: true })
+    });
+  });
+
+  test('should classify a check-in within the grace period as on time', async () => {
+    mockPrisma.workingHourRule.findMany.mockResolvedValue([rule()]);
+
+    const result = await workingHourService.classify({ appliesTo: 'Teacher', status: 'Masuk', timestamp: monday(7, 10) });
+
+    expect(result).toEqual({ punctuality: 'OnTime', deviation_minutes: 0 });
+  });
+
+  test('should classify a check-in after the grace period as late', async () => {
+    mockPrisma.workingHourRule.findMany.mockResolvedValue([rule()]);
+
+    const result = await workingHourService.classify({ appliesTo: 'Teacher', status: 'Masuk', timestamp: monday(7, 25) });
+
+    expect(result).toEqual({ punctuality: 'Late', deviation_minutes: 25 });
+  });
+
+  test('should classify a check-out before the grace period as early departure', async () => {
+    mockPrisma.workingHourRule.findMany.mockResolvedValue([rule()]);
+
+    const early = await workingHourService.classify({ appliesTo: 'Teacher', status: 'Pulang', timestamp: monday(14, 30) });
+    const onTime = await workingHourService.classify({ appliesTo: 'Teacher', status: 'Pulang', timestamp: monday(14, 56) });
+
+    expect(early).toEqual({ punctuality: 'EarlyDeparture', deviation_minutes: 30 });
+    expect(onTime).toEqual({ punctuality: 'OnTime', deviation_minutes: 0 });
+  });
+
+  test('should prefer the rule of the teacher employment status', async () => {
+    mockPrisma.workingHourRule.findMany.mockResolvedValue([
+      rule(),
+      rule({ id: 2, employment_status: 'GTT', check_in_time: time('08:00:00') })
+    ]);
+
+    const result = await workingHourService.classify({
+      appliesTo: 'Teacher',
+      status: 'Masuk',
+      timestamp: monday(8, 5),
+      teacher: { id: 7n, employment_status: 'GTT' }
+    });
+
+    expect(result).toEqual({ punctuality: 'OnTime', deviation_minutes: 0 });
+  });
+
+  test('should expect teachers at their first lesson when the rule follows the schedule', async () => {
+    mockPrisma.workingHourRule.findMany.mockResolvedValue([rule({ follow_schedule: true })]);
+    mockPrisma.schedule.findFirst.mockResolvedValue({ start_time: time('09:30:00') });
+
+    const result = await workingHourService.classify({
+      appliesTo: 'Teacher',
+      status: 'Masuk',
+      timestamp: monday(9, 50),
+      teacher: { id: 7n, employment_status: 'ASN' }
+    });
+
+    expect(result).toEqual({ punctuality: 'Late', deviation_minutes: 20 });
+  });
+
+  test('should fall back to the rule check-in when the teacher has no lesson that day', async () => {
+    mockPrisma.workingHourRule.findMany.mockResolvedValue([rule({ follow_schedule: true })]);
+    mockPrisma.schedule.findFirst.mockResolvedValue(null);
+
+    const result = await workingHourService.classify({
+      appliesTo: 'Teacher',
+      status: 'Masuk',
+      timestamp: monday(7, 30),
+      teacher: { id: 7n, employment_status: 'ASN' }
+    });
+
+    expect(result).toEqual({ punctuality: 'Late', deviation_minutes: 30 });
+  });
+});